@@ -2,59 +2,143 @@
  * beaconSchedule.js
  * Scrapes event data from The Beacon Film Calendar and updates Google Sheet 'schedule'.
  * Usage: node beaconSchedule.js
- * - Scrapes event titles, dates, times, and URLs from the calendar page.
+ * - Scrapes event titles, dates, times, and URLs from the calendar page, in Chrome or over
+ *   plain HTTP as SCRAPE_MODE chooses (see scraper.js).
  * - Reconstructs each date/time: the page has no ISO datetimes and no year at all.
  * - Excludes theater rentals, which are marked by CSS class rather than by title.
  * - Matches titles with SeriesTag from Google Sheet 'series'.
  * - Adds a DateRecorded timestamp to each record.
+ * - Records each showtime's Square catalog id, which updateGCal.js uses as its sync key.
  * - Replaces Google Sheet 'schedule' with the scraped window, dropping past screenings.
  *   The sheet is left untouched when nothing could be scraped.
- * Dependencies: ./puppeteerConfig.js, ./sheetsUtils.js, ./utils.js, ./logger.js, ./errorHandler.js
+ * - Keeps any columns added to 'schedule' by hand, matched by Title, Date and Time.
+ * - Records every scraped screening in 'history', which keeps them after they pass.
+ * - What it reads off each page is covered by test/scrapers.test.js, against test/fixtures/.
+ * Dependencies: ./scraper.js, ./selectorHealth.js, ./storage.js, ./sheetSchema.js,
+ *   ./rowMerge.js, ./history.js, ./utils.js, ./logger.js, ./errorHandler.js
  */
 
 require('dotenv').config();
 
 // External dependencies
-const { launchPuppeteerQuiet } = require('./puppeteerConfig');
-const { getSheetRows, setSheetRows } = require('./sheetsUtils');
+const { createScraper } = require('./scraper');
+const { createHealthRecorder } = require('./selectorHealth');
+const { getRows, setRows, getStorage } = require('./storage');
+const { columnIndexes } = require('./sheetSchema');
+const { mergeRows } = require('./rowMerge');
+const { recordHistory } = require('./history');
 
 // Internal dependencies
 const logger = require('./logger')('beaconSchedule');
-const { deduplicateRows, navigateWithRetry, parseCalendarDate, parseTime12h } = require('./utils');
+const { deduplicateRows, parseCalendarDate, parseTime12h } = require('./utils');
 const { setupErrorHandling } = require('./errorHandler');
 
-setupErrorHandling(logger, 'beaconSchedule.js');
+/**
+ * The calendar page, for scraper.js.
+ *
+ * The site renders every showtime twice: once in the desktop `.cal-grid` and once in the
+ * mobile `.cal-list`. Both are always present in the HTML (a CSS media query hides one), so
+ * scraping generically would double every event. The list view is the better target
+ * because its parent day carries a complete "Saturday, July 25" label, whereas the grid
+ * only has a bare day number that has to be paired with the month heading.
+ *
+ * Note there is no ISO datetime anywhere on the page any more, and no year at all: dates
+ * and times are reconstructed in Node.
+ *
+ * @type {import('./scraper').PageExtractor}
+ */
+const calendarPage = {
+    name: 'calendar',
+    expect: '.cal-list .cal-list-day',
+    extract: (pageUrl, root = document) => {
+        const entries = [];
+        root.querySelectorAll('.cal-list .cal-list-day').forEach(day => {
+            const dayLabel = day.querySelector('.cal-list-date')?.textContent.trim() || '';
+            day.querySelectorAll('.cal-list-entry').forEach(entry => {
+                const link = entry.querySelector('a.cal-list-movie');
+                if (!link) return;
+                const href = link.getAttribute('href');
+                entries.push({
+                    dayLabel,
+                    title: link.textContent.trim(),
+                    // Resolves the relative /calendar/movie/<slug> path, as `.href` does in
+                    // a browser but not in a parsed document.
+                    url: href ? new URL(href, pageUrl).href : '',
+                    timeText: entry.querySelector('.cal-list-time')?.textContent.trim() || '',
+                    // Theater rentals are marked by class; matching on the title
+                    // is unreliable because its casing changes between views.
+                    isRental: entry.classList.contains('cal-list-entry-rental'),
+                    // Stable Square catalog id, unique per showtime.
+                    catalogId: entry.querySelector('[data-catalog-id]')?.getAttribute('data-catalog-id') || ''
+                });
+            });
+        });
+        return entries;
+    }
+};
+
+/**
+ * Rebuilds each scraped calendar entry into a showtime with a YYYY-MM-DD date and an HH:MM
+ * time, leaving out rentals.
+ * @param {Array<{dayLabel: string, title: string, url: string, timeText: string, isRental: boolean, catalogId: string}>} entries
+ *   What calendarPage extracted
+ * @param {Date} [referenceDate=new Date()] - For inferring the year; see parseCalendarDate()
+ * @returns {{ schedule: Array<{title: string, date: string, time: string, url: string, catalogId: string}>,
+ *   rentals: number, skipped: Object[] }} skipped holds the entries missing a title, or a date or
+ *   time that could not be parsed
+ */
+function scheduleFromEntries(entries, referenceDate = new Date()) {
+    // Parameter validation
+    if (!Array.isArray(entries)) {
+        throw new Error('scheduleFromEntries: entries must be an array');
+    }
+
+    const filmEntries = entries.filter(entry => !entry.isRental);
+    const schedule = [];
+    const skipped = [];
+    for (const entry of filmEntries) {
+        const date = entry.dayLabel ? parseCalendarDate(entry.dayLabel, referenceDate) : null;
+        const time = entry.timeText ? parseTime12h(entry.timeText) : null;
+        if (!entry.title || !date || !time) {
+            skipped.push(entry);
+            continue;
+        }
+        schedule.push({
+            title: entry.title,
+            date,
+            time,
+            url: entry.url,
+            catalogId: entry.catalogId
+        });
+    }
+    return { schedule, rentals: entries.length - filmEntries.length, skipped };
+}
 
-(async () => {
+/**
+ * Runs the script: scrapes the calendar and writes 'schedule' and 'history'.
+ * @returns {Promise<void>}
+ */
+async function main() {
     logger.info('Starting beaconSchedule.js');
 
     const calendarUrl = 'https://thebeacon.film/calendar';
     // Read series from Google Sheet
-    const seriesRowsRaw = await getSheetRows('series');
-    const seriesHeader = seriesRowsRaw[0] || [];
+    const seriesRowsRaw = await getRows('series');
+    const seriesColumn = columnIndexes('series', seriesRowsRaw[0]);
     const seriesRows = seriesRowsRaw.length > 1 ? seriesRowsRaw.slice(1).map(line => {
         return [
-            line[seriesHeader.indexOf('Title')],
-            line[seriesHeader.indexOf('SeriesTag')],
-            line[seriesHeader.indexOf('DateRecorded')]
+            line[seriesColumn.Title],
+            line[seriesColumn.SeriesTag],
+            line[seriesColumn.DateRecorded]
         ];
     }).filter(fields => fields[0] && fields[1]) : [];
 
     const normalizeTitle = title => title.replace(/^"|"$/g, '').trim().toLowerCase();
 
-    let browser;
+    const health = createHealthRecorder('beaconSchedule');
+    const scraper = createScraper({ logger, health });
     let eventsAdded = 0;
     try {
-        // Use centralized Puppeteer configuration
-        browser = await launchPuppeteerQuiet();
-        const page = await browser.newPage();
-
-        const navigationSuccess = await navigateWithRetry(page, calendarUrl, { logger });
-        if (!navigationSuccess) {
-            logger.error('Failed to load calendar page after retries');
-            return;
-        }
-
         const seenPairs = new Set();
         for (const [title, seriesTag] of seriesRows) {
             const key = `${normalizeTitle(title)}|${seriesTag}`;
@@ -65,65 +149,26 @@ setupErrorHandling(logger, 'beaconSchedule.js');
         }
         const seriesMap = new Map(seriesRows.map(([title, seriesTag]) => [normalizeTitle(title), seriesTag]));
 
-        // Scrape showtimes from the page.
-        //
-        // The site renders every showtime twice: once in the desktop `.cal-grid`
-        // and once in the mobile `.cal-list`. Both are always present in the HTML
-        // (a CSS media query hides one), so scraping generically would double
-        // every event. The list view is the better target because its parent day
-        // carries a complete "Saturday, July 25" label, whereas the grid only has
-        // a bare day number that has to be paired with the month heading.
-        //
-        // Note there is no ISO datetime anywhere on the page any more, and no year
-        // at all: dates and times are reconstructed in Node, below.
-        const rawEntries = await page.evaluate(() => {
-            const entries = [];
-            document.querySelectorAll('.cal-list .cal-list-day').forEach(day => {
-                const dayLabel = day.querySelector('.cal-list-date')?.textContent.trim() || '';
-                day.querySelectorAll('.cal-list-entry').forEach(entry => {
-                    const link = entry.querySelector('a.cal-list-movie');
-                    if (!link) return;
-                    entries.push({
-                        dayLabel,
-                        title: link.textContent.trim(),
-                        // `.href` resolves the relative /calendar/movie/<slug> path.
-                        url: link.href,
-                        timeText: entry.querySelector('.cal-list-time')?.textContent.trim() || '',
-                        // Theater rentals are marked by class; matching on the title
-                        // is unreliable because its casing changes between views.
-                        isRental: entry.classList.contains('cal-list-entry-rental'),
-                        // Stable Square catalog id, unique per showtime.
-                        catalogId: entry.querySelector('[data-catalog-id]')?.getAttribute('data-catalog-id') || ''
-                    });
-                });
-            });
-            return entries;
-        });
+        // Scrape showtimes from the page. See calendarPage above.
+        const calendar = await scraper.scrape(calendarUrl, calendarPage);
+        if (!calendar.ok) {
+            logger.error(`Failed to load calendar page${calendar.status ? ` (HTTP ${calendar.status})` : ' after retries'}`);
+            return;
+        }
+        // Chrome is not needed past this point, so it is not kept resident during the writes.
+        await scraper.close();
+        health.finish({ logger });
+        const rawEntries = calendar.data;
 
         if (rawEntries.length === 0) {
             logger.warn('No calendar entries found on the calendar page. The website structure may have changed.');
         }
 
-        const filmEntries = rawEntries.filter(entry => !entry.isRental);
-        logger.info(`Found ${rawEntries.length} calendar entries (${rawEntries.length - filmEntries.length} rentals excluded).`);
-
         // Rebuild each showtime into YYYY-MM-DD / HH:MM.
-        const referenceDate = new Date();
-        const schedule = [];
-        for (const entry of filmEntries) {
-            const date = entry.dayLabel ? parseCalendarDate(entry.dayLabel, referenceDate) : null;
-            const time = entry.timeText ? parseTime12h(entry.timeText) : null;
-            if (!entry.title || !date || !time) {
-                logger.warn(`Skipping entry with missing or unparseable fields: ${JSON.stringify(entry)}`);
-                continue;
-            }
-            schedule.push({
-                title: entry.title,
-                date,
-                time,
-                url: entry.url,
-                catalogId: entry.catalogId
-            });
+        const { schedule, rentals, skipped } = scheduleFromEntries(rawEntries);
+        logger.info(`Found ${rawEntries.length} calendar entries (${rentals} rentals excluded).`);
+        for (const entry of skipped) {
+            logger.warn(`Skipping entry with missing or unparseable fields: ${JSON.stringify(entry)}`);
         }
 
         if (schedule.length === 0) {
@@ -152,23 +197,31 @@ setupErrorHandling(logger, 'beaconSchedule.js');
         if (uniqueEvents.length === 0) {
             // Leaving the sheet untouched is deliberate: blanking it on a failed
             // scrape would wipe the calendar on the next updateGCal run.
-            logger.warn('No unique events to write. schedule (Google Sheet) left unchanged.');
-            logger.info('No new events were added to schedule (Google Sheet).');
+            logger.warn(`No unique events to write. schedule in ${getStorage().describe()} left unchanged.`);
+            logger.info('No new events were added to schedule.');
         } else {
             // Replaces the whole sheet, which drops past screenings as documented.
-            const sheetRows = [
-                ['Title', 'Date', 'Time', 'URL', 'SeriesTag', 'DateRecorded'],
-                ...uniqueEvents.map(event => [
-                    event.title,
-                    event.date,
-                    event.time,
-                    event.url,
-                    event.seriesTag,
-                    event.dateRecorded
-                ])
-            ];
-            await setSheetRows('schedule', sheetRows);
-            logger.info(`schedule (Google Sheet) written successfully. ${uniqueEvents.length} events added.`);
+            // Columns added by hand stay with the screenings that are still listed.
+            const sheetRows = mergeRows('schedule', await getRows('schedule'), uniqueEvents.map(event => ({
+                Title: event.title,
+                Date: event.date,
+                Time: event.time,
+                URL: event.url,
+                SeriesTag: event.seriesTag,
+                DateRecorded: event.dateRecorded,
+                CatalogId: event.catalogId
+            })));
+            await setRows('schedule', sheetRows);
+            logger.info(`schedule written to ${getStorage().describe()}. ${uniqueEvents.length} events added.`);
+
+            // After the schedule, and not allowed to fail it: the next run catches up on
+            // every screening still listed.
+            try {
+                const { added, seen } = await recordHistory(uniqueEvents, { now: currentTimestamp });
+                logger.info(`history: ${added} new screenings recorded, ${seen} already known.`);
+            } catch (error) {
+                logger.error(`Could not update history: ${error.message}`);
+            }
         }
         eventsAdded = uniqueEvents.length;
         logger.info(`Total events processed: ${eventsAdded}`);
@@ -184,10 +237,21 @@ setupErrorHandling(logger, 'beaconSchedule.js');
         }
         logger.info(`Total events processed: ${eventsAdded}`);
     } finally {
-        if (browser) await browser.close();
+        await scraper.close();
         logger.info(`beaconSchedule.js finished. Total events processed: ${eventsAdded}`);
     }
-})().catch(err => {
-    logger.error('Unhandled exception in beaconSchedule.js:', err);
-    logger.info('Total events processed: 0');
-});
\ No newline at end of file
+}
+
+module.exports = {
+    calendarPage,
+    scheduleFromEntries,
+};
+
+// CLI interface
+if (require.main === module) {
+    setupErrorHandling(logger, 'beaconSchedule.js');
+    main().catch(err => {
+        logger.error('Unhandled exception in beaconSchedule.js:', err);
+        logger.info('Total events processed: 0');
+    });
+}
\ No newline at end of file
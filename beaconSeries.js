@@ -4,33 +4,38 @@
  * Scrapes series film titles from The Beacon Cinema website and updates Google Sheet 'series'.
  * Usage: node beaconSeries.js
  * - Reads Google Sheet 'seriesIndex' for the series pages to visit.
- * - Scrapes the films listed on each page.
+ * - Scrapes the films listed on each page, in Chrome or over plain HTTP as SCRAPE_MODE
+ *   chooses (see scraper.js), SCRAPE_PAGES at a time (see pagePool.js).
  * - Replaces the rows for every scraped SeriesTag, so titles that are no longer listed
  *   are dropped. Tags absent from 'seriesIndex' keep their existing rows untouched, and
  *   a series that yields nothing keeps its rows rather than being emptied.
  * - Preserves each title's original DateRecorded as a first-seen timestamp.
+ * - Keeps any columns added to 'series' by hand, matched to their rows by SeriesTag and Title.
  * - Writes the whole sheet once, at the end.
- * Dependencies: ./puppeteerConfig.js, ./sheetsUtils.js, ./utils.js, ./logger.js,
- *   ./errorHandler.js
+ * - What it reads off each page is covered by test/scrapers.test.js, against test/fixtures/.
+ * Dependencies: ./scraper.js, ./pagePool.js, ./selectorHealth.js, ./storage.js,
+ *   ./sheetSchema.js, ./rowMerge.js, ./utils.js, ./logger.js, ./errorHandler.js
  */
 
 require('dotenv').config();
 
 // @ts-check
 // External dependencies
-const { launchPuppeteerQuiet } = require('./puppeteerConfig');
-const { getSheetRows, setSheetRows } = require('./sheetsUtils');
+const { createScraper } = require('./scraper');
+const { loadPoolConfig, runPool } = require('./pagePool');
+const { createHealthRecorder } = require('./selectorHealth');
+const { getTabs, setRows, getStorage } = require('./storage');
+const { columnIndexes } = require('./sheetSchema');
+const { mergeRows } = require('./rowMerge');
 
 // Internal dependencies
-const { deduplicateRows, navigateWithRetry } = require('./utils');
+const { deduplicateRows } = require('./utils');
 const logger = require('./logger')('beaconSeries');
 const { setupErrorHandling, handleError } = require('./errorHandler');
 
 /** @typedef {import('./types').SeriesRow} SeriesRow */
 /** @typedef {import('./types').SeriesIndexRow} SeriesIndexRow */
 
-setupErrorHandling(logger, 'beaconSeries.js');
-
 // How many series to scrape before restarting Chrome. Override with SERIES_PER_BROWSER to
 // trade speed for a lower memory ceiling without editing code — useful on a small instance.
 //
@@ -45,6 +50,9 @@ setupErrorHandling(logger, 'beaconSeries.js');
 // it while cutting runtime to a third. It also matters that each restart briefly holds two
 // Chrome processes: 4 startups means 3 such windows instead of 19, which is what exhausted a
 // 512 MB Render instance.
+//
+// The series in a batch load SCRAPE_PAGES at a time (see pagePool.js), and a batch is
+// finished before Chrome restarts, so no more than SERIES_PER_BROWSER pages are ever open.
 const SERIES_PER_BROWSER = Math.max(1, parseInt(process.env.SERIES_PER_BROWSER, 10) || 5);
 
 /**
@@ -67,24 +75,54 @@ function normalizeSeriesUrl(seriesUrl) {
     );
 }
 
+/**
+ * A series or program page, for scraper.js.
+ *
+ * Series and program pages list their films as `.film-title` inside `.film-list`. The
+ * previous `h1, h2, h3` sweep also picked up the page heading and the literal "Films in
+ * this Program" label, both of which ended up stored as film titles.
+ *
+ * A seriesIndex row may also point straight at a film page rather than a series page (the
+ * 'secret' blindfolded screenings do), which has no film list — fall back to that page's
+ * own title.
+ *
+ * @type {import('./scraper').PageExtractor}
+ */
+const seriesPage = {
+    name: 'series',
+    expect: '.film-title, h1.movie-title',
+    extract: (pageUrl, root = document) => {
+        const scoped = root.querySelectorAll('.film-list .film-title');
+        const elements = scoped.length ? scoped : root.querySelectorAll('.film-title');
+        if (elements.length) {
+            return Array.from(elements).map(el => el.textContent?.trim()).filter(Boolean);
+        }
+        const ownTitle = root.querySelector('h1.movie-title')?.textContent?.trim();
+        return ownTitle ? [ownTitle] : [];
+    }
+};
+
 /**
  * Scrapes film titles from a series or program page.
  *
- * Takes an already-running browser rather than launching its own. Launching per series
+ * Takes the run's scraper rather than launching its own browser. Launching per series
  * meant one Chrome process per seriesIndex row — 20 launch/teardown cycles on a typical
  * run — which exhausted the memory on a small Render instance and accounted for most of
- * the step's runtime. A page is opened and closed per series so pages cannot accumulate
- * across navigations, matching how findRuntimes.js iterates.
+ * the step's runtime. The scraper opens and closes a page per series so pages cannot
+ * accumulate across navigations, matching how findRuntimes.js iterates.
  *
- * @param {Object} browser - Puppeteer browser shared across all series
+ * @param {Object} scraper - Result of createScraper(), shared across all series
  * @param {string} seriesUrl - URL of the series page to scrape
  * @param {string} seriesTag - Tag identifying the series
+ * @param {Object} [options]
+ * @param {Object} [options.logger] - Defaults to the script's own
+ * @param {AbortSignal} [options.signal] - Closes the page, from pagePool.js on a timeout
  * @returns {Promise<SeriesRow[]>} Every film listed on the page, as series records
  */
-async function executeScript(browser, seriesUrl, seriesTag) {
+async function executeScript(scraper, seriesUrl, seriesTag, options = {}) {
     // Parameter validation
-    if (!browser || typeof browser !== 'object') {
-        throw new Error('executeScript: browser must be a Puppeteer browser instance');
+    if (!scraper || typeof scraper.scrape !== 'function') {
+        throw new Error('executeScript: scraper must be a scraper from createScraper()');
     }
     if (!seriesUrl || typeof seriesUrl !== 'string') {
         throw new Error('executeScript: seriesUrl must be a non-empty string');
@@ -93,53 +131,32 @@ async function executeScript(browser, seriesUrl, seriesTag) {
         throw new Error('executeScript: seriesTag must be a non-empty string');
     }
 
+    const log = options.logger || logger;
+
     const targetUrl = normalizeSeriesUrl(seriesUrl);
     if (targetUrl !== seriesUrl) {
-        logger.warn(`Rewrote legacy series URL to ${targetUrl}. Update seriesURL in the seriesIndex sheet.`);
+        log.warn(`Rewrote legacy series URL to ${targetUrl}. Update seriesURL in the seriesIndex sheet.`);
     }
 
-    let page;
     try {
-        page = await browser.newPage();
-
-        const response = await navigateWithRetry(page, targetUrl, { logger });
-        if (!response) {
-            logger.error(`Failed to load ${targetUrl} after retries`);
-            return [];
-        }
-
-        // A missing page still renders HTML, so without this check the 404 body's
+        const { ok, status, data: titles } = await scraper.scrape(targetUrl, seriesPage, { signal: options.signal });
+        // A missing page still renders HTML, so without the status check the 404 body's
         // headings get stored as film titles.
-        const status = typeof response.status === 'function' ? response.status() : 200;
-        if (status >= 400) {
-            logger.error(`${targetUrl} returned HTTP ${status}; skipping series '${seriesTag}'.`);
+        if (!ok) {
+            if (status >= 400) {
+                log.error(`${targetUrl} returned HTTP ${status}; skipping series '${seriesTag}'.`);
+            } else {
+                log.error(`Failed to load ${targetUrl} after retries`);
+            }
             return [];
         }
 
-        // Series and program pages list their films as `.film-title` inside
-        // `.film-list`. The previous `h1, h2, h3` sweep also picked up the page
-        // heading and the literal "Films in this Program" label, both of which
-        // ended up stored as film titles.
-        //
-        // A seriesIndex row may also point straight at a film page rather than a
-        // series page (the 'secret' blindfolded screenings do), which has no film
-        // list — fall back to that page's own title.
-        const titles = await page.evaluate(() => {
-            const scoped = document.querySelectorAll('.film-list .film-title');
-            const elements = scoped.length ? scoped : document.querySelectorAll('.film-title');
-            if (elements.length) {
-                return Array.from(elements).map(el => el.textContent?.trim()).filter(Boolean);
-            }
-            const ownTitle = document.querySelector('h1.movie-title')?.textContent?.trim();
-            return ownTitle ? [ownTitle] : [];
-        });
-
         if (titles.length === 0) {
-            logger.warn(`No films found at ${targetUrl}. The website structure may have changed.`);
+            log.warn(`No films found at ${targetUrl}. The website structure may have changed.`);
             return [];
         }
 
-        logger.info(`Extracted ${titles.length} films for series '${seriesTag}'.`);
+        log.info(`Extracted ${titles.length} films for series '${seriesTag}'.`);
 
         const recordedAt = new Date().toISOString();
         return titles.map(title => ({
@@ -148,11 +165,8 @@ async function executeScript(browser, seriesUrl, seriesTag) {
             DateRecorded: recordedAt
         }));
     } catch (error) {
-        handleError(logger, error instanceof Error ? error : new Error(String(error)), `Error scraping series at ${targetUrl}`);
+        handleError(log, error instanceof Error ? error : new Error(String(error)), `Error scraping series at ${targetUrl}`);
         return [];
-    } finally {
-        // Closed here so a mid-scrape failure cannot leak a page for the rest of the run.
-        if (page) await page.close();
     }
 }
 
@@ -165,14 +179,16 @@ async function executeScript(browser, seriesUrl, seriesTag) {
  * series that yields nothing keeps its existing rows instead of being wiped. All
  * of it lands in a single write at the end rather than one write per series.
  *
- * Owns the single Puppeteer browser for the whole run and closes it as soon as scraping
+ * Owns the scraper, and so any Chrome, for the whole run and closes it as soon as scraping
  * finishes, so Chrome is not still resident while the sheet is written.
  *
  * @param {Array<{seriesName: string, seriesURL: string, seriesTag: string}>} rows
  * @param {Array<{Title: string, SeriesTag: string, DateRecorded: string}>} existingRows
+ * @param {string[][]} [existingTable=[]] - The tab as read, header first, so columns added
+ *   by hand are kept with their rows; see rowMerge.js
  * @returns {Promise<{ processedCount: number; skippedCount: number }>} Counts of newly seen and already-known titles
  */
-async function processSeriesRows(rows, existingRows) {
+async function processSeriesRows(rows, existingRows, existingTable = []) {
     // Parameter validation
     if (!rows || !Array.isArray(rows)) {
         throw new Error('processSeriesRows: rows must be an array');
@@ -202,22 +218,35 @@ async function processSeriesRows(rows, existingRows) {
         const finalRecords = [];
 
         // One browser shared across a batch of series, recycled between batches to keep
-        // Chrome's memory from accumulating. See SERIES_PER_BROWSER.
-        let browser;
+        // Chrome's memory from accumulating. See SERIES_PER_BROWSER. In the http scrape mode
+        // Chrome is launched only for a page whose HTML lacks its film list, if at all.
+        const health = createHealthRecorder('beaconSeries');
+        const scraper = createScraper({ logger, health });
         try {
+            const { pages } = loadPoolConfig(process.env, scraper.mode);
+            const atOnce = Math.min(pages, SERIES_PER_BROWSER);
+            logger.info(`Loading ${atOnce} series page${atOnce === 1 ? '' : 's'} at a time.`);
+            const outcomes = await runPool(rows, (row, i, signal) => {
+                logger.info(`Processing ${i + 1}/${totalRows}: ${row.seriesName}`);
+                return executeScript(scraper, row.seriesURL, row.seriesTag, { signal });
+            }, {
+                pages,
+                batchSize: SERIES_PER_BROWSER,
+                betweenBatches: async () => {
+                    if (!scraper.browserRunning()) return;
+                    await scraper.recycle();
+                    logger.info(`Restarting Chrome after ${SERIES_PER_BROWSER} series to release memory.`);
+                },
+            });
+
+            // Merged in seriesIndex order, whichever page finished first.
             for (let i = 0; i < rows.length; i++) {
-                if (i % SERIES_PER_BROWSER === 0) {
-                    if (browser) {
-                        await browser.close();
-                        logger.info(`Restarting Chrome after ${SERIES_PER_BROWSER} series to release memory.`);
-                    }
-                    browser = await launchPuppeteerQuiet();
-                }
-
                 const row = rows[i];
-                logger.info(`Processing ${i + 1}/${totalRows}: ${row.seriesName}`);
-
-                const records = await executeScript(browser, row.seriesURL, row.seriesTag);
+                const outcome = outcomes[i];
+                if (!outcome.ok) {
+                    logger.error(`Scraping '${row.seriesTag}' failed: ${outcome.error.message}`);
+                }
+                const records = outcome.ok ? outcome.value : [];
                 const known = knownByTag.get(row.seriesTag) || new Map();
 
                 if (records.length === 0) {
@@ -245,17 +274,17 @@ async function processSeriesRows(rows, existingRows) {
             }
         } finally {
             // Released before the sheet write so Chrome is not held open for it.
-            if (browser) await browser.close();
+            await scraper.close();
         }
+        health.finish({ logger });
 
-        const sheetRows = [
-            ['Title', 'SeriesTag', 'DateRecorded'],
-            ...preservedRows.map(row => [row.Title, row.SeriesTag, row.DateRecorded || '']),
+        const sheetRows = mergeRows('series', existingTable, [
+            ...preservedRows.map(row => ({ Title: row.Title, SeriesTag: row.SeriesTag, DateRecorded: row.DateRecorded || '' })),
             ...deduplicateRows(finalRecords, record => `${record.SeriesTag}|${record.Title}`)
-                .map(record => [record.Title, record.SeriesTag, record.DateRecorded])
-        ];
-        await setSheetRows('series', sheetRows);
-        logger.info(`series (Google Sheet) rewritten with ${sheetRows.length - 1} rows.`);
+                .map(record => ({ Title: record.Title, SeriesTag: record.SeriesTag, DateRecorded: record.DateRecorded }))
+        ]);
+        await setRows('series', sheetRows);
+        logger.info(`series rewritten in ${getStorage().describe()} with ${sheetRows.length - 1} rows.`);
 
         return { processedCount, skippedCount };
     } catch (error) {
@@ -264,8 +293,11 @@ async function processSeriesRows(rows, existingRows) {
     }
 }
 
-// Main execution
-(async () => {
+/**
+ * Runs the script: reads 'seriesIndex' and 'series', scrapes every series and writes 'series'.
+ * @returns {Promise<void>}
+ */
+async function main() {
     logger.info('Starting beaconSeries.js');
     let processedCount = 0;
     let skippedCount = 0;
@@ -277,28 +309,27 @@ async function processSeriesRows(rows, existingRows) {
     }, 20 * 60 * 1000);
     
     try {
-        // Read seriesIndex from Google Sheet
-        const rowsRaw = await getSheetRows('seriesIndex');
+        // Read seriesIndex and the existing series from Google Sheet
+        const { seriesIndex: rowsRaw, series: existingRowsRaw } = await getTabs(['seriesIndex', 'series']);
         // Convert rows to objects
-        const header = rowsRaw[0];
+        const column = columnIndexes('seriesIndex', rowsRaw[0]);
         const rows = rowsRaw.slice(1).map(r => ({
-            seriesName: r[header.indexOf('seriesName')],
-            seriesURL: r[header.indexOf('seriesURL')],
-            seriesTag: r[header.indexOf('seriesTag')],
+            seriesName: r[column.seriesName],
+            seriesURL: r[column.seriesURL],
+            seriesTag: r[column.seriesTag],
         })).filter(r => r.seriesURL && r.seriesTag);
 
-        logger.info(`Found ${rows.length} series in Google Sheet 'seriesIndex'.`);
+        logger.info(`Found ${rows.length} series in 'seriesIndex' (${getStorage().describe()}).`);
 
-        // Read existing series from Google Sheet
-        const existingRowsRaw = await getSheetRows('series');
-        const existingHeader = existingRowsRaw[0] || [];
+        // Convert existing series rows to objects
+        const existingColumn = columnIndexes('series', existingRowsRaw[0]);
         const existingRows = existingRowsRaw.length > 1 ? existingRowsRaw.slice(1).map(r => ({
-            Title: r[existingHeader.indexOf('Title')],
-            SeriesTag: r[existingHeader.indexOf('SeriesTag')],
-            DateRecorded: r[existingHeader.indexOf('DateRecorded')],
+            Title: r[existingColumn.Title],
+            SeriesTag: r[existingColumn.SeriesTag],
+            DateRecorded: r[existingColumn.DateRecorded],
         })) : [];
 
-        const result = await processSeriesRows(rows, existingRows);
+        const result = await processSeriesRows(rows, existingRows, existingRowsRaw);
         processedCount = result.processedCount;
         skippedCount = result.skippedCount;
 
@@ -311,4 +342,17 @@ async function processSeriesRows(rows, existingRows) {
         clearTimeout(globalTimeout);
         handleError(logger, error instanceof Error ? error : new Error(String(error)), 'Error in beaconSeries.js', true);
     }
-})();
+}
+
+module.exports = {
+    seriesPage,
+    normalizeSeriesUrl,
+    executeScript,
+    processSeriesRows,
+};
+
+// CLI interface
+if (require.main === module) {
+    setupErrorHandling(logger, 'beaconSeries.js');
+    main();
+}
@@ -0,0 +1,338 @@
+/**
+ * calendarBatch.js
+ * Sends Google Calendar writes as multipart batch requests.
+ *
+ * updateGCal.js used to await each insert and delete in turn, so a full rebuild cost
+ * hundreds of sequential round trips and was the slowest step of fullUpdate.js. Google's
+ * batch endpoint accepts up to 50 requests in one multipart/mixed POST and answers each
+ * of them separately, so one round trip now covers 50 writes while every event still gets
+ * its own success or failure.
+ *
+ * googleapis has no batch support of its own, so the multipart body is built and the
+ * response parsed here. The caller's auth client supplies the Authorization header.
+ *
+ * Usage:
+ *   const { createCalendarBatch, insertOp, deleteOp } = require('./calendarBatch');
+ *   const batch = createCalendarBatch({ auth });
+ *   const results = await batch.execute([insertOp(calendarId, event), deleteOp(calendarId, id)]);
+ *
+ * Parts that fail on a rate limit or a transient server error (see googleRetry.js) are
+ * resent in a later batch after a backoff, as is a whole batch request that fails that
+ * way. Every other failure is final and reported for its own event.
+ *
+ * Covered by test/calendarBatch.test.js, which runs against a local fake batch endpoint.
+ */
+
+// @ts-check
+// External dependencies
+const crypto = require('crypto');
+
+// Internal dependencies
+const defaultLogger = require('./logger')('calendarBatch');
+const {
+    DEFAULT_MAX_ATTEMPTS,
+    isRetryableStatus,
+    parseRetryAfter,
+    backoffDelay,
+    sleep,
+} = require('./googleRetry');
+
+const BATCH_ENDPOINT = 'https://www.googleapis.com/batch/calendar/v3';
+// The Calendar API documents 50 as its per-batch limit; larger batches are rejected.
+const MAX_BATCH_SIZE = 50;
+
+/**
+ * @typedef {Object} BatchOperation
+ * @property {'POST'|'PUT'|'PATCH'|'DELETE'} method
+ * @property {string} path - Request path, starting /calendar/v3/
+ * @property {Object} [body] - JSON request body
+ */
+
+/**
+ * @typedef {Object} BatchResult
+ * @property {boolean} ok - Whether the individual request succeeded (2xx)
+ * @property {number} status - HTTP status of the individual request, or 0 if it was never answered
+ * @property {any} data - Parsed JSON response body, or null
+ * @property {string} error - Failure description, or '' on success
+ * @property {string} [reason] - Google error reason, e.g. "rateLimitExceeded"
+ * @property {number} [retryAfterMs] - Server-requested wait before a retry, or 0
+ */
+
+/**
+ * Path to a calendar's events collection.
+ * @param {string} calendarId
+ * @returns {string}
+ */
+function eventsPath(calendarId) {
+    if (!calendarId || typeof calendarId !== 'string') {
+        throw new Error('eventsPath: calendarId must be a non-empty string');
+    }
+    return `/calendar/v3/calendars/${encodeURIComponent(calendarId)}/events`;
+}
+
+/**
+ * Builds an events.insert operation.
+ * @param {string} calendarId
+ * @param {Object} event - Event resource
+ * @returns {BatchOperation}
+ */
+function insertOp(calendarId, event) {
+    if (!event || typeof event !== 'object') {
+        throw new Error('insertOp: event must be an object');
+    }
+    return { method: 'POST', path: eventsPath(calendarId), body: event };
+}
+
+/**
+ * Builds an events.update operation, which replaces the whole event.
+ * @param {string} calendarId
+ * @param {string} eventId
+ * @param {Object} event - Event resource
+ * @returns {BatchOperation}
+ */
+function updateOp(calendarId, eventId, event) {
+    if (!eventId || typeof eventId !== 'string') {
+        throw new Error('updateOp: eventId must be a non-empty string');
+    }
+    if (!event || typeof event !== 'object') {
+        throw new Error('updateOp: event must be an object');
+    }
+    return { method: 'PUT', path: `${eventsPath(calendarId)}/${encodeURIComponent(eventId)}`, body: event };
+}
+
+/**
+ * Builds an events.delete operation.
+ * @param {string} calendarId
+ * @param {string} eventId
+ * @returns {BatchOperation}
+ */
+function deleteOp(calendarId, eventId) {
+    if (!eventId || typeof eventId !== 'string') {
+        throw new Error('deleteOp: eventId must be a non-empty string');
+    }
+    return { method: 'DELETE', path: `${eventsPath(calendarId)}/${encodeURIComponent(eventId)}` };
+}
+
+/**
+ * Serializes operations into a multipart/mixed batch body.
+ * Each part is tagged with Content-ID <item-N>, which the response echoes back as
+ * <response-item-N>; that, not part order, is what pairs answers with requests.
+ * @param {BatchOperation[]} operations
+ * @param {string} boundary
+ * @returns {string}
+ */
+function buildBatchBody(operations, boundary) {
+    // Parameter validation
+    if (!Array.isArray(operations) || operations.length === 0) {
+        throw new Error('buildBatchBody: operations must be a non-empty array');
+    }
+    if (!boundary || typeof boundary !== 'string') {
+        throw new Error('buildBatchBody: boundary must be a non-empty string');
+    }
+
+    const parts = operations.map((op, index) => {
+        const lines = [
+            `--${boundary}`,
+            'Content-Type: application/http',
+            `Content-ID: <item-${index + 1}>`,
+            '',
+            `${op.method} ${op.path} HTTP/1.1`,
+        ];
+        if (op.body !== undefined) {
+            lines.push('Content-Type: application/json; charset=UTF-8', '', JSON.stringify(op.body));
+        } else {
+            lines.push('');
+        }
+        return lines.join('\r\n');
+    });
+    return `${parts.join('\r\n')}\r\n--${boundary}--\r\n`;
+}
+
+/**
+ * Splits a block of text at its first blank line.
+ * @param {string} text - Text with LF line endings
+ * @returns {[string, string]} Head and the remainder
+ */
+function splitAtBlankLine(text) {
+    const index = text.indexOf('\n\n');
+    return index === -1 ? [text, ''] : [text.slice(0, index), text.slice(index + 2)];
+}
+
+/**
+ * Parses a multipart/mixed batch response into one result per request.
+ * @param {string} body - Raw response body
+ * @param {string} contentType - Response Content-Type header, carrying the boundary
+ * @param {number} expectedCount - Number of operations that were sent
+ * @returns {BatchResult[]} Results in the order the operations were sent
+ */
+function parseBatchResponse(body, contentType, expectedCount) {
+    // Parameter validation
+    if (typeof body !== 'string') {
+        throw new Error('parseBatchResponse: body must be a string');
+    }
+    const boundaryMatch = /boundary=(?:"([^"]+)"|([^;\s]+))/i.exec(contentType || '');
+    if (!boundaryMatch) {
+        throw new Error(`parseBatchResponse: no multipart boundary in Content-Type "${contentType}"`);
+    }
+    const boundary = boundaryMatch[1] || boundaryMatch[2];
+
+    /** @type {BatchResult[]} */
+    const results = Array.from({ length: expectedCount }, () => ({
+        ok: false, status: 0, data: null, error: 'No response for this request in the batch reply',
+    }));
+
+    const sections = body.replace(/\r\n/g, '\n').split(`--${boundary}`).slice(1);
+    sections.forEach((section, position) => {
+        if (section.startsWith('--')) return; // closing delimiter
+        const [outerHeaders, inner] = splitAtBlankLine(section.replace(/^\n/, ''));
+        const idMatch = /content-id:\s*<response-item-(\d+)>/i.exec(outerHeaders);
+        const index = idMatch ? parseInt(idMatch[1], 10) - 1 : position;
+        if (index < 0 || index >= expectedCount) return;
+
+        const [statusBlock, payload] = splitAtBlankLine(inner);
+        const statusMatch = /^HTTP\/[\d.]+\s+(\d{3})\s*(.*)$/m.exec(statusBlock);
+        const retryAfterMatch = /^retry-after:\s*(.+)$/im.exec(statusBlock);
+        const status = statusMatch ? parseInt(statusMatch[1], 10) : 0;
+        const text = payload.trim();
+        let data = null;
+        if (text) {
+            try {
+                data = JSON.parse(text);
+            } catch (err) {
+                data = text;
+            }
+        }
+        const ok = status >= 200 && status < 300;
+        const apiError = data && typeof data === 'object' && data.error ? data.error : null;
+        // Google's JSON error message when there is one, else the HTTP reason phrase.
+        const message = (apiError && apiError.message) || (statusMatch && statusMatch[2].trim()) || '';
+        results[index] = {
+            ok,
+            status,
+            data,
+            error: ok ? '' : `HTTP ${status}${message ? `: ${message}` : ''}`,
+            reason: (apiError && Array.isArray(apiError.errors) && apiError.errors[0] && apiError.errors[0].reason) || '',
+            retryAfterMs: retryAfterMatch ? parseRetryAfter(retryAfterMatch[1]) : 0,
+        };
+    });
+    return results;
+}
+
+/**
+ * Creates a batch client bound to an auth client.
+ * @param {Object} options
+ * @param {{ getRequestHeaders: () => Promise<Record<string, string>> }} options.auth - google-auth-library client
+ * @param {string} [options.endpoint] - Batch URL; overridden in tests
+ * @param {number} [options.batchSize=50] - Operations per HTTP request, at most 50
+ * @param {number} [options.maxAttempts] - Attempts per operation; defaults to GOOGLE_API_MAX_ATTEMPTS or 5
+ * @param {Object} [options.logger] - Logger to report retries through
+ * @param {(ms: number) => Promise<void>} [options.sleep] - Overridden in tests
+ * @param {() => number} [options.random] - Overridden in tests
+ * @returns {{ execute: (operations: BatchOperation[]) => Promise<BatchResult[]> }}
+ */
+function createCalendarBatch(options) {
+    const {
+        auth,
+        endpoint = BATCH_ENDPOINT,
+        batchSize = MAX_BATCH_SIZE,
+        maxAttempts = DEFAULT_MAX_ATTEMPTS,
+        logger = defaultLogger,
+        sleep: wait = sleep,
+        random = Math.random,
+    } = options || {};
+    // Parameter validation
+    if (!auth || typeof auth.getRequestHeaders !== 'function') {
+        throw new Error('createCalendarBatch: auth must be a Google auth client');
+    }
+    if (!Number.isInteger(batchSize) || batchSize < 1 || batchSize > MAX_BATCH_SIZE) {
+        throw new Error(`createCalendarBatch: batchSize must be an integer from 1 to ${MAX_BATCH_SIZE}`);
+    }
+    if (!Number.isInteger(maxAttempts) || maxAttempts < 1) {
+        throw new Error('createCalendarBatch: maxAttempts must be a positive integer');
+    }
+
+    /**
+     * Sends one HTTP batch. A failure of the request as a whole fails every part of it.
+     * @param {BatchOperation[]} chunk
+     * @returns {Promise<BatchResult[]>}
+     */
+    async function sendChunk(chunk) {
+        try {
+            const boundary = `batch_${crypto.randomBytes(12).toString('hex')}`;
+            const authHeaders = await auth.getRequestHeaders();
+            const response = await fetch(endpoint, {
+                method: 'POST',
+                headers: {
+                    ...authHeaders,
+                    'Content-Type': `multipart/mixed; boundary=${boundary}`,
+                },
+                body: buildBatchBody(chunk, boundary),
+            });
+            const text = await response.text();
+            if (!response.ok) {
+                // Carried onto every part, so a throttled or failed batch is retried whole.
+                const failed = {
+                    ok: false,
+                    status: response.status,
+                    data: null,
+                    error: `Batch request failed with HTTP ${response.status}: ${text.slice(0, 200)}`,
+                    reason: '',
+                    retryAfterMs: parseRetryAfter(response.headers.get('retry-after')),
+                };
+                return chunk.map(() => ({ ...failed }));
+            }
+            return parseBatchResponse(text, response.headers.get('content-type') || '', chunk.length);
+        } catch (error) {
+            const message = error instanceof Error ? error.message : String(error);
+            return chunk.map(() => ({ ok: false, status: 0, data: null, error: message, reason: '', retryAfterMs: 0 }));
+        }
+    }
+
+    return {
+        async execute(operations) {
+            if (!Array.isArray(operations)) {
+                throw new Error('execute: operations must be an array');
+            }
+            /** @type {BatchResult[]} */
+            const results = new Array(operations.length);
+            let pending = operations.map((_, index) => index);
+
+            for (let attempt = 1; pending.length > 0; attempt++) {
+                const retry = [];
+                let retryAfterMs = 0;
+                for (let i = 0; i < pending.length; i += batchSize) {
+                    const indexes = pending.slice(i, i + batchSize);
+                    const chunkResults = await sendChunk(indexes.map(index => operations[index]));
+                    chunkResults.forEach((result, j) => {
+                        results[indexes[j]] = result;
+                        if (!result.ok && isRetryableStatus(result.status, result.reason)) {
+                            retry.push(indexes[j]);
+                            retryAfterMs = Math.max(retryAfterMs, result.retryAfterMs || 0);
+                        }
+                    });
+                }
+                if (retry.length === 0 || attempt >= maxAttempts) break;
+
+                const delay = backoffDelay(attempt, { retryAfterMs, random });
+                /** @type {any} */ (logger).warn(
+                    `${retry.length} of ${pending.length} batched calendar writes were rate limited or failed ` +
+                    `transiently; retrying in ${delay}ms (attempt ${attempt + 1}/${maxAttempts}).`
+                );
+                await wait(delay);
+                pending = retry;
+            }
+            return results;
+        },
+    };
+}
+
+module.exports = {
+    BATCH_ENDPOINT,
+    MAX_BATCH_SIZE,
+    insertOp,
+    updateOp,
+    deleteOp,
+    buildBatchBody,
+    parseBatchResponse,
+    createCalendarBatch,
+};
@@ -0,0 +1,104 @@
+/**
+ * calendarReader.js
+ * Reads Google Calendar events across every page of a time window.
+ *
+ * events.list returns at most one page per call (250 events by default) and a
+ * nextPageToken for the rest. The sync used to make a single call and never follow the
+ * token, so once the calendar held more than a page of upcoming screenings, the extras
+ * were invisible: never updated, never deleted, and duplicated by the next insert pass.
+ * listAllEvents() follows the token to the end, and the window is bounded with timeMax
+ * so a run never reads further ahead than the schedule reaches.
+ *
+ * Every page request is retried on rate limits via googleRetry.js.
+ *
+ * Usage:
+ *   const { listAllEvents, syncWindow } = require('./calendarReader');
+ *   const events = await listAllEvents(calendar, { calendarId, ...syncWindow(today, lastDate) });
+ *
+ * Covered by test/calendarReader.test.js, against a fake paged calendar client.
+ */
+
+// @ts-check
+// Internal dependencies
+const { addDaysToISODate } = require('./utils');
+const { withRetry } = require('./googleRetry');
+const defaultLogger = require('./logger')('calendarReader');
+
+// The API's own maximum; fewer, larger pages mean fewer round trips.
+const PAGE_SIZE = 2500;
+
+/**
+ * Computes the window of events a sync should read.
+ *
+ * Starts at 00:00 UTC today, matching how schedule rows are filtered. Ends two days after
+ * the last scheduled date, which covers a late show running past midnight in any time
+ * zone behind UTC.
+ *
+ * @param {string} today - YYYY-MM-DD
+ * @param {string} lastDate - Latest scheduled date, YYYY-MM-DD
+ * @returns {{ timeMin: string, timeMax: string }} RFC 3339 timestamps
+ */
+function syncWindow(today, lastDate) {
+    // Parameter validation
+    if (typeof today !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(today)) {
+        throw new Error('syncWindow: today must be a date string in YYYY-MM-DD format');
+    }
+    if (typeof lastDate !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(lastDate)) {
+        throw new Error('syncWindow: lastDate must be a date string in YYYY-MM-DD format');
+    }
+
+    const end = lastDate < today ? today : lastDate;
+    return {
+        timeMin: `${today}T00:00:00.000Z`,
+        timeMax: `${addDaysToISODate(end, 2)}T00:00:00.000Z`,
+    };
+}
+
+/**
+ * Lists every event matching the parameters, following nextPageToken to the last page.
+ * @param {Object} calendar - Google Calendar API client
+ * @param {Object} params - events.list parameters; calendarId is required
+ * @param {Object} [options]
+ * @param {Object} [options.logger] - Logger for progress and retries
+ * @returns {Promise<Object[]>} Events from all pages, in the order returned
+ */
+async function listAllEvents(calendar, params, options = {}) {
+    const { logger = defaultLogger } = options;
+    // Parameter validation
+    if (!calendar || typeof calendar !== 'object') {
+        throw new Error('listAllEvents: calendar must be a valid calendar client object');
+    }
+    if (!params || !params.calendarId) {
+        throw new Error('listAllEvents: params.calendarId is required');
+    }
+
+    const events = [];
+    const seenTokens = new Set();
+    let pageToken;
+    let pages = 0;
+    do {
+        pages++;
+        const response = await withRetry(
+            () => /** @type {any} */ (calendar).events.list({ maxResults: PAGE_SIZE, ...params, pageToken }),
+            { label: `Listing events on ${params.calendarId} (page ${pages})`, logger }
+        );
+        events.push(...(response.data.items || []));
+        pageToken = response.data.nextPageToken;
+        // A token that comes back twice would otherwise loop forever.
+        if (pageToken && seenTokens.has(pageToken)) {
+            throw new Error(`listAllEvents: calendar API repeated page token on page ${pages}`);
+        }
+        if (pageToken) seenTokens.add(pageToken);
+    } while (pageToken);
+
+    if (pages > 1) {
+        /** @type {any} */ (logger).info(`Read ${events.length} events from ${params.calendarId} across ${pages} pages.`);
+    }
+    return events;
+}
+
+module.exports = {
+    PAGE_SIZE,
+    syncWindow,
+    listAllEvents,
+};
@@ -0,0 +1,183 @@
+/**
+ * calendarRouting.js
+ * Decides which Google Calendars each screening is written to.
+ *
+ * Members subscribe to individual series rather than the whole schedule, so a series can
+ * have a calendar of its own: an optional `calendarId` column on the 'seriesIndex' tab.
+ * Each screening then goes to:
+ *
+ * - its series' calendar, when the series has one, plus CALENDAR_ID in "also" mode
+ *   (the default), or instead of CALENDAR_ID in "instead" mode
+ * - DEFAULT_CALENDAR_ID when it has no SeriesTag at all, plus CALENDAR_ID in "also" mode
+ * - CALENDAR_ID otherwise, which is how every screening was routed before
+ *
+ * updateGCal.js reconciles each calendar on its own, so a calendar the service account
+ * cannot reach fails alone rather than taking the others down with it. Every configured
+ * calendar is reconciled, even with no screenings routed to it, so the events of a series
+ * whose last screening dropped, or that moved to another calendar with the mode, are
+ * cancelled and deleted like any other. A calendar that is no longer configured at all,
+ * because its series lost its calendarId, is cleared by listing it in
+ * RETIRED_CALENDAR_IDS until its events are gone.
+ *
+ * Configuration:
+ * - CALENDAR_ID: the main calendar (required)
+ * - DEFAULT_CALENDAR_ID: calendar for screenings with no SeriesTag (default: CALENDAR_ID)
+ * - SERIES_CALENDAR_MODE: "also" or "instead" (default: also)
+ * - RETIRED_CALENDAR_IDS: comma-separated calendars to clear of managed events
+ *
+ * Pure logic only, covered by test/calendarRouting.test.js.
+ *
+ * Usage:
+ *   const { loadRoutingConfig, parseSeriesCalendars, routeScreenings } = require('./calendarRouting');
+ */
+
+// @ts-check
+
+const ROUTING_MODES = ['also', 'instead'];
+
+/**
+ * @typedef {Object} RoutingConfig
+ * @property {string} mainCalendarId - CALENDAR_ID
+ * @property {string} defaultCalendarId - Calendar for screenings with no SeriesTag
+ * @property {'also'|'instead'} mode - Whether series calendars add to or replace the main one
+ * @property {string[]} [retiredCalendarIds] - Calendars no screening routes to any more
+ * @property {Map<string, string>} seriesCalendars - seriesTag to calendar id
+ */
+
+/**
+ * Reads the routing settings from the environment.
+ * @param {NodeJS.ProcessEnv} [env=process.env]
+ * @returns {{ mainCalendarId: string, defaultCalendarId: string, mode: 'also'|'instead',
+ *   retiredCalendarIds: string[] }}
+ * @throws {Error} When CALENDAR_ID is missing, SERIES_CALENDAR_MODE is not a known mode or
+ *   RETIRED_CALENDAR_IDS lists the main calendar
+ */
+function loadRoutingConfig(env = process.env) {
+    const mainCalendarId = (env.CALENDAR_ID || '').trim();
+    if (!mainCalendarId) {
+        throw new Error('loadRoutingConfig: CALENDAR_ID must be set');
+    }
+    const mode = (env.SERIES_CALENDAR_MODE || 'also').trim().toLowerCase();
+    if (!ROUTING_MODES.includes(mode)) {
+        throw new Error(`loadRoutingConfig: SERIES_CALENDAR_MODE must be one of ${ROUTING_MODES.join(', ')}; got '${env.SERIES_CALENDAR_MODE}'`);
+    }
+    const retiredCalendarIds = [...new Set((env.RETIRED_CALENDAR_IDS || '').split(',')
+        .map(calendarId => calendarId.trim())
+        .filter(Boolean))];
+    // Clearing the main calendar would take every screening off it for the run.
+    if (retiredCalendarIds.includes(mainCalendarId)) {
+        throw new Error('loadRoutingConfig: RETIRED_CALENDAR_IDS must not list CALENDAR_ID');
+    }
+    return {
+        mainCalendarId,
+        defaultCalendarId: (env.DEFAULT_CALENDAR_ID || '').trim() || mainCalendarId,
+        mode: /** @type {'also'|'instead'} */ (mode),
+        retiredCalendarIds,
+    };
+}
+
+/**
+ * Reads the optional calendarId column from the raw 'seriesIndex' rows.
+ * @param {string[][]} rows - Sheet rows, header first
+ * @returns {{ seriesCalendars: Map<string, string>, warnings: string[] }}
+ *   Tags with a calendar, and a message for each row that could not be used
+ */
+function parseSeriesCalendars(rows) {
+    // Parameter validation
+    if (!Array.isArray(rows)) {
+        throw new Error('parseSeriesCalendars: rows must be an array');
+    }
+
+    const seriesCalendars = new Map();
+    const warnings = [];
+    const header = rows[0] || [];
+    const iTag = header.indexOf('seriesTag');
+    const iCalendar = header.indexOf('calendarId');
+    if (iTag === -1 || iCalendar === -1) return { seriesCalendars, warnings };
+
+    rows.slice(1).forEach((row, index) => {
+        const tag = (row[iTag] || '').trim();
+        const calendarId = (row[iCalendar] || '').trim();
+        if (!calendarId) return;
+        // Sheet row numbers are 1-based and the header is row 1.
+        const where = `seriesIndex row ${index + 2}`;
+        if (!tag) {
+            warnings.push(`${where} has a calendarId but no seriesTag; ignored.`);
+        } else if (/\s/.test(calendarId)) {
+            warnings.push(`${where} (${tag}) has a calendarId containing whitespace; ignored.`);
+        } else if (seriesCalendars.has(tag) && seriesCalendars.get(tag) !== calendarId) {
+            warnings.push(`${where} gives ${tag} a second calendarId; keeping ${seriesCalendars.get(tag)}.`);
+        } else {
+            seriesCalendars.set(tag, calendarId);
+        }
+    });
+    return { seriesCalendars, warnings };
+}
+
+/**
+ * Lists the calendars one screening belongs on.
+ * @param {string|undefined} seriesTag - The screening's SeriesTag, if any
+ * @param {RoutingConfig} routing
+ * @returns {string[]} Calendar ids, main calendar first, without repeats
+ */
+function routeScreening(seriesTag, routing) {
+    // Parameter validation
+    if (!routing || !routing.mainCalendarId || !(routing.seriesCalendars instanceof Map)) {
+        throw new Error('routeScreening: routing must include mainCalendarId and a seriesCalendars map');
+    }
+
+    const tag = (seriesTag || '').trim();
+    const own = tag ? routing.seriesCalendars.get(tag) : routing.defaultCalendarId;
+    if (!own) return [routing.mainCalendarId];
+
+    const targets = routing.mode === 'instead' ? [own] : [routing.mainCalendarId, own];
+    return [...new Set(targets)];
+}
+
+/**
+ * Groups screenings by the calendars they belong on.
+ *
+ * Every calendar the routing knows of is in the result, with an empty list when nothing
+ * routes to it, so that a sync still cancels the events a series no longer has there.
+ *
+ * @template {{ seriesTag?: string }} S
+ * @param {S[]} screenings
+ * @param {RoutingConfig} routing
+ * @returns {Map<string, S[]>} Calendar id to its screenings, main calendar first
+ */
+function routeScreenings(screenings, routing) {
+    // Parameter validation
+    if (!Array.isArray(screenings)) {
+        throw new Error('routeScreenings: screenings must be an array');
+    }
+    if (!routing || !routing.mainCalendarId || !(routing.seriesCalendars instanceof Map)) {
+        throw new Error('routeScreenings: routing must include mainCalendarId and a seriesCalendars map');
+    }
+
+    /** @type {Map<string, S[]>} */
+    const byCalendar = new Map();
+    const known = [
+        routing.mainCalendarId,
+        routing.defaultCalendarId,
+        ...routing.seriesCalendars.values(),
+        ...(routing.retiredCalendarIds || []),
+    ];
+    for (const calendarId of known) {
+        if (calendarId && !byCalendar.has(calendarId)) byCalendar.set(calendarId, []);
+    }
+    for (const screening of screenings) {
+        for (const calendarId of routeScreening(screening.seriesTag, routing)) {
+            if (!byCalendar.has(calendarId)) byCalendar.set(calendarId, []);
+            /** @type {S[]} */ (byCalendar.get(calendarId)).push(screening);
+        }
+    }
+    return byCalendar;
+}
+
+module.exports = {
+    ROUTING_MODES,
+    loadRoutingConfig,
+    parseSeriesCalendars,
+    routeScreening,
+    routeScreenings,
+};
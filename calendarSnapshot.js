@@ -0,0 +1,372 @@
+/**
+ * calendarSnapshot.js
+ * Snapshots the events a sync is about to change, and restores a calendar from one.
+ *
+ * A run that dies or fails partway through its writes leaves each calendar half synced,
+ * and the events it deleted or overwrote are gone. Before writing to a calendar,
+ * updateGCal.js now saves the events it could touch to a JSON snapshot in
+ * files/snapshots/: every managed event in the sync window, plus any unmarked event the
+ * plan adopts or deletes. A run writes one snapshot file, holding each calendar it wrote
+ * to; a run that writes nothing saves none.
+ *
+ * Rolling back brings each calendar in the snapshot back to how it was, within the
+ * snapshot's window:
+ * - an event in the snapshot that is gone is created again, with its fields and marker
+ *   (Google keeps deleted ids reserved, so the copy gets a new id)
+ * - an event that was changed since (its `updated` time differs) is written back
+ * - a managed event that is not in the snapshot, i.e. one the run created, is deleted
+ * Unmarked events the snapshot does not hold are never touched.
+ *
+ * updateGCal.js rolls back on its own when more than ROLLBACK_FAILURE_RATE of a run's
+ * writes fail (default 0.25; 1 turns it off). The newest SNAPSHOT_RETENTION snapshots are
+ * kept (default 20).
+ *
+ * Usage:
+ *   node calendarSnapshot.js list                          List snapshots, newest first
+ *   node calendarSnapshot.js rollback <file> [--dry-run]   Restore the calendars in <file>
+ *
+ *   const { saveSnapshot, planRollback, rollbackSnapshot } = require('./calendarSnapshot');
+ *
+ * Covered by test/calendarSnapshot.test.js.
+ */
+
+// @ts-check
+// External dependencies
+const fs = require('fs');
+const path = require('path');
+
+// Internal dependencies
+const { listAllEvents } = require('./calendarReader');
+const { insertOp, updateOp, deleteOp } = require('./calendarBatch');
+const { isManagedEvent, formatSyncPlan } = require('./calendarSync');
+const defaultLogger = require('./logger')('calendarSnapshot');
+
+const SNAPSHOT_DIR = path.join(__dirname, 'files', 'snapshots');
+const SNAPSHOT_VERSION = 1;
+const DEFAULT_FAILURE_RATE = 0.25;
+const DEFAULT_RETENTION = 20;
+
+// Fields an event is recreated or written back with. The rest (id, etag, created,
+// htmlLink, ...) are read-only and assigned by Google.
+const RESTORED_FIELDS = [
+    'summary',
+    'description',
+    'location',
+    'start',
+    'end',
+    'colorId',
+    'reminders',
+    'status',
+    'transparency',
+    'extendedProperties',
+];
+
+/**
+ * @typedef {Object} CalendarSnapshot
+ * @property {{ timeMin: string, timeMax: string }} window - The sync window it covers
+ * @property {string} timeZone - The time zone events were listed in
+ * @property {Object[]} events - Events as listed by the API
+ */
+
+/**
+ * @typedef {Object} Snapshot
+ * @property {number} version
+ * @property {string} takenAt - ISO timestamp
+ * @property {Record<string, CalendarSnapshot>} calendars - Keyed by calendar id
+ */
+
+/**
+ * Reads the rollback threshold from the environment.
+ * @param {NodeJS.ProcessEnv} [env=process.env]
+ * @returns {{ failureRate: number, retention: number }}
+ * @throws {Error} When a value is out of range
+ */
+function loadSnapshotConfig(env = process.env) {
+    const failureRate = env.ROLLBACK_FAILURE_RATE ? Number(env.ROLLBACK_FAILURE_RATE) : DEFAULT_FAILURE_RATE;
+    if (!Number.isFinite(failureRate) || failureRate < 0 || failureRate > 1) {
+        throw new Error(`loadSnapshotConfig: ROLLBACK_FAILURE_RATE must be a number from 0 to 1, got '${env.ROLLBACK_FAILURE_RATE}'`);
+    }
+    const retention = env.SNAPSHOT_RETENTION ? Number(env.SNAPSHOT_RETENTION) : DEFAULT_RETENTION;
+    if (!Number.isInteger(retention) || retention < 1) {
+        throw new Error(`loadSnapshotConfig: SNAPSHOT_RETENTION must be a positive whole number, got '${env.SNAPSHOT_RETENTION}'`);
+    }
+    return { failureRate, retention };
+}
+
+/**
+ * Whether a run's failures call for a rollback.
+ * @param {number} successCount
+ * @param {number} failureCount
+ * @param {number} failureRate - From loadSnapshotConfig()
+ * @returns {boolean}
+ */
+function shouldRollBack(successCount, failureCount, failureRate) {
+    const attempted = successCount + failureCount;
+    return failureCount > 0 && failureCount / attempted > failureRate;
+}
+
+/**
+ * File name for a snapshot taken at a given time; sorts oldest to newest.
+ * @param {Date} takenAt
+ * @returns {string}
+ */
+function snapshotFileName(takenAt) {
+    return `calendar-${takenAt.toISOString().replace(/[:.]/g, '-')}.json`;
+}
+
+/**
+ * Writes a snapshot. The file is written beside its final name and renamed into place,
+ * so a run killed mid-write never leaves a truncated snapshot.
+ * @param {string} file
+ * @param {Snapshot} snapshot
+ */
+function saveSnapshot(file, snapshot) {
+    // Parameter validation
+    if (!snapshot || typeof snapshot.calendars !== 'object') {
+        throw new Error('saveSnapshot: snapshot must have a calendars object');
+    }
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const temp = `${file}.tmp`;
+    fs.writeFileSync(temp, JSON.stringify(snapshot, null, 2));
+    fs.renameSync(temp, file);
+}
+
+/**
+ * Reads and checks a snapshot file.
+ * @param {string} file
+ * @returns {Snapshot}
+ * @throws {Error} When the file is unreadable or not a snapshot
+ */
+function loadSnapshot(file) {
+    let snapshot;
+    try {
+        snapshot = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`loadSnapshot: cannot read ${file}: ${error.message}`);
+    }
+    if (!snapshot || snapshot.version !== SNAPSHOT_VERSION || typeof snapshot.calendars !== 'object') {
+        throw new Error(`loadSnapshot: ${file} is not a calendar snapshot`);
+    }
+    for (const [calendarId, entry] of Object.entries(snapshot.calendars)) {
+        if (!entry || !entry.window || !Array.isArray(entry.events)) {
+            throw new Error(`loadSnapshot: the entry for ${calendarId} in ${file} is incomplete`);
+        }
+    }
+    return snapshot;
+}
+
+/**
+ * Lists snapshot files, newest first.
+ * @param {string} [dir=SNAPSHOT_DIR]
+ * @returns {string[]} Full paths
+ */
+function listSnapshots(dir = SNAPSHOT_DIR) {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir)
+        .filter(name => /^calendar-.*\.json$/.test(name))
+        .sort()
+        .reverse()
+        .map(name => path.join(dir, name));
+}
+
+/**
+ * Deletes all but the newest snapshots.
+ * @param {number} retention - How many to keep
+ * @param {string} [dir=SNAPSHOT_DIR]
+ * @returns {string[]} The files deleted
+ */
+function pruneSnapshots(retention, dir = SNAPSHOT_DIR) {
+    const stale = listSnapshots(dir).slice(retention);
+    stale.forEach(file => fs.unlinkSync(file));
+    return stale;
+}
+
+/**
+ * Copies the fields an event is restored with.
+ * @param {Object} event - As listed by the API
+ * @returns {Object} Event resource
+ */
+function restorableEvent(event) {
+    const restored = {};
+    for (const field of RESTORED_FIELDS) {
+        if (event[field] !== undefined) restored[field] = event[field];
+    }
+    return restored;
+}
+
+/**
+ * Works out what brings a calendar back to its snapshot. Pure: no API calls.
+ * @param {CalendarSnapshot} entry - One calendar's entry in a snapshot
+ * @param {Object[]} currentEvents - Events now in the snapshot's window, as listed
+ * @returns {import('./calendarSync').SyncPlan} In the shape of planCalendarSync(), so
+ *   formatSyncPlan() can print it
+ */
+function planRollback(entry, currentEvents) {
+    // Parameter validation
+    if (!entry || !Array.isArray(entry.events)) {
+        throw new Error('planRollback: entry must have an events array');
+    }
+    if (!Array.isArray(currentEvents)) {
+        throw new Error('planRollback: currentEvents must be an array');
+    }
+
+    const current = new Map(currentEvents.map(event => [event.id, event]));
+    const saved = new Set(entry.events.map(event => event.id));
+    // A rollback puts events back as they were; it never cancels or restores one.
+    /** @type {import('./calendarSync').SyncPlan} */
+    const plan = {
+        create: [],
+        update: [],
+        remove: [],
+        duplicates: [],
+        expired: [],
+        unchanged: 0,
+        adopted: 0,
+        cancelled: 0,
+        restored: 0,
+        stillCancelled: 0,
+    };
+
+    for (const event of entry.events) {
+        const now = current.get(event.id);
+        if (!now) {
+            plan.create.push(restorableEvent(event));
+        } else if (now.updated !== event.updated) {
+            plan.update.push({ eventId: event.id, event: restorableEvent(event), existing: now });
+        } else {
+            plan.unchanged++;
+        }
+    }
+    plan.remove = currentEvents.filter(event => isManagedEvent(event) && !saved.has(event.id));
+    return plan;
+}
+
+/**
+ * Restores every calendar in a snapshot.
+ * @param {Snapshot} snapshot - From loadSnapshot(), or the one a run just took
+ * @param {Object} context
+ * @param {Object} context.calendar - Google Calendar API client
+ * @param {{ execute: Function }} context.batch - Result of createCalendarBatch()
+ * @param {boolean} [context.dryRun=false] - Print the plan only
+ * @param {Object} [context.logger]
+ * @returns {Promise<{ successCount: number, failureCount: number, unchanged: number }>}
+ */
+async function rollbackSnapshot(snapshot, context) {
+    const { calendar, batch, dryRun = false, logger = defaultLogger } = context || {};
+    // Parameter validation
+    if (!snapshot || typeof snapshot.calendars !== 'object') {
+        throw new Error('rollbackSnapshot: snapshot must have a calendars object');
+    }
+    if (!calendar || !batch) {
+        throw new Error('rollbackSnapshot: calendar and batch are required');
+    }
+
+    const totals = { successCount: 0, failureCount: 0, unchanged: 0 };
+    for (const [calendarId, entry] of Object.entries(snapshot.calendars)) {
+        const currentEvents = await listAllEvents(calendar, {
+            calendarId,
+            timeMin: entry.window.timeMin,
+            timeMax: entry.window.timeMax,
+            singleEvents: true,
+            orderBy: 'startTime',
+            timeZone: entry.timeZone,
+        }, { logger });
+        const plan = planRollback(entry, currentEvents);
+        const planLines = formatSyncPlan(plan);
+        totals.unchanged += plan.unchanged;
+
+        if (dryRun) {
+            logger.info(`Dry run: rollback of calendar ${calendarId}:`);
+            for (const line of planLines) logger.info(line);
+            continue;
+        }
+        logger.info(`Rolling back calendar ${calendarId}: ${planLines[planLines.length - 1]}`);
+        if (plan.create.length + plan.update.length + plan.remove.length === 0) continue;
+
+        const writes = [
+            ...plan.create.map(event => ({ action: 'recreate', event, op: insertOp(calendarId, event) })),
+            ...plan.update.map(({ eventId, event }) => ({ action: 'restore', event, op: updateOp(calendarId, eventId, event) })),
+            ...plan.remove.map(event => ({ action: 'delete', event, op: deleteOp(calendarId, event.id) })),
+        ];
+        const results = await batch.execute(writes.map(write => write.op));
+        results.forEach((result, index) => {
+            if (result.ok) {
+                totals.successCount++;
+            } else {
+                totals.failureCount++;
+                logger.error(`Rollback could not ${writes[index].action} event on ${calendarId}: ` +
+                    `${writes[index].event.summary}`, result.error);
+            }
+        });
+    }
+    return totals;
+}
+
+module.exports = {
+    SNAPSHOT_DIR,
+    SNAPSHOT_VERSION,
+    loadSnapshotConfig,
+    shouldRollBack,
+    snapshotFileName,
+    saveSnapshot,
+    loadSnapshot,
+    listSnapshots,
+    pruneSnapshots,
+    planRollback,
+    rollbackSnapshot,
+};
+
+// CLI interface
+if (require.main === module) {
+    require('dotenv').config();
+    const { google } = require('googleapis');
+    const { getAuthClient } = require('./googleAuth');
+    const { createCalendarBatch } = require('./calendarBatch');
+    const { handleError } = require('./errorHandler');
+    const logger = require('./logger')('calendarSnapshot');
+
+    const [command, fileArg] = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+    const dryRun = process.argv.includes('--dry-run');
+
+    (async () => {
+        if (command === 'list') {
+            const files = listSnapshots();
+            if (files.length === 0) {
+                console.log(`No snapshots in ${path.relative(__dirname, SNAPSHOT_DIR)}.`);
+                return;
+            }
+            for (const file of files) {
+                const snapshot = loadSnapshot(file);
+                const counts = Object.entries(snapshot.calendars)
+                    .map(([calendarId, entry]) => `${calendarId} (${entry.events.length} events)`);
+                console.log(`${path.basename(file)}  ${counts.join(', ')}`);
+            }
+            return;
+        }
+        if (command !== 'rollback' || !fileArg) {
+            console.log('Usage: node calendarSnapshot.js list');
+            console.log('       node calendarSnapshot.js rollback <file> [--dry-run]');
+            process.exitCode = 1;
+            return;
+        }
+
+        // A bare name refers to files/snapshots/; anything else is a path.
+        const file = fileArg.includes(path.sep) ? fileArg : path.join(SNAPSHOT_DIR, fileArg);
+        const snapshot = loadSnapshot(file);
+        logger.info(`Rolling back to ${path.basename(file)}, taken ${snapshot.takenAt}${dryRun ? ' (dry run)' : ''}.`);
+
+        const auth = getAuthClient();
+        const calendar = google.calendar({ version: 'v3', auth });
+        const batch = createCalendarBatch({ auth, logger });
+        const totals = await rollbackSnapshot(snapshot, { calendar, batch, dryRun, logger });
+        if (dryRun) {
+            logger.info('Dry run: nothing was written to Google Calendar.');
+            return;
+        }
+        logger.info(`Rollback completed. Successful writes: ${totals.successCount}, ` +
+            `Failed: ${totals.failureCount}, Unchanged: ${totals.unchanged}`);
+        if (totals.failureCount > 0) process.exitCode = 1;
+    })().catch(error => {
+        handleError(logger, error instanceof Error ? error : new Error(String(error)), 'Error rolling back the calendar', true);
+    });
+}
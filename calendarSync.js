@@ -0,0 +1,485 @@
+/**
+ * calendarSync.js
+ * Plans an incremental Google Calendar sync: which events to create, update and delete.
+ *
+ * updateGCal.js used to delete every upcoming event and recreate the lot on each run.
+ * That sent subscribers a notification storm every time, and a crash partway through left
+ * the calendar half empty. Instead, every event now carries a stable screening key in its
+ * private extendedProperties, and each run compares the events it would build against the
+ * ones already on the calendar, touching only those that differ.
+ *
+ * The key prefers the Square catalog id that beaconSchedule.js scrapes, because it
+ * identifies a showtime exactly. Rows without one fall back to title/date/time.
+ *
+ * Every event the sync creates is also marked as its own with a source property, and
+ * only marked events are ever updated or deleted. The calendar is shared, so anything a
+ * person added by hand, such as a members' meetup, has to survive a run. Events created
+ * before the marker existed can be claimed once with adoption, which matches them to
+ * the schedule by summary and start time.
+ *
+ * Whether an event changed is decided by a fingerprint of its content, stored beside the
+ * key, rather than by comparing fields with what the API returns. The API reformats
+ * start and end times into the calendar's own offset, so a field comparison would report
+ * every event as changed.
+ *
+ * A screening that drops off the schedule used to be deleted at once, and anyone who had
+ * planned around it never found out. With a grace period, it is instead kept and marked
+ * cancelled: "[CANCELLED]" before its title, a notice above its description, free rather
+ * than busy, and tentative. (Not the API's "cancelled" status, which deletes the event.)
+ * It is deleted once its date has passed or the grace period ends, and restored if the
+ * screening comes back to the schedule first.
+ *
+ * Pure logic only: no network and no Google APIs, so it is covered by
+ * test/calendarSync.test.js.
+ *
+ * Usage: const { screeningKey, planCalendarSync } = require('./calendarSync');
+ */
+
+// @ts-check
+// External dependencies
+const crypto = require('crypto');
+
+// Internal dependencies
+const { addDaysToISODate } = require('./utils');
+
+// extendedProperties.private names. Private properties are visible only to this
+// calendar's editors, so they never appear to subscribers.
+const SOURCE_PROPERTY = 'beaconSource';
+const SOURCE_ID = 'beacon-cinema-sync';
+const SCREENING_KEY_PROPERTY = 'beaconScreeningKey';
+const FINGERPRINT_PROPERTY = 'beaconFingerprint';
+// Set on an event kept after its screening left the schedule. The status is what
+// events.list can filter on; the date starts the grace period.
+const STATUS_PROPERTY = 'beaconStatus';
+const CANCELLED_STATUS = 'cancelled';
+const CANCELLED_AT_PROPERTY = 'beaconCancelledAt';
+
+const CANCELLED_PREFIX = '[CANCELLED] ';
+const CANCELLED_NOTICE = 'This screening is no longer on The Beacon\'s schedule.';
+const DEFAULT_GRACE_DAYS = 7;
+
+/**
+ * Reads the cancellation grace period from the environment.
+ * @param {NodeJS.ProcessEnv} [env=process.env]
+ * @returns {{ graceDays: number }} 0 deletes dropped screenings at once, as before
+ * @throws {Error} When CANCELLATION_GRACE_DAYS is not a whole number of days
+ */
+function loadCancellationConfig(env = process.env) {
+    const raw = (env.CANCELLATION_GRACE_DAYS || '').trim();
+    const graceDays = raw ? Number(raw) : DEFAULT_GRACE_DAYS;
+    if (!Number.isInteger(graceDays) || graceDays < 0) {
+        throw new Error(`loadCancellationConfig: CANCELLATION_GRACE_DAYS must be a whole number of days, got '${raw}'`);
+    }
+    return { graceDays };
+}
+
+/**
+ * Builds the stable key identifying one screening across runs.
+ * @param {{ catalogId?: string, title: string, date: string, time: string }} screening
+ * @returns {string} "catalog:<id>", or "showing:<title>|<date>|<time>" without a catalog id
+ */
+function screeningKey(screening) {
+    // Parameter validation
+    if (!screening || typeof screening !== 'object') {
+        throw new Error('screeningKey: screening must be an object');
+    }
+    const catalogId = (screening.catalogId || '').trim();
+    if (catalogId) return `catalog:${catalogId}`;
+
+    if (!screening.title || !screening.date || !screening.time) {
+        throw new Error('screeningKey: title, date and time are required without a catalogId');
+    }
+    // Lowercased because the site's title casing differs between its own views.
+    return `showing:${screening.title.trim().toLowerCase()}|${screening.date}|${screening.time}`;
+}
+
+/**
+ * Hashes the parts of an event the sync controls, ignoring extendedProperties.
+ * Keys are sorted so the result does not depend on property order.
+ * @param {Object} event - Event resource as it would be sent to the API
+ * @returns {string} Hex digest
+ */
+function eventFingerprint(event) {
+    // Parameter validation
+    if (!event || typeof event !== 'object') {
+        throw new Error('eventFingerprint: event must be an object');
+    }
+
+    const canonical = value => {
+        if (Array.isArray(value)) return value.map(canonical);
+        if (value && typeof value === 'object') {
+            return Object.keys(value).sort().reduce((out, key) => {
+                out[key] = canonical(value[key]);
+                return out;
+            }, /** @type {Record<string, any>} */ ({}));
+        }
+        return value;
+    };
+    const { extendedProperties, ...content } = /** @type {Record<string, any>} */ (event);
+    return crypto.createHash('sha1').update(JSON.stringify(canonical(content))).digest('hex');
+}
+
+/**
+ * Stamps an event with the ownership marker, its screening key and content fingerprint.
+ * @param {Object} event - Event resource without extendedProperties
+ * @param {string} key - Result of screeningKey()
+ * @returns {Object} A new event carrying the private properties
+ */
+function tagEvent(event, key) {
+    // Parameter validation
+    if (!event || typeof event !== 'object') {
+        throw new Error('tagEvent: event must be an object');
+    }
+    if (!key || typeof key !== 'string') {
+        throw new Error('tagEvent: key must be a non-empty string');
+    }
+
+    return {
+        ...event,
+        extendedProperties: {
+            private: {
+                [SOURCE_PROPERTY]: SOURCE_ID,
+                [SCREENING_KEY_PROPERTY]: key,
+                [FINGERPRINT_PROPERTY]: eventFingerprint(event),
+            },
+        },
+    };
+}
+
+/**
+ * Reads a private extended property from an event returned by the API.
+ * @param {Object} event
+ * @param {string} name
+ * @returns {string} The value, or '' when absent
+ */
+function getPrivateProperty(event, name) {
+    const props = /** @type {any} */ (event)?.extendedProperties?.private;
+    return (props && props[name]) || '';
+}
+
+/**
+ * Whether an event carries this sync's ownership marker.
+ * @param {Object} event
+ * @returns {boolean}
+ */
+function isManagedEvent(event) {
+    return getPrivateProperty(event, SOURCE_PROPERTY) === SOURCE_ID;
+}
+
+/**
+ * The date a managed event was marked cancelled.
+ * @param {Object} event
+ * @returns {string} YYYY-MM-DD, or '' when the event is not cancelled
+ */
+function cancelledOn(event) {
+    return getPrivateProperty(event, STATUS_PROPERTY) === CANCELLED_STATUS
+        ? getPrivateProperty(event, CANCELLED_AT_PROPERTY)
+        : '';
+}
+
+/**
+ * Builds the cancelled version of a listed event, keeping its time and details so
+ * anyone who planned around it can still find it.
+ * @param {Object} existing - Managed event as listed by the API
+ * @param {string} today - YYYY-MM-DD, recorded as the start of the grace period
+ * @returns {Object} Event resource, tagged with its key, a fingerprint and the cancellation
+ */
+function cancelEvent(existing, today) {
+    // Parameter validation
+    if (!isManagedEvent(existing)) {
+        throw new Error('cancelEvent: only a managed event can be cancelled');
+    }
+
+    const listed = /** @type {any} */ (existing);
+    const event = /** @type {Record<string, any>} */ ({
+        summary: `${CANCELLED_PREFIX}${listed.summary || ''}`,
+        start: listed.start,
+        end: listed.end,
+        description: listed.description ? `${CANCELLED_NOTICE}\n\n${listed.description}` : CANCELLED_NOTICE,
+        status: 'tentative',
+        transparency: 'transparent',
+    });
+    for (const field of ['location', 'colorId', 'reminders']) {
+        if (listed[field] !== undefined) event[field] = listed[field];
+    }
+    const tagged = /** @type {any} */ (tagEvent(event, getPrivateProperty(existing, SCREENING_KEY_PROPERTY)));
+    tagged.extendedProperties.private[STATUS_PROPERTY] = CANCELLED_STATUS;
+    tagged.extendedProperties.private[CANCELLED_AT_PROPERTY] = today;
+    return tagged;
+}
+
+/**
+ * Identifies an event by summary and local start time, for adoption.
+ * Listed events must be requested in the schedule's time zone so their dateTime carries
+ * the same wall-clock time as a built event; the offset suffix is dropped here.
+ * @param {Object} event
+ * @returns {string}
+ */
+function adoptionKey(event) {
+    const start = /** @type {any} */ (event)?.start?.dateTime || '';
+    return `${(/** @type {any} */ (event).summary || '').trim().toLowerCase()}|${start.slice(0, 19)}`;
+}
+
+/**
+ * @typedef {Object} SyncPlan
+ * @property {Object[]} create - Events to insert
+ * @property {Array<{ eventId: string, event: Object, existing: Object, adopted?: boolean,
+ *   cancelled?: boolean, restored?: boolean }>} update - Events to overwrite in place, with
+ *   the listed event they replace; cancelled and restored mark the cancellation updates
+ * @property {Object[]} remove - Listed events to delete
+ * @property {Object[]} duplicates - The subset of remove that are extra copies of a screening
+ * @property {Object[]} expired - The subset of remove that are cancelled events past their
+ *   date or grace period
+ * @property {number} unchanged - Screenings already up to date
+ * @property {number} adopted - Updates that claim an unmarked event
+ * @property {number} cancelled - Updates that mark a dropped screening cancelled
+ * @property {number} restored - Updates that bring back a cancelled screening
+ * @property {number} stillCancelled - Cancelled events kept, within their grace period
+ */
+
+/**
+ * Compares the events a run would build against those already on the calendar.
+ *
+ * Only events carrying the ownership marker are considered; anything else on the
+ * calendar is never updated or deleted. Two managed events sharing a key are a leftover
+ * duplicate: the first is kept and the rest are deleted. A managed event with no key
+ * cannot be matched to a screening, so it is deleted too.
+ *
+ * With `adoptable` events supplied, a screening with no managed event is matched to an
+ * unmarked event with the same summary and start before falling back to a create. The
+ * match is updated in place, which writes the marker and claims it from then on. Further
+ * unmarked copies of a screening that is claimed or already managed are deleted as
+ * duplicates; these are what a sync that could only see the first page of events left
+ * behind.
+ *
+ * With `cancellation` given, a managed event whose screening is no longer scheduled is
+ * marked cancelled rather than deleted (see cancelEvent()). It is deleted once its date
+ * has passed or `graceDays` have gone by since it was marked, and restored by an ordinary
+ * update if the screening is scheduled again. Without it, or with graceDays 0, it is
+ * deleted at once.
+ *
+ * @param {Object[]} desiredEvents - Events built from the schedule, each passed through tagEvent()
+ * @param {Object[]} existingEvents - Upcoming events as listed by the API, plus any recent
+ *   cancelled ones whose date has passed
+ * @param {Object} [options]
+ * @param {Object[]} [options.adoptable=[]] - Unmarked upcoming events that may be claimed
+ * @param {{ today: string, graceDays: number }} [options.cancellation] - Keep dropped
+ *   screenings as cancelled; today is YYYY-MM-DD
+ * @returns {SyncPlan}
+ */
+function planCalendarSync(desiredEvents, existingEvents, options = {}) {
+    // Parameter validation
+    if (!Array.isArray(desiredEvents)) {
+        throw new Error('planCalendarSync: desiredEvents must be an array');
+    }
+    if (!Array.isArray(existingEvents)) {
+        throw new Error('planCalendarSync: existingEvents must be an array');
+    }
+    const { adoptable = [], cancellation } = options;
+    if (!Array.isArray(adoptable)) {
+        throw new Error('planCalendarSync: options.adoptable must be an array');
+    }
+    if (cancellation && (!/^\d{4}-\d{2}-\d{2}$/.test(cancellation.today || '')
+        || !Number.isInteger(cancellation.graceDays) || cancellation.graceDays < 0)) {
+        throw new Error('planCalendarSync: options.cancellation needs today (YYYY-MM-DD) and a whole number of graceDays');
+    }
+
+    const adoptableByKey = new Map();
+    for (const event of adoptable) {
+        if (isManagedEvent(event)) continue;
+        const key = adoptionKey(event);
+        if (!adoptableByKey.has(key)) adoptableByKey.set(key, []);
+        adoptableByKey.get(key).push(event);
+    }
+
+    const existingByKey = new Map();
+    const remove = [];
+    const duplicates = [];
+    for (const event of existingEvents) {
+        // Defensive: callers pass managed events only, but nothing else may be deleted.
+        if (!isManagedEvent(event)) continue;
+        const key = getPrivateProperty(event, SCREENING_KEY_PROPERTY);
+        if (!key) {
+            remove.push(event);
+        } else if (existingByKey.has(key)) {
+            remove.push(event);
+            duplicates.push(event);
+        } else {
+            existingByKey.set(key, event);
+        }
+    }
+
+    const create = [];
+    const update = [];
+    const expired = [];
+    let unchanged = 0;
+    let adopted = 0;
+    let cancelled = 0;
+    let restored = 0;
+    let stillCancelled = 0;
+    const desiredKeys = new Set();
+    for (const event of desiredEvents) {
+        const key = getPrivateProperty(event, SCREENING_KEY_PROPERTY);
+        if (!key) {
+            throw new Error('planCalendarSync: every desired event must be tagged with a screening key');
+        }
+        desiredKeys.add(key);
+
+        const existing = existingByKey.get(key);
+        const match = adoptionKey(event);
+        const copies = adoptableByKey.get(match) || [];
+        adoptableByKey.delete(match);
+        const claimable = !existing && copies.shift();
+        // Whatever is left after the claim duplicates an event this run keeps.
+        remove.push(...copies);
+        duplicates.push(...copies);
+
+        if (claimable) {
+            update.push({ eventId: claimable.id, event, existing: claimable, adopted: true });
+            adopted++;
+        } else if (!existing) {
+            create.push(event);
+        } else if (cancelledOn(existing)) {
+            // Back on the schedule. An update replaces the whole event, but the status and
+            // transparency are set explicitly rather than trusted to reset.
+            update.push({
+                eventId: existing.id,
+                event: { ...event, status: 'confirmed', transparency: 'opaque' },
+                existing,
+                restored: true,
+            });
+            restored++;
+        } else if (getPrivateProperty(existing, FINGERPRINT_PROPERTY)
+            !== getPrivateProperty(event, FINGERPRINT_PROPERTY)) {
+            update.push({ eventId: existing.id, event, existing });
+        } else {
+            unchanged++;
+        }
+    }
+
+    for (const [key, event] of existingByKey) {
+        if (desiredKeys.has(key)) continue;
+        const graceDays = cancellation ? cancellation.graceDays : 0;
+        const today = cancellation ? cancellation.today : '';
+        const date = (/** @type {any} */ (event).start?.dateTime || '').slice(0, 10);
+        const since = cancelledOn(event);
+        if (graceDays === 0 || date < today) {
+            remove.push(event);
+            if (since) expired.push(event);
+        } else if (!since) {
+            update.push({ eventId: event.id, event: cancelEvent(event, today), existing: event, cancelled: true });
+            cancelled++;
+        } else if (addDaysToISODate(since, graceDays) <= today) {
+            remove.push(event);
+            expired.push(event);
+        } else {
+            stillCancelled++;
+        }
+    }
+
+    return { create, update, remove, duplicates, expired, unchanged, adopted, cancelled, restored, stillCancelled };
+}
+
+/**
+ * Finds events that share a summary and start time, for reporting duplicates the plan
+ * cannot remove on its own, such as unmarked copies outside adoption.
+ * @param {Object[]} events - Events as listed by the API
+ * @returns {Object[][]} Groups of two or more events, each in listed order
+ */
+function findDuplicateEvents(events) {
+    // Parameter validation
+    if (!Array.isArray(events)) {
+        throw new Error('findDuplicateEvents: events must be an array');
+    }
+
+    const groups = new Map();
+    for (const event of events) {
+        if (!/** @type {any} */ (event)?.start?.dateTime) continue;
+        const key = adoptionKey(event);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(event);
+    }
+    return [...groups.values()].filter(group => group.length > 1);
+}
+
+/**
+ * Names the fields a planned update would change, for a human reading the plan.
+ * Times are compared on wall-clock time alone, since listed events carry an offset.
+ * @param {Object} existing - Event as listed by the API
+ * @param {Object} event - Event as built from the schedule
+ * @returns {string[]}
+ */
+function changedFields(existing, event) {
+    const a = /** @type {any} */ (existing);
+    const b = /** @type {any} */ (event);
+    const fields = [];
+    if ((a.summary || '') !== (b.summary || '')) fields.push('summary');
+    if ((a.start?.dateTime || '').slice(0, 19) !== (b.start?.dateTime || '').slice(0, 19)) fields.push('start');
+    if ((a.end?.dateTime || '').slice(0, 19) !== (b.end?.dateTime || '').slice(0, 19)) fields.push('end');
+    if ((a.location || '') !== (b.location || '')) fields.push('location');
+    if ((a.description || '') !== (b.description || '')) fields.push('description');
+    if ((a.colorId || '') !== (b.colorId || '')) fields.push('color');
+    // The API reports { useDefault: true } for an event that never set reminders.
+    if (JSON.stringify(a.reminders || { useDefault: true }) !== JSON.stringify(b.reminders || { useDefault: true })) {
+        fields.push('reminders');
+    }
+    return fields;
+}
+
+/**
+ * Renders a sync plan as printable lines, one per change plus a summary line.
+ * @param {SyncPlan} plan - Result of planCalendarSync()
+ * @returns {string[]}
+ */
+function formatSyncPlan(plan) {
+    // Parameter validation
+    if (!plan || !Array.isArray(plan.create) || !Array.isArray(plan.update) || !Array.isArray(plan.remove)) {
+        throw new Error('formatSyncPlan: plan must be a result of planCalendarSync()');
+    }
+
+    const when = event => (/** @type {any} */ (event)?.start?.dateTime || '????-??-?? ??:??')
+        .slice(0, 16).replace('T', ' ');
+    const lines = [];
+    for (const event of plan.create) {
+        lines.push(`+ create  ${when(event)}  ${event.summary}`);
+    }
+    for (const { event, existing, adopted, cancelled, restored } of plan.update) {
+        const detail = adopted ? 'adopt'
+            : cancelled ? 'cancelled'
+                : restored ? 'restored'
+                    : changedFields(existing, event).join(', ') || 'metadata';
+        lines.push(`~ update  ${when(event)}  ${event.summary}  (${detail})`);
+    }
+    const duplicates = new Set(plan.duplicates || []);
+    const expired = new Set(plan.expired || []);
+    for (const event of plan.remove) {
+        const detail = duplicates.has(event) ? '  (duplicate)' : expired.has(event) ? '  (cancellation expired)' : '';
+        lines.push(`- delete  ${when(event)}  ${event.summary || '(no title)'}${detail}`);
+    }
+    lines.push(`Plan: ${plan.create.length} to create, ${plan.update.length} to update ` +
+        `(${plan.adopted} adopted), ${plan.remove.length} to delete (duplicates: ${duplicates.size}), ` +
+        `${plan.unchanged} unchanged.`);
+    return lines;
+}
+
+module.exports = {
+    SOURCE_PROPERTY,
+    SOURCE_ID,
+    SCREENING_KEY_PROPERTY,
+    FINGERPRINT_PROPERTY,
+    STATUS_PROPERTY,
+    CANCELLED_STATUS,
+    CANCELLED_AT_PROPERTY,
+    CANCELLED_PREFIX,
+    loadCancellationConfig,
+    screeningKey,
+    eventFingerprint,
+    tagEvent,
+    getPrivateProperty,
+    isManagedEvent,
+    cancelledOn,
+    cancelEvent,
+    planCalendarSync,
+    findDuplicateEvents,
+    formatSyncPlan,
+};
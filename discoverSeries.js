@@ -2,21 +2,28 @@
  * discoverSeries.js
  * Keeps Google Sheet 'seriesIndex' in step with the site's own series listings.
  * Usage: node discoverSeries.js
- * - Reads the site's series and program indexes and collects every currently running entry.
+ * - Reads the site's series and program indexes and collects every currently running entry,
+ *   in Chrome or over plain HTTP as SCRAPE_MODE chooses (see scraper.js).
  * - Appends entries that are not already in 'seriesIndex', keyed by URL.
- * - Leaves rows already in the sheet untouched, so hand-picked seriesTag values survive.
+ * - Leaves rows already in the sheet untouched, so hand-picked seriesTag values survive,
+ *   along with calendarId and any other column added by hand.
  * - Validates every new row before writing.
- * Dependencies: puppeteer, ./utils.js, ./sheetsUtils.js
+ * - What it reads off each page is covered by test/scrapers.test.js, against test/fixtures/.
+ * Dependencies: ./scraper.js, ./selectorHealth.js, ./utils.js, ./storage.js, ./sheetSchema.js,
+ *   ./rowMerge.js
  */
 
 require('dotenv').config();
 
 // External dependencies
-const { launchPuppeteerQuiet } = require('./puppeteerConfig');
-const { getSheetRows, setSheetRows } = require('./sheetsUtils');
+const { createScraper } = require('./scraper');
+const { createHealthRecorder } = require('./selectorHealth');
+const { getRows, setRows } = require('./storage');
+const { columnIndexes, headerFor } = require('./sheetSchema');
+const { mergeRows } = require('./rowMerge');
 
 // Internal dependencies
-const { navigateWithRetry, validateSeriesIndexRow } = require('./utils');
+const { validateSeriesIndexRow } = require('./utils');
 const logger = require('./logger')('discoverSeries');
 const { setupErrorHandling, handleError } = require('./errorHandler');
 
@@ -63,26 +70,16 @@ function tagFromHref(href) {
 }
 
 /**
- * Reads one index page and returns the entries in its accepted sections.
- * @param {Object} page - Puppeteer page
- * @param {{path: string, sections: RegExp|null}} index
- * @returns {Promise<Array<{seriesName: string, seriesURL: string, seriesTag: string, section: string}>>}
+ * A series or program index page, for scraper.js. Each section lists its entries as
+ * `a.card` under a `.section-heading-brush` heading.
+ * @type {import('./scraper').PageExtractor}
  */
-async function discoverFromIndex(page, index) {
-    const response = await navigateWithRetry(page, SITE + index.path, { logger });
-    if (!response) {
-        logger.error(`Failed to load ${index.path} after retries`);
-        return [];
-    }
-    const status = typeof response.status === 'function' ? response.status() : 200;
-    if (status >= 400) {
-        logger.error(`${index.path} returned HTTP ${status}; skipping this index.`);
-        return [];
-    }
-
-    const cards = await page.evaluate(() => {
+const indexPage = {
+    name: 'series index',
+    expect: '.listing-section',
+    extract: (pageUrl, root = document) => {
         const out = [];
-        document.querySelectorAll('.listing-section').forEach(section => {
+        root.querySelectorAll('.listing-section').forEach(section => {
             const heading = section.querySelector('.section-heading-brush')?.textContent.trim() || '';
             section.querySelectorAll('a.card').forEach(card => {
                 const href = card.getAttribute('href');
@@ -91,10 +88,32 @@ async function discoverFromIndex(page, index) {
             });
         });
         return out;
-    });
+    }
+};
+
+/**
+ * Reads one index page and returns the entries in its accepted sections.
+ * @param {Object} scraper - Result of createScraper()
+ * @param {{path: string, sections: RegExp|null}} index
+ * @param {Object} [options]
+ * @param {string} [options.site] - Where the index lives; the Beacon's site unless testing
+ * @param {Object} [options.logger] - Defaults to the script's own
+ * @returns {Promise<Array<{seriesName: string, seriesURL: string, seriesTag: string, section: string}>>}
+ */
+async function discoverFromIndex(scraper, index, options = {}) {
+    const { site = SITE, logger: log = logger } = options;
+    const { ok, status, data: cards } = await scraper.scrape(site + index.path, indexPage);
+    if (!ok) {
+        if (status >= 400) {
+            log.error(`${index.path} returned HTTP ${status}; skipping this index.`);
+        } else {
+            log.error(`Failed to load ${index.path} after retries`);
+        }
+        return [];
+    }
 
     if (cards.length === 0) {
-        logger.warn(`No entries found on ${index.path}. The website structure may have changed.`);
+        log.warn(`No entries found on ${index.path}. The website structure may have changed.`);
         return [];
     }
 
@@ -102,31 +121,36 @@ async function discoverFromIndex(page, index) {
         ? cards.filter(card => index.sections.test(card.section))
         : cards;
 
-    logger.info(`${index.path}: ${cards.length} entries, ${accepted.length} accepted` +
+    log.info(`${index.path}: ${cards.length} entries, ${accepted.length} accepted` +
         (index.sections ? ' (currently running only)' : ''));
 
     return accepted.map(card => ({
         seriesName: card.title,
-        seriesURL: SITE + card.href,
+        seriesURL: site + card.href,
         seriesTag: tagFromHref(card.href),
         section: card.section
     }));
 }
 
-(async () => {
+/**
+ * Runs the script: reads both indexes and appends the series 'seriesIndex' lacks.
+ * @returns {Promise<void>}
+ */
+async function main() {
     logger.info('Starting discoverSeries.js');
 
-    const existingRaw = await getSheetRows('seriesIndex');
+    const existingRaw = await getRows('seriesIndex');
     const header = existingRaw[0] && existingRaw[0].length
         ? existingRaw[0]
-        : ['seriesName', 'seriesURL', 'seriesTag'];
-    const iName = header.indexOf('seriesName');
-    const iUrl = header.indexOf('seriesURL');
-    const iTag = header.indexOf('seriesTag');
-    if (iName === -1 || iUrl === -1 || iTag === -1) {
-        logger.error(`seriesIndex header is missing required columns. Found: ${JSON.stringify(header)}`);
+        : headerFor('seriesIndex');
+    let column;
+    try {
+        column = columnIndexes('seriesIndex', header);
+    } catch (error) {
+        logger.error(error.message);
         process.exit(1);
     }
+    const { seriesName: iName, seriesURL: iUrl, seriesTag: iTag } = column;
 
     const existingRows = existingRaw.slice(1).filter(row => row[iUrl] && row[iTag]);
     // Matching on URL rather than tag keeps the sheet's own seriesTag values
@@ -135,16 +159,16 @@ async function discoverFromIndex(page, index) {
     const knownTags = new Set(existingRows.map(row => row[iTag].trim()));
     logger.info(`seriesIndex currently holds ${existingRows.length} series.`);
 
-    let browser;
+    const health = createHealthRecorder('discoverSeries');
+    const scraper = createScraper({ logger, health });
     let added = 0;
     try {
-        browser = await launchPuppeteerQuiet();
-        const page = await browser.newPage();
-
         const discovered = [];
         for (const index of INDEXES) {
-            discovered.push(...await discoverFromIndex(page, index));
+            discovered.push(...await discoverFromIndex(scraper, index));
         }
+        await scraper.close();
+        health.finish({ logger });
         logger.info(`Discovered ${discovered.length} series across ${INDEXES.length} indexes.`);
 
         const newRows = [];
@@ -180,24 +204,32 @@ async function discoverFromIndex(page, index) {
         if (added === 0) {
             logger.info('No new series to add. seriesIndex left unchanged.');
         } else {
-            const rows = [header];
-            for (const row of existingRows) rows.push(row);
-            for (const row of newRows) {
-                const out = new Array(header.length).fill('');
-                out[iName] = row.seriesName;
-                out[iUrl] = row.seriesURL;
-                out[iTag] = row.seriesTag;
-                rows.push(out);
-            }
-            await setSheetRows('seriesIndex', rows);
+            const keptRows = existingRows.map(row => ({ seriesName: row[iName], seriesURL: row[iUrl], seriesTag: row[iTag] }));
+            const rows = mergeRows('seriesIndex', [header, ...existingRows], [...keptRows, ...newRows], {
+                columns: ['seriesName', 'seriesURL', 'seriesTag']
+            });
+            await setRows('seriesIndex', rows);
             logger.info(`seriesIndex updated: ${added} added, ${existingRows.length} kept, ${rows.length - 1} total.`);
         }
     } catch (error) {
         handleError(logger, error instanceof Error ? error : new Error(String(error)), 'Error discovering series');
     } finally {
-        if (browser) await browser.close();
+        await scraper.close();
         logger.info(`discoverSeries.js finished. Series added: ${added}`);
     }
-})().catch(err => {
-    logger.error('Unhandled exception in discoverSeries.js:', err);
-});
+}
+
+module.exports = {
+    INDEXES,
+    indexPage,
+    normalizeUrl,
+    tagFromHref,
+    discoverFromIndex,
+};
+
+// CLI interface
+if (require.main === module) {
+    main().catch(err => {
+        logger.error('Unhandled exception in discoverSeries.js:', err);
+    });
+}
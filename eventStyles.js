@@ -0,0 +1,207 @@
+/**
+ * eventStyles.js
+ * Per-series event colors and reminders, configured in eventStyles.json.
+ *
+ * Every event used to look the same in a subscriber's calendar. eventStyles.json sets an
+ * optional Google colorId and reminder list for each SeriesTag, plus a default used for
+ * screenings with no series and for series without an entry of their own:
+ *
+ *   {
+ *     "default": { "reminders": [{ "method": "popup", "minutes": 120 }] },
+ *     "series": {
+ *       "noir": { "colorId": "8" },
+ *       "midnight": { "colorId": "11", "reminders": [] }
+ *     }
+ *   }
+ *
+ * - `colorId`    one of Google's event colors, "1" to "11"
+ * - `reminders`  up to 5 of { method: "popup" | "email", minutes: 0–40320 }; an empty
+ *                list turns reminders off, and leaving the key out keeps the calendar's own
+ *
+ * A series entry overrides the default field by field, so a series that sets only a color
+ * still gets the default reminders.
+ *
+ * The file is validated as a whole when updateGCal.js starts, and every problem is
+ * reported at once: a typo should stop the run before it restyles the calendar, not
+ * after.
+ *
+ * Covered by test/eventStyles.test.js.
+ *
+ * Usage:
+ *   const { loadEventStyles, styleForSeries, applyEventStyle } = require('./eventStyles');
+ */
+
+// @ts-check
+// External dependencies
+const fs = require('fs');
+const path = require('path');
+
+const STYLES_PATH = path.join(__dirname, 'eventStyles.json');
+
+// Google Calendar's fixed event palette, as listed by colors.get.
+const COLOR_IDS = ['1', '2', '3', '4', '5', '6', '7', '8', '9', '10', '11'];
+const REMINDER_METHODS = ['popup', 'email'];
+// Limits enforced by the Calendar API: at most 5 overrides, at most four weeks ahead.
+const MAX_REMINDERS = 5;
+const MAX_REMINDER_MINUTES = 40320;
+
+const STYLE_FIELDS = ['colorId', 'reminders'];
+
+/**
+ * @typedef {Object} EventStyle
+ * @property {string} [colorId]
+ * @property {Array<{ method: string, minutes: number }>} [reminders]
+ */
+
+/**
+ * @typedef {Object} EventStyles
+ * @property {EventStyle} default
+ * @property {Record<string, EventStyle>} series
+ */
+
+/**
+ * Checks one style entry.
+ * @param {any} style
+ * @param {string} where - Names the entry in messages, e.g. "series.noir"
+ * @returns {string[]} Problems found
+ */
+function validateStyle(style, where) {
+    if (!style || typeof style !== 'object' || Array.isArray(style)) {
+        return [`${where} must be an object`];
+    }
+
+    const errors = [];
+    for (const key of Object.keys(style)) {
+        if (!STYLE_FIELDS.includes(key)) {
+            errors.push(`${where}.${key} is not a known setting (expected ${STYLE_FIELDS.join(' or ')})`);
+        }
+    }
+    if ('colorId' in style) {
+        // Numbers are accepted for convenience; the API takes the id as a string.
+        if (!COLOR_IDS.includes(String(style.colorId))) {
+            errors.push(`${where}.colorId must be "1" to "11"; got ${JSON.stringify(style.colorId)}`);
+        }
+    }
+    if ('reminders' in style) {
+        if (!Array.isArray(style.reminders)) {
+            errors.push(`${where}.reminders must be an array`);
+        } else {
+            if (style.reminders.length > MAX_REMINDERS) {
+                errors.push(`${where}.reminders has ${style.reminders.length} entries; Google allows ${MAX_REMINDERS}`);
+            }
+            style.reminders.forEach((reminder, index) => {
+                const at = `${where}.reminders[${index}]`;
+                if (!reminder || typeof reminder !== 'object') {
+                    errors.push(`${at} must be an object`);
+                    return;
+                }
+                if (!REMINDER_METHODS.includes(reminder.method)) {
+                    errors.push(`${at}.method must be ${REMINDER_METHODS.join(' or ')}; got ${JSON.stringify(reminder.method)}`);
+                }
+                if (!Number.isInteger(reminder.minutes) || reminder.minutes < 0 || reminder.minutes > MAX_REMINDER_MINUTES) {
+                    errors.push(`${at}.minutes must be a whole number from 0 to ${MAX_REMINDER_MINUTES}; got ${JSON.stringify(reminder.minutes)}`);
+                }
+            });
+        }
+    }
+    return errors;
+}
+
+/**
+ * Checks a parsed eventStyles.json.
+ * @param {any} config
+ * @returns {string[]} Every problem found; empty when the configuration is valid
+ */
+function validateEventStyles(config) {
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        return ['the configuration must be a JSON object'];
+    }
+
+    const errors = [];
+    for (const key of Object.keys(config)) {
+        if (key !== 'default' && key !== 'series') {
+            errors.push(`${key} is not a known section (expected default or series)`);
+        }
+    }
+    if ('default' in config) errors.push(...validateStyle(config.default, 'default'));
+    if ('series' in config) {
+        if (!config.series || typeof config.series !== 'object' || Array.isArray(config.series)) {
+            errors.push('series must be an object keyed by SeriesTag');
+        } else {
+            for (const [tag, style] of Object.entries(config.series)) {
+                errors.push(...validateStyle(style, `series.${tag}`));
+            }
+        }
+    }
+    return errors;
+}
+
+/**
+ * Reads and validates the style configuration.
+ * @param {string} [filePath] - Defaults to eventStyles.json beside this module
+ * @returns {EventStyles}
+ * @throws {Error} Listing every problem, when the file is unreadable or invalid
+ */
+function loadEventStyles(filePath = STYLES_PATH) {
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        // A missing file means no styling, which is how events looked before.
+        if (/** @type {any} */ (error).code === 'ENOENT') return { default: {}, series: {} };
+        throw new Error(`loadEventStyles: cannot read ${path.basename(filePath)}: ${error.message}`);
+    }
+
+    const errors = validateEventStyles(config);
+    if (errors.length > 0) {
+        throw new Error(`loadEventStyles: ${path.basename(filePath)} is invalid:\n  - ${errors.join('\n  - ')}`);
+    }
+    return { default: config.default || {}, series: config.series || {} };
+}
+
+/**
+ * Resolves the style for a screening: its series entry over the default.
+ * @param {EventStyles} styles - Result of loadEventStyles()
+ * @param {string} [seriesTag]
+ * @returns {EventStyle}
+ */
+function styleForSeries(styles, seriesTag) {
+    // Parameter validation
+    if (!styles || typeof styles !== 'object') {
+        throw new Error('styleForSeries: styles must be a result of loadEventStyles()');
+    }
+    const tag = (seriesTag || '').trim();
+    const own = (tag && styles.series && styles.series[tag]) || {};
+    return { ...(styles.default || {}), ...own };
+}
+
+/**
+ * Adds a style's color and reminders to an event resource.
+ * @param {Object} event - Event resource as it would be sent to the API
+ * @param {EventStyle} style - Result of styleForSeries()
+ * @returns {Object} A new event; the input is left untouched
+ */
+function applyEventStyle(event, style) {
+    // Parameter validation
+    if (!event || typeof event !== 'object') {
+        throw new Error('applyEventStyle: event must be an object');
+    }
+
+    const styled = { ...event };
+    if (style && style.colorId !== undefined) styled.colorId = String(style.colorId);
+    if (style && style.reminders) {
+        styled.reminders = {
+            useDefault: false,
+            overrides: style.reminders.map(({ method, minutes }) => ({ method, minutes })),
+        };
+    }
+    return styled;
+}
+
+module.exports = {
+    COLOR_IDS,
+    validateEventStyles,
+    loadEventStyles,
+    styleForSeries,
+    applyEventStyle,
+};
@@ -0,0 +1,300 @@
+/**
+ * eventTemplates.js
+ * Renders event summaries and descriptions from templates in eventTemplates.json.
+ *
+ * The wording of an event used to be hardcoded in updateGCal.js. It now comes from two
+ * templates, so how events read can change without a code change:
+ *
+ *   {
+ *     "html": false,
+ *     "summary": "{{title}}",
+ *     "description": [
+ *       "{{#runtime}}Runtime: {{runtime}}{{/runtime}}",
+ *       "{{#series}}Film Series: {{series}}{{/series}}",
+ *       "{{link url title}}"
+ *     ]
+ *   }
+ *
+ * Syntax:
+ * - `{{name}}`                  a screening field; see FIELDS for the names
+ * - `{{#name}}…{{/name}}`       rendered only when the field has a value
+ * - `{{^name}}…{{/name}}`       rendered only when it has none
+ * - `{{link url}}`              the URL; with "html": true, a link to it
+ * - `{{link url title}}`        with "html": true, a link with the title as its text
+ *
+ * The description is a list of lines; a line that renders empty is dropped, so a
+ * conditional wrapping a whole line leaves no gap. With "html": true, field values are
+ * HTML-escaped and lines are joined with <br>, which Google Calendar displays as
+ * formatted text. The summary is always plain text.
+ *
+ * EVENT_SUMMARY_TEMPLATE and EVENT_DESCRIPTION_TEMPLATE override the file (\n, literal or
+ * a real newline, separates description lines), and EVENT_TEMPLATE_HTML=true turns on HTML.
+ *
+ * Templates are parsed when a script starts, and an unknown placeholder or an unclosed
+ * section stops it with every problem listed, rather than rendering "{{runtim}}" into
+ * every event on the calendar.
+ *
+ * Covered by test/eventTemplates.test.js.
+ *
+ * Usage:
+ *   const { loadEventTemplates, renderScreening } = require('./eventTemplates');
+ *   const { summary, description } = renderScreening(loadEventTemplates(), screening);
+ */
+
+// @ts-check
+// External dependencies
+const fs = require('fs');
+const path = require('path');
+
+const TEMPLATES_PATH = path.join(__dirname, 'eventTemplates.json');
+
+/**
+ * Placeholder names, and how each is read from a screening (see screenings.js).
+ * @type {Record<string, (screening: any) => string>}
+ */
+const FIELDS = {
+    title: screening => screening.displayTitle,
+    runtime: screening => screening.runtime,
+    series: screening => screening.seriesName,
+    seriesTag: screening => screening.seriesTag,
+    url: screening => screening.url,
+    date: screening => screening.date,
+    time: screening => screening.time,
+    time12: screening => to12Hour(screening.time),
+    catalogId: screening => screening.catalogId,
+    // From the 'films' tab; empty until findRuntimes.js has read the film's page.
+    director: screening => screening.director,
+    year: screening => screening.year,
+    country: screening => screening.country,
+    language: screening => screening.language,
+    format: screening => screening.format,
+};
+
+/**
+ * Formats HH:MM as a 12-hour time, e.g. "7:30 PM".
+ * @param {string} time
+ * @returns {string}
+ */
+function to12Hour(time) {
+    const match = /^(\d{2}):(\d{2})$/.exec(time || '');
+    if (!match) return '';
+    const hours = parseInt(match[1], 10);
+    return `${hours % 12 || 12}:${match[2]} ${hours < 12 ? 'AM' : 'PM'}`;
+}
+
+/**
+ * Escapes text for inclusion in HTML.
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Parses one template into a tree of nodes.
+ * @param {string} source
+ * @returns {any[]} Nodes: { text } | { field } | { link, label? } | { section, inverted, children }
+ * @throws {Error} Naming the first problem found
+ */
+function compileTemplate(source) {
+    if (typeof source !== 'string') {
+        throw new Error('template must be a string');
+    }
+
+    const known = name => Object.prototype.hasOwnProperty.call(FIELDS, name);
+    const unknown = name => new Error(`unknown placeholder '${name}' (known: ${Object.keys(FIELDS).join(', ')})`);
+    const root = [];
+    const stack = [{ section: null, children: root }];
+    const tag = /\{\{(.*?)\}\}/g;
+    let last = 0;
+    let match;
+    while ((match = tag.exec(source)) !== null) {
+        const text = source.slice(last, match.index);
+        if (text.includes('{{')) throw new Error(`unclosed '{{' in "${source}"`);
+        if (text) stack[stack.length - 1].children.push({ text });
+        last = tag.lastIndex;
+
+        const inner = match[1].trim();
+        const sigil = inner[0];
+        if (sigil === '#' || sigil === '^') {
+            const name = inner.slice(1).trim();
+            if (!known(name)) throw unknown(name);
+            const node = { section: name, inverted: sigil === '^', children: [] };
+            stack[stack.length - 1].children.push(node);
+            stack.push(node);
+        } else if (sigil === '/') {
+            const name = inner.slice(1).trim();
+            const open = stack[stack.length - 1].section;
+            if (open !== name) {
+                throw new Error(open ? `'{{/${name}}}' closes '{{#${open}}}'` : `'{{/${name}}}' has no opening section`);
+            }
+            stack.pop();
+        } else {
+            const words = inner.split(/\s+/);
+            if (words[0] === 'link') {
+                if (words.length < 2 || words.length > 3) {
+                    throw new Error(`'{{${inner}}}' must be {{link <field>}} or {{link <field> <field>}}`);
+                }
+                words.slice(1).forEach(name => { if (!known(name)) throw unknown(name); });
+                stack[stack.length - 1].children.push({ link: words[1], label: words[2] });
+            } else {
+                if (words.length !== 1 || !known(inner)) throw unknown(inner);
+                stack[stack.length - 1].children.push({ field: inner });
+            }
+        }
+    }
+    const rest = source.slice(last);
+    if (rest.includes('{{')) throw new Error(`unclosed '{{' in "${source}"`);
+    if (rest) root.push({ text: rest });
+    if (stack.length > 1) {
+        throw new Error(`'{{#${stack[stack.length - 1].section}}}' is never closed`);
+    }
+    return root;
+}
+
+/**
+ * Renders parsed nodes against a screening.
+ * @param {any[]} nodes - From compileTemplate()
+ * @param {Object} screening
+ * @param {boolean} html
+ * @returns {string}
+ */
+function renderNodes(nodes, screening, html) {
+    const value = name => FIELDS[name](screening) || '';
+    const escape = text => (html ? escapeHtml(text) : text);
+    return nodes.map(node => {
+        if ('text' in node) return node.text;
+        if ('field' in node) return escape(value(node.field));
+        if ('link' in node) {
+            const url = value(node.link);
+            if (!url) return '';
+            if (!html) return url;
+            return `<a href="${escapeHtml(url)}">${escapeHtml((node.label && value(node.label)) || url)}</a>`;
+        }
+        const present = value(node.section) !== '';
+        return present !== node.inverted ? renderNodes(node.children, screening, html) : '';
+    }).join('');
+}
+
+/**
+ * @typedef {Object} EventTemplates
+ * @property {any[]} summary - Parsed summary template
+ * @property {any[][]} description - One parsed template per line
+ * @property {boolean} html
+ */
+
+/**
+ * Parses a template configuration, collecting every problem rather than the first.
+ * @param {any} config - { summary, description, html }
+ * @returns {EventTemplates}
+ * @throws {Error} Listing every problem
+ */
+function compileEventTemplates(config) {
+    const errors = [];
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        throw new Error('compileEventTemplates: the configuration must be an object');
+    }
+    for (const key of Object.keys(config)) {
+        if (!['summary', 'description', 'html'].includes(key)) {
+            errors.push(`${key} is not a known setting (expected summary, description or html)`);
+        }
+    }
+    if (config.html !== undefined && typeof config.html !== 'boolean') {
+        errors.push('html must be true or false');
+    }
+
+    let summary = [];
+    try {
+        summary = compileTemplate(config.summary);
+    } catch (error) {
+        errors.push(`summary: ${error.message}`);
+    }
+
+    const lines = typeof config.description === 'string' ? [config.description] : config.description;
+    const description = [];
+    if (!Array.isArray(lines)) {
+        errors.push('description must be a string or a list of lines');
+    } else {
+        lines.forEach((line, index) => {
+            try {
+                description.push(compileTemplate(line));
+            } catch (error) {
+                errors.push(`description line ${index + 1}: ${error.message}`);
+            }
+        });
+    }
+
+    if (errors.length > 0) {
+        throw new Error(`compileEventTemplates: invalid event templates:\n  - ${errors.join('\n  - ')}`);
+    }
+    return { summary, description, html: config.html === true };
+}
+
+/**
+ * Reads eventTemplates.json, applies any environment overrides, and parses the result.
+ * @param {Object} [options]
+ * @param {string} [options.filePath] - Defaults to eventTemplates.json beside this module
+ * @param {NodeJS.ProcessEnv} [options.env=process.env]
+ * @returns {EventTemplates}
+ * @throws {Error} When the file is unreadable or a template is invalid
+ */
+function loadEventTemplates(options = {}) {
+    const { filePath = TEMPLATES_PATH, env = process.env } = options;
+
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`loadEventTemplates: cannot read ${path.basename(filePath)}: ${error.message}`);
+    }
+
+    if (env.EVENT_SUMMARY_TEMPLATE) config.summary = env.EVENT_SUMMARY_TEMPLATE;
+    if (env.EVENT_DESCRIPTION_TEMPLATE) config.description = env.EVENT_DESCRIPTION_TEMPLATE.split(/\\n|\r?\n/);
+    if (env.EVENT_TEMPLATE_HTML) config.html = env.EVENT_TEMPLATE_HTML.trim().toLowerCase() === 'true';
+
+    try {
+        return compileEventTemplates(config);
+    } catch (error) {
+        throw new Error(error.message.replace('compileEventTemplates:', 'loadEventTemplates:'));
+    }
+}
+
+/**
+ * Renders a screening's summary and description.
+ * @param {EventTemplates} templates - From loadEventTemplates()
+ * @param {Object} screening - From screenings.js
+ * @param {Object} [options]
+ * @param {boolean} [options.html] - Defaults to the templates' own setting; pass false
+ *   for outputs that only take plain text, such as the iCalendar feed
+ * @returns {{ summary: string, description: string }}
+ */
+function renderScreening(templates, screening, options = {}) {
+    // Parameter validation
+    if (!templates || !Array.isArray(templates.description)) {
+        throw new Error('renderScreening: templates must be a result of loadEventTemplates()');
+    }
+    if (!screening || typeof screening !== 'object') {
+        throw new Error('renderScreening: screening must be an object');
+    }
+    const { html = templates.html } = options;
+
+    const lines = templates.description
+        .map(line => renderNodes(line, screening, html))
+        .filter(line => line.trim() !== '');
+    // A summary that renders empty would be rejected by the API; the title always exists.
+    const summary = renderNodes(templates.summary, screening, false).trim() || screening.displayTitle;
+    return { summary, description: lines.join(html ? '<br>' : '\n') };
+}
+
+module.exports = {
+    FIELDS,
+    compileTemplate,
+    compileEventTemplates,
+    loadEventTemplates,
+    renderScreening,
+};
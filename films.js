@@ -0,0 +1,191 @@
+/**
+ * films.js
+ * Reads a film's details from its page on the Beacon site, and keeps them in the 'films' tab.
+ *
+ * A film page lists its metadata as `.meta-field` blocks, each pairing a `.meta-label` with
+ * a `.meta-value`: runtime, director, year, country, language, format (35mm, DCP) and
+ * whatever else the Beacon adds for a given film. findRuntimes.js used to keep only the
+ * runtime. It now reads every pair and the synopsis with readFilmPage(), and records them
+ * in 'films', one row per film:
+ *
+ *   - a film is keyed by the slug of its URL (/calendar/movie/<slug>), which stays the same
+ *     whatever the title casing of a given listing;
+ *   - the fields most worth having get a column each (see FIELD_COLUMNS);
+ *   - every pair, those included, is also kept as JSON in Metadata, so a field the site
+ *     adds later is recorded without a code change.
+ *
+ * screenings.js gives each screening its film's director, year, country, language and
+ * format, which eventTemplates.js can put into event descriptions.
+ *
+ * Usage:
+ *   const { data } = await scraper.scrape(url, filmPage);
+ *   const record = filmRecord({ url, title, ...data, today });
+ *
+ * Covered by test/films.test.js.
+ */
+
+// @ts-check
+// Internal dependencies
+const { columnIndexes } = require('./sheetSchema');
+
+/**
+ * Column for each field label, lower-cased. Labels not listed are kept in Metadata only.
+ * @type {Record<string, string>}
+ */
+const FIELD_COLUMNS = {
+    'director': 'Director',
+    'directors': 'Director',
+    'directed by': 'Director',
+    'year': 'Year',
+    'release year': 'Year',
+    'country': 'Country',
+    'countries': 'Country',
+    'language': 'Language',
+    'languages': 'Language',
+    'format': 'Format',
+    'runtime': 'Runtime',
+};
+
+/**
+ * @typedef {Object} FilmField
+ * @property {string} label - As shown on the page, e.g. "Director"
+ * @property {string} value
+ */
+
+/**
+ * @typedef {Object} FilmPage
+ * @property {FilmField[]} fields - In page order
+ * @property {string} synopsis - '' when the page has none
+ * @property {string|null} runtime - The Runtime field, or null when the page has none
+ */
+
+/**
+ * Reads the metadata pairs, synopsis and runtime off a film page.
+ *
+ * Runs in Chrome through page.evaluate() as well as in Node (see scraper.js), so it may use
+ * nothing from this module. The synopsis is taken from the first synopsis block found,
+ * falling back to the page's description meta tag.
+ *
+ * @param {string} [pageUrl] - Unused; part of the extractor signature
+ * @param {any} [root=document]
+ * @returns {FilmPage}
+ */
+function readFilmPage(pageUrl, root = document) {
+    const text = element => (element ? element.textContent.replace(/\s+/g, ' ').trim() : '');
+    const fields = [];
+    for (const field of root.querySelectorAll('.meta-field')) {
+        const label = text(field.querySelector('.meta-label'));
+        const value = text(field.querySelector('.meta-value'));
+        if (label && value) fields.push({ label, value });
+    }
+    let synopsis = '';
+    for (const selector of ['.movie-synopsis', '.film-synopsis', '.synopsis']) {
+        synopsis = text(root.querySelector(selector));
+        if (synopsis) break;
+    }
+    if (!synopsis) {
+        const meta = root.querySelector('meta[name="description"], meta[property="og:description"]');
+        synopsis = ((meta && meta.getAttribute('content')) || '').trim();
+    }
+    // The legacy fallback scanned every element in the document for the text "runtime",
+    // which also matched any ancestor whose entire text was that word.
+    const runtimeField = fields.find(field => field.label.toLowerCase() === 'runtime');
+    const legacy = runtimeField ? null : Array.from(root.querySelectorAll('p, dt, span, strong, h4, h5'))
+        .find(element => text(element).toLowerCase() === 'runtime');
+    const runtime = runtimeField ? runtimeField.value : (text(legacy && legacy.nextElementSibling) || null);
+    return { fields, synopsis, runtime };
+}
+
+/**
+ * The film page, for scraper.js. Film pages render metadata as `.meta-field` blocks pairing
+ * a `.meta-label` with a `.meta-value`; the runtime is one of them.
+ * @type {import('./scraper').PageExtractor}
+ */
+const filmPage = { name: 'film', expect: '.meta-field', extract: readFilmPage };
+
+/**
+ * The slug a film is keyed by: the last segment of its page's path, lower-cased.
+ * @param {string} url - e.g. https://thebeacon.film/calendar/movie/alien
+ * @returns {string} e.g. "alien"; '' when the URL has no path
+ */
+function filmSlug(url) {
+    let pathname;
+    try {
+        pathname = new URL(url).pathname;
+    } catch (error) {
+        return '';
+    }
+    const segments = pathname.split('/').filter(Boolean);
+    return segments.length > 0 ? decodeURIComponent(segments[segments.length - 1]).toLowerCase() : '';
+}
+
+/**
+ * Builds a 'films' record from what readFilmPage() found.
+ *
+ * @param {Object} film
+ * @param {string} film.url
+ * @param {string} film.title
+ * @param {FilmField[]} film.fields
+ * @param {string} [film.synopsis]
+ * @param {string} film.today - YYYY-MM-DD, recorded as DateRecorded
+ * @returns {Object<string, string>} Values keyed by column name
+ */
+function filmRecord(film) {
+    // Parameter validation
+    if (!film || typeof film.url !== 'string' || !filmSlug(film.url)) {
+        throw new Error('filmRecord: film.url must be a film page URL');
+    }
+    if (!Array.isArray(film.fields)) {
+        throw new Error('filmRecord: film.fields must be an array');
+    }
+
+    const record = {
+        Slug: filmSlug(film.url),
+        Title: (film.title || '').trim(),
+        URL: film.url,
+        Director: '',
+        Year: '',
+        Country: '',
+        Language: '',
+        Format: '',
+        Runtime: '',
+        Synopsis: (film.synopsis || '').trim(),
+        Metadata: '',
+        DateRecorded: film.today,
+    };
+    const metadata = {};
+    for (const { label, value } of film.fields) {
+        metadata[label] = value;
+        const column = FIELD_COLUMNS[label.trim().toLowerCase()];
+        // The first of two labels for the same column wins, as it comes first on the page.
+        if (column && !record[column]) record[column] = value;
+    }
+    record.Metadata = Object.keys(metadata).length > 0 ? JSON.stringify(metadata) : '';
+    return record;
+}
+
+/**
+ * Reads the 'films' tab into a slug-to-record map.
+ * @param {string[][]} rows - Sheet rows, header first
+ * @returns {Map<string, Object<string, string>>}
+ */
+function parseFilms(rows) {
+    const column = columnIndexes('films', rows[0]);
+    const films = new Map();
+    for (const line of rows.slice(1)) {
+        const record = Object.fromEntries(Object.entries(column)
+            .filter(([, index]) => index >= 0)
+            .map(([name, index]) => [name, (line[index] || '').trim()]));
+        if (record.Slug) films.set(record.Slug.toLowerCase(), record);
+    }
+    return films;
+}
+
+module.exports = {
+    FIELD_COLUMNS,
+    readFilmPage,
+    filmPage,
+    filmSlug,
+    filmRecord,
+    parseFilms,
+};
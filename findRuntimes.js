@@ -1,54 +1,104 @@
 /**
  * findRuntimes.js
- * Extracts runtime information for events listed in Google Sheet 'schedule' and updates Google Sheet 'runtimes'.
+ * Extracts runtime information and film details for events listed in Google Sheet 'schedule'
+ * and updates Google Sheets 'runtimes' and 'films'.
  * Usage: node findRuntimes.js
  * - Prompts to replace runtimes (5s timeout, defaults to No). Answering Yes re-scrapes
  *   every scheduled film instead of skipping the ones already recorded.
  * - Reads Google Sheet 'schedule' for unique event URLs.
- * - Skips titles already present in Google Sheet 'runtimes' with a non-empty Runtime.
- * - Uses Puppeteer to extract runtime info from each URL.
- * - Merges newly scraped runtimes with the ones already in Google Sheet 'runtimes',
- *   so previously recorded values are not lost. Fresh values win on conflict.
- * Dependencies: ./puppeteerConfig.js, readline, ./sheetsUtils.js, ./utils.js,
- *   ./logger.js, ./errorHandler.js
+ * - Skips titles already present in Google Sheet 'runtimes' with a non-empty Runtime,
+ *   unless their film is missing from Google Sheet 'films'.
+ * - Reads each film page's metadata fields and synopsis (see films.js), and takes the
+ *   runtime from them. Pages load through scraper.js, in Chrome or over plain HTTP as
+ *   SCRAPE_MODE chooses, SCRAPE_PAGES at a time (see pagePool.js). A page that fails or
+ *   times out is logged and left for the next run; the others are still recorded.
+ * - Stores each runtime as whole minutes in RuntimeMinutes as well (see runtimeParser.js),
+ *   keeping a value entered there by hand while its Runtime is unchanged, and warns about
+ *   each runtime it cannot read.
+ * - Merges newly scraped runtimes and films with the ones already recorded, so previously
+ *   recorded values are not lost. Fresh values win on conflict.
+ * - Keeps any columns added to 'runtimes' or 'films' by hand, matched to their rows by
+ *   Title and by URL slug.
+ * Dependencies: ./scraper.js, ./pagePool.js, ./selectorHealth.js, readline, ./storage.js,
+ *   ./sheetSchema.js, ./rowMerge.js, ./films.js, ./runtimeParser.js, ./utils.js, ./logger.js,
+ *   ./errorHandler.js
  */
 
 require('dotenv').config();
 
 // External dependencies
-const { launchPuppeteerQuiet } = require('./puppeteerConfig');
-const { getSheetRows, setSheetRows } = require('./sheetsUtils');
+const { createScraper } = require('./scraper');
+const { loadPoolConfig, runPool } = require('./pagePool');
+const { createHealthRecorder } = require('./selectorHealth');
+const { getTabs, setRows, getStorage } = require('./storage');
+const { columnIndexes, headerFor } = require('./sheetSchema');
+const { mergeRows } = require('./rowMerge');
+const { filmPage, filmSlug, filmRecord, parseFilms } = require('./films');
+const { runtimeMinutesCell } = require('./runtimeParser');
 const readline = require('readline');
 
 // Internal dependencies
-const { deduplicateRows, navigateWithRetry } = require('./utils');
+const { deduplicateRows } = require('./utils');
 const logger = require('./logger')('findRuntimes');
 const { setupErrorHandling } = require('./errorHandler');
 
 setupErrorHandling(logger, 'findRuntimes.js');
 
+/**
+ * Logs why a film page could not be scraped, with a hint for the common causes.
+ * @param {string} url
+ * @param {Error} error - From the page's task, including a pool timeout
+ */
+function logPageError(url, error) {
+    if (!error || !error.message) {
+        logger.error(`Unknown error processing URL: ${url}`, error);
+        return;
+    }
+    logger.error(`Error processing URL: ${url} - ${error.message}`);
+    if (
+        error.message.includes('net::ERR_NAME_NOT_RESOLVED') ||
+        error.message.includes('Invalid URL') ||
+        error.message.includes('net::ERR_CONNECTION_REFUSED')
+    ) {
+        logger.error(`Navigation error: Unable to access "${url}".`);
+    }
+    if (error.message.includes('Navigation timeout') || error.message.startsWith('timed out after')) {
+        logger.error(`Navigation timeout: "${url}" may be down or slow.`);
+    }
+    if (error.message.includes('404') || error.message.includes('500')) {
+        logger.error(`HTTP error (${error.message}) for "${url}".`);
+    }
+    if (error.stack && !error.message.includes('ENOENT')) {
+        logger.error(error.stack);
+    }
+}
+
 (async () => {
     logger.info('Starting findRuntimes.js');
 
-    // Read schedule from Google Sheet
-    const scheduleRowsRaw = await getSheetRows('schedule');
-    const scheduleHeader = scheduleRowsRaw[0] || [];
+    // Read schedule, runtimes and films from Google Sheet
+    const {
+        schedule: scheduleRowsRaw,
+        runtimes: runtimesRowsRaw,
+        films: filmsRowsRaw,
+    } = await getTabs(['schedule', 'runtimes', 'films']);
+    const scheduleColumn = columnIndexes('schedule', scheduleRowsRaw[0]);
     const scheduleRows = scheduleRowsRaw.length > 1 ? scheduleRowsRaw.slice(1).map(line => {
         return {
-            Title: line[scheduleHeader.indexOf('Title')],
-            URL: line[scheduleHeader.indexOf('URL')],
+            Title: line[scheduleColumn.Title],
+            URL: line[scheduleColumn.URL],
         };
     }).filter(row => row.Title && row.URL) : [];
 
-    // Read runtimes from Google Sheet
-    const runtimesRowsRaw = await getSheetRows('runtimes');
-    const runtimesHeader = runtimesRowsRaw[0] || [];
+    const runtimesColumn = columnIndexes('runtimes', runtimesRowsRaw[0]);
     const runtimesRows = runtimesRowsRaw.length > 1 ? runtimesRowsRaw.slice(1).map(line => {
         return {
-            Title: line[runtimesHeader.indexOf('Title')],
-            Runtime: line[runtimesHeader.indexOf('Runtime')],
+            Title: line[runtimesColumn.Title],
+            Runtime: line[runtimesColumn.Runtime],
+            RuntimeMinutes: line[runtimesColumn.RuntimeMinutes],
         };
     }).filter(row => row.Title && row.Runtime) : [];
+    const knownFilms = parseFilms(filmsRowsRaw);
 
     // Prompt user to replace runtimes (5s timeout)
     const shouldReplaceRuntimes = await new Promise((resolve) => {
@@ -62,7 +112,7 @@ setupErrorHandling(logger, 'findRuntimes.js');
             resolve(false);
         }, 5000);
 
-        rl.question('Replace existing runtimes? (Y/N): ', (answer) => {
+        rl.question('Replace existing runtimes and film details? (Y/N): ', (answer) => {
             clearTimeout(timeout);
             rl.close();
             resolve(['y', 'yes'].includes(answer.toLowerCase().trim()));
@@ -88,7 +138,8 @@ setupErrorHandling(logger, 'findRuntimes.js');
             logger.warn('Skipping malformed row in schedule sheet:', row);
             continue;
         }
-        if (row.URL && row.Title && !processedTitles.has(row.Title.trim())) {
+        const recorded = processedTitles.has(row.Title && row.Title.trim()) && knownFilms.has(filmSlug(row.URL));
+        if (row.URL && row.Title && !recorded) {
             allSkippedForMissingFields = false;
             const key = `${row.Title.trim()}|${row.URL}`;
             if (urlSet.has(key)) duplicateTitleUrlFound = true;
@@ -113,69 +164,48 @@ setupErrorHandling(logger, 'findRuntimes.js');
 
     logger.info(`Found ${urls.size} unique URLs to process.`);
 
-    let browser;
+    const health = createHealthRecorder('findRuntimes');
+    const scraper = createScraper({ logger, health });
     const results = [];
+    const filmResults = [];
+    const today = new Date().toISOString().split('T')[0];
     try {
-        // Use centralized Puppeteer configuration
-        browser = await launchPuppeteerQuiet();
-        for (const [url, title] of urls.entries()) {
+        const { pages } = loadPoolConfig(process.env, scraper.mode);
+        logger.info(`Loading ${pages} page${pages === 1 ? '' : 's'} at a time.`);
+        const targets = [...urls.entries()];
+        const outcomes = await runPool(targets, ([url, title], index, signal) => {
             logger.info(`Processing URL: ${url} for Title: ${title}`);
-            const page = await browser.newPage();
-            try {
-                const navigationSuccess = await navigateWithRetry(page, url, { logger });
-                if (!navigationSuccess) {
-                    logger.error(`Failed to load ${url} after retries`);
-                    results.push({ url, title, runtime: 'N/A' });
-                    continue;
-                }
-                // Extract runtime from the film's detail page.
-                // Film pages render metadata as `.meta-field` blocks pairing a
-                // `.meta-label` with a `.meta-value`. The legacy fallback below
-                // scanned every element in the document for the text "runtime",
-                // which also matched any ancestor whose entire text was that word.
-                const runtime = await page.evaluate(() => {
-                    for (const field of document.querySelectorAll('.meta-field')) {
-                        const label = field.querySelector('.meta-label')?.textContent.trim().toLowerCase();
-                        if (label === 'runtime') {
-                            return field.querySelector('.meta-value')?.textContent.trim() || null;
-                        }
-                    }
-                    const legacy = Array.from(document.querySelectorAll('p, dt, span, strong, h4, h5'))
-                        .find(el => el.textContent.trim().toLowerCase() === 'runtime');
-                    return legacy?.nextElementSibling?.textContent.trim() || null;
-                });
-                if (runtime) {
-                    logger.info(`Found Runtime: ${runtime} for Title: ${title}`);
-                    results.push({ Title: title, Runtime: runtime });
-                } else {
-                    logger.warn(`Runtime not found for URL: ${url}`);
-                }
-            } catch (error) {
-                if (error && error.message) {
-                    logger.error(`Error processing URL: ${url} - ${error.message}`);
-                    if (
-                        error.message.includes('net::ERR_NAME_NOT_RESOLVED') ||
-                        error.message.includes('Invalid URL') ||
-                        error.message.includes('net::ERR_CONNECTION_REFUSED')
-                    ) {
-                        logger.error(`Navigation error: Unable to access "${url}".`);
-                    }
-                    if (error.message.includes('Navigation timeout')) {
-                        logger.error(`Navigation timeout: "${url}" may be down or slow.`);
-                    }
-                    if (error.message.includes('404') || error.message.includes('500')) {
-                        logger.error(`HTTP error (${error.message}) for "${url}".`);
-                    }
-                    if (error.stack && !error.message.includes('ENOENT')) {
-                        logger.error(error.stack);
-                    }
-                } else {
-                    logger.error(`Unknown error processing URL: ${url}`, error);
-                }
-            } finally {
-                await page.close();
+            // Every metadata field and the synopsis from the film's detail page; the
+            // runtime is one of the fields. See films.js.
+            return scraper.scrape(url, filmPage, { signal });
+        }, { pages });
+
+        // Read in schedule order, whichever page finished first.
+        outcomes.forEach((outcome, index) => {
+            const [url, title] = targets[index];
+            if (!outcome.ok) {
+                logPageError(url, outcome.error);
+                return;
             }
-        }
+            const { ok, status, data } = outcome.value;
+            if (!ok) {
+                // Nothing is recorded for it, so the next run tries the film again.
+                logger.error(`Failed to load ${url}${status ? ` (HTTP ${status})` : ' after retries'}`);
+                return;
+            }
+            const { fields, synopsis, runtime } = data;
+            if (fields.length > 0 || synopsis) {
+                filmResults.push(filmRecord({ url, title, fields, synopsis, today }));
+            } else {
+                logger.warn(`No film details found for URL: ${url}`);
+            }
+            if (runtime) {
+                logger.info(`Found Runtime: ${runtime} for Title: ${title}`);
+                results.push({ Title: title, Runtime: runtime });
+            } else {
+                logger.warn(`Runtime not found for URL: ${url}`);
+            }
+        });
     } catch (error) {
         if (error && error.message) {
             logger.error('An error occurred while processing URLs:', error.message);
@@ -186,8 +216,9 @@ setupErrorHandling(logger, 'findRuntimes.js');
             logger.error('An unknown error occurred while processing URLs:', error);
         }
     } finally {
-        if (browser) await browser.close();
+        await scraper.close();
     }
+    health.finish({ logger });
 
     // Deduplicate newly scraped results by Title.
     const uniqueResults = deduplicateRows(results, rec => rec.Title);
@@ -202,23 +233,46 @@ setupErrorHandling(logger, 'findRuntimes.js');
     );
 
     if (merged.length === 0) {
-        logger.warn('No runtimes to write. runtimes (Google Sheet) left unchanged.');
+        logger.warn(`No runtimes to write. runtimes in ${getStorage().describe()} left unchanged.`);
         if (!runtimesRowsRaw.length) {
-            await setSheetRows('runtimes', [['Title', 'Runtime']]);
-            logger.info('runtimes (Google Sheet) header written.');
+            await setRows('runtimes', [headerFor('runtimes')]);
+            logger.info(`runtimes header written to ${getStorage().describe()}.`);
         }
         logger.warn('No valid runtimes written for any event.');
     } else {
-        const sheetRows = [
-            ['Title', 'Runtime'],
-            ...merged.map(event => [event.Title, event.Runtime])
-        ];
-        await setSheetRows('runtimes', sheetRows);
-        logger.info(`Runtimes written to runtimes (Google Sheet): ${runtimesAdded} new, ${merged.length} total.`);
+        // Each runtime is stored as whole minutes too, for the calendar's end times. One that
+        // cannot be read is left empty and reported, so it can be fixed in the sheet.
+        const recorded = new Map(runtimesRows.map(row => [row.Title.trim(), row]));
+        const unreadable = [];
+        const records = merged.map(record => {
+            const { value, flagged } = runtimeMinutesCell(record.Runtime, recorded.get(record.Title.trim()));
+            if (flagged) unreadable.push(record);
+            return { ...record, RuntimeMinutes: value };
+        });
+        for (const record of unreadable) {
+            logger.warn(`Could not read the runtime '${record.Runtime}' of ${record.Title} as minutes; its events ` +
+                'will end 2 hours after they start. Enter the minutes in its RuntimeMinutes cell to fix this.');
+        }
+        // Keeps any columns added to the tab by hand, such as notes, with their titles.
+        await setRows('runtimes', mergeRows('runtimes', runtimesRowsRaw, records));
+        logger.info(`Runtimes written to runtimes in ${getStorage().describe()}: ${runtimesAdded} new, ${merged.length} total` +
+            (unreadable.length > 0 ? `, ${unreadable.length} not readable as minutes.` : '.'));
     }
     if (runtimesAdded === 0) {
         logger.info('No new runtimes found. Script completed successfully.');
     }
+
+    // Films are merged the same way, by URL slug. The tab is left alone when no page
+    // yielded details, so a failed scrape cannot blank it.
+    const uniqueFilms = deduplicateRows(filmResults, rec => rec.Slug);
+    if (uniqueFilms.length > 0) {
+        const mergedFilms = deduplicateRows([...uniqueFilms, ...knownFilms.values()], rec => rec.Slug);
+        await setRows('films', mergeRows('films', filmsRowsRaw, mergedFilms));
+        logger.info(`Film details written to films in ${getStorage().describe()}: ${uniqueFilms.length} scraped, ` +
+            `${mergedFilms.length} total.`);
+    } else {
+        logger.info(`No film details scraped. films in ${getStorage().describe()} left unchanged.`);
+    }
     // Output summary
     logger.info(`Total runtimes processed: ${runtimesAdded}`);
 })().catch(err => {
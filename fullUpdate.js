@@ -6,27 +6,50 @@
  * 3. beaconSchedule.js - Scrapes the schedule and updates Google Sheet 'schedule'.
  * 4. findRuntimes.js   - Extracts runtimes and updates Google Sheet 'runtimes'.
  * 5. updateGCal.js     - Updates Google Calendar with the latest schedule from Google Sheets.
- * Usage: node fullUpdate.js
+ * Usage: node fullUpdate.js [--dry-run]
+ * - --dry-run: runs steps 1-4 as usual, then runs updateGCal.js with --dry-run so the
+ *   calendar changes are printed for review instead of written.
  * - Runs each step sequentially, without prompts, and stops at the first failure.
  * - Reports each step's exit code, or the signal that killed it, plus how long it took.
  *   A step killed by SIGKILL is almost always the host running out of memory.
  * - Runs every step under this same Node binary rather than whatever `node` resolves to.
  * - Forwards SIGINT and SIGTERM to the running step so it is not left orphaned.
+ * - Checks what the scraping steps recorded in selectorHealth.js. When the site's structure
+ *   looks changed, every step still runs, but the pipeline exits with code 2 rather than 0.
+ * - With STORAGE_BACKEND=local and no Google credentials, step 5 writes the iCalendar
+ *   feed (icsFeed.js) instead, so the whole pipeline runs offline. See storage.js.
  * All credentials and configuration are loaded from .env (not beacon-calendar-update.json).
- * Dependencies: ./utils.js, ./logger.js, ./errorHandler.js
+ * Dependencies: ./utils.js, ./storage.js, ./selectorHealth.js, ./logger.js, ./errorHandler.js
  */
 
+require('dotenv').config();
+
 // External dependencies
 const { spawn } = require('child_process');
 const path = require('path');
 
 // Internal dependencies
 const { checkFile } = require('./utils');
+const { loadStorageConfig, getStorage } = require('./storage');
+const { loadHealthRuns, healthStatus, DEGRADED_EXIT_CODE } = require('./selectorHealth');
 const logger = require('./logger')('fullUpdate');
 const { setupErrorHandling, handleError } = require('./errorHandler');
 
 setupErrorHandling(logger, 'fullUpdate.js');
 
+const DRY_RUN = process.argv.includes('--dry-run');
+
+let storageConfig;
+try {
+    storageConfig = loadStorageConfig();
+} catch (error) {
+    logger.error(`${error.message.replace('loadStorageConfig: ', '')} in your .env file.`);
+    process.exit(1);
+}
+
+// Without Google there is no calendar to sync, but the feed shows the same result.
+const OFFLINE = storageConfig.backend === 'local' && !process.env.GOOGLE_CLIENT_EMAIL;
+
 // Node.js version check.
 // 20 is what the dependencies actually need: glob requires "20 || >=22", puppeteer and
 // express require >=18, and fs.readdirSync(dir, { recursive: true }) in puppeteerConfig.js
@@ -70,9 +93,10 @@ for (const signal of ['SIGINT', 'SIGTERM']) {
  * @param {string} script - Filename of the step, resolved relative to this file
  * @param {string} label - Human-readable name for logging
  * @param {number} stepNum - 1-based step number
+ * @param {string[]} [args=[]] - Extra command-line arguments for the step
  * @returns {Promise<void>} Resolves when the step exits 0; exits the process otherwise
  */
-function runScript(script, label, stepNum) {
+function runScript(script, label, stepNum, args = []) {
     // Parameter validation
     if (!script || typeof script !== 'string') {
         throw new Error('runScript: script must be a non-empty string');
@@ -83,6 +107,9 @@ function runScript(script, label, stepNum) {
     if (typeof stepNum !== 'number' || stepNum < 1) {
         throw new Error('runScript: stepNum must be a positive number');
     }
+    if (!Array.isArray(args)) {
+        throw new Error('runScript: args must be an array');
+    }
 
     return new Promise(resolve => {
         logger.info(`[STEP ${stepNum}] Running ${label}...`);
@@ -90,7 +117,7 @@ function runScript(script, label, stepNum) {
 
         // process.execPath is this same Node binary, so a step cannot silently run under a
         // different version than the one checked above.
-        const child = spawn(process.execPath, [path.join(__dirname, script)], {
+        const child = spawn(process.execPath, [path.join(__dirname, script), ...args], {
             stdio: 'inherit'
         });
         activeChild = child;
@@ -139,7 +166,7 @@ function checkRequiredFiles() {
         'beaconSeries.js',
         'beaconSchedule.js',
         'findRuntimes.js',
-        'updateGCal.js'
+        OFFLINE ? 'icsFeed.js' : 'updateGCal.js'
     ];
     for (const script of requiredScripts) {
         checkFile(path.join(__dirname, script), {
@@ -160,16 +187,40 @@ function checkStepOutput(sheetName, label) {
         throw new Error('checkStepOutput: label must be a non-empty string');
     }
     // Optionally, could check Google Sheet for expected header/rows
-    logger.info(`Checked output for ${label} in Google Sheet '${sheetName}'.`);
+    logger.info(`Checked output for ${label} in '${sheetName}' (${getStorage().describe()}).`);
+}
+
+/**
+ * Reads what the selector health check made of the scraping steps of this run.
+ * @param {string} since - ISO timestamp the run started at
+ * @returns {{ status: string, problems: Array<{ script: string, message: string }> }}
+ */
+function checkSiteHealth(since) {
+    try {
+        return healthStatus(loadHealthRuns().filter(run => run.at >= since));
+    } catch (error) {
+        logger.warn(`Could not read the selector health check: ${error.message}`);
+        return { status: 'unknown', problems: [] };
+    }
 }
 
 // Removed promptToRunScript and runConditionalScript functions - now runs automatically
 
 (async () => {
     try {
-        logger.info('Starting fullUpdate.js');
+        logger.info(`Starting fullUpdate.js${DRY_RUN ? ' (dry run: the calendar will not be changed)' : ''}`);
+        const startedAt = new Date().toISOString();
         checkRequiredFiles();
 
+        // Each step checks the tables again as it starts; checking here as well stops a
+        // run with a missing tab or column before twenty minutes of scraping, not after.
+        try {
+            await getStorage().verify();
+        } catch (error) {
+            logger.error(error.message);
+            process.exit(1);
+        }
+
         // Awaited one at a time, so the steps stay strictly sequential.
         //
         // Runs before beaconSeries.js so a newly listed series is scraped on the
@@ -186,9 +237,31 @@ function checkStepOutput(sheetName, label) {
         await runScript('findRuntimes.js', 'findRuntimes.js', 4);
         checkStepOutput('runtimes', 'findRuntimes.js');
 
-        await runScript('updateGCal.js', 'updateGCal.js', 5);
+        // Step 5 still runs: a scraper that finds nothing leaves its tab as it was, so the
+        // calendar is synced from the last good scrape rather than from an empty one.
+        const siteHealth = checkSiteHealth(startedAt);
+        for (const problem of siteHealth.problems) {
+            logger.error(`[${problem.script}] ${problem.message}`);
+        }
+        if (siteHealth.status === 'degraded') {
+            logger.error('The website structure may have changed. Continuing, but this run will exit ' +
+                `with code ${DEGRADED_EXIT_CODE}.`);
+        }
+
+        if (OFFLINE) {
+            logger.info('STORAGE_BACKEND is local and there are no Google credentials: ' +
+                'writing the iCalendar feed instead of syncing Google Calendar.');
+            await runScript('icsFeed.js', 'icsFeed.js', 5);
+        } else {
+            await runScript('updateGCal.js', 'updateGCal.js', 5, DRY_RUN ? ['--dry-run'] : []);
+        }
 
-        logger.info('fullUpdate.js completed all steps.');
+        if (siteHealth.status === 'degraded') {
+            logger.error(`fullUpdate.js completed all steps${DRY_RUN ? ' (dry run)' : ''}, but the site ` +
+                'structure check failed; see "Website structure dependencies" in README.md.');
+            process.exit(DEGRADED_EXIT_CODE);
+        }
+        logger.info(`fullUpdate.js completed all steps${DRY_RUN ? ' (dry run)' : ''}.`);
     } catch (err) {
         logger.error('Unhandled exception in fullUpdate.js:', err);
         process.exit(1);
@@ -0,0 +1,190 @@
+/**
+ * googleRetry.js
+ * Retries Google API calls that fail on rate limits or transient server errors.
+ *
+ * Neither the Sheets nor the Calendar calls retried anything, so a momentary quota blip
+ * failed a whole step, or silently dropped an event into the failure count. Calls wrapped
+ * in withRetry() are retried with jittered exponential backoff on:
+ *
+ * - HTTP 429, and any 5xx
+ * - a 403 whose reason is rateLimitExceeded or userRateLimitExceeded, which is how the
+ *   Calendar API reports per-user quota
+ *
+ * A Retry-After header, when the server sends one, sets the minimum wait. Anything else,
+ * such as a 400 for a malformed event or a 404, fails immediately: retrying it only delays
+ * the same answer.
+ *
+ * Configuration:
+ * - GOOGLE_API_MAX_ATTEMPTS: total attempts per call, including the first (default: 5)
+ *
+ * Usage:
+ *   const { withRetry } = require('./googleRetry');
+ *   const res = await withRetry(() => sheets.spreadsheets.values.get(params), { label: "read 'schedule'" });
+ *
+ * Covered by test/googleRetry.test.js.
+ */
+
+// @ts-check
+// Internal dependencies
+const defaultLogger = require('./logger')('googleRetry');
+
+const DEFAULT_MAX_ATTEMPTS = Math.max(1, parseInt(process.env.GOOGLE_API_MAX_ATTEMPTS, 10) || 5);
+const BASE_DELAY_MS = 500;
+const MAX_DELAY_MS = 30000;
+
+// 403 reasons that mean "slow down" rather than "not allowed".
+const RATE_LIMIT_REASONS = new Set(['rateLimitExceeded', 'userRateLimitExceeded']);
+
+/**
+ * Decides from a status and error reason whether a failure is worth retrying.
+ * @param {number} status - HTTP status, or 0 when unknown
+ * @param {string} [reason] - Google error reason, e.g. "rateLimitExceeded"
+ * @returns {boolean}
+ */
+function isRetryableStatus(status, reason = '') {
+    if (status === 429 || (status >= 500 && status <= 599)) return true;
+    return status === 403 && RATE_LIMIT_REASONS.has(reason);
+}
+
+/**
+ * Pulls the HTTP status out of an error thrown by googleapis (gaxios).
+ * @param {any} error
+ * @returns {number}
+ */
+function errorStatus(error) {
+    const status = error?.response?.status ?? error?.status ?? error?.code;
+    return typeof status === 'number' ? status : parseInt(status, 10) || 0;
+}
+
+/**
+ * Pulls the first Google error reason out of an error thrown by googleapis.
+ * @param {any} error
+ * @returns {string}
+ */
+function errorReason(error) {
+    const errors = error?.errors || error?.response?.data?.error?.errors;
+    return (Array.isArray(errors) && errors[0] && errors[0].reason) || '';
+}
+
+/**
+ * Whether a thrown error is worth retrying.
+ * @param {any} error
+ * @returns {boolean}
+ */
+function isRetryableError(error) {
+    return isRetryableStatus(errorStatus(error), errorReason(error));
+}
+
+/**
+ * Reads a Retry-After value, in seconds or as an HTTP date, as milliseconds.
+ * @param {string|undefined|null} value
+ * @param {number} [now] - Current time in ms, for the HTTP-date form
+ * @returns {number} Milliseconds to wait, or 0 when absent or unparseable
+ */
+function parseRetryAfter(value, now = Date.now()) {
+    if (!value) return 0;
+    const text = String(value).trim();
+    if (/^\d+$/.test(text)) return parseInt(text, 10) * 1000;
+    const date = Date.parse(text);
+    return Number.isNaN(date) ? 0 : Math.max(0, date - now);
+}
+
+/**
+ * Reads Retry-After from an error thrown by googleapis.
+ * @param {any} error
+ * @returns {number} Milliseconds, or 0
+ */
+function retryAfterFromError(error) {
+    const headers = error?.response?.headers;
+    if (!headers) return 0;
+    const value = typeof headers.get === 'function' ? headers.get('retry-after') : headers['retry-after'];
+    return parseRetryAfter(value);
+}
+
+/**
+ * Computes the wait before a retry: "full jitter", a random delay up to an exponentially
+ * growing cap, so many clients backing off at once do not retry in lockstep. A server's
+ * Retry-After is treated as a floor.
+ * @param {number} attempt - The attempt that just failed, starting at 1
+ * @param {Object} [options]
+ * @param {number} [options.retryAfterMs=0]
+ * @param {number} [options.baseDelayMs]
+ * @param {number} [options.maxDelayMs]
+ * @param {() => number} [options.random=Math.random]
+ * @returns {number} Milliseconds to wait
+ */
+function backoffDelay(attempt, options = {}) {
+    const {
+        retryAfterMs = 0,
+        baseDelayMs = BASE_DELAY_MS,
+        maxDelayMs = MAX_DELAY_MS,
+        random = Math.random,
+    } = options;
+    const cap = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+    return Math.max(retryAfterMs, Math.round(random() * cap));
+}
+
+/**
+ * Resolves after a delay.
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Calls fn, retrying retryable failures with jittered exponential backoff.
+ * @template T
+ * @param {() => Promise<T>} fn - The API call; invoked once per attempt
+ * @param {Object} [options]
+ * @param {string} [options.label='Google API call'] - Names the call in retry logs
+ * @param {number} [options.maxAttempts] - Total attempts; defaults to GOOGLE_API_MAX_ATTEMPTS or 5
+ * @param {Object} [options.logger] - Logger to report retries through
+ * @param {(ms: number) => Promise<void>} [options.sleep] - Overridden in tests
+ * @param {() => number} [options.random] - Overridden in tests
+ * @returns {Promise<T>}
+ * @throws The last error, once attempts run out or on a non-retryable failure
+ */
+async function withRetry(fn, options = {}) {
+    const {
+        label = 'Google API call',
+        maxAttempts = DEFAULT_MAX_ATTEMPTS,
+        logger = defaultLogger,
+        sleep: wait = sleep,
+        random = Math.random,
+    } = options;
+    // Parameter validation
+    if (typeof fn !== 'function') {
+        throw new Error('withRetry: fn must be a function');
+    }
+    if (!Number.isInteger(maxAttempts) || maxAttempts < 1) {
+        throw new Error('withRetry: maxAttempts must be a positive integer');
+    }
+
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await fn();
+        } catch (error) {
+            if (attempt >= maxAttempts || !isRetryableError(error)) throw error;
+
+            const delay = backoffDelay(attempt, { retryAfterMs: retryAfterFromError(error), random });
+            const reason = errorReason(error);
+            /** @type {any} */ (logger).warn(
+                `${label} failed with HTTP ${errorStatus(error)}${reason ? ` (${reason})` : ''}; ` +
+                `retrying in ${delay}ms (attempt ${attempt + 1}/${maxAttempts}).`
+            );
+            await wait(delay);
+        }
+    }
+}
+
+module.exports = {
+    DEFAULT_MAX_ATTEMPTS,
+    isRetryableStatus,
+    isRetryableError,
+    parseRetryAfter,
+    backoffDelay,
+    sleep,
+    withRetry,
+};
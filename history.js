@@ -0,0 +1,220 @@
+/**
+ * history.js
+ * Keeps every screening the schedule has ever listed, and answers questions about them.
+ *
+ * beaconSchedule.js replaces the 'schedule' tab with what the site lists now, so a
+ * screening is gone once it has passed. Each of its runs also records the screenings it
+ * scraped in the 'history' tab, which only ever grows:
+ *
+ *   - a screening is keyed as the calendar sync keys it (screeningKey() in
+ *     calendarSync.js): by Square catalog id, or by title, date and time without one;
+ *   - one not seen before is appended, with FirstSeen and LastSeen set to the run's time;
+ *   - one seen before only has LastSeen moved on, and any empty cell filled in.
+ *
+ * Running the same scrape twice adds nothing, and rows are never removed, so a screening
+ * dropped from the schedule keeps its row with the LastSeen of the last run that listed it.
+ *
+ * Usage:
+ *   node history.js film <title>     Every screening of films whose title contains <title>
+ *   node history.js series <series>  Every screening in a series, by tag or by name
+ *
+ *   const { recordHistory } = require('./history');
+ *   await recordHistory(events);
+ *
+ * Covered by test/history.test.js.
+ */
+
+// @ts-check
+// Internal dependencies
+const { screeningKey } = require('./calendarSync');
+const { columnIndexes, SCHEMA } = require('./sheetSchema');
+const { mergeRows } = require('./rowMerge');
+
+const COLUMNS = SCHEMA.history.columns;
+
+/**
+ * @typedef {Object} ScrapedScreening - As beaconSchedule.js builds them
+ * @property {string} title
+ * @property {string} date - YYYY-MM-DD
+ * @property {string} time - HH:MM
+ * @property {string} [url]
+ * @property {string} [seriesTag]
+ * @property {string} [catalogId]
+ */
+
+/**
+ * Reads the history rows into records keyed by column name.
+ * @param {string[][]} rows - The 'history' table, header first
+ * @returns {Object<string, string>[]}
+ */
+function readHistory(rows) {
+    const column = columnIndexes('history', rows[0]);
+    return rows.slice(1).map(row => Object.fromEntries(COLUMNS.map(name => [name, (row[column[name]] || '').trim()])));
+}
+
+/**
+ * Adds a run's screenings to the history.
+ *
+ * @param {string[][]} historyRows - The 'history' table as read, header first; [] when new
+ * @param {ScrapedScreening[]} screenings
+ * @param {string} now - ISO timestamp of the run
+ * @returns {{ rows: string[][], added: number, seen: number }} Rows for setRows(), with how
+ *   many screenings were new and how many were already recorded
+ */
+function updateHistory(historyRows, screenings, now) {
+    // Parameter validation
+    if (!Array.isArray(historyRows)) {
+        throw new Error('updateHistory: historyRows must be an array');
+    }
+    if (!Array.isArray(screenings)) {
+        throw new Error('updateHistory: screenings must be an array');
+    }
+    if (typeof now !== 'string' || Number.isNaN(Date.parse(now))) {
+        throw new Error('updateHistory: now must be an ISO timestamp');
+    }
+
+    const records = readHistory(historyRows);
+    const byKey = new Map(records.filter(record => record.ScreeningKey).map(record => [record.ScreeningKey, record]));
+    let added = 0;
+    let seen = 0;
+    for (const screening of screenings) {
+        const values = {
+            ScreeningKey: screeningKey(screening),
+            Title: screening.title,
+            Date: screening.date,
+            Time: screening.time,
+            SeriesTag: screening.seriesTag || '',
+            CatalogId: screening.catalogId || '',
+            URL: screening.url || '',
+        };
+        const record = byKey.get(values.ScreeningKey);
+        if (record) {
+            // Counted once per run, however often the scrape lists it.
+            if (record.LastSeen !== now) seen++;
+            record.LastSeen = now;
+            for (const [name, value] of Object.entries(values)) {
+                if (!record[name]) record[name] = value;
+            }
+        } else {
+            const fresh = { ...values, FirstSeen: now, LastSeen: now };
+            records.push(fresh);
+            byKey.set(fresh.ScreeningKey, fresh);
+            added++;
+        }
+    }
+    return { rows: mergeRows('history', historyRows, records), added, seen };
+}
+
+/**
+ * Records a run's screenings in the 'history' table.
+ * @param {ScrapedScreening[]} screenings
+ * @param {Object} [options]
+ * @param {string} [options.now] - ISO timestamp; defaults to the current time
+ * @param {{ getRows: Function, setRows: Function }} [options.storage] - Defaults to storage.js
+ * @returns {Promise<{ added: number, seen: number }>}
+ */
+async function recordHistory(screenings, options = {}) {
+    const { now = new Date().toISOString(), storage = require('./storage') } = options;
+    const { rows, added, seen } = updateHistory(await storage.getRows('history'), screenings, now);
+    await storage.setRows('history', rows);
+    return { added, seen };
+}
+
+/**
+ * Finds screenings in the history, earliest first.
+ *
+ * @param {string[][]} historyRows - The 'history' table, header first
+ * @param {Object} query - One of:
+ * @param {string} [query.film] - Part of a title, any case
+ * @param {string[]} [query.seriesTags] - Series tags, any case
+ * @returns {Object<string, string>[]} History records
+ */
+function queryHistory(historyRows, query) {
+    // Parameter validation
+    if (!query || (!query.film && !Array.isArray(query.seriesTags))) {
+        throw new Error('queryHistory: query must give a film or seriesTags');
+    }
+    const film = (query.film || '').trim().toLowerCase();
+    const tags = new Set((query.seriesTags || []).map(tag => tag.trim().toLowerCase()));
+    return readHistory(historyRows)
+        .filter(record => (film
+            ? record.Title.toLowerCase().includes(film)
+            : tags.has(record.SeriesTag.toLowerCase())))
+        .sort((a, b) => `${a.Date} ${a.Time}`.localeCompare(`${b.Date} ${b.Time}`));
+}
+
+/**
+ * Summarizes query results: how many, and the last and next screening around today.
+ * @param {Object<string, string>[]} records - From queryHistory()
+ * @param {string} today - YYYY-MM-DD
+ * @returns {{ count: number, first: Object|null, last: Object|null, next: Object|null }}
+ *   last is the latest on or before today; next the earliest after it
+ */
+function summarizeHistory(records, today) {
+    const past = records.filter(record => record.Date <= today);
+    const upcoming = records.filter(record => record.Date > today);
+    return {
+        count: records.length,
+        first: records[0] || null,
+        last: past[past.length - 1] || null,
+        next: upcoming[0] || null,
+    };
+}
+
+module.exports = {
+    updateHistory,
+    recordHistory,
+    queryHistory,
+    summarizeHistory,
+};
+
+// CLI interface
+if (require.main === module) {
+    require('dotenv').config();
+    const { handleError } = require('./errorHandler');
+    const logger = require('./logger')('history');
+    const { getTabs } = require('./storage');
+
+    const [command, ...words] = process.argv.slice(2);
+    const term = words.join(' ').trim();
+    if (!['film', 'series'].includes(command) || !term) {
+        console.log('Usage: node history.js film <title>     Every screening of films whose title contains <title>');
+        console.log('       node history.js series <series>  Every screening in a series, by tag or by name');
+        process.exit(1);
+    }
+
+    (async () => {
+        const tabs = await getTabs(command === 'series' ? ['history', 'seriesIndex'] : ['history']);
+        const historyRows = tabs.history;
+        /** @type {{ film?: string, seriesTags?: string[] }} */
+        let query = { film: term };
+        let subject = `films matching '${term}'`;
+        if (command === 'series') {
+            // A tag matches exactly; a name matches in part, and may name several series.
+            const index = tabs.seriesIndex;
+            const column = columnIndexes('seriesIndex', index[0]);
+            const lowered = term.toLowerCase();
+            const matches = index.slice(1).filter(row => (row[column.seriesTag] || '').trim().toLowerCase() === lowered ||
+                (row[column.seriesName] || '').toLowerCase().includes(lowered));
+            const seriesTags = matches.length > 0 ? matches.map(row => row[column.seriesTag].trim()) : [term];
+            query = { seriesTags };
+            subject = `series ${seriesTags.join(', ')}`;
+        }
+
+        const records = queryHistory(historyRows, query);
+        if (records.length === 0) {
+            console.log(`No screenings recorded for ${subject}.`);
+            return;
+        }
+        for (const record of records) {
+            console.log(`${record.Date} ${record.Time}  ${record.Title}${record.SeriesTag ? `  [${record.SeriesTag}]` : ''}`);
+        }
+        const today = new Date().toISOString().split('T')[0];
+        const { count, first, last, next } = summarizeHistory(records, today);
+        console.log(`\n${count} screening${count === 1 ? '' : 's'} of ${subject}, from ${first.Date}.`);
+        if (last) console.log(`Last shown: ${last.Title} on ${last.Date} at ${last.Time}.`);
+        if (next) console.log(`Next: ${next.Title} on ${next.Date} at ${next.Time}.`);
+    })().catch(error => {
+        handleError(logger, error instanceof Error ? error : new Error(String(error)), 'Error reading the screening history', true);
+    });
+}
@@ -0,0 +1,356 @@
+/**
+ * icsFeed.js
+ * Builds an iCalendar (RFC 5545) feed of upcoming screenings, for calendar apps other
+ * than Google Calendar.
+ *
+ * Apple Calendar, Outlook and most other clients can subscribe to an .ics URL, so the
+ * schedule is also published in that form: served by webserver.js at /calendar.ics, and
+ * written to files/ by this script. It reads the same Google Sheet tabs as updateGCal.js,
+ * through screenings.js, and needs no Google Calendar access at all.
+ *
+ * What makes the output correct rather than merely parseable:
+ * - UIDs are derived from the screening key, so a moved or retitled screening updates in
+ *   a subscriber's calendar instead of appearing twice
+ * - times are local to TIME_ZONE, with a VTIMEZONE generated from the runtime's own time
+ *   zone data, so clients do not need to recognise the TZID
+ * - text is escaped, and lines are folded at 75 octets without splitting a UTF-8 character
+ * - lines end in CRLF
+ *
+ * Usage:
+ *   node icsFeed.js                  Write files/beacon-cinema.ics
+ *   node icsFeed.js --series=<tag>   Write files/beacon-cinema-<tag>.ics, that series only
+ *
+ *   const { buildCalendar } = require('./icsFeed');
+ *
+ * Covered by test/icsFeed.test.js.
+ */
+
+// @ts-check
+// External dependencies
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Internal dependencies
+const { VENUE_LOCATION, describeScreening } = require('./screenings');
+const { titleCase } = require('./titleCase');
+
+const PRODUCT_ID = '-//Beacon Cinema To Google Calendar//Schedule Feed//EN';
+const UID_DOMAIN = 'beacon-cinema-sync';
+const CALENDAR_NAME = 'The Beacon Cinema';
+const FILES_DIR = path.join(__dirname, 'files');
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Escapes a TEXT value: backslash, semicolon, comma and newlines.
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeText(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r\n|\r|\n/g, '\\n');
+}
+
+/**
+ * Folds a content line to at most 75 octets per physical line. Continuation lines start
+ * with a space, which counts toward their 75. Splits only between characters, so a
+ * multi-byte character is never cut in half.
+ * @param {string} line - One unfolded content line, without its CRLF
+ * @returns {string} The folded line, joined with CRLF
+ */
+function foldLine(line) {
+    const out = [];
+    let current = '';
+    let octets = 0;
+    for (const char of line) {
+        const size = Buffer.byteLength(char, 'utf8');
+        if (octets + size > MAX_LINE_OCTETS) {
+            out.push(current);
+            current = ' ';
+            octets = 1;
+        }
+        current += char;
+        octets += size;
+    }
+    out.push(current);
+    return out.join('\r\n');
+}
+
+/**
+ * Formats a local date and time as an iCalendar DATE-TIME without a zone.
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} time - HH:MM
+ * @returns {string} e.g. "20260725T193000"
+ */
+function localStamp(date, time) {
+    return `${date.replace(/-/g, '')}T${time.replace(':', '')}00`;
+}
+
+/**
+ * Formats an instant as a UTC iCalendar DATE-TIME.
+ * @param {Date} date
+ * @returns {string} e.g. "20260725T023000Z"
+ */
+function utcStamp(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Reads a zone's UTC offset at an instant from the runtime's time zone data.
+ * @param {string} timeZone - IANA name
+ * @param {number} utcMs
+ * @returns {number} Minutes east of UTC
+ */
+function zoneOffset(timeZone, utcMs) {
+    const name = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'longOffset' })
+        .formatToParts(new Date(utcMs))
+        .find(part => part.type === 'timeZoneName');
+    const match = name && /GMT([+-])(\d{2}):(\d{2})/.exec(name.value);
+    if (!match) return 0; // plain "GMT"
+    const minutes = parseInt(match[2], 10) * 60 + parseInt(match[3], 10);
+    return match[1] === '-' ? -minutes : minutes;
+}
+
+/**
+ * Reads a zone's abbreviation at an instant, such as "PDT".
+ * @param {string} timeZone
+ * @param {number} utcMs
+ * @returns {string}
+ */
+function zoneAbbreviation(timeZone, utcMs) {
+    const name = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'short' })
+        .formatToParts(new Date(utcMs))
+        .find(part => part.type === 'timeZoneName');
+    return name ? name.value : timeZone;
+}
+
+/**
+ * Formats an offset in minutes as an iCalendar UTC-OFFSET.
+ * @param {number} minutes
+ * @returns {string} e.g. "-0700"
+ */
+function formatOffset(minutes) {
+    const sign = minutes < 0 ? '-' : '+';
+    const abs = Math.abs(minutes);
+    return `${sign}${String(Math.floor(abs / 60)).padStart(2, '0')}${String(abs % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Builds a VTIMEZONE covering a range of years, with one observance per actual offset
+ * change rather than RRULEs. Explicit dates cannot disagree with the time zone data the
+ * event times were computed from, and the feed only ever spans a few months.
+ * @param {string} timeZone - IANA name
+ * @param {number} fromYear
+ * @param {number} toYear
+ * @returns {string[]} Unfolded content lines
+ */
+function buildVTimezone(timeZone, fromYear, toYear) {
+    // Parameter validation
+    if (!Number.isInteger(fromYear) || !Number.isInteger(toYear) || fromYear > toYear) {
+        throw new Error('buildVTimezone: fromYear and toYear must be integers with fromYear <= toYear');
+    }
+
+    const DAY = 86400000;
+    const start = Date.UTC(fromYear, 0, 1);
+    const end = Date.UTC(toYear + 1, 0, 1);
+
+    // Day by day to find the days an offset changes, then minute by minute within them.
+    const transitions = [];
+    let previous = zoneOffset(timeZone, start);
+    for (let t = start + DAY; t <= end; t += DAY) {
+        const offset = zoneOffset(timeZone, t);
+        if (offset === previous) continue;
+        let low = t - DAY;
+        let high = t;
+        while (high - low > 60000) {
+            const mid = low + Math.floor((high - low) / 120000) * 60000;
+            if (zoneOffset(timeZone, mid) === previous) low = mid; else high = mid;
+        }
+        transitions.push({ at: high, from: previous, to: offset });
+        previous = offset;
+    }
+
+    const initial = zoneOffset(timeZone, start);
+    const standardOffset = Math.min(initial, ...transitions.map(change => change.to));
+    const observance = (from, to, localStart, at) => {
+        const kind = to > standardOffset ? 'DAYLIGHT' : 'STANDARD';
+        return [
+            `BEGIN:${kind}`,
+            `DTSTART:${localStart}`,
+            `TZOFFSETFROM:${formatOffset(from)}`,
+            `TZOFFSETTO:${formatOffset(to)}`,
+            `TZNAME:${escapeText(zoneAbbreviation(timeZone, at))}`,
+            `END:${kind}`,
+        ];
+    };
+
+    const lines = ['BEGIN:VTIMEZONE', `TZID:${timeZone}`];
+    // Covers everything before the first change in range.
+    lines.push(...observance(initial, initial, '19700101T000000', start));
+    for (const change of transitions) {
+        // DTSTART is the local time of the change, as read on the old offset.
+        const local = new Date(change.at + change.from * 60000).toISOString();
+        lines.push(...observance(change.from, change.to, localStamp(local.slice(0, 10), local.slice(11, 16)), change.at));
+    }
+    lines.push('END:VTIMEZONE');
+    return lines;
+}
+
+/**
+ * Derives a screening's UID from its key, so it is the same in every feed and every run.
+ * @param {string} key - Result of screeningKey()
+ * @returns {string}
+ */
+function screeningUid(key) {
+    return `${crypto.createHash('sha1').update(key).digest('hex')}@${UID_DOMAIN}`;
+}
+
+/**
+ * Builds the VEVENT for one screening.
+ * @param {Object} screening - From screenings.js
+ * @param {Object} context
+ * @param {string} context.timeZone
+ * @param {string} context.stamp - DTSTAMP, from utcStamp()
+ * @param {(screening: Object) => { summary: string, description: string }} context.render
+ *   Builds the summary and description
+ * @returns {string[]} Unfolded content lines
+ */
+function buildEvent(screening, { timeZone, stamp, render }) {
+    const { summary, description } = render(screening);
+    return [
+        'BEGIN:VEVENT',
+        `UID:${screeningUid(screening.key)}`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART;TZID=${timeZone}:${localStamp(screening.date, screening.time)}`,
+        `DTEND;TZID=${timeZone}:${localStamp(screening.endDate, screening.endTime)}`,
+        `SUMMARY:${escapeText(summary)}`,
+        `LOCATION:${escapeText(VENUE_LOCATION)}`,
+        ...(description ? [`DESCRIPTION:${escapeText(description)}`] : []),
+        // URI values are not TEXT, so they are not escaped.
+        ...(/^https?:\/\//.test(screening.url) ? [`URL:${screening.url}`] : []),
+        ...(screening.seriesName ? [`CATEGORIES:${escapeText(screening.seriesName)}`] : []),
+        'END:VEVENT',
+    ];
+}
+
+/**
+ * Builds a complete VCALENDAR from screenings.
+ * @param {Object[]} screenings - From screenings.js
+ * @param {Object} [options]
+ * @param {string} [options.timeZone] - IANA name; defaults to TIME_ZONE or America/Los_Angeles
+ * @param {string} [options.name] - Calendar name shown by clients
+ * @param {Date} [options.now] - DTSTAMP; overridden in tests
+ * @param {(screening: Object) => { summary: string, description: string }} [options.render]
+ *   Builds each event's summary and description, in plain text; see eventTemplates.js.
+ *   Defaults to the title and describeScreening().
+ * @returns {string} The feed, with CRLF line endings
+ */
+function buildCalendar(screenings, options = {}) {
+    const {
+        timeZone = process.env.TIME_ZONE || 'America/Los_Angeles',
+        name = CALENDAR_NAME,
+        now = new Date(),
+        render = screening => ({ summary: screening.displayTitle, description: describeScreening(screening) }),
+    } = options;
+    // Parameter validation
+    if (!Array.isArray(screenings)) {
+        throw new Error('buildCalendar: screenings must be an array');
+    }
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+    } catch {
+        throw new Error(`buildCalendar: unknown time zone '${timeZone}'`);
+    }
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`,
+        `X-WR-TIMEZONE:${timeZone}`,
+    ];
+
+    if (screenings.length > 0) {
+        const years = screenings.flatMap(screening => [screening.date, screening.endDate])
+            .map(date => parseInt(date.slice(0, 4), 10));
+        lines.push(...buildVTimezone(timeZone, Math.min(...years), Math.max(...years)));
+    }
+
+    const stamp = utcStamp(now);
+    for (const screening of screenings) {
+        lines.push(...buildEvent(screening, { timeZone, stamp, render }));
+    }
+    lines.push('END:VCALENDAR');
+
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Keeps the screenings in one series.
+ * @param {Object[]} screenings
+ * @param {string} seriesTag
+ * @returns {Object[]}
+ */
+function filterBySeries(screenings, seriesTag) {
+    return screenings.filter(screening => screening.seriesTag === seriesTag);
+}
+
+/**
+ * Names the feed for a series, or the whole schedule.
+ * @param {Map<string, string>} seriesNames - From screenings.js
+ * @param {string} [seriesTag]
+ * @returns {string}
+ */
+function feedName(seriesNames, seriesTag) {
+    return seriesTag ? `${CALENDAR_NAME}: ${titleCase(seriesNames.get(seriesTag) || seriesTag)}` : CALENDAR_NAME;
+}
+
+module.exports = {
+    escapeText,
+    foldLine,
+    buildVTimezone,
+    screeningUid,
+    buildCalendar,
+    filterBySeries,
+    feedName,
+};
+
+// CLI interface
+if (require.main === module) {
+    require('dotenv').config();
+    const { readScreenings } = require('./screenings');
+    const { loadEventTemplates, renderScreening } = require('./eventTemplates');
+    const { handleError } = require('./errorHandler');
+    const logger = require('./logger')('icsFeed');
+
+    const seriesArg = process.argv.find(arg => arg.startsWith('--series='));
+    const seriesTag = seriesArg ? seriesArg.slice('--series='.length).trim() : '';
+
+    (async () => {
+        logger.info(`Starting icsFeed.js${seriesTag ? ` for series ${seriesTag}` : ''}`);
+        const templates = loadEventTemplates();
+        const { screenings, seriesNames } = await readScreenings({ logger });
+        if (seriesTag && !seriesNames.has(seriesTag)) {
+            logger.error(`Unknown series '${seriesTag}'. Use a seriesTag from the seriesIndex tab.`);
+            process.exit(1);
+        }
+
+        const selected = seriesTag ? filterBySeries(screenings, seriesTag) : screenings;
+        const feed = buildCalendar(selected, {
+            name: feedName(seriesNames, seriesTag),
+            // iCalendar descriptions are plain text, whatever the templates' html setting.
+            render: screening => renderScreening(templates, screening, { html: false }),
+        });
+        const file = path.join(FILES_DIR, `beacon-cinema${seriesTag ? `-${seriesTag}` : ''}.ics`);
+        fs.mkdirSync(FILES_DIR, { recursive: true });
+        fs.writeFileSync(file, feed);
+        logger.info(`Wrote ${selected.length} screenings to ${path.relative(__dirname, file)}.`);
+    })().catch(error => {
+        handleError(logger, error instanceof Error ? error : new Error(String(error)), 'Error writing the iCalendar feed', true);
+    });
+}
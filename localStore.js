@@ -0,0 +1,141 @@
+/**
+ * localStore.js
+ * Keeps the pipeline's tables as JSON files on disk, in place of the Google Sheet.
+ *
+ * Selected with STORAGE_BACKEND=local (see storage.js), so the scrapers can be developed
+ * and run with no Google credentials at all. Each table is one file, `<table>.json` under
+ * LOCAL_DATA_DIR (files/data/ by default), holding the same rows a sheet tab would: an
+ * array of string arrays, header row first.
+ *
+ * Behaves like the Sheets backend where scripts could notice the difference: a table that
+ * does not exist yet reads as empty, every cell reads back as a string, and a write
+ * replaces the whole table. Writes go to a temporary file that is renamed into place, so
+ * a killed run never leaves a table half written. A write reports the cells and rows it
+ * changed, worked out as for the sheet (see sheetDiff.js).
+ *
+ * getHeaders() and addTables() serve the schema check in sheetSchema.js: a table with no
+ * file is reported as absent, and is created by writing its header row.
+ *
+ * Usage:
+ *   const { createLocalStore } = require('./localStore');
+ *   const store = createLocalStore('files/data');
+ *   await store.setRows('runtimes', [['Title', 'Runtime'], ['ALIEN', '117 minutes']]);
+ */
+
+// @ts-check
+// External dependencies
+const fs = require('fs');
+const path = require('path');
+
+// Internal dependencies
+const { diffRows } = require('./sheetDiff');
+
+/**
+ * Reads a table file.
+ * @param {string} file
+ * @returns {string[][]}
+ * @throws {Error} When the file exists but is not a table
+ */
+function readTable(file) {
+    let text;
+    try {
+        text = fs.readFileSync(file, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+    let rows;
+    try {
+        rows = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`${path.basename(file)} is not valid JSON: ${error.message}`);
+    }
+    if (!Array.isArray(rows) || !rows.every(Array.isArray)) {
+        throw new Error(`${path.basename(file)} must hold an array of rows`);
+    }
+    return rows;
+}
+
+/**
+ * Creates a store over a directory of table files.
+ * @param {string} dataDir - Created on the first write if missing
+ * @returns {{ name: string, location: string, getRows: (table: string) => Promise<string[][]>,
+ *   getTabs: (tables: string[]) => Promise<Record<string, string[][]>>, setRows: (table: string, rows: any[][], options?: { key?: string[] }) => Promise<{ cellsChanged: number, rowsInserted: number, rowsDeleted: number }>,
+ *   getHeaders: (tables: string[]) => Promise<Record<string, string[]|null>>, addTables: (headers: Record<string, string[]>) => Promise<void> }}
+ */
+function createLocalStore(dataDir) {
+    // Parameter validation
+    if (!dataDir || typeof dataDir !== 'string') {
+        throw new Error('createLocalStore: dataDir must be a non-empty string');
+    }
+    const fileFor = table => path.join(dataDir, `${table}.json`);
+
+    const store = {
+        name: 'local',
+        location: dataDir,
+
+        async getRows(table) {
+            try {
+                return readTable(fileFor(table));
+            } catch (error) {
+                throw new Error(`localStore: cannot read table '${table}': ${error.message}`);
+            }
+        },
+
+        async getTabs(tables) {
+            /** @type {Record<string, string[][]>} */
+            const tabs = {};
+            for (const table of tables) {
+                tabs[table] = await store.getRows(table);
+            }
+            return tabs;
+        },
+
+        async setRows(table, rows, options = {}) {
+            if (!Array.isArray(rows) || rows.length === 0 || !rows.every(Array.isArray)) {
+                throw new Error('setRows: rows must be a non-empty array of rows');
+            }
+            // Sheets hands every value back as text; a number stored here would not be.
+            const values = rows.map(row => row.map(cell => (cell === null || cell === undefined ? '' : String(cell))));
+            const file = fileFor(table);
+            const temp = `${file}.tmp`;
+            let before;
+            try {
+                before = readTable(file);
+            } catch (error) {
+                // A file that is not a table is replaced; all of it counts as changed.
+                before = [];
+            }
+            const { cellsChanged, rowsInserted, rowsDeleted } = diffRows(before, values, { key: options.key });
+            try {
+                fs.mkdirSync(dataDir, { recursive: true });
+                // One row per line, so a table reads and diffs like the sheet it stands in for.
+                fs.writeFileSync(temp, `[\n${values.map(row => JSON.stringify(row)).join(',\n')}\n]\n`);
+                fs.renameSync(temp, file);
+            } catch (error) {
+                throw new Error(`localStore: cannot write table '${table}': ${error.message}`);
+            }
+            return { cellsChanged, rowsInserted, rowsDeleted };
+        },
+
+        async getHeaders(tables) {
+            /** @type {Record<string, string[]|null>} */
+            const headers = {};
+            for (const table of tables) {
+                headers[table] = fs.existsSync(fileFor(table)) ? ((await store.getRows(table))[0] || []) : null;
+            }
+            return headers;
+        },
+
+        async addTables(headers) {
+            for (const [table, header] of Object.entries(headers)) {
+                await store.setRows(table, [header]);
+            }
+        },
+    };
+    return store;
+}
+
+module.exports = {
+    createLocalStore,
+};
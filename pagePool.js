@@ -0,0 +1,200 @@
+/**
+ * pagePool.js
+ * Runs a scraper's page loads a few at a time instead of one after another.
+ *
+ * findRuntimes.js and beaconSeries.js visit one page per film or series, and spend nearly
+ * all their time waiting on the site. Loading several at once cuts that, but each page open
+ * in Chrome adds to the memory ceiling documented around SERIES_PER_BROWSER in
+ * beaconSeries.js, so how many run at once is bounded and configurable:
+ *
+ *   SCRAPE_PAGES  Pages loaded at once. Default: 2 in the browser scrape mode, where every
+ *                 page is a tab in the same Chrome, and 4 in the http mode, where a page is
+ *                 a fetch and a few megabytes of parsed HTML. At most 8.
+ *
+ * runPool() takes the items in order and returns one outcome per item, in the same order,
+ * whichever finishes first. A task that throws or overruns its timeout fails alone: its
+ * outcome says so and the rest carry on. A task cannot be cancelled outright, so each is
+ * given an AbortSignal that fires at its timeout; scraper.js closes the page on it, which
+ * ends a page.evaluate() stuck on a wedged tab. A task that ignores it, or hangs anyway,
+ * is waited for OVERRUN_GRACE_MS at most, then left behind with a warning.
+ *
+ * Items can also be run in batches, each drained before the next starts, with a hook in
+ * between. beaconSeries.js restarts Chrome there; doing it with pages still open would
+ * break them.
+ *
+ * Usage:
+ *   const { pages } = loadPoolConfig(process.env, scraper.mode);
+ *   const outcomes = await runPool(urls, (url, index, signal) => scraper.scrape(url, filmPage, { signal }), { pages });
+ *   outcomes.forEach(({ ok, value, error }) => ...);
+ *
+ * Dependencies: ./logger.js
+ *
+ * Covered by test/pagePool.test.js.
+ */
+
+// @ts-check
+// Internal dependencies
+const defaultLogger = require('./logger')('pagePool');
+
+const DEFAULT_PAGES = { browser: 2, http: 4 };
+const MAX_PAGES = 8;
+// Longer than a page load with its retries (scraper.js allows 60 s per attempt), so the
+// timeout catches a task that has hung rather than one that is retrying.
+const DEFAULT_TASK_TIMEOUT_MS = 4 * 60 * 1000;
+// How long a timed-out task is still waited for once the rest are done. Closing its page
+// ends it within moments; one still running after this is hung for good.
+const OVERRUN_GRACE_MS = 30 * 1000;
+
+/**
+ * @template R
+ * @typedef {{ ok: true, value: R } | { ok: false, error: Error }} PoolOutcome
+ */
+
+/**
+ * Reads how many pages to load at once from the environment.
+ * @param {NodeJS.ProcessEnv} [env=process.env]
+ * @param {string} [mode='browser'] - The scraper's mode, which sets the default
+ * @returns {{ pages: number }}
+ * @throws {Error} When SCRAPE_PAGES is not a whole number from 1 to MAX_PAGES
+ */
+function loadPoolConfig(env = process.env, mode = 'browser') {
+    const raw = (env.SCRAPE_PAGES || '').trim();
+    if (!raw) return { pages: DEFAULT_PAGES[mode] || 1 };
+    const pages = Number(raw);
+    if (!Number.isInteger(pages) || pages < 1 || pages > MAX_PAGES) {
+        throw new Error(`loadPoolConfig: SCRAPE_PAGES must be a whole number from 1 to ${MAX_PAGES}, got '${env.SCRAPE_PAGES}'`);
+    }
+    return { pages };
+}
+
+/**
+ * Runs tasks over items, a bounded number at a time.
+ *
+ * A task that times out is reported as failed at once and its signal is aborted. It is
+ * still waited for, up to the grace period, before a batch hook runs or runPool()
+ * resolves, so that as a rule nothing is left using a page when the caller restarts or
+ * closes Chrome. Past the grace period it is abandoned; restarting or closing Chrome is
+ * then what ends it.
+ *
+ * @template T, R
+ * @param {T[]} items
+ * @param {(item: T, index: number, signal: AbortSignal) => Promise<R>} task - The signal
+ *   is aborted when the task times out
+ * @param {Object} [options]
+ * @param {number} [options.pages=1] - Tasks run at once
+ * @param {number} [options.timeout] - Per task, in milliseconds
+ * @param {number} [options.grace=OVERRUN_GRACE_MS] - How long timed-out tasks are waited
+ *   for once the others are done, in milliseconds
+ * @param {number} [options.batchSize=Infinity] - Items per batch
+ * @param {(nextIndex: number) => Promise<void>} [options.betweenBatches] - Run after each
+ *   batch but the last, once every task in it has settled or been abandoned
+ * @param {Object} [options.logger]
+ * @returns {Promise<Array<PoolOutcome<R>>>} One per item, in the items' order
+ */
+async function runPool(items, task, options = {}) {
+    const {
+        pages = 1,
+        timeout = DEFAULT_TASK_TIMEOUT_MS,
+        grace = OVERRUN_GRACE_MS,
+        batchSize = Infinity,
+        betweenBatches = null,
+        logger = defaultLogger,
+    } = options;
+
+    // Parameter validation
+    if (!Array.isArray(items)) {
+        throw new Error('runPool: items must be an array');
+    }
+    if (typeof task !== 'function') {
+        throw new Error('runPool: task must be a function');
+    }
+    if (!Number.isInteger(pages) || pages < 1) {
+        throw new Error('runPool: pages must be a positive integer');
+    }
+    if (!(timeout > 0)) {
+        throw new Error('runPool: timeout must be a positive number of milliseconds');
+    }
+    if (!(grace >= 0)) {
+        throw new Error('runPool: grace must be a number of milliseconds');
+    }
+    if (!(batchSize >= 1)) {
+        throw new Error('runPool: batchSize must be at least 1');
+    }
+
+    /** @type {Array<PoolOutcome<R>>} */
+    const outcomes = new Array(items.length);
+    for (let start = 0; start < items.length; start += batchSize) {
+        if (start > 0 && betweenBatches) await betweenBatches(start);
+        const end = Math.min(items.length, start + batchSize);
+        /** @type {Set<Promise<unknown>>} */
+        const overrun = new Set();
+        let next = start;
+        const worker = async () => {
+            while (next < end) {
+                const index = next++;
+                outcomes[index] = await settle(signal => task(items[index], index, signal), timeout, overrun);
+            }
+        };
+        await Promise.all(Array.from({ length: Math.min(pages, end - start) }, worker));
+        await drain(overrun, grace, logger);
+    }
+    return outcomes;
+}
+
+/**
+ * Runs one task to an outcome, never a rejection.
+ * @template R
+ * @param {(signal: AbortSignal) => Promise<R>} run
+ * @param {number} timeout
+ * @param {Set<Promise<unknown>>} overrun - Holds the task while it runs past its timeout
+ * @returns {Promise<PoolOutcome<R>>}
+ */
+async function settle(run, timeout, overrun) {
+    const controller = new AbortController();
+    const running = Promise.resolve().then(() => run(controller.signal));
+    let timer;
+    const timedOut = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+            const still = running.catch(() => {}).then(() => { overrun.delete(still); });
+            overrun.add(still);
+            const error = new Error(`timed out after ${timeout / 1000}s`);
+            controller.abort(error);
+            reject(error);
+        }, timeout);
+    });
+    try {
+        return { ok: true, value: await Promise.race([running, timedOut]) };
+    } catch (error) {
+        return { ok: false, error: error instanceof Error ? error : new Error(String(error)) };
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Waits for the tasks that overran their timeout, for the grace period at most.
+ * @param {Set<Promise<unknown>>} overrun
+ * @param {number} grace - In milliseconds
+ * @param {Object} logger
+ * @returns {Promise<void>}
+ */
+async function drain(overrun, grace, logger) {
+    if (overrun.size === 0) return;
+    let timer;
+    const gaveUp = new Promise(resolve => { timer = setTimeout(resolve, grace); });
+    await Promise.race([Promise.allSettled([...overrun]), gaveUp]);
+    clearTimeout(timer);
+    if (overrun.size > 0) {
+        logger.warn(`${overrun.size} page${overrun.size === 1 ? ' is' : 's are'} still loading ${grace / 1000}s after ` +
+            'timing out; carrying on without waiting for them.');
+    }
+}
+
+module.exports = {
+    DEFAULT_PAGES,
+    MAX_PAGES,
+    DEFAULT_TASK_TIMEOUT_MS,
+    OVERRUN_GRACE_MS,
+    loadPoolConfig,
+    runPool,
+};
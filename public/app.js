@@ -6,6 +6,9 @@
 // the SSE framing is parsed here.
 //
 // The log management endpoints stay plain text and keep their own simpler reader below.
+//
+// The site structure banner reads /api/health on load and again after every run, since
+// each scraper records its selector counts as it finishes.
 
 // Warn after this long with nothing at all from the server, data or keepalive. The server
 // sends a keepalive every 10s, so this is more than two missed ones.
@@ -29,7 +32,34 @@ function setStatus(text, level) {
   el.className = 'status' + (level ? ' status-' + level : '');
 }
 
-function runScript(script) {
+// Shows the banner only when the site structure check is degraded. A failed request leaves
+// it as it was: the banner is a warning, not something a run depends on.
+function loadHealth() {
+  var el = document.getElementById('health');
+  if (!el) return;
+  fetch('/api/health')
+    .then(function (response) { return response.json(); })
+    .then(function (health) {
+      if (health.status !== 'degraded') {
+        el.style.display = 'none';
+        return;
+      }
+      el.textContent = 'The website structure may have changed: the last scraper runs found less ' +
+        'than expected. See "Website structure dependencies" in README.md.';
+      var list = document.createElement('ul');
+      health.problems.forEach(function (problem) {
+        var item = document.createElement('li');
+        item.textContent = problem.script + ' (' + new Date(problem.at).toLocaleString() + '): ' + problem.message;
+        list.appendChild(item);
+      });
+      el.appendChild(list);
+      el.style.display = 'block';
+    })
+    .catch(function () {});
+}
+
+// dryRun is only honoured by fullUpdate.js and updateGCal.js; the server rejects it elsewhere.
+function runScript(script, dryRun) {
   var logDiv = document.getElementById('log');
   logDiv.textContent = '';
 
@@ -71,15 +101,16 @@ function runScript(script) {
 
   clearInterval(statusTimer);
   statusTimer = setInterval(tick, 1000);
-  setStatus('starting ' + script + '...');
+  setStatus('starting ' + script + (dryRun ? ' (dry run)' : '') + '...');
 
   function stop(finalText, level) {
     finished = true;
     clearInterval(statusTimer);
     setStatus(finalText + ' | ' + formatDuration(Date.now() - startedAt) + ' total', level);
+    loadHealth();
   }
 
-  fetch('/api/run/' + script)
+  fetch('/api/run/' + script + (dryRun ? '?dryRun=1' : ''))
     .then(function (response) {
       // 400 and 409 return plain text, not SSE.
       if (!response.ok) {
@@ -161,3 +192,5 @@ function runLogCommand(command) {
       logDiv.textContent += '\nError: ' + err.message;
     });
 }
+
+loadHealth();
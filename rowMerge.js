@@ -0,0 +1,92 @@
+/**
+ * rowMerge.js
+ * Builds the rows a script writes back to a tab, keeping columns the script does not own.
+ *
+ * Each script rewrites its tab wholesale, and used to write only the columns it knows.
+ * A column added by hand, such as `Notes` on `runtimes` or `Active` on `series`, was
+ * gone after the next run. mergeRows() takes the tab as it stands and the records the
+ * script wants to write, and returns rows that keep the existing header and every
+ * unknown column, matched to its row by the tab's natural key (see `key` in
+ * sheetSchema.js). The script's own columns are overwritten; the rest are left alone.
+ *
+ * The script still decides which rows the tab holds: a record becomes a row, in the
+ * order given, and an existing row no record matches is dropped with its extra cells.
+ * A record with no existing row gets empty cells in the columns it does not own.
+ *
+ * Usage:
+ *   const { mergeRows } = require('./rowMerge');
+ *   await setRows('runtimes', mergeRows('runtimes', await getRows('runtimes'), records));
+ *
+ * Covered by test/rowMerge.test.js.
+ */
+
+// @ts-check
+// Internal dependencies
+const { schemaFor } = require('./sheetSchema');
+
+/**
+ * The natural key of a row, from the given cell lookup.
+ * @param {string[]} key - Key columns
+ * @param {(column: string) => any} cell
+ * @returns {string}
+ */
+function keyOf(key, cell) {
+    return key.map(column => String(cell(column) ?? '').trim()).join('\u0000');
+}
+
+/**
+ * Merges records into a tab's existing rows.
+ *
+ * @param {string} table - One of the tables in sheetSchema.js
+ * @param {string[][]} existingRows - The tab as read, header first; [] for an empty tab
+ * @param {Object<string, any>[]} records - One per row to write, keyed by column name
+ * @param {Object} [options]
+ * @param {string[]} [options.columns] - The columns the script owns; defaults to every
+ *   column the schema declares. A column the records leave out is left as it was.
+ * @returns {string[][]} Header first, ready for setRows()
+ */
+function mergeRows(table, existingRows, records, options = {}) {
+    // Parameter validation
+    if (!Array.isArray(existingRows) || !existingRows.every(Array.isArray)) {
+        throw new Error('mergeRows: existingRows must be an array of rows');
+    }
+    if (!Array.isArray(records)) {
+        throw new Error('mergeRows: records must be an array');
+    }
+    const schema = schemaFor(table);
+    const { columns = schema.columns } = options;
+
+    // The existing header, in its order, with any owned column it lacks added at the end.
+    const header = (existingRows[0] || []).map(cell => String(cell).trim());
+    for (const column of columns) {
+        if (!header.includes(column)) header.push(column);
+    }
+    // Reversed so that, for a column named twice, the first occurrence is the one used.
+    const index = Object.fromEntries(header.map((column, i) => [column, i]).reverse());
+
+    // Existing rows by key. Several rows can share one, when the tab holds duplicates;
+    // each record takes the next, so their extra cells stay with them.
+    const byKey = new Map();
+    for (const row of existingRows.slice(1)) {
+        const rowKey = keyOf(schema.key, column => row[index[column]]);
+        if (!byKey.has(rowKey)) byKey.set(rowKey, []);
+        byKey.get(rowKey).push(row);
+    }
+
+    const rows = records.map(record => {
+        const matches = byKey.get(keyOf(schema.key, column => record[column]));
+        const existing = (matches && matches.shift()) || [];
+        const row = header.map((_, i) => (existing[i] === undefined || existing[i] === null ? '' : String(existing[i])));
+        for (const column of columns) {
+            if (column in record) {
+                row[index[column]] = record[column] === undefined || record[column] === null ? '' : String(record[column]);
+            }
+        }
+        return row;
+    });
+    return [header, ...rows];
+}
+
+module.exports = {
+    mergeRows,
+};
@@ -0,0 +1,143 @@
+/**
+ * runtimeParser.js
+ * Reads a film's runtime, as the site writes it, as a number of minutes.
+ *
+ * The end of a calendar event is the runtime plus 15 minutes. It used to be read with
+ * /^(\d+)\s*minutes$/i, so "1h 45m", "105 min.", "1 hr 30 min" or "90 mins + Q&A" all
+ * fell back to the 2-hour default without a word. parseRuntime() takes the first duration
+ * in the text, in any of these forms:
+ *
+ *   117 minutes   105 min.   90 mins + Q&A   105m
+ *   1h 45m   1 hr 30 min   2 hours   1.5 hrs   1h45   1:45
+ *   105                   a bare number, as typed into the sheet by hand
+ *
+ * and keeps the original text beside it. Anything else, or a duration over 10 hours, is
+ * not a runtime: minutes is null, and the caller flags it.
+ *
+ * findRuntimes.js stores the minutes in the `RuntimeMinutes` column of 'runtimes'.
+ * A value typed there by hand wins, and is kept for as long as the Runtime beside it is
+ * unchanged, so a runtime the parser cannot read, or reads wrongly, can be fixed in the
+ * sheet. screenings.js uses the column, or parses Runtime where it is empty.
+ *
+ * Usage:
+ *   parseRuntime('1 hr 30 min')   // { text: '1 hr 30 min', minutes: 90 }
+ *
+ * Covered by test/runtimeParser.test.js.
+ */
+
+// @ts-check
+
+// Longer than any film the Beacon has shown, double features included; past it, the
+// number is more likely a year or a catalog id than a runtime.
+const MAX_RUNTIME_MINUTES = 600;
+
+const HOURS = '(?:hours?|hrs?|h)';
+const MINUTES = '(?:minutes?|mins?|m)';
+// Unit names stop at a non-letter, so "35mm" is a film format, not 35 minutes.
+const END = '(?![a-z])';
+const CLOCK = /^(\d{1,2}):([0-5]\d)$/;
+const HOURS_AND_MINUTES = new RegExp(
+    `(\\d+(?:\\.\\d+)?)\\s*${HOURS}${END}\\.?` +
+    `(?:,?\\s*(?:and\\s+)?(\\d{1,2})\\s*${MINUTES}${END}|(\\d{2})(?![\\d.:]))?`
+);
+const MINUTES_ONLY = new RegExp(`(\\d+)\\s*${MINUTES}${END}`);
+const BARE = /^(\d+)$/;
+
+/**
+ * @typedef {Object} ParsedRuntime
+ * @property {string} text - As given, trimmed
+ * @property {number|null} minutes - A whole number of minutes; null when the text is not a
+ *   runtime this module can read
+ */
+
+/**
+ * Keeps only a plausible runtime.
+ * @param {number} minutes
+ * @returns {number|null}
+ */
+function plausible(minutes) {
+    const rounded = Math.round(minutes);
+    return rounded >= 1 && rounded <= MAX_RUNTIME_MINUTES ? rounded : null;
+}
+
+/**
+ * Reads a runtime as minutes.
+ * @param {string} text - e.g. "117 minutes" or "1h 45m"
+ * @returns {ParsedRuntime}
+ */
+function parseRuntime(text) {
+    // Parameter validation
+    if (typeof text !== 'string') {
+        throw new Error('parseRuntime: text must be a string');
+    }
+
+    const trimmed = text.trim();
+    const lower = trimmed.toLowerCase();
+    let match;
+    let minutes = null;
+    if ((match = lower.match(CLOCK))) {
+        minutes = plausible(Number(match[1]) * 60 + Number(match[2]));
+    } else if ((match = lower.match(HOURS_AND_MINUTES))) {
+        minutes = plausible(Number(match[1]) * 60 + Number(match[2] || match[3] || 0));
+    } else if ((match = lower.match(MINUTES_ONLY))) {
+        minutes = plausible(Number(match[1]));
+    } else if ((match = lower.match(BARE))) {
+        minutes = plausible(Number(match[1]));
+    }
+    return { text: trimmed, minutes };
+}
+
+/**
+ * Reads a `RuntimeMinutes` cell.
+ * @param {*} cell
+ * @returns {number|null} null when empty or not a plausible whole number of minutes
+ */
+function minutesFromCell(cell) {
+    const value = String(cell ?? '').trim();
+    return /^\d+$/.test(value) ? plausible(Number(value)) : null;
+}
+
+/**
+ * The minutes to use for a 'runtimes' row: its `RuntimeMinutes` when that holds a value,
+ * otherwise its Runtime, parsed.
+ * @param {string} runtime - The row's Runtime
+ * @param {*} [cell] - The row's RuntimeMinutes
+ * @returns {number|null}
+ */
+function runtimeMinutes(runtime, cell) {
+    const fromCell = minutesFromCell(cell);
+    if (fromCell !== null) return fromCell;
+    return typeof runtime === 'string' ? parseRuntime(runtime).minutes : null;
+}
+
+/**
+ * The `RuntimeMinutes` cell to write for a runtime.
+ *
+ * The cell the tab already holds is kept when the Runtime beside it is unchanged, so a
+ * value typed by hand survives. Otherwise it is the Runtime, parsed, or empty and flagged
+ * when that cannot be read.
+ *
+ * @param {string} runtime - The Runtime being written
+ * @param {{ Runtime?: string, RuntimeMinutes?: string }} [existing] - The row as the tab
+ *   holds it, if it has one
+ * @returns {{ value: string, flagged: boolean }}
+ */
+function runtimeMinutesCell(runtime, existing = {}) {
+    // Parameter validation
+    if (typeof runtime !== 'string') {
+        throw new Error('runtimeMinutesCell: runtime must be a string');
+    }
+
+    if ((existing.Runtime || '').trim() === runtime.trim() && minutesFromCell(existing.RuntimeMinutes) !== null) {
+        return { value: String(existing.RuntimeMinutes).trim(), flagged: false };
+    }
+    const { minutes } = parseRuntime(runtime);
+    return minutes === null ? { value: '', flagged: true } : { value: String(minutes), flagged: false };
+}
+
+module.exports = {
+    MAX_RUNTIME_MINUTES,
+    parseRuntime,
+    runtimeMinutes,
+    runtimeMinutesCell,
+};
@@ -0,0 +1,309 @@
+/**
+ * scraper.js
+ * Loads a page from the Beacon site and runs an extractor against it, with or without Chrome.
+ *
+ * Every scraper used to launch Puppeteer, and most of the memory work on Render (see
+ * SERIES_PER_BROWSER in beaconSeries.js) goes into keeping Chrome within 512 MB. Yet the
+ * elements the scrapers read — `.cal-list-day`, `.film-list .film-title`, `.meta-field`,
+ * `a.card` — are all in the HTML the server sends. SCRAPE_MODE chooses how pages load:
+ *
+ *   browser  Chrome, through puppeteerConfig.js, for every page. The default.
+ *   http     A plain fetch, parsed with linkedom. A page whose HTML lacks the elements the
+ *            extractor expects is loaded again in Chrome, which is launched only then.
+ *
+ * An extractor is written once and runs in both: in Chrome through page.evaluate(), and in
+ * Node against the parsed document. So it must be self-contained, like any function passed
+ * to page.evaluate(), and take the document as its second argument, defaulting to the
+ * page's own:
+ *
+ *   const calendarPage = {
+ *       name: 'calendar',
+ *       expect: '.cal-list .cal-list-day',
+ *       extract: (pageUrl, root = document) => ...,
+ *   };
+ *
+ * It must not rely on what only a browser computes, such as `link.href` resolving a
+ * relative URL; resolve against pageUrl instead.
+ *
+ * A scraper can load several pages at once, as pagePool.js has it do; they share one Chrome.
+ * A scrape given an AbortSignal closes its page when the signal fires, which ends a
+ * navigation or page.evaluate() that would otherwise hang on a wedged tab.
+ *
+ * Usage:
+ *   const scraper = createScraper({ logger });
+ *   const { ok, status, data } = await scraper.scrape(url, calendarPage);
+ *   await scraper.close();
+ *
+ * Dependencies: linkedom, ./puppeteerConfig.js (only once Chrome is needed), ./utils.js,
+ *   ./logger.js
+ */
+
+// @ts-check
+// External dependencies
+const { parseHTML } = require('linkedom');
+
+// Internal dependencies
+const { navigateWithRetry } = require('./utils');
+const { countSelectors } = require('./selectorHealth');
+const defaultLogger = require('./logger')('scraper');
+
+const SCRAPE_MODES = ['browser', 'http'];
+const DEFAULT_TIMEOUT_MS = 60000;
+const DEFAULT_RETRIES = 2;
+const USER_AGENT = 'Mozilla/5.0 (compatible; beacon-calendar-sync)';
+
+/**
+ * @typedef {Object} PageExtractor
+ * @property {string} name - Page type, for log lines
+ * @property {string} expect - Selector the page's HTML must match for the extractor to apply
+ * @property {(pageUrl: string, root?: any) => any} extract - Self-contained; see above
+ */
+
+/**
+ * @typedef {Object} ScrapeResult
+ * @property {boolean} ok - false when the page could not be loaded or returned an error status
+ * @property {number} status - HTTP status; 0 when no response was received
+ * @property {*} data - What the extractor returned; null unless ok
+ * @property {'http'|'browser'} source - How the page was loaded in the end
+ */
+
+/**
+ * Reads the scraping settings from the environment.
+ * @param {NodeJS.ProcessEnv} [env=process.env]
+ * @returns {{ mode: string }}
+ * @throws {Error} When SCRAPE_MODE is not a known mode
+ */
+function loadScrapeConfig(env = process.env) {
+    const mode = (env.SCRAPE_MODE || 'browser').trim().toLowerCase();
+    if (!SCRAPE_MODES.includes(mode)) {
+        throw new Error(`loadScrapeConfig: SCRAPE_MODE must be one of ${SCRAPE_MODES.join(', ')}, got '${env.SCRAPE_MODE}'`);
+    }
+    return { mode };
+}
+
+/**
+ * Parses a page's HTML into a document an extractor can query.
+ * @param {string} html
+ * @returns {any} The document
+ */
+function parseDocument(html) {
+    if (typeof html !== 'string') {
+        throw new Error('parseDocument: html must be a string');
+    }
+    return parseHTML(html).document;
+}
+
+/**
+ * Runs an extractor against HTML, as the http mode does after fetching it.
+ * @param {PageExtractor} extractor
+ * @param {string} html
+ * @param {string} pageUrl - The URL the HTML came from, for resolving links
+ * @returns {{ matched: boolean, data: * }} matched is false, and data null, when the HTML
+ *   lacks extractor.expect
+ */
+function extractFromHtml(extractor, html, pageUrl) {
+    const document = parseDocument(html);
+    if (!document.querySelector(extractor.expect)) return { matched: false, data: null };
+    return { matched: true, data: extractor.extract(pageUrl, document) };
+}
+
+/**
+ * Fetches a page's HTML, retrying a timeout or network error like navigateWithRetry().
+ * @param {string} url
+ * @param {Object} options
+ * @param {Function} options.fetchImpl
+ * @param {number} options.timeout
+ * @param {number} options.maxRetries
+ * @param {Object} options.logger
+ * @returns {Promise<{ status: number, url: string, html: string }|null>} null when every
+ *   attempt failed
+ */
+async function fetchHtml(url, { fetchImpl, timeout, maxRetries, logger }) {
+    const log = /** @type {any} */ (logger);
+    for (let attempt = 1; attempt <= maxRetries + 1; attempt++) {
+        try {
+            log.info(`Fetching ${url}${attempt > 1 ? ` (attempt ${attempt})` : ''}...`);
+            const response = await fetchImpl(url, {
+                headers: { 'user-agent': USER_AGENT, accept: 'text/html' },
+                redirect: 'follow',
+                signal: AbortSignal.timeout(timeout),
+            });
+            return { status: response.status, url: response.url || url, html: await response.text() };
+        } catch (error) {
+            const message = error instanceof Error ? error.message : String(error);
+            if (attempt <= maxRetries) {
+                log.warn(`Fetching ${url} failed (${message}), retrying (${attempt}/${maxRetries})...`);
+            } else {
+                log.error(`Fetching ${url} failed after ${maxRetries} retries: ${message}`);
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Creates a scraper that loads pages in the configured mode.
+ *
+ * Chrome is launched on first use and kept for the scraper's life, one page per scrape.
+ * Call close() when done, and recycle() to restart Chrome partway through a long run.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.mode] - 'browser' or 'http'; defaults to loadScrapeConfig()
+ * @param {Object} [options.logger]
+ * @param {Function} [options.fetchImpl=fetch] - For tests
+ * @param {() => Promise<any>} [options.launchBrowser] - Defaults to launchPuppeteerQuiet()
+ * @param {number} [options.timeout=60000] - Per page load, in milliseconds
+ * @param {number} [options.maxRetries=2]
+ * @param {Object} [options.health] - From createHealthRecorder() in selectorHealth.js; each
+ *   page loaded has its page type's selectors counted into it
+ * @returns {{ mode: string,
+ *   scrape: (url: string, extractor: PageExtractor, options?: { signal?: AbortSignal }) => Promise<ScrapeResult>,
+ *   recycle: () => Promise<void>, close: () => Promise<void>, browserRunning: () => boolean }}
+ */
+function createScraper(options = {}) {
+    const {
+        mode = loadScrapeConfig().mode,
+        logger = defaultLogger,
+        fetchImpl = fetch,
+        launchBrowser = () => require('./puppeteerConfig').launchPuppeteerQuiet(),
+        timeout = DEFAULT_TIMEOUT_MS,
+        maxRetries = DEFAULT_RETRIES,
+        health = null,
+    } = options;
+
+    // Parameter validation
+    if (!SCRAPE_MODES.includes(mode)) {
+        throw new Error(`createScraper: mode must be one of ${SCRAPE_MODES.join(', ')}`);
+    }
+    const log = /** @type {any} */ (logger);
+
+    let browser = null;
+    // Pages scraped side by side (see pagePool.js) share one Chrome: the first to need it
+    // launches it, and the rest wait for that launch rather than starting their own.
+    let launching = null;
+
+    /**
+     * Chrome, launched if it is not running.
+     * @returns {Promise<any>}
+     */
+    async function openBrowser() {
+        if (browser) return browser;
+        if (!launching) {
+            launching = launchBrowser()
+                .then(launched => { browser = launched; return launched; })
+                .finally(() => { launching = null; });
+        }
+        return launching;
+    }
+
+    /**
+     * Counts a loaded page's selectors into the health recorder, if there is one.
+     * @param {PageExtractor} extractor
+     * @param {(selectors: Record<string, string>) => Promise<Record<string, number>>|Record<string, number>} count
+     * @returns {Promise<void>}
+     */
+    async function recordHealth(extractor, count) {
+        const selectors = health && health.selectorsFor(extractor.name);
+        if (selectors) health.record(extractor.name, await count(selectors));
+    }
+
+    /**
+     * Loads a page in Chrome and runs the extractor in it.
+     * @param {string} url
+     * @param {PageExtractor} extractor
+     * @param {AbortSignal} [signal] - Closes the page when it fires
+     * @returns {Promise<ScrapeResult>}
+     */
+    async function scrapeInBrowser(url, extractor, signal) {
+        if (signal && signal.aborted) throw signal.reason;
+        const page = await (await openBrowser()).newPage();
+        // Closed once, whether by the signal or on the way out.
+        let closing = null;
+        const closePage = () => {
+            if (!closing) closing = Promise.resolve().then(() => page.close()).catch(() => {});
+            return closing;
+        };
+        const onAbort = () => {
+            log.warn(`Closing ${url}: ${signal && signal.reason instanceof Error ? signal.reason.message : 'aborted'}.`);
+            closePage();
+        };
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+        try {
+            const response = await navigateWithRetry(page, url, { logger, timeout, maxRetries });
+            if (!response) {
+                log.error(`Failed to load ${url} after retries`);
+                return { ok: false, status: 0, data: null, source: 'browser' };
+            }
+            const status = typeof response === 'object' && typeof response.status === 'function' ? response.status() : 200;
+            if (status >= 400) {
+                return { ok: false, status, data: null, source: 'browser' };
+            }
+            const data = await page.evaluate(extractor.extract, page.url() || url);
+            await recordHealth(extractor, selectors => page.evaluate(countSelectors, selectors));
+            return { ok: true, status, data, source: 'browser' };
+        } finally {
+            // Closed here so a failed extraction cannot leak a page for the rest of the run.
+            if (signal) signal.removeEventListener('abort', onAbort);
+            await closePage();
+        }
+    }
+
+    /**
+     * Loads a page and runs the extractor against it.
+     * @param {string} url
+     * @param {PageExtractor} extractor
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Ends the scrape: the Chrome page is closed,
+     *   and the http mode does not go on to Chrome
+     * @returns {Promise<ScrapeResult>}
+     */
+    async function scrape(url, extractor, options = {}) {
+        const { signal } = options;
+        // Parameter validation
+        if (!url || typeof url !== 'string') {
+            throw new Error('scrape: url must be a non-empty string');
+        }
+        if (!extractor || typeof extractor.extract !== 'function' || !extractor.expect) {
+            throw new Error('scrape: extractor must have an extract function and an expect selector');
+        }
+
+        if (mode === 'browser') return scrapeInBrowser(url, extractor, signal);
+
+        const fetched = await fetchHtml(url, { fetchImpl, timeout, maxRetries, logger });
+        if (!fetched) return { ok: false, status: 0, data: null, source: 'http' };
+        // A missing page is missing in Chrome too, so it is not worth the fallback.
+        if (fetched.status >= 400) return { ok: false, status: fetched.status, data: null, source: 'http' };
+
+        const document = parseDocument(fetched.html);
+        if (document.querySelector(extractor.expect)) {
+            const data = extractor.extract(fetched.url, document);
+            await recordHealth(extractor, selectors => countSelectors(selectors, document));
+            return { ok: true, status: fetched.status, data, source: 'http' };
+        }
+
+        log.warn(`The HTML of ${url} has no '${extractor.expect}' for the ${extractor.name} page; loading it in Chrome.`);
+        return scrapeInBrowser(url, extractor, signal);
+    }
+
+    /**
+     * Closes Chrome, if it is running. The next scrape that needs it launches it again.
+     * @returns {Promise<void>}
+     */
+    async function closeBrowser() {
+        if (launching) await launching.catch(() => {});
+        if (!browser) return;
+        const running = browser;
+        browser = null;
+        await running.close();
+    }
+
+    return { mode, scrape, recycle: closeBrowser, close: closeBrowser, browserRunning: () => browser !== null };
+}
+
+module.exports = {
+    SCRAPE_MODES,
+    loadScrapeConfig,
+    parseDocument,
+    extractFromHtml,
+    createScraper,
+};
@@ -0,0 +1,294 @@
+/**
+ * screenings.js
+ * Turns the 'schedule', 'runtimes', 'seriesIndex' and 'films' tabs into a list of upcoming screenings.
+ *
+ * This used to live inside updateGCal.js, tangled up with the Google Calendar event
+ * format. The iCalendar feed (icsFeed.js) needs exactly the same screenings, with the
+ * same titles, end times and descriptions, so building them is shared here and each
+ * output only maps a screening to its own format.
+ *
+ * A screening is a plain object:
+ *   { key, title, displayTitle, date, time, endDate, endTime, seriesTag, seriesName,
+ *     url, catalogId, runtime, director, year, country, language, format }
+ * where `key` is the stable screening key from calendarSync.js, `displayTitle` is the
+ * title-cased name, and the end is the runtime plus 15 minutes, or 2 hours when the
+ * runtime is unknown or cannot be read. Its minutes come from the 'runtimes' tab's
+ * RuntimeMinutes, or from its Runtime, read by runtimeParser.js. The film details come
+ * from the 'films' row for the screening's URL, and are '' until findRuntimes.js has
+ * recorded it.
+ *
+ * Usage:
+ *   const { readScreenings } = require('./screenings');
+ *   const { screenings, seriesIndexRows } = await readScreenings({ logger });
+ *
+ * Dependencies: ./storage.js, ./utils.js, ./titleCase.js, ./calendarSync.js, ./films.js,
+ *   ./runtimeParser.js
+ */
+
+// @ts-check
+// Internal dependencies
+const { deduplicateRows, addDaysToISODate } = require('./utils');
+const { titleCase } = require('./titleCase');
+const { screeningKey } = require('./calendarSync');
+// storage.js loads the Google Sheets backend only when it is used, so the pure builders
+// below stay usable without Google credentials.
+const { getTabs } = require('./storage');
+const { columnIndexes } = require('./sheetSchema');
+const { filmSlug, parseFilms } = require('./films');
+const { parseRuntime, runtimeMinutes } = require('./runtimeParser');
+const defaultLogger = require('./logger')('screenings');
+
+const VENUE_LOCATION = 'The Beacon Cinema, 4405 Rainier Ave S, Seattle, WA 98118, USA';
+
+/**
+ * @typedef {Object} Screening
+ * @property {string} key - Result of screeningKey()
+ * @property {string} title - Title as stored in the sheet
+ * @property {string} displayTitle - Title-cased for display
+ * @property {string} date - YYYY-MM-DD
+ * @property {string} time - HH:MM, 24-hour
+ * @property {string} endDate - YYYY-MM-DD; later than date for a show past midnight
+ * @property {string} endTime - HH:MM, 24-hour
+ * @property {string} seriesTag - '' when the screening is not part of a series
+ * @property {string} seriesName - Title-cased series name, or ''
+ * @property {string} url - Film page, or ''
+ * @property {string} catalogId - Square catalog id, or ''
+ * @property {string} runtime - e.g. "117 minutes", or '' when unknown
+ * @property {string} director - From the 'films' tab, as are the four below; '' when unknown
+ * @property {string} year
+ * @property {string} country
+ * @property {string} language
+ * @property {string} format - e.g. "35mm" or "DCP"
+ */
+
+/**
+ * Reads the 'runtimes' tab into a title-to-runtime map.
+ * @param {string[][]} rows - Sheet rows, header first
+ * @returns {Map<string, string>}
+ */
+function parseRuntimes(rows) {
+    const column = columnIndexes('runtimes', rows[0]);
+    const runtimes = new Map();
+    for (const line of rows.slice(1)) {
+        const title = line[column.Title];
+        const runtime = line[column.Runtime];
+        if (title && runtime) runtimes.set(title.trim(), runtime.trim());
+    }
+    return runtimes;
+}
+
+/**
+ * Reads the 'runtimes' tab into a title-to-minutes map, leaving out runtimes that cannot
+ * be read. RuntimeMinutes is used where it holds a value, so one entered by hand wins.
+ * @param {string[][]} rows - Sheet rows, header first
+ * @returns {Map<string, number>}
+ */
+function parseRuntimeMinutes(rows) {
+    const column = columnIndexes('runtimes', rows[0]);
+    const minutes = new Map();
+    for (const line of rows.slice(1)) {
+        const title = line[column.Title];
+        const value = title && runtimeMinutes(line[column.Runtime] || '', line[column.RuntimeMinutes]);
+        if (value) minutes.set(title.trim(), value);
+    }
+    return minutes;
+}
+
+/**
+ * Reads the 'seriesIndex' tab into a tag-to-name map.
+ * @param {string[][]} rows - Sheet rows, header first
+ * @returns {Map<string, string>}
+ */
+function parseSeriesNames(rows) {
+    const column = columnIndexes('seriesIndex', rows[0]);
+    const seriesNames = new Map();
+    for (const line of rows.slice(1)) {
+        const seriesTag = line[column.seriesTag];
+        const seriesName = line[column.seriesName];
+        if (seriesTag && seriesName) seriesNames.set(seriesTag.trim(), seriesName.trim());
+    }
+    return seriesNames;
+}
+
+/**
+ * Works out when a screening ends: runtime plus 15 minutes when known, otherwise 2 hours.
+ *
+ * Done in plain minutes so a late show running past midnight rolls the date forward.
+ * Reusing the start date for the end produced a timestamp earlier than the start, which
+ * the Calendar API rejects — and the schedule regularly carries 10:00 PM showtimes.
+ *
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} time - HH:MM
+ * @param {string|number} [runtime] - e.g. "117 minutes" or "1h 45m", read by
+ *   runtimeParser.js, or the minutes themselves
+ * @returns {{ endDate: string, endTime: string }}
+ */
+function screeningEnd(date, time, runtime) {
+    const minutes = typeof runtime === 'number' ? runtime : parseRuntime(runtime || '').minutes;
+    const durationMinutes = minutes ? minutes + 15 : 120;
+
+    const [startHours, startMinutes] = time.split(':').map(Number);
+    const endTotalMinutes = startHours * 60 + startMinutes + durationMinutes;
+    const endHours = String(Math.floor((endTotalMinutes % 1440) / 60)).padStart(2, '0');
+    const endMinutes = String(endTotalMinutes % 60).padStart(2, '0');
+    return {
+        endDate: addDaysToISODate(date, Math.floor(endTotalMinutes / 1440)),
+        endTime: `${endHours}:${endMinutes}`,
+    };
+}
+
+/**
+ * Builds the default event description: runtime, series and film page, one per line.
+ * @param {Screening} screening
+ * @returns {string}
+ */
+function describeScreening(screening) {
+    const parts = [];
+    if (screening.runtime) parts.push(`Runtime: ${screening.runtime}`);
+    if (screening.seriesName) parts.push(`Film Series: ${screening.seriesName}`);
+    if (screening.url) parts.push(`URL: ${screening.url}`);
+    return parts.join('\n');
+}
+
+/**
+ * Builds the upcoming screenings from raw 'schedule' rows.
+ *
+ * Rows dated before today, missing a title, date or time, or with a malformed date or
+ * time are skipped with a log line. Duplicates, by title and start or by screening key,
+ * are dropped, keeping the first.
+ *
+ * @param {string[][]} scheduleRows - Sheet rows, header first
+ * @param {Object} context
+ * @param {Map<string, string>} context.runtimes - Result of parseRuntimes()
+ * @param {Map<string, number>} [context.runtimeMinutes] - Result of parseRuntimeMinutes();
+ *   without it, each runtime is parsed here
+ * @param {Map<string, string>} context.seriesNames - Result of parseSeriesNames()
+ * @param {Map<string, Object<string, string>>} [context.films] - Result of parseFilms()
+ * @param {string} context.today - YYYY-MM-DD
+ * @param {Object} [context.logger]
+ * @returns {Screening[]}
+ */
+function buildScreenings(scheduleRows, context) {
+    // Parameter validation
+    if (!Array.isArray(scheduleRows)) {
+        throw new Error('buildScreenings: scheduleRows must be an array');
+    }
+    const { runtimes, runtimeMinutes: minutesByTitle = null, seriesNames, films = new Map(), today, logger = defaultLogger } = context || {};
+    if (!(runtimes instanceof Map) || !(seriesNames instanceof Map)) {
+        throw new Error('buildScreenings: context.runtimes and context.seriesNames must be Maps');
+    }
+    if (typeof today !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(today)) {
+        throw new Error('buildScreenings: context.today must be a date string in YYYY-MM-DD format');
+    }
+    const log = /** @type {any} */ (logger);
+
+    const column = columnIndexes('schedule', scheduleRows[0]);
+    const screenings = [];
+    // Titles whose runtime could not be read, so each is reported once.
+    const unreadable = new Set();
+    let allSkippedForMissingFields = true;
+    for (const line of scheduleRows.slice(1)) {
+        const row = {
+            Title: line[column.Title],
+            Date: line[column.Date],
+            Time: line[column.Time],
+            URL: line[column.URL],
+            SeriesTag: line[column.SeriesTag],
+            CatalogId: line[column.CatalogId],
+        };
+        if (!row.Date || !row.Time || !row.Title) {
+            log.warn(`Skipping invalid row in schedule sheet (missing required fields): ${JSON.stringify(row)}`);
+            continue;
+        }
+        allSkippedForMissingFields = false;
+        if (row.Date < today) {
+            log.info(`Skipping past event: ${row.Title} on ${row.Date}`);
+            continue;
+        }
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(row.Date)) {
+            log.error(`Invalid date format for event "${row.Title}": ${row.Date}. Expected YYYY-MM-DD.`);
+            continue;
+        }
+        if (!/^\d{2}:\d{2}$/.test(row.Time)) {
+            log.error(`Invalid time format for event "${row.Title}": ${row.Time}. Expected HH:MM (24-hour).`);
+            continue;
+        }
+
+        const seriesTag = (row.SeriesTag || '').trim();
+        const runtime = runtimes.get(row.Title) || runtimes.get(row.Title.trim()) || '';
+        const minutes = minutesByTitle
+            ? minutesByTitle.get(row.Title.trim()) || null
+            : runtime ? parseRuntime(runtime).minutes : null;
+        if (runtime && !minutes && !unreadable.has(row.Title)) {
+            unreadable.add(row.Title);
+            log.warn(`Could not read the runtime '${runtime}' of "${row.Title}"; its events end 2 hours after they start.`);
+        }
+        const film = (row.URL && films.get(filmSlug(row.URL))) || {};
+        screenings.push({
+            key: screeningKey({ catalogId: row.CatalogId, title: row.Title, date: row.Date, time: row.Time }),
+            title: row.Title,
+            displayTitle: titleCase(row.Title),
+            date: row.Date,
+            time: row.Time,
+            ...screeningEnd(row.Date, row.Time, minutes || ''),
+            seriesTag,
+            seriesName: seriesTag && seriesNames.has(seriesTag) ? titleCase(seriesNames.get(seriesTag)) : '',
+            url: row.URL || '',
+            catalogId: (row.CatalogId || '').trim(),
+            runtime,
+            director: film.Director || '',
+            year: film.Year || '',
+            country: film.Country || '',
+            language: film.Language || '',
+            format: film.Format || '',
+        });
+    }
+
+    if (allSkippedForMissingFields && scheduleRows.length > 1) {
+        log.warn('All events were skipped due to missing required fields.');
+    }
+
+    // By title and start, then by screening key, which the calendar sync relies on being
+    // unique.
+    const unique = deduplicateRows(
+        deduplicateRows(screenings, screening => `${screening.displayTitle}|${screening.date}T${screening.time}`),
+        screening => screening.key
+    );
+    if (unique.length < screenings.length) {
+        log.warn(`Dropped ${screenings.length - unique.length} duplicate screenings from the schedule sheet.`);
+    }
+    return unique;
+}
+
+/**
+ * Reads the five tabs, in one request, and builds the upcoming screenings.
+ * @param {Object} [options]
+ * @param {string} [options.today] - YYYY-MM-DD; defaults to today in UTC
+ * @param {Object} [options.logger]
+ * @returns {Promise<{ screenings: Screening[], seriesIndexRows: string[][], seriesNames: Map<string, string> }>}
+ *   seriesIndexRows is the raw tab, for callers that read further columns from it
+ */
+async function readScreenings(options = {}) {
+    const { today = new Date().toISOString().split('T')[0], logger = defaultLogger } = options;
+    const tabs = await getTabs(['runtimes', 'seriesIndex', 'schedule', 'films']);
+    const runtimes = parseRuntimes(tabs.runtimes);
+    const runtimeMinutes = parseRuntimeMinutes(tabs.runtimes);
+    const seriesIndexRows = tabs.seriesIndex;
+    const seriesNames = parseSeriesNames(seriesIndexRows);
+    const scheduleRows = tabs.schedule;
+
+    const films = parseFilms(tabs.films);
+    const screenings = buildScreenings(scheduleRows, { runtimes, runtimeMinutes, seriesNames, films, today, logger });
+    return { screenings, seriesIndexRows, seriesNames };
+}
+
+module.exports = {
+    VENUE_LOCATION,
+    parseRuntimes,
+    parseRuntimeMinutes,
+    parseSeriesNames,
+    screeningEnd,
+    describeScreening,
+    buildScreenings,
+    readScreenings,
+};
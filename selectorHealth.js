@@ -0,0 +1,341 @@
+/**
+ * selectorHealth.js
+ * Watches how often the scrapers' selectors match, and flags a run when the site's
+ * structure looks to have changed.
+ *
+ * Each scraper logged "The website structure may have changed" when a selector found
+ * nothing, but the warning sat in a log file and the run still exited 0. Now every page
+ * scraper.js loads is checked against the selectors its page type is expected to have
+ * (PAGE_SELECTORS), and each script records its run's hit counts in
+ * files/selectorHealth.json. A run's counts are compared with recent runs' per page:
+ *
+ *   - a required selector that matches nothing, or whose count per page falls below a
+ *     quarter of its median over the last five runs, marks the run degraded;
+ *   - any other selector doing the same is logged as a warning only, since a film page
+ *     without a synopsis, say, is not a broken site.
+ *
+ * fullUpdate.js exits with DEGRADED_EXIT_CODE when a step's run was degraded, and the web
+ * interface shows the latest status from /api/health. A page that could not be loaded at
+ * all is not counted: that is a network failure, reported where it happens.
+ *
+ * Usage:
+ *   const health = createHealthRecorder('beaconSchedule');
+ *   const scraper = createScraper({ logger, health });
+ *   ...
+ *   health.finish({ logger });
+ *
+ * Covered by test/selectorHealth.test.js.
+ */
+
+// @ts-check
+// External dependencies
+const fs = require('fs');
+const path = require('path');
+
+// Internal dependencies
+const defaultLogger = require('./logger')('selectorHealth');
+
+const HEALTH_FILE = path.join(__dirname, 'files', 'selectorHealth.json');
+const HEALTH_VERSION = 1;
+// Runs kept in the file, across all scripts.
+const HEALTH_RETENTION = 100;
+// Recent runs of a page type a count is compared with.
+const HEALTH_WINDOW = 5;
+// Below this share of its recent median, a count has collapsed.
+const COLLAPSE_RATIO = 0.25;
+// fullUpdate.js's exit status when every step ran but the site structure looks changed.
+const DEGRADED_EXIT_CODE = 2;
+
+/**
+ * The selectors each page type is expected to have, by the names of the extractors in
+ * scraper.js. Required ones are what the scraper cannot do without.
+ * @type {Record<string, Record<string, { selector: string, required?: boolean }>>}
+ */
+const PAGE_SELECTORS = {
+    'calendar': {
+        days: { selector: '.cal-list .cal-list-day', required: true },
+        entries: { selector: '.cal-list .cal-list-entry', required: true },
+        links: { selector: '.cal-list-entry a.cal-list-movie', required: true },
+        times: { selector: '.cal-list-entry .cal-list-time' },
+        catalogIds: { selector: '.cal-list-entry [data-catalog-id]' },
+    },
+    'series index': {
+        sections: { selector: '.listing-section', required: true },
+        cards: { selector: '.listing-section a.card', required: true },
+        headings: { selector: '.listing-section .section-heading-brush' },
+        cardTitles: { selector: 'a.card .card-title' },
+    },
+    'series': {
+        titles: { selector: '.film-title, h1.movie-title', required: true },
+        filmList: { selector: '.film-list .film-title' },
+    },
+    'film': {
+        fields: { selector: '.meta-field', required: true },
+        labels: { selector: '.meta-field .meta-label' },
+        synopsis: { selector: '.movie-synopsis, .film-synopsis, .synopsis' },
+    },
+};
+
+/**
+ * @typedef {Object} HealthProblem
+ * @property {string} pageType
+ * @property {string} key - Name of the selector in PAGE_SELECTORS
+ * @property {string} selector
+ * @property {'vanished'|'collapsed'} kind
+ * @property {'degraded'|'warning'} severity - degraded for a required selector
+ * @property {number} perPage - Matches per page in this run
+ * @property {number|null} baseline - Median per page over recent runs; null without any
+ */
+
+/**
+ * @typedef {Object} HealthRun
+ * @property {string} script
+ * @property {string} at - ISO timestamp
+ * @property {Record<string, { pages: number, hits: Record<string, number> }>} pages - By page type
+ * @property {HealthProblem[]} problems
+ * @property {boolean} degraded
+ */
+
+/**
+ * The selectors to count on a page of the given type, by name.
+ * @param {string} pageType
+ * @returns {Record<string, string>|null} null for a page type that is not watched
+ */
+function selectorsFor(pageType) {
+    const selectors = PAGE_SELECTORS[pageType];
+    if (!selectors) return null;
+    return Object.fromEntries(Object.entries(selectors).map(([key, entry]) => [key, entry.selector]));
+}
+
+/**
+ * Counts the matches of each selector on a page.
+ *
+ * Runs in Chrome through page.evaluate() as well as in Node, so it may use nothing from
+ * this module.
+ *
+ * @param {Record<string, string>} selectors - By name, as from selectorsFor()
+ * @param {any} [root=document]
+ * @returns {Record<string, number>}
+ */
+function countSelectors(selectors, root = document) {
+    /** @type {Record<string, number>} */
+    const counts = {};
+    for (const [key, selector] of Object.entries(selectors)) {
+        counts[key] = root.querySelectorAll(selector).length;
+    }
+    return counts;
+}
+
+/**
+ * @param {number[]} values - Not empty
+ * @returns {number}
+ */
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Compares a run's counts with recent runs'.
+ * @param {{ pages: HealthRun['pages'] }} run
+ * @param {HealthRun[]} recentRuns - Earlier runs, oldest first
+ * @returns {HealthProblem[]}
+ */
+function assessRun(run, recentRuns) {
+    // Parameter validation
+    if (!run || typeof run.pages !== 'object') {
+        throw new Error('assessRun: run.pages must be an object');
+    }
+    if (!Array.isArray(recentRuns)) {
+        throw new Error('assessRun: recentRuns must be an array');
+    }
+
+    /** @type {HealthProblem[]} */
+    const problems = [];
+    for (const [pageType, { pages, hits }] of Object.entries(run.pages)) {
+        const expected = PAGE_SELECTORS[pageType];
+        if (!expected || pages === 0) continue;
+        const earlier = recentRuns
+            .filter(recent => recent.pages && recent.pages[pageType] && recent.pages[pageType].pages > 0)
+            .slice(-HEALTH_WINDOW)
+            .map(recent => recent.pages[pageType]);
+
+        for (const [key, { selector, required }] of Object.entries(expected)) {
+            const perPage = (hits[key] || 0) / pages;
+            const baseline = earlier.length > 0
+                ? median(earlier.map(recent => (recent.hits[key] || 0) / recent.pages))
+                : null;
+            /** @type {'vanished'|'collapsed'|null} */
+            let kind = null;
+            if (perPage === 0 && (required || (baseline !== null && baseline > 0))) {
+                kind = 'vanished';
+            } else if (baseline !== null && baseline > 0 && perPage < baseline * COLLAPSE_RATIO) {
+                kind = 'collapsed';
+            }
+            if (kind) {
+                problems.push({ pageType, key, selector, kind, severity: required ? 'degraded' : 'warning', perPage, baseline });
+            }
+        }
+    }
+    return problems;
+}
+
+/**
+ * One line describing a problem, for logs and the web interface.
+ * @param {HealthProblem} problem
+ * @returns {string}
+ */
+function describeProblem(problem) {
+    const round = value => Math.round(value * 10) / 10;
+    const recent = problem.baseline === null ? '' : `, against ${round(problem.baseline)} per page in recent runs`;
+    const found = problem.kind === 'vanished' ? 'matched nothing' : `fell to ${round(problem.perPage)} per page`;
+    return `${problem.pageType} pages: '${problem.selector}' ${found}${recent}.`;
+}
+
+/**
+ * Reads the recorded runs, oldest first.
+ * @param {string} [file=HEALTH_FILE]
+ * @returns {HealthRun[]} [] when none have been recorded
+ * @throws {Error} When the file exists but cannot be read as runs
+ */
+function loadHealthRuns(file = HEALTH_FILE) {
+    if (!fs.existsSync(file)) return [];
+    let parsed;
+    try {
+        parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`loadHealthRuns: ${path.basename(file)} is not valid JSON: ${error.message}`);
+    }
+    if (!parsed || !Array.isArray(parsed.runs)) {
+        throw new Error(`loadHealthRuns: ${path.basename(file)} must hold { version, runs: [...] }`);
+    }
+    return parsed.runs;
+}
+
+/**
+ * Appends a run to the file, keeping the newest HEALTH_RETENTION.
+ * @param {HealthRun} run
+ * @param {string} [file=HEALTH_FILE]
+ * @returns {void}
+ */
+function saveHealthRun(run, file = HEALTH_FILE) {
+    const runs = [...loadHealthRuns(file), run].slice(-HEALTH_RETENTION);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    // Written aside and renamed, so a run killed mid-write cannot leave half a file.
+    const temporary = `${file}.tmp`;
+    fs.writeFileSync(temporary, JSON.stringify({ version: HEALTH_VERSION, runs }, null, 2) + '\n');
+    fs.renameSync(temporary, file);
+}
+
+/**
+ * The site's health from each script's latest run.
+ * @param {HealthRun[]} runs - Oldest first
+ * @returns {{ status: 'ok'|'degraded'|'unknown', checkedAt: string|null,
+ *   problems: Array<{ script: string, at: string, message: string }> }}
+ *   problems lists what made a run degraded; status is unknown when there are no runs
+ */
+function healthStatus(runs) {
+    // Parameter validation
+    if (!Array.isArray(runs)) {
+        throw new Error('healthStatus: runs must be an array');
+    }
+
+    const latest = new Map();
+    for (const run of runs) latest.set(run.script, run);
+    const problems = [];
+    for (const run of latest.values()) {
+        for (const problem of run.problems.filter(entry => entry.severity === 'degraded')) {
+            problems.push({ script: run.script, at: run.at, message: describeProblem(problem) });
+        }
+    }
+    const checkedAt = runs.length > 0 ? runs.map(run => run.at).sort().pop() || null : null;
+    return {
+        status: runs.length === 0 ? 'unknown' : problems.length > 0 ? 'degraded' : 'ok',
+        checkedAt,
+        problems,
+    };
+}
+
+/**
+ * Creates a recorder for one script's run, to pass to createScraper().
+ * @param {string} script - e.g. 'beaconSchedule'
+ * @param {Object} [options]
+ * @param {string} [options.file=HEALTH_FILE]
+ * @param {() => Date} [options.now]
+ * @returns {{ selectorsFor: (pageType: string) => Record<string, string>|null,
+ *   record: (pageType: string, counts: Record<string, number>) => void,
+ *   finish: (options?: { logger?: Object }) => { degraded: boolean, problems: HealthProblem[] } }}
+ */
+function createHealthRecorder(script, options = {}) {
+    // Parameter validation
+    if (!script || typeof script !== 'string') {
+        throw new Error('createHealthRecorder: script must be a non-empty string');
+    }
+    const { file = HEALTH_FILE, now = () => new Date() } = options;
+
+    /** @type {HealthRun['pages']} */
+    const pages = {};
+
+    return {
+        selectorsFor,
+
+        record(pageType, counts) {
+            if (!PAGE_SELECTORS[pageType]) return;
+            const entry = pages[pageType] || (pages[pageType] = { pages: 0, hits: {} });
+            entry.pages++;
+            for (const [key, count] of Object.entries(counts)) {
+                entry.hits[key] = (entry.hits[key] || 0) + count;
+            }
+        },
+
+        /**
+         * Compares the run with recent ones, records it and logs what looks wrong. A run
+         * that loaded no pages is not recorded.
+         */
+        finish({ logger = defaultLogger } = {}) {
+            if (Object.keys(pages).length === 0) return { degraded: false, problems: [] };
+            const log = /** @type {any} */ (logger);
+
+            let recentRuns = [];
+            try {
+                recentRuns = loadHealthRuns(file);
+            } catch (error) {
+                log.warn(`${error.message}; comparing with no earlier runs.`);
+            }
+            const problems = assessRun({ pages }, recentRuns);
+            const degraded = problems.some(problem => problem.severity === 'degraded');
+            const run = { script, at: now().toISOString(), pages, problems, degraded };
+            try {
+                saveHealthRun(run, file);
+            } catch (error) {
+                log.warn(`Could not record the selector health check: ${error.message}`);
+            }
+
+            for (const problem of problems) {
+                const message = `Site structure check: ${describeProblem(problem)}`;
+                if (problem.severity === 'degraded') log.error(message);
+                else log.warn(message);
+            }
+            if (degraded) {
+                log.error('Site structure check: DEGRADED. The website structure may have changed; ' +
+                    'see "Website structure dependencies" in README.md.');
+            }
+            return { degraded, problems };
+        },
+    };
+}
+
+module.exports = {
+    HEALTH_FILE,
+    DEGRADED_EXIT_CODE,
+    PAGE_SELECTORS,
+    selectorsFor,
+    countSelectors,
+    assessRun,
+    describeProblem,
+    loadHealthRuns,
+    saveHealthRun,
+    healthStatus,
+    createHealthRecorder,
+};
@@ -0,0 +1,314 @@
+/**
+ * sheetDiff.js
+ * Works out the smallest set of edits that turns a tab's rows into new ones.
+ *
+ * setSheetRows() used to overwrite every cell of a tab on every run, then clear the
+ * surplus. Each run touched the edit history of every cell, and removed any formatting
+ * or comments people had added. diffRows() instead compares the rows a tab holds with
+ * the rows a script wants it to hold:
+ *
+ *   - rows are paired up by the tab's key (see sheetSchema.js), keeping their order, so a
+ *     screening added in the middle of the schedule is one inserted row, not a rewrite
+ *     of every row below it;
+ *   - a paired row is compared cell by cell, and only the cells that differ are written;
+ *   - an unpaired old row is deleted, and an unpaired new row inserted.
+ *
+ * sheetRequests() turns the row inserts and deletes into spreadsheets.batchUpdate
+ * requests: deletes run bottom-up and inserts top-down, so each request's row numbers
+ * hold when it is applied. valueRanges() turns the changed cells into values.batchUpdate
+ * ranges, in the row numbers that follow. Neither touches formatting or notes.
+ *
+ * Usage:
+ *   const diff = diffRows(oldRows, newRows, { key: ['Title'] });
+ *   const requests = sheetRequests(diff, { sheetId, rowCount, columnCount });
+ *   const data = valueRanges(diff, 'runtimes');
+ *
+ * Covered by test/sheetDiff.test.js.
+ */
+
+// @ts-check
+
+/**
+ * @typedef {Object} CellRun
+ * @property {number} row - 0-based row in the new rows
+ * @property {number} column - 0-based column of the first cell
+ * @property {string[]} values - Consecutive cells from there; '' clears a cell
+ */
+
+/**
+ * @typedef {Object} RowsDiff
+ * @property {[number, number][]} deletes - Old row ranges [start, end) to delete, bottom-up
+ * @property {[number, number][]} inserts - New row ranges [start, end) to insert, top-down
+ * @property {CellRun[]} cells - Cells to write, in the new row numbers
+ * @property {number} cellsChanged - Cells whose value changes, inserted rows included
+ * @property {number} rowsInserted
+ * @property {number} rowsDeleted
+ * @property {number} width - Columns the new rows span
+ * @property {number} oldRowCount - Rows the tab held, header included
+ */
+
+/**
+ * A cell as text, as the Sheets API returns it.
+ * @param {any} value
+ * @returns {string}
+ */
+function cellText(value) {
+    return value === undefined || value === null ? '' : String(value);
+}
+
+/**
+ * Keys each data row by its key columns, or by its whole content when the header lacks them.
+ * @param {any[][]} rows - Header first
+ * @param {string[]} key
+ * @returns {string[]} One per data row
+ */
+function rowKeys(rows, key) {
+    const header = (rows[0] || []).map(cell => cellText(cell).trim());
+    const columns = key.map(column => header.indexOf(column));
+    const whole = columns.length === 0 || columns.includes(-1);
+    return rows.slice(1).map(row => (whole ? row : columns.map(i => row[i]))
+        .map(cell => cellText(cell).trim()).join('\u0000'));
+}
+
+/**
+ * Pairs up two key sequences, keeping their order: the longest common subsequence.
+ *
+ * Common leading and trailing rows are paired first, which on a typical run leaves little
+ * or nothing for the quadratic part.
+ *
+ * @param {string[]} a
+ * @param {string[]} b
+ * @returns {[number, number][]} Index pairs, ascending
+ */
+function alignKeys(a, b) {
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+
+    /** @type {[number, number][]} */
+    const pairs = [];
+    for (let i = 0; i < start; i++) pairs.push([i, i]);
+
+    const n = endA - start;
+    const m = endB - start;
+    if (n > 0 && m > 0) {
+        // lengths[i * (m + 1) + j]: common subsequence of a[start+i..] and b[start+j..]
+        const lengths = new Uint32Array((n + 1) * (m + 1));
+        for (let i = n - 1; i >= 0; i--) {
+            for (let j = m - 1; j >= 0; j--) {
+                lengths[i * (m + 1) + j] = a[start + i] === b[start + j]
+                    ? lengths[(i + 1) * (m + 1) + j + 1] + 1
+                    : Math.max(lengths[(i + 1) * (m + 1) + j], lengths[i * (m + 1) + j + 1]);
+            }
+        }
+        let i = 0;
+        let j = 0;
+        while (i < n && j < m) {
+            if (a[start + i] === b[start + j]) {
+                pairs.push([start + i, start + j]);
+                i++;
+                j++;
+            } else if (lengths[(i + 1) * (m + 1) + j] >= lengths[i * (m + 1) + j + 1]) {
+                i++;
+            } else {
+                j++;
+            }
+        }
+    }
+
+    for (let k = 0; k < a.length - endA; k++) pairs.push([endA + k, endB + k]);
+    return pairs;
+}
+
+/**
+ * Groups ascending indexes into [start, end) ranges of consecutive ones.
+ * @param {number[]} indexes
+ * @returns {[number, number][]}
+ */
+function toRanges(indexes) {
+    /** @type {[number, number][]} */
+    const ranges = [];
+    for (const index of indexes) {
+        const last = ranges[ranges.length - 1];
+        if (last && last[1] === index) last[1]++;
+        else ranges.push([index, index + 1]);
+    }
+    return ranges;
+}
+
+/**
+ * Compares a tab's rows with the rows it should hold.
+ *
+ * @param {any[][]} oldRows - The tab as read, header first; rows may be ragged
+ * @param {any[][]} newRows - The rows to write, header first
+ * @param {Object} [options]
+ * @param {string[]} [options.key=[]] - Columns identifying a row; without them, rows are
+ *   paired only when identical
+ * @returns {RowsDiff}
+ */
+function diffRows(oldRows, newRows, options = {}) {
+    // Parameter validation
+    if (!Array.isArray(oldRows) || !oldRows.every(Array.isArray)) {
+        throw new Error('diffRows: oldRows must be an array of rows');
+    }
+    if (!Array.isArray(newRows) || newRows.length === 0 || !newRows.every(Array.isArray)) {
+        throw new Error('diffRows: newRows must be a non-empty array of rows');
+    }
+    const { key = [] } = options;
+
+    // The header rows are always paired; the data rows are paired by key. Indexes
+    // from here on count the header as row 0.
+    const dataPairs = alignKeys(rowKeys(oldRows, key), rowKeys(newRows, key))
+        .map(([i, j]) => /** @type {[number, number]} */ ([i + 1, j + 1]));
+    const pairs = oldRows.length > 0 ? [[0, 0], ...dataPairs] : dataPairs;
+    const pairedOld = new Set(pairs.map(([i]) => i));
+    const pairedNew = new Map(pairs.map(([i, j]) => [j, i]));
+
+    const deleted = oldRows.map((_, i) => i).filter(i => !pairedOld.has(i));
+    const inserted = newRows.map((_, j) => j).filter(j => !pairedNew.has(j));
+
+    /** @type {CellRun[]} */
+    const cells = [];
+    let cellsChanged = 0;
+    const width = Math.max(...newRows.map(row => row.length));
+    newRows.forEach((row, j) => {
+        const old = pairedNew.has(j) ? oldRows[pairedNew.get(j)] : [];
+        // Old cells past the end of the new row are cleared too.
+        const span = Math.max(row.length, old.length);
+        let run = null;
+        for (let c = 0; c < span; c++) {
+            const value = cellText(row[c]);
+            if (value === cellText(old[c])) {
+                run = null;
+                continue;
+            }
+            cellsChanged++;
+            if (run) {
+                run.values.push(value);
+            } else {
+                run = { row: j, column: c, values: [value] };
+                cells.push(run);
+            }
+        }
+    });
+
+    return {
+        deletes: toRanges(deleted).reverse(),
+        inserts: toRanges(inserted),
+        cells,
+        cellsChanged,
+        rowsInserted: inserted.length,
+        rowsDeleted: deleted.length,
+        width,
+        oldRowCount: oldRows.length,
+    };
+}
+
+/**
+ * Summarizes a diff for the logs.
+ * @param {RowsDiff} diff
+ * @returns {string} e.g. "3 cells changed, 1 row inserted, 0 deleted"
+ */
+function describeDiff(diff) {
+    const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+    return `${plural(diff.cellsChanged, 'cell')} changed, ${plural(diff.rowsInserted, 'row')} inserted, ` +
+        `${diff.rowsDeleted} deleted`;
+}
+
+/**
+ * Turns a diff's row inserts and deletes into spreadsheets.batchUpdate requests.
+ *
+ * Also widens the grid when the new rows run past its last column, which a values
+ * write would otherwise be refused for.
+ *
+ * @param {RowsDiff} diff
+ * @param {Object} grid - The tab as it stands
+ * @param {number} grid.sheetId
+ * @param {number} grid.rowCount - Rows in the grid, empty ones included
+ * @param {number} grid.columnCount
+ * @returns {Object[]} Empty when nothing changes
+ */
+function sheetRequests(diff, grid) {
+    // Parameter validation
+    if (!grid || !Number.isInteger(grid.sheetId)) {
+        throw new Error('sheetRequests: grid.sheetId must be an integer');
+    }
+    const { sheetId } = grid;
+    const requests = [];
+
+    // Grid rows, and rows holding data, as each request leaves them.
+    let rowCount = grid.rowCount;
+    let dataRows = diff.oldRowCount;
+    for (const [start, end] of diff.deletes) {
+        requests.push({ deleteDimension: { range: { sheetId, dimension: 'ROWS', startIndex: start, endIndex: end } } });
+        rowCount -= end - start;
+        dataRows -= end - start;
+    }
+    for (const [start, end] of diff.inserts) {
+        if (start >= dataRows) {
+            // Below the data the grid's empty rows are written into; it only needs
+            // extending when they run out.
+            if (end > rowCount) {
+                requests.push({ appendDimension: { sheetId, dimension: 'ROWS', length: end - rowCount } });
+                rowCount = end;
+            }
+            dataRows = end;
+        } else {
+            requests.push({
+                insertDimension: {
+                    range: { sheetId, dimension: 'ROWS', startIndex: start, endIndex: end },
+                    // Formatting comes from the data row above, never from the header.
+                    inheritFromBefore: start > 1,
+                },
+            });
+            rowCount += end - start;
+            dataRows += end - start;
+        }
+    }
+    if (diff.width > grid.columnCount && diff.cells.length > 0) {
+        requests.push({ appendDimension: { sheetId, dimension: 'COLUMNS', length: diff.width - grid.columnCount } });
+    }
+    return requests;
+}
+
+/**
+ * The A1 letters of a 0-based column index: 0 is A, 26 is AA.
+ * @param {number} index
+ * @returns {string}
+ */
+function columnLetters(index) {
+    let letters = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+    }
+    return letters;
+}
+
+/**
+ * Turns a diff's changed cells into values.batchUpdate ranges, one per run of cells.
+ * @param {RowsDiff} diff
+ * @param {string} sheetName
+ * @returns {{ range: string, values: string[][] }[]} Empty when no cell changes
+ */
+function valueRanges(diff, sheetName) {
+    const tab = `'${sheetName.replace(/'/g, "''")}'`;
+    return diff.cells.map(run => {
+        const row = run.row + 1;
+        const first = `${columnLetters(run.column)}${row}`;
+        const last = `${columnLetters(run.column + run.values.length - 1)}${row}`;
+        return { range: first === last ? `${tab}!${first}` : `${tab}!${first}:${last}`, values: [run.values] };
+    });
+}
+
+module.exports = {
+    diffRows,
+    describeDiff,
+    sheetRequests,
+    columnLetters,
+    valueRanges,
+};
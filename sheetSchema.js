@@ -0,0 +1,288 @@
+/**
+ * sheetSchema.js
+ * Declares the columns each table must have, and checks the tables against them.
+ *
+ * The scripts look columns up by header name. Before this, a tab that did not exist
+ * surfaced as an opaque "Unable to parse range" from the Sheets API, and a header that
+ * lacked a column turned every lookup into indexOf(...) === -1, so the script read
+ * `undefined` cells and carried on. Now storage.js checks every table before the first
+ * read or write of a run, and stops with a message naming each tab and column at fault:
+ *
+ *   - a tab that does not exist, or exists with no header row, is created with one when
+ *     asked (SCHEMA_AUTO_CREATE=true, or `node sheetSchema.js --create`), and is an
+ *     error otherwise;
+ *   - a header that lacks a required column is always an error. The column is added by
+ *     hand, since guessing where it goes in a sheet someone maintains would be worse.
+ *
+ * The exception is a table the pipeline added later, such as `history` or `films`: it is
+ * created whenever it is missing and nothing else is wrong. Nothing else being wrong is
+ * what tells an older sheet apart from the wrong one.
+ *
+ * Columns are still found by name, so their order does not matter and extra columns are
+ * allowed. Optional columns are written into new header rows but may be absent.
+ *
+ * Usage:
+ *   node sheetSchema.js            Check the tables and report any problems
+ *   node sheetSchema.js --create   Also create missing tabs and header rows
+ *
+ * Covered by test/sheetSchema.test.js.
+ */
+
+// @ts-check
+// Internal dependencies
+const defaultLogger = require('./logger')('sheetSchema');
+
+/**
+ * @typedef {Object} TableSchema
+ * @property {string[]} columns - In the order a new header row is written
+ * @property {string[]} [optional] - Columns that may be absent
+ * @property {string[]} key - Columns that together identify a row, for rowMerge.js
+ * @property {boolean} [autoCreate] - Created when missing even without SCHEMA_AUTO_CREATE,
+ *   as long as every other table checks out
+ */
+
+/** @type {Record<string, TableSchema>} */
+const SCHEMA = {
+    seriesIndex: {
+        columns: ['seriesName', 'seriesURL', 'seriesTag', 'calendarId'],
+        optional: ['calendarId'],
+        key: ['seriesTag'],
+    },
+    series: { columns: ['Title', 'SeriesTag', 'DateRecorded'], optional: ['DateRecorded'], key: ['SeriesTag', 'Title'] },
+    // CatalogId came with the series' Square ids; a schedule without it still checks out,
+    // its screenings are keyed by title, date and time, and the next beaconSchedule.js
+    // run adds it.
+    schedule: {
+        columns: ['Title', 'Date', 'Time', 'URL', 'SeriesTag', 'DateRecorded', 'CatalogId'],
+        optional: ['DateRecorded', 'CatalogId'],
+        key: ['Title', 'Date', 'Time'],
+    },
+    // RuntimeMinutes came later, so older sheets without it still check out; the next
+    // findRuntimes.js run adds it. See runtimeParser.js.
+    runtimes: { columns: ['Title', 'Runtime', 'RuntimeMinutes'], optional: ['RuntimeMinutes'], key: ['Title'] },
+    // Added after the others, by the pipeline itself, so existing sheets gain it on their
+    // next run. Only the key and the two timestamps are written by history.js alone.
+    history: {
+        columns: ['ScreeningKey', 'Title', 'Date', 'Time', 'SeriesTag', 'CatalogId', 'URL', 'FirstSeen', 'LastSeen'],
+        key: ['ScreeningKey'],
+        autoCreate: true,
+    },
+    // Written by findRuntimes.js from each film's page; see films.js.
+    films: {
+        columns: ['Slug', 'Title', 'URL', 'Director', 'Year', 'Country', 'Language', 'Format', 'Runtime',
+            'Synopsis', 'Metadata', 'DateRecorded'],
+        optional: ['DateRecorded'],
+        key: ['Slug'],
+        autoCreate: true,
+    },
+};
+
+/**
+ * Reads whether missing tables should be created, from the environment.
+ * @param {NodeJS.ProcessEnv} [env=process.env]
+ * @param {string} [backend='sheets'] - Local files are created unless told otherwise
+ * @returns {{ create: boolean }}
+ * @throws {Error} When SCHEMA_AUTO_CREATE is not true or false
+ */
+function loadSchemaConfig(env = process.env, backend = 'sheets') {
+    const raw = (env.SCHEMA_AUTO_CREATE || '').trim().toLowerCase();
+    if (raw === '') return { create: backend === 'local' };
+    if (raw !== 'true' && raw !== 'false') {
+        throw new Error(`loadSchemaConfig: SCHEMA_AUTO_CREATE must be true or false, got '${env.SCHEMA_AUTO_CREATE}'`);
+    }
+    return { create: raw === 'true' };
+}
+
+/**
+ * The table's schema.
+ * @param {string} table
+ * @returns {TableSchema}
+ */
+function schemaFor(table) {
+    const schema = SCHEMA[table];
+    if (!schema) {
+        throw new Error(`sheetSchema: unknown table '${table}' (tables: ${Object.keys(SCHEMA).join(', ')})`);
+    }
+    return schema;
+}
+
+/**
+ * The header row a new table is created with.
+ * @param {string} table
+ * @returns {string[]}
+ */
+function headerFor(table) {
+    return [...schemaFor(table).columns];
+}
+
+/**
+ * The required columns a header row lacks.
+ * @param {string} table
+ * @param {string[]} header
+ * @returns {string[]}
+ */
+function missingColumns(table, header) {
+    const { columns, optional = [] } = schemaFor(table);
+    const present = new Set(header.map(cell => String(cell).trim()));
+    return columns.filter(column => !optional.includes(column) && !present.has(column));
+}
+
+/**
+ * Finds each declared column in a header row.
+ *
+ * An empty header (a table with no rows at all) gives -1 for every column, since there
+ * is no row to misread; a header that lacks a required column is an error.
+ *
+ * @param {string} table
+ * @param {string[]} [header]
+ * @returns {Record<string, number>} Column name to index; -1 for an absent optional column
+ * @throws {Error} Naming the tab and every missing column
+ */
+function columnIndexes(table, header = []) {
+    const { columns } = schemaFor(table);
+    const trimmed = header.map(cell => String(cell).trim());
+    if (trimmed.length > 0) {
+        const missing = missingColumns(table, trimmed);
+        if (missing.length > 0) {
+            throw new Error(`${describeMissing(table, missing)} (header: ${trimmed.join(', ')})`);
+        }
+    }
+    return Object.fromEntries(columns.map(column => [column, trimmed.indexOf(column)]));
+}
+
+/**
+ * @param {string} table
+ * @param {string[]} missing
+ * @returns {string}
+ */
+function describeMissing(table, missing) {
+    const names = missing.map(column => `'${column}'`).join(', ');
+    return `tab '${table}' is missing column${missing.length === 1 ? '' : 's'} ${names}`;
+}
+
+/**
+ * @typedef {Object} SchemaReport
+ * @property {string[]} absent - Tables that do not exist
+ * @property {string[]} empty - Tables that exist with no header row
+ * @property {{ table: string, missing: string[] }[]} incomplete - Headers lacking required columns
+ */
+
+/**
+ * Compares each table's header row with the schema.
+ * @param {Record<string, string[]|null>} headers - Header row per table; null when the table does not exist
+ * @returns {SchemaReport}
+ */
+function checkSchema(headers) {
+    // Parameter validation
+    if (!headers || typeof headers !== 'object') {
+        throw new Error('checkSchema: headers must be an object');
+    }
+
+    /** @type {SchemaReport} */
+    const report = { absent: [], empty: [], incomplete: [] };
+    for (const table of Object.keys(SCHEMA)) {
+        const header = headers[table];
+        if (header === null || header === undefined) {
+            report.absent.push(table);
+        } else if (header.every(cell => String(cell).trim() === '')) {
+            report.empty.push(table);
+        } else {
+            const missing = missingColumns(table, header);
+            if (missing.length > 0) report.incomplete.push({ table, missing });
+        }
+    }
+    return report;
+}
+
+/**
+ * Lists a report's problems, one line each.
+ * @param {SchemaReport} report
+ * @returns {string[]}
+ */
+function describeProblems(report) {
+    return [
+        ...report.absent.map(table => `tab '${table}' does not exist`),
+        ...report.empty.map(table => `tab '${table}' has no header row`),
+        ...report.incomplete.map(({ table, missing }) => describeMissing(table, missing)),
+    ];
+}
+
+/**
+ * Checks a backend's tables, creating missing tabs and header rows when asked.
+ *
+ * @param {{ getHeaders: (tables: string[]) => Promise<Record<string, string[]|null>>,
+ *           addTables: (headers: Record<string, string[]>) => Promise<void> }} store
+ *   A storage backend: sheetsUtils.js or localStore.js
+ * @param {Object} [options]
+ * @param {boolean} [options.create=false] - Create absent tables and write missing header rows
+ * @param {string} [options.where='the spreadsheet'] - Names the backend in the error
+ * @param {Object} [options.logger]
+ * @returns {Promise<{ created: string[] }>} The tables that were created or given a header row
+ * @throws {Error} Listing every problem left, when any is
+ */
+async function verifySchema(store, options = {}) {
+    // Parameter validation
+    if (!store || typeof store.getHeaders !== 'function' || typeof store.addTables !== 'function') {
+        throw new Error('verifySchema: store must provide getHeaders() and addTables()');
+    }
+    const { create = false, where = 'the spreadsheet', logger = defaultLogger } = options;
+
+    const report = checkSchema(await store.getHeaders(Object.keys(SCHEMA)));
+    const newTables = report.absent.filter(table => SCHEMA[table].autoCreate);
+    const otherwiseValid = report.absent.length === newTables.length &&
+        report.empty.length + report.incomplete.length === 0;
+    const absent = create ? report.absent : (otherwiseValid ? newTables : []);
+    const empty = create ? report.empty : [];
+    const created = [...absent, ...empty];
+    if (created.length > 0) {
+        await store.addTables(Object.fromEntries(created.map(table => [table, headerFor(table)])));
+        for (const table of absent) logger.info(`Created tab '${table}' in ${where} with its header row.`);
+        for (const table of empty) logger.info(`Wrote the header row of tab '${table}' in ${where}.`);
+        report.absent = report.absent.filter(table => !absent.includes(table));
+        report.empty = report.empty.filter(table => !empty.includes(table));
+    }
+
+    const problems = describeProblems(report);
+    if (problems.length > 0) {
+        const fixes = [];
+        if (report.absent.length + report.empty.length > 0) {
+            fixes.push('Run `node sheetSchema.js --create`, or set SCHEMA_AUTO_CREATE=true, to create missing tabs and header rows.');
+        }
+        if (report.incomplete.length > 0) {
+            fixes.push('Add missing columns to the header row by hand; columns are found by name, in any order.');
+        }
+        throw new Error(`The tables in ${where} do not match the schema:\n` +
+            problems.map(problem => `  - ${problem}`).join('\n') + '\n' + fixes.join('\n'));
+    }
+    return { created };
+}
+
+module.exports = {
+    SCHEMA,
+    loadSchemaConfig,
+    schemaFor,
+    headerFor,
+    columnIndexes,
+    checkSchema,
+    describeProblems,
+    verifySchema,
+};
+
+// CLI interface
+if (require.main === module) {
+    require('dotenv').config();
+    const { handleError } = require('./errorHandler');
+    const logger = defaultLogger;
+    const { getStorage } = require('./storage');
+
+    // Without --create, SCHEMA_AUTO_CREATE and the backend's default decide.
+    const options = process.argv.includes('--create') ? { create: true } : {};
+    (async () => {
+        const storage = getStorage();
+        const { created } = await storage.verify(options);
+        logger.info(`All ${Object.keys(SCHEMA).length} tables in ${storage.describe()} match the schema` +
+            (created.length ? ` (created: ${created.join(', ')}).` : '.'));
+    })().catch(error => {
+        handleError(logger, error instanceof Error ? error : new Error(String(error)), 'Schema check failed', true);
+    });
+}
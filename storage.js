@@ -0,0 +1,266 @@
+/**
+ * storage.js
+ * Reads and writes the pipeline's tables, in the Google Sheet or in local files.
+ *
+ * Every script used to go straight to sheetsUtils.js, which will not even load without a
+ * full set of service account credentials and SPREADSHEET_ID, so nothing could run
+ * offline. Scripts now go through getRows()/setRows() here, and STORAGE_BACKEND picks
+ * where the tables live:
+ *
+ *   sheets (default)  The Google Sheet, through sheetsUtils.js
+ *   local             JSON files under LOCAL_DATA_DIR (files/data/), through localStore.js
+ *
+ * The tables are the sheet's tabs: seriesIndex, series, schedule, runtimes, history and films.
+ * Both backends take and return the same rows, header row first, so a script cannot tell
+ * which one it is using. The Sheets backend is only loaded when it is used, so the local
+ * one needs no Google configuration at all.
+ *
+ * Before the first read or write, the tables are checked against sheetSchema.js, so a
+ * missing tab or column stops the script with a message naming it. Missing tables are
+ * created when SCHEMA_AUTO_CREATE is true, which is the default for local files only.
+ *
+ * Before each write, the rows the table held are saved to files/backups/ (see
+ * tableBackup.js). A write whose backup fails is not made.
+ *
+ * `node storage.js pull` copies every table from the Google Sheet into local files,
+ * as a starting point for working offline.
+ *
+ * A script that needs several tables reads them with getTabs(), which the Sheets backend
+ * serves with one values.batchGet instead of a request per tab.
+ *
+ * Usage:
+ *   const { getRows, getTabs, setRows } = require('./storage');
+ *   const rows = await getRows('schedule');
+ *   const { runtimes, schedule } = await getTabs(['runtimes', 'schedule']);
+ *
+ * Covered by test/storage.test.js.
+ */
+
+// @ts-check
+// External dependencies
+const path = require('path');
+
+// Internal dependencies
+const { createLocalStore } = require('./localStore');
+const { SCHEMA, loadSchemaConfig, verifySchema } = require('./sheetSchema');
+const { BACKUP_DIR, loadBackupConfig, backupTable } = require('./tableBackup');
+
+const TABLES = Object.keys(SCHEMA);
+const BACKENDS = ['sheets', 'local'];
+const DEFAULT_DATA_DIR = path.join(__dirname, 'files', 'data');
+
+/**
+ * @typedef {Object} StorageConfig
+ * @property {'sheets'|'local'} backend
+ * @property {string} dataDir - Where the local backend keeps its files
+ * @property {boolean} [autoCreate=false] - Create missing tables and header rows
+ * @property {number} [backupRetention=0] - Backups to keep per table; 0 takes none
+ * @property {string} [backupDir] - Where backups are kept; defaults to files/backups
+ */
+
+/**
+ * @typedef {Object} WriteSummary
+ * @property {number} cellsChanged - Cells whose value changed, those in inserted rows included
+ * @property {number} rowsInserted
+ * @property {number} rowsDeleted
+ */
+
+/**
+ * Reads the storage settings from the environment.
+ * @param {NodeJS.ProcessEnv} [env=process.env]
+ * @returns {StorageConfig}
+ * @throws {Error} When STORAGE_BACKEND names no backend, SCHEMA_AUTO_CREATE is not a boolean,
+ *   or TABLE_BACKUP_RETENTION is not a whole number
+ */
+function loadStorageConfig(env = process.env) {
+    const backend = (env.STORAGE_BACKEND || 'sheets').trim().toLowerCase();
+    if (!BACKENDS.includes(backend)) {
+        throw new Error(`loadStorageConfig: STORAGE_BACKEND must be one of ${BACKENDS.join(', ')}, got '${env.STORAGE_BACKEND}'`);
+    }
+    const dataDir = (env.LOCAL_DATA_DIR || '').trim();
+    return {
+        backend: /** @type {'sheets'|'local'} */ (backend),
+        dataDir: dataDir ? path.resolve(__dirname, dataDir) : DEFAULT_DATA_DIR,
+        autoCreate: loadSchemaConfig(env, backend).create,
+        backupRetention: loadBackupConfig(env).retention,
+        backupDir: BACKUP_DIR,
+    };
+}
+
+/**
+ * Creates storage over the configured backend.
+ * @param {StorageConfig} config - From loadStorageConfig()
+ * @param {Object} [options]
+ * @param {Object} [options.logger] - For the schema check's and backups' messages
+ * @returns {{ backend: string, describe: () => string, verify: (options?: { create?: boolean }) => Promise<{ created: string[] }>,
+ *   getRows: (table: string) => Promise<string[][]>, getTabs: (tables: string[]) => Promise<Record<string, string[][]>>,
+ *   setRows: (table: string, rows: any[][]) => Promise<WriteSummary> }}
+ */
+function createStorage(config, options = {}) {
+    // Parameter validation
+    if (!config || !BACKENDS.includes(config.backend)) {
+        throw new Error(`createStorage: config.backend must be one of ${BACKENDS.join(', ')}`);
+    }
+
+    let store = null;
+    // Loaded on first use: sheetsUtils.js validates the Google credentials as it loads.
+    const open = () => {
+        if (!store) {
+            if (config.backend === 'local') {
+                store = createLocalStore(config.dataDir);
+            } else {
+                const { getSheetRows, getSheetTabs, setSheetRows, getSheetHeaders, addSheetTabs } = require('./sheetsUtils');
+                store = {
+                    getRows: getSheetRows,
+                    getTabs: getSheetTabs,
+                    setRows: setSheetRows,
+                    getHeaders: getSheetHeaders,
+                    addTables: addSheetTabs,
+                };
+            }
+        }
+        return store;
+    };
+    const describe = () => (config.backend === 'local'
+        ? `local files in ${path.relative(process.cwd(), config.dataDir) || '.'}`
+        : 'the Google Sheet');
+    // Checked once, before the first read or write. A failed check is not remembered, so
+    // a caller that creates the tables can try again.
+    let checked = null;
+    const verified = () => {
+        if (!checked) {
+            checked = verifySchema(open(), { create: !!config.autoCreate, where: describe(), logger: options.logger })
+                .catch(error => {
+                    checked = null;
+                    throw error;
+                });
+        }
+        return checked;
+    };
+    const checkTable = (fnName, table) => {
+        if (!TABLES.includes(table)) {
+            throw new Error(`${fnName}: unknown table '${table}' (tables: ${TABLES.join(', ')})`);
+        }
+    };
+
+    return {
+        backend: config.backend,
+
+        describe,
+
+        async verify({ create = !!config.autoCreate } = {}) {
+            const result = await verifySchema(open(), { create, where: describe(), logger: options.logger });
+            checked = Promise.resolve(result);
+            return result;
+        },
+
+        async getRows(table) {
+            checkTable('getRows', table);
+            await verified();
+            return open().getRows(table);
+        },
+
+        async getTabs(tables) {
+            if (!Array.isArray(tables) || tables.length === 0) {
+                throw new Error('getTabs: tables must be a non-empty array');
+            }
+            tables.forEach(table => checkTable('getTabs', table));
+            await verified();
+            return open().getTabs(tables);
+        },
+
+        async setRows(table, rows) {
+            checkTable('setRows', table);
+            await verified();
+            if (config.backupRetention) {
+                backupTable(table, await open().getRows(table), rows,
+                    { retention: config.backupRetention, dir: config.backupDir, logger: options.logger });
+            }
+            // The key lets a backend match old rows to new, to write only what changed.
+            return open().setRows(table, rows, { key: SCHEMA[table].key });
+        },
+    };
+}
+
+// The storage every script shares, created on first use so a bad STORAGE_BACKEND is
+// reported by the script that hits it rather than by whatever happens to require this.
+let defaultStorage = null;
+
+/**
+ * The storage configured by the environment.
+ * @returns {ReturnType<typeof createStorage>}
+ */
+function getStorage() {
+    if (!defaultStorage) defaultStorage = createStorage(loadStorageConfig());
+    return defaultStorage;
+}
+
+/**
+ * Reads a table's rows, header row first. A table with nothing in it reads as [].
+ * @param {string} table - One of TABLES
+ * @returns {Promise<string[][]>}
+ */
+function getRows(table) {
+    return getStorage().getRows(table);
+}
+
+/**
+ * Reads several tables at once: one request for the Google Sheet, whatever their number.
+ * @param {string[]} tables - Each one of TABLES
+ * @returns {Promise<Record<string, string[][]>>} Each table's rows, as getRows() gives them
+ */
+function getTabs(tables) {
+    return getStorage().getTabs(tables);
+}
+
+/**
+ * Replaces a table's rows.
+ * @param {string} table - One of TABLES
+ * @param {any[][]} rows - Header row first; must not be empty
+ * @returns {Promise<WriteSummary>} What the write changed
+ */
+function setRows(table, rows) {
+    return getStorage().setRows(table, rows);
+}
+
+module.exports = {
+    TABLES,
+    BACKENDS,
+    loadStorageConfig,
+    createStorage,
+    getStorage,
+    getRows,
+    getTabs,
+    setRows,
+};
+
+// CLI interface
+if (require.main === module) {
+    require('dotenv').config();
+    const { handleError } = require('./errorHandler');
+    const logger = require('./logger')('storage');
+
+    if (process.argv[2] !== 'pull') {
+        console.log('Usage: node storage.js pull   Copy every table from the Google Sheet into local files');
+        process.exit(1);
+    }
+
+    (async () => {
+        const { dataDir } = loadStorageConfig();
+        const sheets = createStorage({ backend: 'sheets', dataDir });
+        const local = createStorage({ backend: 'local', dataDir, autoCreate: true });
+        const tabs = await sheets.getTabs(TABLES);
+        for (const table of TABLES) {
+            const rows = tabs[table];
+            if (rows.length === 0) {
+                logger.warn(`Table '${table}' is empty in the Google Sheet; not copied.`);
+                continue;
+            }
+            await local.setRows(table, rows);
+            logger.info(`Copied ${rows.length - 1} rows of '${table}' to ${local.describe()}.`);
+        }
+        logger.info('Set STORAGE_BACKEND=local to use the copies.');
+    })().catch(error => {
+        handleError(logger, error instanceof Error ? error : new Error(String(error)), 'Error copying the Google Sheet', true);
+    });
+}
@@ -0,0 +1,279 @@
+/**
+ * tableBackup.js
+ * Backs up each table before a write replaces it, and restores a table from a backup.
+ *
+ * A bad scrape can rewrite 'series' or 'schedule' with garbage, and the next run reads
+ * that back as the truth. Before every write, storage.js now saves the rows the table
+ * held to a JSON file in files/backups/, named by table and time:
+ *
+ *   files/backups/schedule-2026-07-20T09-00-00-000Z.json
+ *
+ * A write that would leave the table as it is saves nothing, and neither does one to a
+ * table with no rows below its header. The newest TABLE_BACKUP_RETENTION backups of each
+ * table are kept (default 10); 0 turns backups off.
+ *
+ * Restoring writes a backup's rows back through storage.js, into whichever backend is
+ * configured. That write is backed up like any other, so a restore can itself be undone.
+ *
+ * Usage:
+ *   node tableBackup.js list [table]                 List backups, newest first
+ *   node tableBackup.js restore <table> [timestamp]  Restore the newest backup, or the
+ *                                                    newest one taken at <timestamp>
+ *
+ *   const { backupTable } = require('./tableBackup');
+ *
+ * Covered by test/tableBackup.test.js.
+ */
+
+// @ts-check
+// External dependencies
+const fs = require('fs');
+const path = require('path');
+
+// Internal dependencies
+const defaultLogger = require('./logger')('tableBackup');
+
+const BACKUP_DIR = path.join(__dirname, 'files', 'backups');
+const BACKUP_VERSION = 1;
+const DEFAULT_RETENTION = 10;
+
+/**
+ * @typedef {Object} TableBackup
+ * @property {number} version
+ * @property {string} table
+ * @property {string} takenAt - ISO timestamp
+ * @property {string[][]} rows - The table as it was, header first
+ */
+
+/**
+ * Reads the backup settings from the environment.
+ * @param {NodeJS.ProcessEnv} [env=process.env]
+ * @returns {{ retention: number }} retention is 0 when backups are off
+ * @throws {Error} When TABLE_BACKUP_RETENTION is not a whole number
+ */
+function loadBackupConfig(env = process.env) {
+    const retention = env.TABLE_BACKUP_RETENTION ? Number(env.TABLE_BACKUP_RETENTION) : DEFAULT_RETENTION;
+    if (!Number.isInteger(retention) || retention < 0) {
+        throw new Error(`loadBackupConfig: TABLE_BACKUP_RETENTION must be a whole number, got '${env.TABLE_BACKUP_RETENTION}'`);
+    }
+    return { retention };
+}
+
+/**
+ * A timestamp as it appears in file names: an ISO timestamp with ':' and '.' as '-'.
+ * @param {string} timestamp
+ * @returns {string}
+ */
+function fileTimestamp(timestamp) {
+    return timestamp.replace(/[:.]/g, '-');
+}
+
+/**
+ * File name for a table's backup taken at a given time; sorts oldest to newest.
+ * @param {string} table
+ * @param {Date} takenAt
+ * @returns {string}
+ */
+function backupFileName(table, takenAt) {
+    return `${table}-${fileTimestamp(takenAt.toISOString())}.json`;
+}
+
+/**
+ * Whether two tables hold the same text, ignoring empty cells at the end of a row, which
+ * the Sheets API does not return.
+ * @param {any[][]} a
+ * @param {any[][]} b
+ * @returns {boolean}
+ */
+function sameRows(a, b) {
+    const text = rows => JSON.stringify(rows.map(row => {
+        const cells = row.map(cell => (cell === undefined || cell === null ? '' : String(cell)));
+        while (cells.length && cells[cells.length - 1] === '') cells.pop();
+        return cells;
+    }));
+    return a.length === b.length && text(a) === text(b);
+}
+
+/**
+ * Writes a backup. The file is written beside its final name and renamed into place, so
+ * a run killed mid-write never leaves a truncated backup.
+ * @param {string} file
+ * @param {TableBackup} backup
+ */
+function saveBackup(file, backup) {
+    // Parameter validation
+    if (!backup || typeof backup.table !== 'string' || !Array.isArray(backup.rows)) {
+        throw new Error('saveBackup: backup must have a table and rows');
+    }
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const temp = `${file}.tmp`;
+    fs.writeFileSync(temp, JSON.stringify(backup, null, 2));
+    fs.renameSync(temp, file);
+}
+
+/**
+ * Reads and checks a backup file.
+ * @param {string} file
+ * @returns {TableBackup}
+ * @throws {Error} When the file is unreadable or not a table backup
+ */
+function loadBackup(file) {
+    let backup;
+    try {
+        backup = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`loadBackup: cannot read ${file}: ${error.message}`);
+    }
+    if (!backup || backup.version !== BACKUP_VERSION || typeof backup.table !== 'string' ||
+        !Array.isArray(backup.rows) || !backup.rows.every(Array.isArray) || backup.rows.length === 0) {
+        throw new Error(`loadBackup: ${file} is not a table backup`);
+    }
+    return backup;
+}
+
+/**
+ * Lists backup files, newest first.
+ * @param {string} [table] - Only this table's; every table's when omitted
+ * @param {string} [dir=BACKUP_DIR]
+ * @returns {string[]} Full paths
+ */
+function listBackups(table, dir = BACKUP_DIR) {
+    if (!fs.existsSync(dir)) return [];
+    // The timestamp starts with a digit, so 'series' never matches 'seriesIndex' backups.
+    const pattern = table ? new RegExp(`^${table}-\\d.*\\.json$`) : /^[A-Za-z]+-\d.*\.json$/;
+    return fs.readdirSync(dir)
+        .filter(name => pattern.test(name))
+        .sort((a, b) => backupTime(b).localeCompare(backupTime(a)) || b.localeCompare(a))
+        .map(name => path.join(dir, name));
+}
+
+/**
+ * The timestamp part of a backup file name.
+ * @param {string} name
+ * @returns {string}
+ */
+function backupTime(name) {
+    return name.slice(name.indexOf('-') + 1, -'.json'.length);
+}
+
+/**
+ * Finds a table's backup to restore.
+ * @param {string} table
+ * @param {string} [timestamp] - All or the start of the time it was taken, as listed or
+ *   as an ISO timestamp; the newest backup when omitted
+ * @param {string} [dir=BACKUP_DIR]
+ * @returns {string} Full path
+ * @throws {Error} When no backup matches
+ */
+function findBackup(table, timestamp, dir = BACKUP_DIR) {
+    const prefix = timestamp ? fileTimestamp(timestamp.trim()) : '';
+    const match = listBackups(table, dir).find(file => backupTime(path.basename(file)).startsWith(prefix));
+    if (!match) {
+        throw new Error(`findBackup: no backup of '${table}'${timestamp ? ` taken at ${timestamp}` : ''} in ${dir}`);
+    }
+    return match;
+}
+
+/**
+ * Deletes all but a table's newest backups.
+ * @param {string} table
+ * @param {number} retention - How many to keep
+ * @param {string} [dir=BACKUP_DIR]
+ * @returns {string[]} The files deleted
+ */
+function pruneBackups(table, retention, dir = BACKUP_DIR) {
+    const stale = listBackups(table, dir).slice(retention);
+    stale.forEach(file => fs.unlinkSync(file));
+    return stale;
+}
+
+/**
+ * Backs up a table about to be written, then prunes its old backups.
+ *
+ * @param {string} table
+ * @param {string[][]} currentRows - The table as it stands, header first
+ * @param {any[][]} newRows - The rows about to replace them
+ * @param {Object} options
+ * @param {number} options.retention - Backups to keep per table; 0 saves none
+ * @param {string} [options.dir=BACKUP_DIR]
+ * @param {Date} [options.takenAt] - Defaults to now
+ * @param {Object} [options.logger]
+ * @returns {string|null} The backup file, or null when there was nothing to back up
+ */
+function backupTable(table, currentRows, newRows, options) {
+    // Parameter validation
+    if (!options || !Number.isInteger(options.retention) || options.retention < 0) {
+        throw new Error('backupTable: options.retention must be a whole number');
+    }
+    const { retention, dir = BACKUP_DIR, takenAt = new Date(), logger = defaultLogger } = options;
+    if (retention === 0 || currentRows.length <= 1 || sameRows(currentRows, newRows)) {
+        return null;
+    }
+
+    const file = path.join(dir, backupFileName(table, takenAt));
+    saveBackup(file, { version: BACKUP_VERSION, table, takenAt: takenAt.toISOString(), rows: currentRows });
+    const pruned = pruneBackups(table, retention, dir);
+    logger.info(`Backed up '${table}' (${currentRows.length - 1} rows) to ${path.relative(__dirname, file)}` +
+        `${pruned.length > 0 ? `; removed ${pruned.length} older` : ''}.`);
+    return file;
+}
+
+module.exports = {
+    BACKUP_DIR,
+    BACKUP_VERSION,
+    loadBackupConfig,
+    backupFileName,
+    saveBackup,
+    loadBackup,
+    listBackups,
+    findBackup,
+    pruneBackups,
+    backupTable,
+};
+
+// CLI interface
+if (require.main === module) {
+    require('dotenv').config();
+    const { handleError } = require('./errorHandler');
+    const logger = require('./logger')('tableBackup');
+    const { TABLES, getStorage } = require('./storage');
+
+    const [command, table, timestamp] = process.argv.slice(2);
+
+    (async () => {
+        if (table && !TABLES.includes(table)) {
+            throw new Error(`unknown table '${table}' (tables: ${TABLES.join(', ')})`);
+        }
+        if (command === 'list') {
+            const files = listBackups(table);
+            if (files.length === 0) {
+                console.log(`No backups${table ? ` of '${table}'` : ''} in ${path.relative(__dirname, BACKUP_DIR)}.`);
+                return;
+            }
+            for (const file of files) {
+                const backup = loadBackup(file);
+                console.log(`${backup.table.padEnd(12)} ${backup.takenAt}  ${backup.rows.length - 1} rows`);
+            }
+            return;
+        }
+        if (command !== 'restore' || !table) {
+            console.log('Usage: node tableBackup.js list [table]');
+            console.log('       node tableBackup.js restore <table> [timestamp]');
+            process.exitCode = 1;
+            return;
+        }
+
+        const file = findBackup(table, timestamp);
+        const backup = loadBackup(file);
+        if (backup.table !== table) {
+            throw new Error(`${path.basename(file)} holds '${backup.table}', not '${table}'`);
+        }
+        const storage = getStorage();
+        logger.info(`Restoring '${table}' in ${storage.describe()} from the backup taken ${backup.takenAt} ` +
+            `(${backup.rows.length - 1} rows).`);
+        await storage.setRows(table, backup.rows);
+        logger.info(`Restored '${table}'.`);
+    })().catch(error => {
+        handleError(logger, error instanceof Error ? error : new Error(String(error)), 'Error restoring a table backup', true);
+    });
+}
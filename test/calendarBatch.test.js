@@ -0,0 +1,265 @@
+/**
+ * test/calendarBatch.test.js
+ * Tests for calendarBatch.js against a local fake of Google's batch endpoint.
+ *
+ * Usage: node test/calendarBatch.test.js   (or npm test)
+ *
+ * updateGCal.js counts each event's success or failure from what this module parses out of
+ * a multipart reply, so the fake answers the way Google does: one application/http part per
+ * request, paired by Content-ID rather than by position, with per-part statuses and JSON
+ * error bodies. It deliberately replies out of order to prove the pairing.
+ *
+ * The server listens on 127.0.0.1 only, on a port chosen by the OS. No Google APIs and no
+ * credentials are involved.
+ *
+ * Uses plain assert rather than a test framework, so there is no dependency to install and
+ * this file stays runnable on its own.
+ */
+
+const http = require('http');
+const {
+    insertOp,
+    updateOp,
+    deleteOp,
+    buildBatchBody,
+    parseBatchResponse,
+    createCalendarBatch,
+} = require('../calendarBatch');
+
+let passed = 0;
+const failures = [];
+
+/**
+ * Asserts a value equals the expected one, comparing structurally.
+ * @param {string} label - What is being checked, shown on failure
+ * @param {*} actual
+ * @param {*} expected
+ */
+function check(label, actual, expected) {
+    if (JSON.stringify(actual) === JSON.stringify(expected)) {
+        passed++;
+        return;
+    }
+    failures.push(
+        `${label}\n    expected: ${JSON.stringify(expected)}` +
+        `\n    actual:   ${JSON.stringify(actual)}`
+    );
+}
+
+/**
+ * Parses a batch request body the way Google's endpoint would.
+ * Written independently of calendarBatch.js, so a symmetric bug in building and parsing
+ * cannot pass unnoticed.
+ * @param {string} body
+ * @param {string} contentType
+ * @returns {Array<{ contentId: string, method: string, path: string, json: any }>}
+ */
+function parseRequestParts(body, contentType) {
+    const boundary = /boundary=([^;\s]+)/.exec(contentType)[1];
+    return body.split(`--${boundary}`)
+        .slice(1)
+        .filter(part => !part.startsWith('--'))
+        .map(part => {
+            const text = part.replace(/^\r\n/, '');
+            const split = text.indexOf('\r\n\r\n');
+            const outer = text.slice(0, split);
+            const inner = text.slice(split + 4);
+            const contentId = /Content-ID: <([^>]+)>/.exec(outer)[1];
+            const [requestLine] = inner.split('\r\n');
+            const [method, path] = requestLine.split(' ');
+            const jsonStart = inner.indexOf('\r\n\r\n');
+            const jsonText = jsonStart === -1 ? '' : inner.slice(jsonStart + 4).trim();
+            return { contentId, method, path, json: jsonText ? JSON.parse(jsonText) : null };
+        });
+}
+
+/**
+ * Starts a fake batch endpoint.
+ * @param {(req: http.IncomingMessage, body: string) => { status: number, contentType?: string, body: string }} respond
+ * @returns {Promise<{ url: string, requests: Array<{ headers: Object, body: string }>, close: () => Promise<void> }>}
+ */
+function startFakeEndpoint(respond) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            requests.push({ headers: req.headers, body });
+            const reply = respond(req, body);
+            res.writeHead(reply.status, { 'Content-Type': reply.contentType || 'text/plain' });
+            res.end(reply.body);
+        });
+    });
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => {
+            const { port } = server.address();
+            resolve({
+                url: `http://127.0.0.1:${port}/batch/calendar/v3`,
+                requests,
+                close: () => new Promise(done => server.close(done)),
+            });
+        });
+    });
+}
+
+/**
+ * Answers every part of a batch like Google's Calendar endpoint, in reverse order.
+ * Deleting the event id "missing" fails with 404, as it would for an event already gone.
+ */
+function googleLikeReply(req, body, throttled = new Set()) {
+    const parts = parseRequestParts(body, req.headers['content-type']);
+    const boundary = 'batch_fake_reply';
+    const sections = parts.reverse().map(part => {
+        let statusLine = 'HTTP/1.1 200 OK';
+        let payload = '';
+        let extraHeaders = [];
+        if (part.json && throttled.has(part.json.summary)) {
+            // Throttled once, then accepted on the retry.
+            throttled.delete(part.json.summary);
+            statusLine = 'HTTP/1.1 403 Forbidden';
+            extraHeaders = ['Retry-After: 2'];
+            payload = JSON.stringify({ error: { code: 403, message: 'Rate Limit Exceeded', errors: [{ reason: 'rateLimitExceeded' }] } });
+        } else if (part.method === 'POST') {
+            payload = JSON.stringify({ id: `new-${part.contentId}`, ...part.json });
+        } else if (part.method === 'PUT') {
+            payload = JSON.stringify({ id: part.path.split('/').pop(), ...part.json });
+        } else if (part.path.endsWith('/missing')) {
+            statusLine = 'HTTP/1.1 404 Not Found';
+            payload = JSON.stringify({ error: { code: 404, message: 'Not Found' } });
+        } else {
+            statusLine = 'HTTP/1.1 204 No Content';
+        }
+        return [
+            `--${boundary}`,
+            'Content-Type: application/http',
+            `Content-ID: <response-${part.contentId}>`,
+            '',
+            statusLine,
+            ...extraHeaders,
+            ...(payload ? ['Content-Type: application/json; charset=UTF-8', '', payload] : ['', '']),
+        ].join('\r\n');
+    });
+    return {
+        status: 200,
+        contentType: `multipart/mixed; boundary=${boundary}`,
+        body: `${sections.join('\r\n')}\r\n--${boundary}--\r\n`,
+    };
+}
+
+// Collects retry warnings instead of printing them, and waits no real time.
+const warnings = [];
+const quietRetry = {
+    logger: { warn: message => warnings.push(message) },
+    sleep: async ms => { warnings.push(`slept ${ms}`); },
+    random: () => 0,
+};
+
+const fakeAuth = { getRequestHeaders: async () => ({ Authorization: 'Bearer test-token' }) };
+const calendarId = 'beacon@group.calendar.google.com';
+
+(async () => {
+    // --- Operation builders ----------------------------------------------------------
+    check('insertOp posts to the events collection, escaping the calendar id',
+        insertOp(calendarId, { summary: 'Alien' }),
+        { method: 'POST', path: '/calendar/v3/calendars/beacon%40group.calendar.google.com/events', body: { summary: 'Alien' } });
+    check('updateOp puts to the event',
+        updateOp(calendarId, 'e1', { summary: 'Alien' }).path.endsWith('/events/e1'), true);
+    check('deleteOp has no body', deleteOp(calendarId, 'e1').body, undefined);
+
+    // --- Body and reply round trip ---------------------------------------------------
+    const ops = [insertOp(calendarId, { summary: 'Alien' }), deleteOp(calendarId, 'e9')];
+    const parts = parseRequestParts(buildBatchBody(ops, 'b1'), 'multipart/mixed; boundary=b1');
+    check('each operation becomes one part with its own Content-ID',
+        parts.map(part => [part.contentId, part.method, part.json && part.json.summary]),
+        [['item-1', 'POST', 'Alien'], ['item-2', 'DELETE', null]]);
+    check('a reply missing a part reports that part as unanswered',
+        parseBatchResponse('--x\r\nContent-ID: <response-item-1>\r\n\r\nHTTP/1.1 204 No Content\r\n\r\n\r\n--x--', 'multipart/mixed; boundary=x', 2)
+            .map(result => [result.ok, result.status]),
+        [[true, 204], [false, 0]]);
+
+    // --- Against the fake endpoint ---------------------------------------------------
+    const endpoint = await startFakeEndpoint(googleLikeReply);
+    try {
+        const batch = createCalendarBatch({ auth: fakeAuth, endpoint: endpoint.url, batchSize: 2 });
+        const results = await batch.execute([
+            insertOp(calendarId, { summary: 'Alien' }),
+            insertOp(calendarId, { summary: 'Heat' }),
+            updateOp(calendarId, 'e3', { summary: 'Ran' }),
+            deleteOp(calendarId, 'e4'),
+            deleteOp(calendarId, 'missing'),
+        ]);
+
+        check('five operations at two per batch take three HTTP requests', endpoint.requests.length, 3);
+        check('the auth client supplies the Authorization header',
+            endpoint.requests.every(req => req.headers.authorization === 'Bearer test-token'), true);
+        check('results come back in request order despite the reversed reply',
+            results.map(result => result.ok && result.data ? result.data.summary || result.data.id : result.status),
+            ['Alien', 'Heat', 'Ran', 204, 404]);
+        check('a successful delete carries no body', [results[3].ok, results[3].data], [true, null]);
+        check('a failed part is isolated and carries Google\'s message',
+            [results[4].ok, results[4].error], [false, 'HTTP 404: Not Found']);
+    } finally {
+        await endpoint.close();
+    }
+
+    // --- Retries -------------------------------------------------------------------
+    const throttled = new Set(['Heat']);
+    const flaky = await startFakeEndpoint((req, body) => googleLikeReply(req, body, throttled));
+    try {
+        warnings.length = 0;
+        const batch = createCalendarBatch({ auth: fakeAuth, endpoint: flaky.url, ...quietRetry });
+        const results = await batch.execute([
+            insertOp(calendarId, { summary: 'Alien' }),
+            insertOp(calendarId, { summary: 'Heat' }),
+        ]);
+        check('a rate-limited part is resent and succeeds', results.map(result => result.ok), [true, true]);
+        check('only the rate-limited part is resent',
+            flaky.requests.map(req => parseRequestParts(req.body, req.headers['content-type']).length), [2, 1]);
+        check('the retry waits at least the Retry-After and is logged',
+            [warnings[1], /1 of 2 batched calendar writes/.test(warnings[0])], ['slept 2000', true]);
+    } finally {
+        await flaky.close();
+    }
+
+    const broken = await startFakeEndpoint(() => ({ status: 503, body: 'backend unavailable' }));
+    try {
+        const batch = createCalendarBatch({ auth: fakeAuth, endpoint: broken.url, maxAttempts: 3, ...quietRetry });
+        const results = await batch.execute([insertOp(calendarId, { summary: 'Alien' }), deleteOp(calendarId, 'e4')]);
+        check('a 503 batch is retried up to maxAttempts', broken.requests.length, 3);
+        check('a failed batch request fails every operation in it',
+            results.map(result => result.ok), [false, false]);
+        check('the batch-level failure is reported per operation',
+            /HTTP 503: backend unavailable/.test(results[0].error), true);
+    } finally {
+        await broken.close();
+    }
+
+    const notFound = await startFakeEndpoint(googleLikeReply);
+    try {
+        const batch = createCalendarBatch({ auth: fakeAuth, endpoint: notFound.url, ...quietRetry });
+        await batch.execute([deleteOp(calendarId, 'missing')]);
+        check('a 404 part is not retried', notFound.requests.length, 1);
+    } finally {
+        await notFound.close();
+    }
+
+    const noAuth = { getRequestHeaders: async () => { throw new Error('invalid_grant: account not found'); } };
+    const results = await createCalendarBatch({ auth: noAuth, endpoint: 'http://127.0.0.1:9/unused' })
+        .execute([deleteOp(calendarId, 'e4')]);
+    check('an auth failure is reported rather than thrown', results[0].error, 'invalid_grant: account not found');
+
+    check('an empty list sends nothing',
+        await createCalendarBatch({ auth: fakeAuth, endpoint: 'http://127.0.0.1:9/unused' }).execute([]), []);
+
+    // --- Report ----------------------------------------------------------------------
+    if (failures.length > 0) {
+        console.error(`\ncalendarBatch: ${failures.length} FAILED, ${passed} passed\n`);
+        failures.forEach((failure, index) => console.error(`  ${index + 1}. ${failure}\n`));
+        process.exit(1);
+    }
+
+    console.log(`calendarBatch: all ${passed} assertions passed`);
+})().catch(error => {
+    console.error('calendarBatch: test run crashed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,143 @@
+/**
+ * test/calendarReader.test.js
+ * Tests for calendarReader.js against a fake, paged Calendar API client.
+ *
+ * Usage: node test/calendarReader.test.js   (or npm test)
+ *
+ * The sync plans deletes from what this module returns. Stopping after the first page
+ * made every event beyond it invisible to the sync, so it could never update or delete
+ * them and recreated them instead. The fake client serves events a few to a page, as the
+ * real API does once a calendar outgrows a single page.
+ *
+ * Uses plain assert rather than a test framework, so there is no dependency to install and
+ * this file stays runnable on its own.
+ */
+
+const { syncWindow, listAllEvents } = require('../calendarReader');
+
+let passed = 0;
+const failures = [];
+
+/**
+ * Asserts a value equals the expected one, comparing structurally.
+ * @param {string} label - What is being checked, shown on failure
+ * @param {*} actual
+ * @param {*} expected
+ */
+function check(label, actual, expected) {
+    if (JSON.stringify(actual) === JSON.stringify(expected)) {
+        passed++;
+        return;
+    }
+    failures.push(
+        `${label}\n    expected: ${JSON.stringify(expected)}` +
+        `\n    actual:   ${JSON.stringify(actual)}`
+    );
+}
+
+/**
+ * Asserts a call throws an error whose message matches a pattern.
+ * @param {string} label
+ * @param {Function} fn
+ * @param {RegExp} pattern
+ */
+async function checkThrows(label, fn, pattern) {
+    try {
+        await fn();
+    } catch (error) {
+        if (pattern.test(error.message)) {
+            passed++;
+        } else {
+            failures.push(`${label}\n    threw: ${error.message}`);
+        }
+        return;
+    }
+    failures.push(`${label}\n    did not throw`);
+}
+
+/**
+ * Builds a fake calendar client serving events pageSize at a time.
+ * @param {Object[]} events
+ * @param {number} pageSize
+ */
+function fakeCalendar(events, pageSize) {
+    const calls = [];
+    return {
+        calls,
+        events: {
+            list: async params => {
+                calls.push(params);
+                const start = params.pageToken ? Number(params.pageToken.replace('page-', '')) : 0;
+                const end = start + pageSize;
+                return {
+                    data: {
+                        items: events.slice(start, end),
+                        ...(end < events.length ? { nextPageToken: `page-${end}` } : {}),
+                    },
+                };
+            },
+        },
+    };
+}
+
+const quiet = { logger: { info: () => {}, warn: () => {} } };
+const events = Array.from({ length: 7 }, (_, index) => ({ id: `e${index + 1}` }));
+
+(async () => {
+    // --- syncWindow ------------------------------------------------------------------
+    check('the window runs from today to two days past the last date',
+        syncWindow('2026-07-25', '2026-08-30'),
+        { timeMin: '2026-07-25T00:00:00.000Z', timeMax: '2026-09-01T00:00:00.000Z' });
+    check('a last date before today still yields a valid window',
+        syncWindow('2026-07-25', '2026-07-01').timeMax, '2026-07-27T00:00:00.000Z');
+    await checkThrows('a malformed date throws', () => syncWindow('2026-7-25', '2026-08-30'), /today must be/);
+
+    // --- listAllEvents ---------------------------------------------------------------
+    let calendar = fakeCalendar(events, 3);
+    let listed = await listAllEvents(calendar, { calendarId: 'cal', timeMin: 'a', timeMax: 'b' }, quiet);
+    check('every page is read', listed.map(event => event.id), events.map(event => event.id));
+    check('one request per page', calendar.calls.length, 3);
+    check('each request follows the previous page token',
+        calendar.calls.map(call => call.pageToken), [undefined, 'page-3', 'page-6']);
+    check('the window and page size are passed on every request',
+        calendar.calls.every(call => call.timeMax === 'b' && call.maxResults === 2500), true);
+
+    calendar = fakeCalendar([], 3);
+    listed = await listAllEvents(calendar, { calendarId: 'cal' }, quiet);
+    check('an empty calendar is a single request', [listed, calendar.calls.length], [[], 1]);
+
+    const looping = { events: { list: async () => ({ data: { items: [{ id: 'x' }], nextPageToken: 'same' } }) } };
+    await checkThrows('a repeated page token stops the read',
+        () => listAllEvents(looping, { calendarId: 'cal' }, quiet), /repeated page token/);
+
+    let attempts = 0;
+    const throttled = {
+        events: {
+            list: async () => {
+                attempts++;
+                if (attempts === 1) {
+                    const error = new Error('Rate Limit Exceeded');
+                    error.response = { status: 429, headers: { 'retry-after': '0' } };
+                    throw error;
+                }
+                return { data: { items: [{ id: 'e1' }] } };
+            },
+        },
+    };
+    listed = await listAllEvents(throttled, { calendarId: 'cal' }, quiet);
+    check('a rate-limited page is retried', [listed.length, attempts], [1, 2]);
+
+    await checkThrows('a missing calendarId throws', () => listAllEvents(calendar, {}, quiet), /calendarId is required/);
+
+    // --- Report ----------------------------------------------------------------------
+    if (failures.length > 0) {
+        console.error(`\ncalendarReader: ${failures.length} FAILED, ${passed} passed\n`);
+        failures.forEach((failure, index) => console.error(`  ${index + 1}. ${failure}\n`));
+        process.exit(1);
+    }
+
+    console.log(`calendarReader: all ${passed} assertions passed`);
+})().catch(error => {
+    console.error('calendarReader: test run crashed:', error);
+    process.exit(1);
+});
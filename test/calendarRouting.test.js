@@ -0,0 +1,146 @@
+/**
+ * test/calendarRouting.test.js
+ * Unit tests for the per-series calendar routing in calendarRouting.js.
+ *
+ * Usage: node test/calendarRouting.test.js   (or npm test)
+ *
+ * Routing decides which calendars updateGCal.js reconciles each screening against. A slip
+ * either leaves a series calendar's subscribers without screenings, or, worse, reconciles
+ * a screening off the main calendar it still belongs on. A calendar left out of the
+ * routing altogether is never reconciled, so its events outlive their screenings.
+ *
+ * Pure assertions, no network and no Google APIs.
+ *
+ * Uses plain assert rather than a test framework, so there is no dependency to install and
+ * this file stays runnable on its own.
+ */
+
+const { loadRoutingConfig, parseSeriesCalendars, routeScreening, routeScreenings } = require('../calendarRouting');
+const { tagEvent, planCalendarSync } = require('../calendarSync');
+
+let passed = 0;
+const failures = [];
+
+/**
+ * Asserts a value equals the expected one, comparing structurally.
+ * @param {string} label - What is being checked, shown on failure
+ * @param {*} actual
+ * @param {*} expected
+ */
+function check(label, actual, expected) {
+    if (JSON.stringify(actual) === JSON.stringify(expected)) {
+        passed++;
+        return;
+    }
+    failures.push(
+        `${label}\n    expected: ${JSON.stringify(expected)}` +
+        `\n    actual:   ${JSON.stringify(actual)}`
+    );
+}
+
+/**
+ * Asserts a call throws, with a message matching a pattern.
+ * @param {string} label
+ * @param {Function} fn
+ * @param {RegExp} pattern
+ */
+function checkThrows(label, fn, pattern) {
+    try {
+        fn();
+    } catch (error) {
+        if (pattern.test(error.message)) {
+            passed++;
+        } else {
+            failures.push(`${label}\n    unexpected message: ${error.message}`);
+        }
+        return;
+    }
+    failures.push(`${label}\n    expected a throw, got none`);
+}
+
+// --- loadRoutingConfig ---------------------------------------------------------------
+check('defaults: "also" mode, untagged screenings on the main calendar',
+    loadRoutingConfig({ CALENDAR_ID: 'main' }),
+    { mainCalendarId: 'main', defaultCalendarId: 'main', mode: 'also', retiredCalendarIds: [] });
+check('DEFAULT_CALENDAR_ID and the mode are read and normalised',
+    loadRoutingConfig({ CALENDAR_ID: 'main', DEFAULT_CALENDAR_ID: ' misc ', SERIES_CALENDAR_MODE: 'Instead' }),
+    { mainCalendarId: 'main', defaultCalendarId: 'misc', mode: 'instead', retiredCalendarIds: [] });
+check('RETIRED_CALENDAR_IDS is a trimmed list',
+    loadRoutingConfig({ CALENDAR_ID: 'main', RETIRED_CALENDAR_IDS: ' old-noir, ,old-noir,midnight ' }).retiredCalendarIds,
+    ['old-noir', 'midnight']);
+checkThrows('the main calendar cannot be retired',
+    () => loadRoutingConfig({ CALENDAR_ID: 'main', RETIRED_CALENDAR_IDS: 'old,main' }), /must not list CALENDAR_ID/);
+checkThrows('a missing CALENDAR_ID throws', () => loadRoutingConfig({}), /CALENDAR_ID must be set/);
+checkThrows('an unknown mode throws',
+    () => loadRoutingConfig({ CALENDAR_ID: 'main', SERIES_CALENDAR_MODE: 'both' }), /must be one of also, instead/);
+
+// --- parseSeriesCalendars ------------------------------------------------------------
+const header = ['seriesName', 'seriesURL', 'seriesTag', 'calendarId'];
+let parsed = parseSeriesCalendars([
+    header,
+    ['Noir City', 'https://thebeacon.film/noir', 'noir', 'noir@group.calendar.google.com'],
+    ['Midnights', 'https://thebeacon.film/midnight', 'midnight', ''],
+    ['Untagged', 'https://thebeacon.film/x', '', 'stray@group.calendar.google.com'],
+    ['Noir again', 'https://thebeacon.film/noir2', 'noir', 'other@group.calendar.google.com'],
+]);
+check('only rows with both a tag and a calendar are mapped',
+    [...parsed.seriesCalendars], [['noir', 'noir@group.calendar.google.com']]);
+check('unusable rows are reported by sheet row number',
+    parsed.warnings.map(warning => warning.split(' ').slice(0, 3).join(' ')),
+    ['seriesIndex row 4', 'seriesIndex row 5']);
+parsed = parseSeriesCalendars([['seriesName', 'seriesURL', 'seriesTag'], ['Noir City', 'u', 'noir']]);
+check('a sheet without the column routes nothing', [parsed.seriesCalendars.size, parsed.warnings], [0, []]);
+check('an empty sheet routes nothing', parseSeriesCalendars([]).seriesCalendars.size, 0);
+
+// --- routeScreening ------------------------------------------------------------------
+const seriesCalendars = new Map([['noir', 'noir-cal']]);
+const also = { mainCalendarId: 'main', defaultCalendarId: 'main', mode: 'also', seriesCalendars };
+const instead = { ...also, mode: 'instead' };
+
+check('"also" puts a series screening on both calendars', routeScreening('noir', also), ['main', 'noir-cal']);
+check('"instead" puts it on the series calendar alone', routeScreening('noir', instead), ['noir-cal']);
+check('a series without a calendar stays on the main one', routeScreening('horror', instead), ['main']);
+check('an untagged screening goes to the main calendar by default', routeScreening('', instead), ['main']);
+check('an untagged screening goes to DEFAULT_CALENDAR_ID when set',
+    routeScreening(undefined, { ...instead, defaultCalendarId: 'misc' }), ['misc']);
+check('"also" keeps an untagged screening on the main calendar too',
+    routeScreening(undefined, { ...also, defaultCalendarId: 'misc' }), ['main', 'misc']);
+check('a series calendar equal to the main one is listed once',
+    routeScreening('noir', { ...also, seriesCalendars: new Map([['noir', 'main']]) }), ['main']);
+checkThrows('routing without a map throws', () => routeScreening('noir', { mainCalendarId: 'main' }), /seriesCalendars map/);
+
+// --- routeScreenings -----------------------------------------------------------------
+const grouped = (screenings, routing) => Object.fromEntries(
+    [...routeScreenings(screenings, routing)].map(([calendarId, routed]) => [calendarId, routed.map(s => s.title)]));
+const noir = { title: 'Double Indemnity', seriesTag: 'noir' };
+const horror = { title: 'Alien', seriesTag: 'horror' };
+const untagged = { title: 'Members meetup' };
+check('screenings are grouped by calendar, main first',
+    grouped([noir, horror, untagged], { ...also, defaultCalendarId: 'misc' }),
+    { main: ['Double Indemnity', 'Alien', 'Members meetup'], misc: ['Members meetup'], 'noir-cal': ['Double Indemnity'] });
+check('a series whose last screening dropped keeps its calendar, with nothing on it',
+    grouped([horror], instead), { main: ['Alien'], 'noir-cal': [] });
+check('so does the main calendar when every screening moves off it',
+    grouped([noir], instead), { main: [], 'noir-cal': ['Double Indemnity'] });
+check('retired calendars are listed to be cleared',
+    grouped([horror], { ...also, seriesCalendars: new Map(), retiredCalendarIds: ['noir-cal'] }),
+    { main: ['Alien'], 'noir-cal': [] });
+
+// What the sync then does with an empty calendar: the dropped series' events are cancelled.
+const leftOver = {
+    ...tagEvent({ summary: 'Double Indemnity', start: { dateTime: '2026-07-25T19:00:00' } }, 'catalog:7'),
+    id: 'e7',
+};
+const emptied = planCalendarSync(routeScreenings([horror], instead).get('noir-cal'), [leftOver],
+    { cancellation: { today: '2026-07-20', graceDays: 7 } });
+check('and its events are cancelled on the next sync', [emptied.cancelled, emptied.update.map(u => u.eventId)], [1, ['e7']]);
+checkThrows('screenings must be an array', () => routeScreenings(null, also), /routeScreenings: screenings must be an array/);
+
+// --- Report --------------------------------------------------------------------------
+if (failures.length > 0) {
+    console.error(`\ncalendarRouting: ${failures.length} FAILED, ${passed} passed\n`);
+    failures.forEach((failure, index) => console.error(`  ${index + 1}. ${failure}\n`));
+    process.exit(1);
+}
+
+console.log(`calendarRouting: all ${passed} assertions passed`);
@@ -0,0 +1,205 @@
+/**
+ * test/calendarSnapshot.test.js
+ * Tests for snapshots and rollback in calendarSnapshot.js.
+ *
+ * Usage: node test/calendarSnapshot.test.js   (or npm test)
+ *
+ * A rollback runs when something has already gone wrong, and a mistake in it deletes or
+ * overwrites events on top of that. These check that it restores exactly what the
+ * snapshot holds, removes only what the run added, and never touches an unmarked event
+ * the snapshot does not hold.
+ *
+ * Runs against a fake calendar client and a fake batch; snapshot files are written to a
+ * temporary directory. No network and no Google APIs.
+ *
+ * Uses plain assert rather than a test framework, so there is no dependency to install and
+ * this file stays runnable on its own.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    SNAPSHOT_VERSION,
+    loadSnapshotConfig,
+    shouldRollBack,
+    snapshotFileName,
+    saveSnapshot,
+    loadSnapshot,
+    listSnapshots,
+    pruneSnapshots,
+    planRollback,
+    rollbackSnapshot,
+} = require('../calendarSnapshot');
+const { tagEvent } = require('../calendarSync');
+
+let passed = 0;
+const failures = [];
+
+/**
+ * Asserts a value equals the expected one, comparing structurally.
+ * @param {string} label - What is being checked, shown on failure
+ * @param {*} actual
+ * @param {*} expected
+ */
+function check(label, actual, expected) {
+    if (JSON.stringify(actual) === JSON.stringify(expected)) {
+        passed++;
+        return;
+    }
+    failures.push(
+        `${label}\n    expected: ${JSON.stringify(expected)}` +
+        `\n    actual:   ${JSON.stringify(actual)}`
+    );
+}
+
+/**
+ * Asserts a call throws, with a message matching a pattern.
+ * @param {string} label
+ * @param {Function} fn
+ * @param {RegExp} pattern
+ */
+function checkThrows(label, fn, pattern) {
+    try {
+        fn();
+    } catch (error) {
+        if (pattern.test(error.message)) {
+            passed++;
+        } else {
+            failures.push(`${label}\n    unexpected message: ${error.message}`);
+        }
+        return;
+    }
+    failures.push(`${label}\n    expected a throw, got none`);
+}
+
+/**
+ * Builds a listed event: managed when given a screening key.
+ * @param {string} id
+ * @param {string} summary
+ * @param {string} updated
+ * @param {string} [key]
+ */
+function listed(id, summary, updated, key) {
+    const event = {
+        summary,
+        start: { dateTime: '2026-07-25T19:00:00-07:00' },
+        end: { dateTime: '2026-07-25T21:00:00-07:00' },
+    };
+    return { ...(key ? tagEvent(event, key) : event), id, updated, etag: `"${id}"`, htmlLink: `https://example.com/${id}` };
+}
+
+const window = { timeMin: '2026-07-20T00:00:00.000Z', timeMax: '2026-08-01T00:00:00.000Z' };
+const alien = listed('a1', 'Alien', '2026-07-19T10:00:00Z', 'catalog:A');
+const heat = listed('h1', 'Heat', '2026-07-19T10:00:00Z', 'catalog:H');
+const ran = listed('r1', 'Ran', '2026-07-19T10:00:00Z', 'catalog:R');
+const handAdded = listed('u1', 'Members meeting', '2026-07-01T10:00:00Z');
+const adoptedBefore = listed('u2', 'Ikiru', '2026-07-01T10:00:00Z');
+const entry = { window, timeZone: 'America/Los_Angeles', events: [alien, heat, ran, adoptedBefore] };
+
+// After a run: Alien retitled, Heat deleted, Ran untouched, Ikiru adopted, Vertigo created.
+const current = [
+    { ...alien, summary: 'ALIEN (4K)', updated: '2026-07-20T08:00:00Z' },
+    ran,
+    handAdded,
+    { ...tagEvent(adoptedBefore, 'catalog:I'), id: 'u2', updated: '2026-07-20T08:00:00Z' },
+    listed('v1', 'Vertigo', '2026-07-20T08:00:00Z', 'catalog:V'),
+];
+
+// --- planRollback --------------------------------------------------------------------
+const plan = planRollback(entry, current);
+check('a deleted event is recreated without its read-only fields',
+    plan.create, [{ summary: 'Heat', start: heat.start, end: heat.end, extendedProperties: heat.extendedProperties }]);
+check('changed events are written back to their snapshot state, adopted ones included',
+    plan.update.map(({ eventId, event }) => [eventId, event.summary, !!event.extendedProperties]),
+    [['a1', 'Alien', true], ['u2', 'Ikiru', false]]);
+check('a managed event the run created is deleted', plan.remove.map(event => event.id), ['v1']);
+check('an unchanged event and an unmarked one outside the snapshot are left alone',
+    [plan.unchanged, plan.remove.includes(handAdded)], [1, false]);
+check('a calendar already at its snapshot needs nothing',
+    planRollback(entry, [alien, heat, ran, adoptedBefore]),
+    { create: [], update: [], remove: [], duplicates: [], expired: [], unchanged: 4, adopted: 0, cancelled: 0, restored: 0, stillCancelled: 0 });
+checkThrows('an entry without events is rejected', () => planRollback({ window }, []), /entry must have an events array/);
+
+// --- shouldRollBack and configuration ------------------------------------------------
+check('a failure rate above the threshold rolls back', shouldRollBack(2, 1, 0.25), true);
+check('a rate at the threshold does not', shouldRollBack(3, 1, 0.25), false);
+check('a run with no failures never does', shouldRollBack(0, 0, 0), false);
+check('a threshold of 1 turns it off', shouldRollBack(0, 10, 1), false);
+check('defaults', loadSnapshotConfig({}), { failureRate: 0.25, retention: 20 });
+check('values from the environment', loadSnapshotConfig({ ROLLBACK_FAILURE_RATE: '0.5', SNAPSHOT_RETENTION: '3' }),
+    { failureRate: 0.5, retention: 3 });
+checkThrows('a rate given as a percentage is rejected',
+    () => loadSnapshotConfig({ ROLLBACK_FAILURE_RATE: '25' }), /ROLLBACK_FAILURE_RATE must be a number from 0 to 1/);
+checkThrows('a fractional retention is rejected',
+    () => loadSnapshotConfig({ SNAPSHOT_RETENTION: '2.5' }), /SNAPSHOT_RETENTION must be a positive whole number/);
+
+// --- Snapshot files ------------------------------------------------------------------
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'calendar-snapshots-'));
+try {
+    check('file names sort by time and carry no colons',
+        snapshotFileName(new Date('2026-07-20T09:05:03.120Z')), 'calendar-2026-07-20T09-05-03-120Z.json');
+
+    const snapshot = { version: SNAPSHOT_VERSION, takenAt: '2026-07-20T09:00:00.000Z', calendars: { main: entry } };
+    const times = ['2026-07-18T09:00:00Z', '2026-07-20T09:00:00Z', '2026-07-19T09:00:00Z'];
+    times.forEach(time => saveSnapshot(path.join(dir, snapshotFileName(new Date(time))), snapshot));
+    check('a saved snapshot reads back intact', loadSnapshot(path.join(dir, snapshotFileName(new Date(times[0])))), snapshot);
+    check('no temporary file is left behind', fs.readdirSync(dir).some(name => name.endsWith('.tmp')), false);
+    check('snapshots are listed newest first',
+        listSnapshots(dir).map(file => path.basename(file).slice(9, 19)), ['2026-07-20', '2026-07-19', '2026-07-18']);
+    check('pruning keeps the newest', pruneSnapshots(2, dir).map(file => path.basename(file).slice(9, 19)), ['2026-07-18']);
+    check('a missing directory lists nothing', listSnapshots(path.join(dir, 'missing')), []);
+
+    const bad = path.join(dir, 'bad.json');
+    fs.writeFileSync(bad, JSON.stringify({ version: SNAPSHOT_VERSION, calendars: { main: { events: [] } } }));
+    checkThrows('an entry without a window is rejected', () => loadSnapshot(bad), /the entry for main .* is incomplete/);
+    fs.writeFileSync(bad, JSON.stringify({ calendars: {} }));
+    checkThrows('a file without a version is rejected', () => loadSnapshot(bad), /is not a calendar snapshot/);
+} finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+}
+
+// --- rollbackSnapshot ----------------------------------------------------------------
+const quiet = { info: () => {}, warn: () => {}, error: () => {} };
+const listCalls = [];
+const fakeCalendar = {
+    events: {
+        list: async params => {
+            listCalls.push(params);
+            return { data: { items: current } };
+        },
+    },
+};
+const sent = [];
+const fakeBatch = {
+    execute: async operations => {
+        sent.push(...operations);
+        return operations.map(op => (op.method === 'DELETE' ? { ok: false, error: 'HTTP 500' } : { ok: true }));
+    },
+};
+
+(async () => {
+    const snapshot = { version: SNAPSHOT_VERSION, takenAt: '2026-07-20T09:00:00.000Z', calendars: { main: entry } };
+    const dry = await rollbackSnapshot(snapshot, { calendar: fakeCalendar, batch: fakeBatch, dryRun: true, logger: quiet });
+    check('a dry run writes nothing', [sent.length, dry], [0, { successCount: 0, failureCount: 0, unchanged: 1 }]);
+    check('the calendar is read over the snapshot window, in its time zone',
+        [listCalls[0].calendarId, listCalls[0].timeMin, listCalls[0].timeMax, listCalls[0].timeZone],
+        ['main', window.timeMin, window.timeMax, 'America/Los_Angeles']);
+
+    const totals = await rollbackSnapshot(snapshot, { calendar: fakeCalendar, batch: fakeBatch, logger: quiet });
+    check('recreates, restores and deletes are sent',
+        sent.map(op => `${op.method} ${op.path.split('/events')[1] || '/'}`), ['POST /', 'PUT /a1', 'PUT /u2', 'DELETE /v1']);
+    check('each write is counted on its own', totals, { successCount: 3, failureCount: 1, unchanged: 1 });
+
+    // --- Report ----------------------------------------------------------------------
+    if (failures.length > 0) {
+        console.error(`\ncalendarSnapshot: ${failures.length} FAILED, ${passed} passed\n`);
+        failures.forEach((failure, index) => console.error(`  ${index + 1}. ${failure}\n`));
+        process.exit(1);
+    }
+
+    console.log(`calendarSnapshot: all ${passed} assertions passed`);
+})().catch(error => {
+    console.error('calendarSnapshot: test run crashed:', error);
+    process.exit(1);
+});
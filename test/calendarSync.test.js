@@ -0,0 +1,322 @@
+/**
+ * test/calendarSync.test.js
+ * Unit tests for the sync planning in calendarSync.js.
+ *
+ * Usage: node test/calendarSync.test.js   (or npm test)
+ *
+ * updateGCal.js writes only what this plan tells it to. A regression here is either noisy
+ * (every event recreated, and every subscriber notified) or destructive (a live screening
+ * deleted), so the key, fingerprint and plan are checked directly.
+ *
+ * Pure assertions, no network and no Google APIs.
+ *
+ * Uses plain assert rather than a test framework, so there is no dependency to install and
+ * this file stays runnable on its own.
+ */
+
+const {
+    SOURCE_PROPERTY,
+    SOURCE_ID,
+    SCREENING_KEY_PROPERTY,
+    FINGERPRINT_PROPERTY,
+    loadCancellationConfig,
+    screeningKey,
+    eventFingerprint,
+    tagEvent,
+    getPrivateProperty,
+    isManagedEvent,
+    cancelledOn,
+    cancelEvent,
+    planCalendarSync,
+    findDuplicateEvents,
+    formatSyncPlan,
+} = require('../calendarSync');
+
+let passed = 0;
+const failures = [];
+
+/**
+ * Asserts a value equals the expected one, comparing structurally.
+ * @param {string} label - What is being checked, shown on failure
+ * @param {*} actual
+ * @param {*} expected
+ */
+function check(label, actual, expected) {
+    if (JSON.stringify(actual) === JSON.stringify(expected)) {
+        passed++;
+        return;
+    }
+    failures.push(
+        `${label}\n    expected: ${JSON.stringify(expected)}` +
+        `\n    actual:   ${JSON.stringify(actual)}`
+    );
+}
+
+/**
+ * Asserts a call throws, with a message matching a pattern.
+ * @param {string} label
+ * @param {Function} fn
+ * @param {RegExp} pattern
+ */
+function checkThrows(label, fn, pattern) {
+    try {
+        fn();
+    } catch (error) {
+        if (pattern.test(error.message)) {
+            passed++;
+        } else {
+            failures.push(`${label}\n    unexpected message: ${error.message}`);
+        }
+        return;
+    }
+    failures.push(`${label}\n    expected a throw, got none`);
+}
+
+/**
+ * Builds a tagged event the way updateGCal.js does.
+ * @param {string} key
+ * @param {string} summary
+ * @param {string} start - Local start, YYYY-MM-DDTHH:MM:SS
+ */
+function desired(key, summary, start) {
+    return tagEvent({
+        summary,
+        start: { dateTime: start, timeZone: 'America/Los_Angeles' },
+        end: { dateTime: start, timeZone: 'America/Los_Angeles' },
+        description: '',
+    }, key);
+}
+
+/**
+ * Mimics an event as the API lists it: an id, and times reformatted with an offset.
+ * @param {string} id
+ * @param {Object} tagged - Result of desired()
+ */
+function listed(id, tagged) {
+    return {
+        ...tagged,
+        id,
+        start: { dateTime: `${tagged.start.dateTime}-07:00`, timeZone: 'America/Los_Angeles' },
+    };
+}
+
+// --- screeningKey --------------------------------------------------------------------
+check('catalog id wins over title/date/time',
+    screeningKey({ catalogId: 'ABC123', title: 'Alien', date: '2026-07-25', time: '19:00' }),
+    'catalog:ABC123');
+check('falls back to title/date/time without a catalog id',
+    screeningKey({ catalogId: '', title: 'Alien', date: '2026-07-25', time: '19:00' }),
+    'showing:alien|2026-07-25|19:00');
+check('fallback ignores title casing and surrounding space',
+    screeningKey({ title: '  ALIEN ', date: '2026-07-25', time: '19:00' }),
+    screeningKey({ title: 'Alien', date: '2026-07-25', time: '19:00' }));
+check('a blank catalog id counts as missing',
+    screeningKey({ catalogId: '   ', title: 'Alien', date: '2026-07-25', time: '19:00' }),
+    'showing:alien|2026-07-25|19:00');
+checkThrows('fallback without a time throws',
+    () => screeningKey({ title: 'Alien', date: '2026-07-25' }), /title, date and time/);
+checkThrows('non-object throws', () => screeningKey(null), /must be an object/);
+
+// --- eventFingerprint ----------------------------------------------------------------
+const base = { summary: 'Alien', description: 'Runtime: 117 minutes', start: { dateTime: 'x', timeZone: 'y' } };
+check('property order does not change the fingerprint',
+    eventFingerprint(base),
+    eventFingerprint({ start: { timeZone: 'y', dateTime: 'x' }, description: 'Runtime: 117 minutes', summary: 'Alien' }));
+check('extendedProperties are ignored',
+    eventFingerprint({ ...base, extendedProperties: { private: { a: 'b' } } }),
+    eventFingerprint(base));
+check('a changed description changes the fingerprint',
+    eventFingerprint({ ...base, description: 'Runtime: 118 minutes' }) === eventFingerprint(base),
+    false);
+
+// --- tagEvent ------------------------------------------------------------------------
+const tagged = tagEvent(base, 'catalog:1');
+check('tagEvent stores the key', getPrivateProperty(tagged, SCREENING_KEY_PROPERTY), 'catalog:1');
+check('tagEvent stores the fingerprint', getPrivateProperty(tagged, FINGERPRINT_PROPERTY), eventFingerprint(base));
+check('tagEvent leaves its input untouched', base.extendedProperties, undefined);
+check('missing property reads as empty', getPrivateProperty({}, SCREENING_KEY_PROPERTY), '');
+
+// --- planCalendarSync ----------------------------------------------------------------
+const alien = desired('catalog:1', 'Alien', '2026-07-25T19:00:00');
+const heat = desired('catalog:2', 'Heat', '2026-07-26T19:00:00');
+const heatMoved = desired('catalog:2', 'Heat', '2026-07-26T21:00:00');
+const ran = desired('catalog:3', 'Ran', '2026-07-27T19:00:00');
+
+let plan = planCalendarSync([alien, heat], []);
+check('empty calendar creates everything', plan.create.map(e => e.summary), ['Alien', 'Heat']);
+check('empty calendar deletes nothing', plan.remove.length, 0);
+
+plan = planCalendarSync([alien, heat], [listed('e1', alien), listed('e2', heat)]);
+check('unchanged events are left alone',
+    [plan.create.length, plan.update.length, plan.remove.length, plan.unchanged], [0, 0, 0, 2]);
+
+plan = planCalendarSync([alien, heatMoved], [listed('e1', alien), listed('e2', heat)]);
+check('a changed screening is updated in place, keeping its event id',
+    plan.update.map(u => [u.eventId, u.event.start.dateTime]), [['e2', '2026-07-26T21:00:00']]);
+
+plan = planCalendarSync([alien], [listed('e1', alien), listed('e3', ran)]);
+check('a screening dropped from the schedule is deleted', plan.remove.map(e => e.id), ['e3']);
+
+plan = planCalendarSync([alien], [listed('e1', alien), { id: 'meetup', summary: 'Members meetup' }]);
+check('an event without the ownership marker is never deleted', plan.remove.map(e => e.id), []);
+
+plan = planCalendarSync([alien], [
+    listed('e1', alien),
+    { id: 'stray', extendedProperties: { private: { [SOURCE_PROPERTY]: SOURCE_ID } } },
+]);
+check('a managed event with no screening key is deleted', plan.remove.map(e => e.id), ['stray']);
+
+plan = planCalendarSync([alien], [listed('e1', alien), listed('e1b', alien)]);
+check('a duplicate key on the calendar keeps the first and deletes the rest',
+    [plan.remove.map(e => e.id), plan.unchanged], [['e1b'], 1]);
+check('the extra copy is reported as a duplicate', plan.duplicates.map(e => e.id), ['e1b']);
+
+// --- Adoption ------------------------------------------------------------------------
+const legacyAlien = {
+    id: 'old1',
+    summary: 'Alien',
+    start: { dateTime: '2026-07-25T19:00:00-07:00', timeZone: 'America/Los_Angeles' },
+};
+const handAdded = {
+    id: 'hand1',
+    summary: 'Members meetup',
+    start: { dateTime: '2026-07-25T17:00:00-07:00' },
+};
+
+plan = planCalendarSync([alien, heat], [], { adoptable: [legacyAlien, handAdded] });
+check('a matching unmarked event is adopted by updating it in place',
+    plan.update.map(u => [u.eventId, u.adopted]), [['old1', true]]);
+check('adoption is counted', plan.adopted, 1);
+check('an unmatched screening is still created', plan.create.map(e => e.summary), ['Heat']);
+check('an unmatched unmarked event is left alone', plan.remove.length, 0);
+
+plan = planCalendarSync([alien], [listed('e1', alien)], { adoptable: [legacyAlien] });
+check('nothing is adopted for a screening that already has a managed event',
+    [plan.adopted, plan.unchanged], [0, 1]);
+
+plan = planCalendarSync([alien], [], { adoptable: [{ ...legacyAlien, summary: 'ALIEN' }] });
+check('adoption ignores summary casing', plan.adopted, 1);
+
+const legacyCopy = { ...legacyAlien, id: 'old2' };
+plan = planCalendarSync([alien], [], { adoptable: [legacyAlien, legacyCopy] });
+check('adoption claims one unmarked copy and deletes the others as duplicates',
+    [plan.update.map(u => u.eventId), plan.remove.map(e => e.id), plan.duplicates.map(e => e.id)],
+    [['old1'], ['old2'], ['old2']]);
+
+plan = planCalendarSync([alien], [listed('e1', alien)], { adoptable: [legacyAlien] });
+check('an unmarked copy of a managed screening is deleted during adoption',
+    [plan.remove.map(e => e.id), plan.unchanged], [['old1'], 1]);
+
+plan = planCalendarSync([alien], [listed('e1', alien)]);
+check('without adoption an unmarked copy is not even considered', plan.duplicates, []);
+
+// --- Cancelled screenings ------------------------------------------------------------
+const grace = { today: '2026-07-20', graceDays: 7 };
+const listedHeat = { ...listed('e2', heat), description: 'Runtime: 170 minutes', colorId: '8' };
+plan = planCalendarSync([alien], [listed('e1', alien), listedHeat], { cancellation: grace });
+const cancelledHeat = plan.update[0] && plan.update[0].event;
+check('a dropped screening is marked cancelled instead of deleted',
+    [plan.remove.length, plan.cancelled, plan.update.map(u => [u.eventId, u.cancelled])], [0, 1, [['e2', true]]]);
+check('the cancelled event keeps its time and details and warns in its title and description', {
+    summary: cancelledHeat.summary,
+    start: cancelledHeat.start.dateTime,
+    description: cancelledHeat.description,
+    colorId: cancelledHeat.colorId,
+    status: cancelledHeat.status,
+    transparency: cancelledHeat.transparency,
+}, {
+    summary: '[CANCELLED] Heat',
+    start: '2026-07-26T19:00:00-07:00',
+    description: 'This screening is no longer on The Beacon\'s schedule.\n\nRuntime: 170 minutes',
+    colorId: '8',
+    status: 'tentative',
+    transparency: 'transparent',
+});
+check('it stays managed, under the same key, with the date it was cancelled',
+    [isManagedEvent(cancelledHeat), getPrivateProperty(cancelledHeat, SCREENING_KEY_PROPERTY), cancelledOn(cancelledHeat)],
+    [true, 'catalog:2', '2026-07-20']);
+check('the cancellation is labelled in the plan', formatSyncPlan(plan)[0], '~ update  2026-07-26 19:00  [CANCELLED] Heat  (cancelled)');
+
+const keptHeat = { ...cancelledHeat, id: 'e2' };
+plan = planCalendarSync([], [keptHeat], { cancellation: { ...grace, today: '2026-07-26' } });
+check('a cancelled event is kept through its grace period, even on its own day',
+    [plan.update.length, plan.remove.length, plan.stillCancelled], [0, 0, 1]);
+plan = planCalendarSync([], [keptHeat], { cancellation: { today: '2026-07-23', graceDays: 3 } });
+check('it is deleted once the grace period ends',
+    [plan.remove.map(e => e.id), plan.expired.map(e => e.id), formatSyncPlan(plan)[0]],
+    [['e2'], ['e2'], '- delete  2026-07-26 19:00  [CANCELLED] Heat  (cancellation expired)']);
+plan = planCalendarSync([], [keptHeat], { cancellation: { ...grace, today: '2026-07-27' } });
+check('it is deleted once its date has passed', plan.expired.map(e => e.id), ['e2']);
+plan = planCalendarSync([], [listed('e2', heat)], { cancellation: { ...grace, today: '2026-07-27' } });
+check('a dropped screening already past is deleted, not cancelled', [plan.remove.length, plan.cancelled], [1, 0]);
+
+plan = planCalendarSync([heat], [keptHeat], { cancellation: grace });
+const restoredHeat = plan.update[0] && plan.update[0].event;
+check('a screening back on the schedule is restored',
+    [plan.restored, restoredHeat.summary, restoredHeat.status, restoredHeat.transparency, cancelledOn(restoredHeat)],
+    [1, 'Heat', 'confirmed', 'opaque', '']);
+check('a restored event is unchanged on the next run',
+    planCalendarSync([heat], [{ ...restoredHeat, id: 'e2' }], { cancellation: grace }).unchanged, 1);
+check('a restore is labelled in the plan', formatSyncPlan(plan)[0], '~ update  2026-07-26 19:00  Heat  (restored)');
+
+plan = planCalendarSync([], [listed('e2', heat)], { cancellation: { ...grace, graceDays: 0 } });
+check('a grace period of 0 deletes at once, as without cancellation',
+    [plan.remove.map(e => e.id), plan.cancelled], [['e2'], 0]);
+check('without the option a dropped screening is deleted', planCalendarSync([], [listed('e2', heat)]).remove.length, 1);
+checkThrows('an invalid cancellation option throws',
+    () => planCalendarSync([], [], { cancellation: { today: '20 July', graceDays: 7 } }), /options\.cancellation/);
+checkThrows('only a managed event can be cancelled', () => cancelEvent(handAdded, '2026-07-20'), /only a managed event/);
+check('the grace period defaults to a week', loadCancellationConfig({}), { graceDays: 7 });
+check('the grace period is read from the environment', loadCancellationConfig({ CANCELLATION_GRACE_DAYS: '0' }), { graceDays: 0 });
+checkThrows('a negative grace period is rejected',
+    () => loadCancellationConfig({ CANCELLATION_GRACE_DAYS: '-1' }), /CANCELLATION_GRACE_DAYS must be a whole number/);
+check('the cancellation is recorded in private properties only', Object.keys(cancelledHeat.extendedProperties).join(), 'private');
+
+// --- findDuplicateEvents -------------------------------------------------------------
+check('events sharing a summary and start are grouped',
+    findDuplicateEvents([legacyAlien, handAdded, legacyCopy, listed('e1', alien)])
+        .map(group => group.map(e => e.id)),
+    [['old1', 'old2', 'e1']]);
+check('distinct events are not duplicates', findDuplicateEvents([legacyAlien, handAdded]), []);
+check('all-day events are ignored',
+    findDuplicateEvents([{ id: 'a', summary: 'Closed', start: { date: '2026-07-25' } },
+        { id: 'b', summary: 'Closed', start: { date: '2026-07-25' } }]), []);
+
+check('isManagedEvent recognises the marker', isManagedEvent(tagged), true);
+check('isManagedEvent rejects an unmarked event', isManagedEvent(handAdded), false);
+
+// --- formatSyncPlan ------------------------------------------------------------------
+plan = planCalendarSync([alien, heatMoved, ran], [listed('e2', heat), listed('e4', desired('catalog:4', 'Ikiru', '2026-07-28T19:00:00'))]);
+check('the printed plan lists every change and a summary', formatSyncPlan(plan), [
+    '+ create  2026-07-25 19:00  Alien',
+    '+ create  2026-07-27 19:00  Ran',
+    '~ update  2026-07-26 21:00  Heat  (start, end)',
+    '- delete  2026-07-28 19:00  Ikiru',
+    'Plan: 2 to create, 1 to update (0 adopted), 1 to delete (duplicates: 0), 0 unchanged.',
+]);
+plan = planCalendarSync([alien], [listed('e1', alien), listed('e1b', alien)]);
+check('a duplicate delete is labelled as such', formatSyncPlan(plan),
+    ['- delete  2026-07-25 19:00  Alien  (duplicate)',
+        'Plan: 0 to create, 0 to update (0 adopted), 1 to delete (duplicates: 1), 1 unchanged.']);
+const { extendedProperties, ...plainAlien } = alien;
+const styledAlien = tagEvent({ ...plainAlien, colorId: '8', reminders: { useDefault: false, overrides: [] } }, 'catalog:1');
+plan = planCalendarSync([styledAlien], [{ ...listed('e1', alien), reminders: { useDefault: true } }]);
+check('a style change is named in the plan', formatSyncPlan(plan)[0],
+    '~ update  2026-07-25 19:00  Alien  (color, reminders)');
+plan = planCalendarSync([alien], [], { adoptable: [legacyAlien] });
+check('an adoption is labelled as such', formatSyncPlan(plan)[0], '~ update  2026-07-25 19:00  Alien  (adopt)');
+checkThrows('formatting something else throws', () => formatSyncPlan({}), /planCalendarSync/);
+
+checkThrows('an untagged desired event throws',
+    () => planCalendarSync([{ summary: 'Alien' }], []), /tagged with a screening key/);
+checkThrows('non-array existing events throws',
+    () => planCalendarSync([], null), /existingEvents must be an array/);
+
+// --- Report --------------------------------------------------------------------------
+if (failures.length > 0) {
+    console.error(`\ncalendarSync: ${failures.length} FAILED, ${passed} passed\n`);
+    failures.forEach((failure, index) => console.error(`  ${index + 1}. ${failure}\n`));
+    process.exit(1);
+}
+
+console.log(`calendarSync: all ${passed} assertions passed`);
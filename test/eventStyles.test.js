@@ -0,0 +1,138 @@
+/**
+ * test/eventStyles.test.js
+ * Unit tests for the per-series colors and reminders in eventStyles.js.
+ *
+ * Usage: node test/eventStyles.test.js   (or npm test)
+ *
+ * A bad eventStyles.json must stop updateGCal.js before it writes anything, and a good one
+ * must produce exactly the event fields the Calendar API expects. Checks the shipped
+ * eventStyles.json too, so an edit to it cannot break the next run unnoticed.
+ *
+ * Writes its fixture files under the OS temp directory and removes them afterwards.
+ *
+ * Uses plain assert rather than a test framework, so there is no dependency to install and
+ * this file stays runnable on its own.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    validateEventStyles,
+    loadEventStyles,
+    styleForSeries,
+    applyEventStyle,
+} = require('../eventStyles');
+
+let passed = 0;
+const failures = [];
+
+/**
+ * Asserts a value equals the expected one, comparing structurally.
+ * @param {string} label - What is being checked, shown on failure
+ * @param {*} actual
+ * @param {*} expected
+ */
+function check(label, actual, expected) {
+    if (JSON.stringify(actual) === JSON.stringify(expected)) {
+        passed++;
+        return;
+    }
+    failures.push(
+        `${label}\n    expected: ${JSON.stringify(expected)}` +
+        `\n    actual:   ${JSON.stringify(actual)}`
+    );
+}
+
+/**
+ * Asserts a call throws, with a message matching a pattern.
+ * @param {string} label
+ * @param {Function} fn
+ * @param {RegExp} pattern
+ */
+function checkThrows(label, fn, pattern) {
+    try {
+        fn();
+    } catch (error) {
+        if (pattern.test(error.message)) {
+            passed++;
+        } else {
+            failures.push(`${label}\n    unexpected message: ${error.message}`);
+        }
+        return;
+    }
+    failures.push(`${label}\n    expected a throw, got none`);
+}
+
+const styles = {
+    default: { reminders: [{ method: 'popup', minutes: 120 }] },
+    series: {
+        noir: { colorId: '8' },
+        midnight: { colorId: 11, reminders: [] },
+    },
+};
+
+// --- validateEventStyles -------------------------------------------------------------
+check('a valid configuration has no problems', validateEventStyles(styles), []);
+check('an empty configuration is valid', validateEventStyles({}), []);
+check('colorId outside 1–11 is rejected',
+    validateEventStyles({ series: { noir: { colorId: '12' } } }), ['series.noir.colorId must be "1" to "11"; got "12"']);
+check('every problem is reported at once', validateEventStyles({
+    default: { colourId: '3', reminders: [{ method: 'sms', minutes: -5 }] },
+    extra: {},
+}), [
+    'extra is not a known section (expected default or series)',
+    'default.colourId is not a known setting (expected colorId or reminders)',
+    'default.reminders[0].method must be popup or email; got "sms"',
+    'default.reminders[0].minutes must be a whole number from 0 to 40320; got -5',
+]);
+check('more than five reminders is rejected',
+    validateEventStyles({ default: { reminders: Array(6).fill({ method: 'popup', minutes: 10 }) } }),
+    ['default.reminders has 6 entries; Google allows 5']);
+check('a non-object configuration is rejected', validateEventStyles([]), ['the configuration must be a JSON object']);
+
+// --- styleForSeries ------------------------------------------------------------------
+check('a series entry overrides the default field by field', styleForSeries(styles, 'noir'),
+    { reminders: [{ method: 'popup', minutes: 120 }], colorId: '8' });
+check('an empty reminder list overrides the default reminders', styleForSeries(styles, 'midnight').reminders, []);
+check('an untagged screening gets the default', styleForSeries(styles, ''), styles.default);
+check('an unstyled series gets the default', styleForSeries(styles, 'horror'), styles.default);
+
+// --- applyEventStyle -----------------------------------------------------------------
+const event = { summary: 'Alien' };
+check('color and reminders become API fields', applyEventStyle(event, styleForSeries(styles, 'midnight')),
+    { summary: 'Alien', colorId: '11', reminders: { useDefault: false, overrides: [] } });
+check('no style leaves the event as it was', applyEventStyle(event, {}), event);
+check('the input event is untouched', event, { summary: 'Alien' });
+
+// --- loadEventStyles -----------------------------------------------------------------
+check('the shipped eventStyles.json is valid',
+    validateEventStyles(JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'eventStyles.json'), 'utf8'))), []);
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'eventStyles-'));
+try {
+    const good = path.join(dir, 'good.json');
+    fs.writeFileSync(good, JSON.stringify(styles));
+    check('a valid file loads with both sections', Object.keys(loadEventStyles(good)), ['default', 'series']);
+
+    const bad = path.join(dir, 'bad.json');
+    fs.writeFileSync(bad, JSON.stringify({ series: { noir: { colorId: 0 } } }));
+    checkThrows('an invalid file throws, naming the problem', () => loadEventStyles(bad), /series\.noir\.colorId/);
+
+    const broken = path.join(dir, 'broken.json');
+    fs.writeFileSync(broken, '{ "default": ');
+    checkThrows('malformed JSON throws', () => loadEventStyles(broken), /cannot read broken\.json/);
+
+    check('a missing file means no styling', loadEventStyles(path.join(dir, 'absent.json')), { default: {}, series: {} });
+} finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+}
+
+// --- Report --------------------------------------------------------------------------
+if (failures.length > 0) {
+    console.error(`\neventStyles: ${failures.length} FAILED, ${passed} passed\n`);
+    failures.forEach((failure, index) => console.error(`  ${index + 1}. ${failure}\n`));
+    process.exit(1);
+}
+
+console.log(`eventStyles: all ${passed} assertions passed`);
@@ -0,0 +1,184 @@
+/**
+ * test/eventTemplates.test.js
+ * Unit tests for the event summary and description templates in eventTemplates.js.
+ *
+ * Usage: node test/eventTemplates.test.js   (or npm test)
+ *
+ * A template is applied to every event on the calendar, so a typo in one shows on all of
+ * them at once. These check that mistakes are rejected before anything is rendered, and
+ * that the shipped eventTemplates.json words events exactly as before templates existed,
+ * so upgrading does not rewrite every event on the calendar.
+ *
+ * Pure assertions, no network and no Google APIs. Template files are written to a
+ * temporary directory.
+ *
+ * Uses plain assert rather than a test framework, so there is no dependency to install and
+ * this file stays runnable on its own.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    compileTemplate,
+    compileEventTemplates,
+    loadEventTemplates,
+    renderScreening,
+} = require('../eventTemplates');
+const { describeScreening } = require('../screenings');
+
+let passed = 0;
+const failures = [];
+
+/**
+ * Asserts a value equals the expected one, comparing structurally.
+ * @param {string} label - What is being checked, shown on failure
+ * @param {*} actual
+ * @param {*} expected
+ */
+function check(label, actual, expected) {
+    if (JSON.stringify(actual) === JSON.stringify(expected)) {
+        passed++;
+        return;
+    }
+    failures.push(
+        `${label}\n    expected: ${JSON.stringify(expected)}` +
+        `\n    actual:   ${JSON.stringify(actual)}`
+    );
+}
+
+/**
+ * Asserts a call throws, with a message matching a pattern.
+ * @param {string} label
+ * @param {Function} fn
+ * @param {RegExp} pattern
+ */
+function checkThrows(label, fn, pattern) {
+    try {
+        fn();
+    } catch (error) {
+        if (pattern.test(error.message)) {
+            passed++;
+        } else {
+            failures.push(`${label}\n    unexpected message: ${error.message}`);
+        }
+        return;
+    }
+    failures.push(`${label}\n    expected a throw, got none`);
+}
+
+const alien = {
+    key: 'catalog:ABC123',
+    title: 'ALIEN',
+    displayTitle: 'Alien',
+    date: '2026-07-25',
+    time: '22:30',
+    endDate: '2026-07-26',
+    endTime: '00:42',
+    seriesTag: 'scifi',
+    seriesName: 'Space, the Final Frontier',
+    url: 'https://thebeacon.film/calendar/movie/alien',
+    catalogId: 'ABC123',
+    runtime: '117 minutes',
+    director: 'Ridley Scott',
+    year: '1979',
+    country: '',
+    language: '',
+    format: '35mm',
+};
+const heat = { ...alien, key: 'showing:heat|2026-07-26|09:00', displayTitle: 'Heat & Dust <4K>', time: '09:00', seriesTag: '', seriesName: '', runtime: '', url: '', catalogId: '' };
+
+/**
+ * Compiles templates from a summary and description lines.
+ * @param {string} summary
+ * @param {string[]} description
+ * @param {boolean} [html]
+ */
+function templates(summary, description, html = false) {
+    return compileEventTemplates({ summary, description, html });
+}
+
+// --- The shipped templates -----------------------------------------------------------
+const shipped = loadEventTemplates({ env: {} });
+check('the shipped templates word events as describeScreening did',
+    [alien, heat].map(screening => renderScreening(shipped, screening)),
+    [alien, heat].map(screening => ({ summary: screening.displayTitle, description: describeScreening(screening) })));
+
+// --- Rendering -----------------------------------------------------------------------
+const custom = templates('{{title}} ({{time12}})', [
+    '{{^series}}Not part of a series{{/series}}{{#series}}Part of {{series}}{{/series}}',
+    '{{#runtime}}{{runtime}}{{/runtime}}',
+    'Tickets: {{link url title}}',
+    'Ref {{catalogId}} on {{date}} at {{time}}',
+]);
+check('fields, conditionals and 12-hour times render', renderScreening(custom, alien), {
+    summary: 'Alien (10:30 PM)',
+    description: 'Part of Space, the Final Frontier\n117 minutes\nTickets: https://thebeacon.film/calendar/movie/alien\nRef ABC123 on 2026-07-25 at 22:30',
+});
+check('an inverted section renders for a missing field, and an empty line is dropped',
+    renderScreening(custom, heat).description.split('\n'),
+    ['Not part of a series', 'Tickets: ', 'Ref  on 2026-07-25 at 09:00']);
+check('film details from the films tab render, and a missing one drops its line',
+    renderScreening(templates('{{title}}', ['{{director}} ({{year}})', '{{#format}}On {{format}}{{/format}}', '{{country}}']), alien).description,
+    'Ridley Scott (1979)\nOn 35mm');
+check('a morning time is AM', renderScreening(custom, heat).summary, 'Heat & Dust <4K> (9:00 AM)');
+
+const html = templates('{{title}}', ['<b>{{title}}</b>', '{{link url title}}', '{{link url}}'], true);
+check('html escapes values, links the URL and joins lines with <br>',
+    renderScreening(html, { ...alien, displayTitle: 'Alien & <Aliens>' }).description,
+    '<b>Alien &amp; &lt;Aliens&gt;</b><br><a href="https://thebeacon.film/calendar/movie/alien">Alien &amp; &lt;Aliens&gt;</a><br>' +
+    '<a href="https://thebeacon.film/calendar/movie/alien">https://thebeacon.film/calendar/movie/alien</a>');
+check('the summary is never escaped', renderScreening(html, heat).summary, 'Heat & Dust <4K>');
+check('html can be turned off per call, for plain-text outputs',
+    renderScreening(html, alien, { html: false }).description,
+    '<b>Alien</b>\nhttps://thebeacon.film/calendar/movie/alien\nhttps://thebeacon.film/calendar/movie/alien');
+check('a link to a missing URL renders nothing', renderScreening(html, heat).description, '<b>Heat &amp; Dust &lt;4K&gt;</b>');
+check('a summary that renders empty falls back to the title',
+    renderScreening(templates('{{#series}}{{series}}{{/series}}', []), heat).summary, 'Heat & Dust <4K>');
+
+// --- Validation ----------------------------------------------------------------------
+checkThrows('an unknown placeholder is rejected, naming the known ones',
+    () => compileTemplate('{{runtim}}'), /unknown placeholder 'runtim' \(known: title, runtime/);
+checkThrows('an unknown section is rejected', () => compileTemplate('{{#rating}}x{{/rating}}'), /unknown placeholder 'rating'/);
+checkThrows('an unknown link field is rejected', () => compileTemplate('{{link website}}'), /unknown placeholder 'website'/);
+checkThrows('a link needs one or two fields', () => compileTemplate('{{link}}'), /must be \{\{link <field>\}\}/);
+checkThrows('an unclosed section is rejected', () => compileTemplate('{{#url}}x'), /'\{\{#url\}\}' is never closed/);
+checkThrows('mismatched sections are rejected',
+    () => compileTemplate('{{#url}}{{#series}}x{{/url}}{{/series}}'), /'\{\{\/url\}\}' closes '\{\{#series\}\}'/);
+checkThrows('a stray closing tag is rejected', () => compileTemplate('x{{/url}}'), /has no opening section/);
+checkThrows('an unclosed brace is rejected', () => compileTemplate('{{title}} {{runtime'), /unclosed '\{\{'/);
+checkThrows('every problem is reported at once',
+    () => compileEventTemplates({ summary: '{{name}}', description: ['ok', '{{#url}}'], html: 'yes', colour: 1 }),
+    /colour is not a known setting[\s\S]*html must be true or false[\s\S]*summary: unknown placeholder 'name'[\s\S]*description line 2: '\{\{#url\}\}' is never closed/);
+checkThrows('a missing summary is rejected', () => compileEventTemplates({ description: [] }), /summary: template must be a string/);
+
+// --- loadEventTemplates --------------------------------------------------------------
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'event-templates-'));
+try {
+    const file = path.join(dir, 'eventTemplates.json');
+    fs.writeFileSync(file, JSON.stringify({ summary: '{{title}}', description: ['{{url}}'] }));
+    const overridden = loadEventTemplates({
+        filePath: file,
+        env: { EVENT_SUMMARY_TEMPLATE: '{{title}} - {{series}}', EVENT_DESCRIPTION_TEMPLATE: '{{runtime}}\\n{{catalogId}}', EVENT_TEMPLATE_HTML: 'TRUE' },
+    });
+    check('environment variables override the file, splitting lines on \\n',
+        [renderScreening(overridden, alien), overridden.html],
+        [{ summary: 'Alien - Space, the Final Frontier', description: '117 minutes<br>ABC123' }, true]);
+    checkThrows('an invalid environment template is rejected at load',
+        () => loadEventTemplates({ filePath: file, env: { EVENT_SUMMARY_TEMPLATE: '{{movie}}' } }),
+        /^loadEventTemplates: invalid event templates:\n {2}- summary: unknown placeholder 'movie'/);
+    fs.writeFileSync(file, '{ "summary": ');
+    checkThrows('a malformed file is rejected', () => loadEventTemplates({ filePath: file, env: {} }),
+        /loadEventTemplates: cannot read eventTemplates\.json/);
+} finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+}
+
+// --- Report --------------------------------------------------------------------------
+if (failures.length > 0) {
+    console.error(`\neventTemplates: ${failures.length} FAILED, ${passed} passed\n`);
+    failures.forEach((failure, index) => console.error(`  ${index + 1}. ${failure}\n`));
+    process.exit(1);
+}
+
+console.log(`eventTemplates: all ${passed} assertions passed`);
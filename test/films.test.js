@@ -0,0 +1,132 @@
+/**
+ * test/films.test.js
+ * Tests for the film records in films.js.
+ *
+ * Usage: node test/films.test.js   (or npm test)
+ *
+ * A film is matched to its screenings by the slug of its URL, so a slug that changes with
+ * the casing or a trailing slash would leave every event without its details. These check
+ * the slug, that each known label lands in its column whatever its casing, that every pair
+ * is also kept in Metadata, and that the tab reads back into the same records.
+ *
+ * readFilmPage() runs in the browser and is not exercised here. No network and no Google
+ * APIs.
+ *
+ * Uses plain assert rather than a test framework, so there is no dependency to install and
+ * this file stays runnable on its own.
+ */
+
+const { filmSlug, filmRecord, parseFilms } = require('../films');
+const { headerFor } = require('../sheetSchema');
+
+let passed = 0;
+const failures = [];
+
+/**
+ * Asserts a value equals the expected one, comparing structurally.
+ * @param {string} label - What is being checked, shown on failure
+ * @param {*} actual
+ * @param {*} expected
+ */
+function check(label, actual, expected) {
+    if (JSON.stringify(actual) === JSON.stringify(expected)) {
+        passed++;
+        return;
+    }
+    failures.push(
+        `${label}\n    expected: ${JSON.stringify(expected)}` +
+        `\n    actual:   ${JSON.stringify(actual)}`
+    );
+}
+
+/**
+ * Asserts a call throws, with a message matching a pattern.
+ * @param {string} label
+ * @param {Function} fn
+ * @param {RegExp} pattern
+ */
+function checkThrows(label, fn, pattern) {
+    try {
+        fn();
+    } catch (error) {
+        if (pattern.test(error.message)) {
+            passed++;
+        } else {
+            failures.push(`${label}\n    unexpected message: ${error.message}`);
+        }
+        return;
+    }
+    failures.push(`${label}\n    expected a throw, got none`);
+}
+
+// --- filmSlug --------------------------------------------------------------------------
+check('the slug is the last path segment',
+    filmSlug('https://thebeacon.film/calendar/movie/alien'), 'alien');
+check('casing, a trailing slash and a query do not change it',
+    filmSlug('https://thebeacon.film/calendar/movie/Alien/?ref=home'), 'alien');
+check('an escaped slug is decoded', filmSlug('https://thebeacon.film/calendar/movie/am%C3%A9lie'), 'amélie');
+check('no slug for a bare site or a non-URL', [filmSlug('https://thebeacon.film/'), filmSlug('alien')], ['', '']);
+
+// --- filmRecord ------------------------------------------------------------------------
+const alien = filmRecord({
+    url: 'https://thebeacon.film/calendar/movie/alien',
+    title: ' ALIEN ',
+    fields: [
+        { label: 'Directed By', value: 'Ridley Scott' },
+        { label: 'Director', value: 'Someone Else' },
+        { label: 'Year', value: '1979' },
+        { label: 'COUNTRY', value: 'UK, USA' },
+        { label: 'Format', value: '35mm' },
+        { label: 'Runtime', value: '117 minutes' },
+        { label: 'Rating', value: 'R' },
+    ],
+    synopsis: '  In space no one can hear you scream. ',
+    today: '2026-07-20',
+});
+check('known labels fill their columns, the first for a column winning', alien, {
+    Slug: 'alien',
+    Title: 'ALIEN',
+    URL: 'https://thebeacon.film/calendar/movie/alien',
+    Director: 'Ridley Scott',
+    Year: '1979',
+    Country: 'UK, USA',
+    Language: '',
+    Format: '35mm',
+    Runtime: '117 minutes',
+    Synopsis: 'In space no one can hear you scream.',
+    Metadata: JSON.stringify({
+        'Directed By': 'Ridley Scott',
+        'Director': 'Someone Else',
+        'Year': '1979',
+        'COUNTRY': 'UK, USA',
+        'Format': '35mm',
+        'Runtime': '117 minutes',
+        'Rating': 'R',
+    }),
+    DateRecorded: '2026-07-20',
+});
+check('a page without fields has empty Metadata',
+    filmRecord({ url: 'https://thebeacon.film/calendar/movie/heat', title: 'HEAT', fields: [], today: '2026-07-20' }).Metadata, '');
+checkThrows('a URL without a slug is rejected',
+    () => filmRecord({ url: 'https://thebeacon.film/', title: 'ALIEN', fields: [], today: '2026-07-20' }), /filmRecord: film\.url/);
+checkThrows('fields must be an array',
+    () => filmRecord({ url: 'https://thebeacon.film/calendar/movie/alien', title: 'ALIEN', fields: null, today: '2026-07-20' }),
+    /filmRecord: film\.fields must be an array/);
+
+// --- parseFilms ------------------------------------------------------------------------
+const header = headerFor('films');
+const films = parseFilms([header, header.map(column => alien[column]), header.map(() => '')]);
+check('the tab reads back into the same records, keyed by slug', [...films.entries()], [['alien', alien]]);
+check('an empty tab has no films', parseFilms([]).size, 0);
+const reordered = parseFilms([['Notes', ...[...header].reverse()], ['a favourite', ...header.map(column => alien[column]).reverse()]]);
+check('columns are found by name, and hand-added ones are left out', reordered.get('alien'), alien);
+checkThrows('a tab missing a column is reported', () => parseFilms([['Slug', 'Director']]), /tab 'films' is missing columns/);
+
+// --- Report --------------------------------------------------------------------------
+if (failures.length > 0) {
+    console.error(`\nfilms: ${failures.length} FAILED, ${passed} passed\n`);
+    failures.forEach((failure, index) => console.error(`  ${index + 1}. ${failure}\n`));
+    process.exit(1);
+}
+
+console.log(`films: all ${passed} assertions passed`);
@@ -0,0 +1,162 @@
+/**
+ * test/googleRetry.test.js
+ * Unit tests for the retry and backoff logic in googleRetry.js.
+ *
+ * Usage: node test/googleRetry.test.js   (or npm test)
+ *
+ * Every Sheets and Calendar call goes through withRetry(), so a mistake in what counts as
+ * retryable either hammers the API with calls that can never succeed, or lets a momentary
+ * quota blip fail a whole pipeline step. Errors are shaped the way googleapis throws them.
+ *
+ * No real waiting: sleep and the jitter source are injected.
+ *
+ * Uses plain assert rather than a test framework, so there is no dependency to install and
+ * this file stays runnable on its own.
+ */
+
+const {
+    isRetryableStatus,
+    isRetryableError,
+    parseRetryAfter,
+    backoffDelay,
+    withRetry,
+} = require('../googleRetry');
+
+let passed = 0;
+const failures = [];
+
+/**
+ * Asserts a value equals the expected one, comparing structurally.
+ * @param {string} label - What is being checked, shown on failure
+ * @param {*} actual
+ * @param {*} expected
+ */
+function check(label, actual, expected) {
+    if (JSON.stringify(actual) === JSON.stringify(expected)) {
+        passed++;
+        return;
+    }
+    failures.push(
+        `${label}\n    expected: ${JSON.stringify(expected)}` +
+        `\n    actual:   ${JSON.stringify(actual)}`
+    );
+}
+
+/**
+ * Builds an error shaped like a gaxios failure from googleapis.
+ * @param {number} status
+ * @param {Object} [extra]
+ * @param {string} [extra.reason]
+ * @param {string} [extra.retryAfter]
+ */
+function apiError(status, { reason, retryAfter } = {}) {
+    const error = new Error(`HTTP ${status}`);
+    error.code = status;
+    error.response = {
+        status,
+        headers: retryAfter ? { 'retry-after': retryAfter } : {},
+        data: { error: { errors: reason ? [{ reason }] : [] } },
+    };
+    if (reason) error.errors = [{ reason }];
+    return error;
+}
+
+/**
+ * Returns a call that fails with the given errors in turn, then succeeds.
+ * @param {Error[]} errors
+ */
+function failingThen(errors) {
+    const calls = { count: 0 };
+    const fn = async () => {
+        calls.count++;
+        if (calls.count <= errors.length) throw errors[calls.count - 1];
+        return 'ok';
+    };
+    return { fn, calls };
+}
+
+const waits = [];
+const quiet = {
+    logger: { warn: () => {} },
+    sleep: async ms => { waits.push(ms); },
+    random: () => 1,
+};
+
+(async () => {
+    // --- What is retryable -----------------------------------------------------------
+    check('429 is retryable', isRetryableStatus(429), true);
+    check('500 is retryable', isRetryableStatus(500), true);
+    check('503 is retryable', isRetryableStatus(503), true);
+    check('403 rateLimitExceeded is retryable', isRetryableStatus(403, 'rateLimitExceeded'), true);
+    check('403 userRateLimitExceeded is retryable', isRetryableStatus(403, 'userRateLimitExceeded'), true);
+    check('a plain 403 is not', isRetryableStatus(403, 'forbidden'), false);
+    check('400 is not', isRetryableStatus(400), false);
+    check('404 is not', isRetryableStatus(404), false);
+    check('reads the reason from a googleapis error',
+        isRetryableError(apiError(403, { reason: 'userRateLimitExceeded' })), true);
+    check('an error without a status is not retryable', isRetryableError(new Error('socket hang up')), false);
+
+    // --- Retry-After -----------------------------------------------------------------
+    check('Retry-After in seconds', parseRetryAfter('3'), 3000);
+    check('Retry-After as an HTTP date',
+        parseRetryAfter('Wed, 21 Oct 2026 07:28:05 GMT', Date.parse('Wed, 21 Oct 2026 07:28:00 GMT')), 5000);
+    check('a Retry-After date in the past waits nothing',
+        parseRetryAfter('Wed, 21 Oct 2026 07:28:00 GMT', Date.parse('Wed, 21 Oct 2026 07:29:00 GMT')), 0);
+    check('a missing Retry-After is 0', parseRetryAfter(undefined), 0);
+    check('garbage Retry-After is 0', parseRetryAfter('soon'), 0);
+
+    // --- Backoff ---------------------------------------------------------------------
+    check('the cap doubles each attempt',
+        [1, 2, 3, 4].map(attempt => backoffDelay(attempt, { random: () => 1 })), [500, 1000, 2000, 4000]);
+    check('the cap stops at 30s', backoffDelay(20, { random: () => 1 }), 30000);
+    check('jitter scales within the cap', backoffDelay(3, { random: () => 0.5 }), 1000);
+    check('Retry-After is a floor under the jitter', backoffDelay(1, { random: () => 0, retryAfterMs: 7000 }), 7000);
+
+    // --- withRetry -------------------------------------------------------------------
+    let { fn, calls } = failingThen([apiError(429), apiError(503)]);
+    waits.length = 0;
+    check('retries transient failures until success', await withRetry(fn, quiet), 'ok');
+    check('each failure costs one extra call', calls.count, 3);
+    check('waits grow between attempts', waits, [500, 1000]);
+
+    ({ fn, calls } = failingThen([apiError(429, { retryAfter: '4' })]));
+    waits.length = 0;
+    await withRetry(fn, quiet);
+    check('honours Retry-After', waits, [4000]);
+
+    ({ fn, calls } = failingThen([apiError(400)]));
+    let thrown = null;
+    try {
+        await withRetry(fn, quiet);
+    } catch (error) {
+        thrown = error;
+    }
+    check('a non-retryable error is thrown at once', [thrown && thrown.code, calls.count], [400, 1]);
+
+    ({ fn, calls } = failingThen([apiError(500), apiError(500), apiError(500)]));
+    thrown = null;
+    try {
+        await withRetry(fn, { ...quiet, maxAttempts: 3 });
+    } catch (error) {
+        thrown = error;
+    }
+    check('gives up after maxAttempts with the last error', [thrown && thrown.code, calls.count], [500, 3]);
+
+    const logged = [];
+    ({ fn } = failingThen([apiError(403, { reason: 'rateLimitExceeded' })]));
+    await withRetry(fn, { ...quiet, label: "read 'schedule'", logger: { warn: message => logged.push(message) } });
+    check('each retry is logged with the label, status and reason',
+        logged, ["read 'schedule' failed with HTTP 403 (rateLimitExceeded); retrying in 500ms (attempt 2/5)."]);
+
+    // --- Report ----------------------------------------------------------------------
+    if (failures.length > 0) {
+        console.error(`\ngoogleRetry: ${failures.length} FAILED, ${passed} passed\n`);
+        failures.forEach((failure, index) => console.error(`  ${index + 1}. ${failure}\n`));
+        process.exit(1);
+    }
+
+    console.log(`googleRetry: all ${passed} assertions passed`);
+})().catch(error => {
+    console.error('googleRetry: test run crashed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,126 @@
+/**
+ * test/history.test.js
+ * Tests for the screening history in history.js.
+ *
+ * Usage: node test/history.test.js   (or npm test)
+ *
+ * The history is the only record of a screening once it has passed, and it is rewritten
+ * on every schedule run. These check that a repeated run adds nothing, that nothing is
+ * ever dropped, that FirstSeen stays put while LastSeen moves on, and that the queries
+ * find what "when did we last show X?" needs.
+ *
+ * Runs against a fake storage. No network and no Google APIs.
+ *
+ * Uses plain assert rather than a test framework, so there is no dependency to install and
+ * this file stays runnable on its own.
+ */
+
+const { updateHistory, recordHistory, queryHistory, summarizeHistory } = require('../history');
+const { headerFor } = require('../sheetSchema');
+
+let passed = 0;
+const failures = [];
+
+/**
+ * Asserts a value equals the expected one, comparing structurally.
+ * @param {string} label - What is being checked, shown on failure
+ * @param {*} actual
+ * @param {*} expected
+ */
+function check(label, actual, expected) {
+    if (JSON.stringify(actual) === JSON.stringify(expected)) {
+        passed++;
+        return;
+    }
+    failures.push(
+        `${label}\n    expected: ${JSON.stringify(expected)}` +
+        `\n    actual:   ${JSON.stringify(actual)}`
+    );
+}
+
+/**
+ * Asserts a call throws, with a message matching a pattern.
+ * @param {string} label
+ * @param {Function} fn
+ * @param {RegExp} pattern
+ */
+function checkThrows(label, fn, pattern) {
+    try {
+        fn();
+    } catch (error) {
+        if (pattern.test(error.message)) {
+            passed++;
+        } else {
+            failures.push(`${label}\n    unexpected message: ${error.message}`);
+        }
+        return;
+    }
+    failures.push(`${label}\n    expected a throw, got none`);
+}
+
+const alien = { title: 'ALIEN', date: '2026-07-25', time: '19:00', url: 'https://example.com/alien', seriesTag: 'scifi', catalogId: 'A1' };
+const heat = { title: 'HEAT', date: '2026-07-26', time: '21:30', url: '', seriesTag: '', catalogId: '' };
+const first = '2026-07-20T09:00:00.000Z';
+const second = '2026-07-21T09:00:00.000Z';
+
+// --- updateHistory -------------------------------------------------------------------
+const run1 = updateHistory([], [alien, heat], first);
+check('a new history gets its header and a row per screening',
+    [run1.rows[0], run1.rows.length, run1.added, run1.seen], [headerFor('history'), 3, 2, 0]);
+check('screenings are keyed as the calendar sync keys them',
+    run1.rows.slice(1).map(row => row[0]), ['catalog:A1', 'showing:heat|2026-07-26|21:30']);
+
+const again = updateHistory(run1.rows, [alien, heat], first);
+check('the same run twice changes nothing', [again.rows, again.added], [run1.rows, 0]);
+
+const ran = { title: 'RAN', date: '2026-07-27', time: '18:00', seriesTag: 'kurosawa' };
+const run2 = updateHistory(run1.rows, [{ ...heat, url: 'https://example.com/heat' }, ran], second);
+const byTitle = Object.fromEntries(run2.rows.slice(1).map(row => [row[1], row]));
+check('a screening no longer listed keeps its row and its LastSeen', byTitle.ALIEN.slice(7), [first, first]);
+check('one seen again keeps FirstSeen and moves LastSeen on', byTitle.HEAT.slice(7), [first, second]);
+check('an empty cell is filled in when a later run knows it', byTitle.HEAT[6], 'https://example.com/heat');
+check('counts are of screenings, not rows', [run2.added, run2.seen, run2.rows.length], [1, 1, 4]);
+check('a screening listed twice in one run is counted once',
+    updateHistory(run1.rows, [heat, { ...heat, title: 'Heat' }], second).seen, 1);
+
+const withNotes = [[...headerFor('history'), 'Notes'], [...run1.rows[1], '35mm print']];
+check('columns added by hand are kept', updateHistory(withNotes, [alien], second).rows[1][9], '35mm print');
+checkThrows('a bad timestamp is rejected', () => updateHistory([], [], 'yesterday'), /now must be an ISO timestamp/);
+
+// --- queryHistory and summarizeHistory -----------------------------------------------
+const history = updateHistory(run2.rows, [{ ...alien, date: '2026-08-30', catalogId: 'A2' }], second).rows;
+check('a film is found by part of its title, in any case, earliest first',
+    queryHistory(history, { film: 'alie' }).map(record => record.Date), ['2026-07-25', '2026-08-30']);
+check('a series is found by tag, in any case',
+    queryHistory(history, { seriesTags: ['SCIFI', 'kurosawa'] }).map(record => record.Title), ['ALIEN', 'RAN', 'ALIEN']);
+const summary = summarizeHistory(queryHistory(history, { film: 'alien' }), '2026-08-01');
+check('the summary gives the last screening so far and the next one',
+    [summary.count, summary.last.Date, summary.next.Date], [2, '2026-07-25', '2026-08-30']);
+check('nothing found summarizes as empty', summarizeHistory([], '2026-08-01'), { count: 0, first: null, last: null, next: null });
+checkThrows('a query needs a film or series', () => queryHistory(history, {}), /query must give a film or seriesTags/);
+
+// --- recordHistory -------------------------------------------------------------------
+const tables = { history: [] };
+const fakeStorage = {
+    getRows: async table => tables[table],
+    setRows: async (table, rows) => { tables[table] = rows; },
+};
+
+(async () => {
+    check('a run is read, merged and written back',
+        [await recordHistory([alien], { now: first, storage: fakeStorage }), tables.history.length], [{ added: 1, seen: 0 }, 2]);
+    check('and a second run finds it there',
+        await recordHistory([alien, heat], { now: second, storage: fakeStorage }), { added: 1, seen: 1 });
+
+    // --- Report ----------------------------------------------------------------------
+    if (failures.length > 0) {
+        console.error(`\nhistory: ${failures.length} FAILED, ${passed} passed\n`);
+        failures.forEach((failure, index) => console.error(`  ${index + 1}. ${failure}\n`));
+        process.exit(1);
+    }
+
+    console.log(`history: all ${passed} assertions passed`);
+})().catch(error => {
+    console.error('history: test run crashed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,158 @@
+/**
+ * test/icsFeed.test.js
+ * Unit tests for the iCalendar feed in icsFeed.js.
+ *
+ * Usage: node test/icsFeed.test.js   (or npm test)
+ *
+ * Calendar clients are unforgiving and silent about it: an unescaped comma truncates a
+ * description, a badly folded line corrupts the event after it, and a changed UID shows
+ * every screening twice. These check the RFC 5545 details directly, including a VTIMEZONE
+ * against known Pacific daylight-saving dates.
+ *
+ * Pure assertions, no network and no Google APIs.
+ *
+ * Uses plain assert rather than a test framework, so there is no dependency to install and
+ * this file stays runnable on its own.
+ */
+
+const {
+    escapeText,
+    foldLine,
+    buildVTimezone,
+    screeningUid,
+    buildCalendar,
+    filterBySeries,
+    feedName,
+} = require('../icsFeed');
+
+let passed = 0;
+const failures = [];
+
+/**
+ * Asserts a value equals the expected one, comparing structurally.
+ * @param {string} label - What is being checked, shown on failure
+ * @param {*} actual
+ * @param {*} expected
+ */
+function check(label, actual, expected) {
+    if (JSON.stringify(actual) === JSON.stringify(expected)) {
+        passed++;
+        return;
+    }
+    failures.push(
+        `${label}\n    expected: ${JSON.stringify(expected)}` +
+        `\n    actual:   ${JSON.stringify(actual)}`
+    );
+}
+
+/**
+ * Asserts a call throws, with a message matching a pattern.
+ * @param {string} label
+ * @param {Function} fn
+ * @param {RegExp} pattern
+ */
+function checkThrows(label, fn, pattern) {
+    try {
+        fn();
+    } catch (error) {
+        if (pattern.test(error.message)) {
+            passed++;
+        } else {
+            failures.push(`${label}\n    unexpected message: ${error.message}`);
+        }
+        return;
+    }
+    failures.push(`${label}\n    expected a throw, got none`);
+}
+
+/**
+ * Unfolds a feed and returns its content lines.
+ * @param {string} feed
+ * @returns {string[]}
+ */
+function unfold(feed) {
+    return feed.replace(/\r\n /g, '').split('\r\n').filter(Boolean);
+}
+
+const alien = {
+    key: 'catalog:ABC123',
+    title: 'ALIEN',
+    displayTitle: 'Alien',
+    date: '2026-07-25',
+    time: '22:30',
+    endDate: '2026-07-26',
+    endTime: '00:42',
+    seriesTag: 'scifi',
+    seriesName: 'Space, the Final Frontier',
+    url: 'https://thebeacon.film/calendar/movie/alien',
+    catalogId: 'ABC123',
+    runtime: '117 minutes',
+};
+const heat = { ...alien, key: 'catalog:H1', displayTitle: 'Heat', date: '2026-12-05', endDate: '2026-12-05', time: '19:00', endTime: '21:00', seriesTag: '', seriesName: '', runtime: '', url: '' };
+
+// --- Text escaping and folding -------------------------------------------------------
+check('commas, semicolons, backslashes and newlines are escaped',
+    escapeText('a,b;c\\d\ne'), 'a\\,b\\;c\\\\d\\ne');
+check('a short line is left alone', foldLine('SUMMARY:Alien'), 'SUMMARY:Alien');
+const long = `DESCRIPTION:${'x'.repeat(200)}`;
+const folded = foldLine(long).split('\r\n');
+check('physical lines are at most 75 octets', folded.every(line => Buffer.byteLength(line) <= 75), true);
+check('continuation lines start with a space', folded.slice(1).every(line => line.startsWith(' ')), true);
+check('unfolding restores the line', folded.map((line, i) => (i ? line.slice(1) : line)).join(''), long);
+const accented = foldLine(`SUMMARY:${'é'.repeat(60)}`).split('\r\n');
+check('a multi-byte character is never split',
+    [accented.every(line => Buffer.byteLength(line) <= 75), accented.join('').includes('�')], [true, false]);
+
+// --- VTIMEZONE -----------------------------------------------------------------------
+const pacific = buildVTimezone('America/Los_Angeles', 2026, 2026);
+check('daylight time starts at 2am local on 8 March 2026',
+    pacific.slice(pacific.indexOf('BEGIN:DAYLIGHT'), pacific.indexOf('END:DAYLIGHT')),
+    ['BEGIN:DAYLIGHT', 'DTSTART:20260308T020000', 'TZOFFSETFROM:-0800', 'TZOFFSETTO:-0700', 'TZNAME:PDT']);
+check('standard time returns at 2am local on 1 November 2026',
+    pacific.slice(pacific.lastIndexOf('BEGIN:STANDARD'), pacific.lastIndexOf('END:STANDARD')),
+    ['BEGIN:STANDARD', 'DTSTART:20261101T020000', 'TZOFFSETFROM:-0700', 'TZOFFSETTO:-0800', 'TZNAME:PST']);
+check('a zone without daylight saving has a single observance',
+    buildVTimezone('UTC', 2026, 2027).filter(line => line.startsWith('BEGIN:')), ['BEGIN:VTIMEZONE', 'BEGIN:STANDARD']);
+checkThrows('a reversed year range throws', () => buildVTimezone('UTC', 2027, 2026), /fromYear <= toYear/);
+
+// --- buildCalendar -------------------------------------------------------------------
+const now = new Date('2026-07-01T12:00:00Z');
+const feed = buildCalendar([alien, heat], { timeZone: 'America/Los_Angeles', now });
+const lines = unfold(feed);
+check('every line ends in CRLF', /(^|[^\r])\n/.test(feed), false);
+check('the feed opens and closes a VCALENDAR', [lines[0], lines[lines.length - 1]], ['BEGIN:VCALENDAR', 'END:VCALENDAR']);
+check('one VEVENT per screening', lines.filter(line => line === 'BEGIN:VEVENT').length, 2);
+check('times are local, with the TZID',
+    lines.filter(line => /^DT(START|END);/.test(line)).slice(0, 2),
+    ['DTSTART;TZID=America/Los_Angeles:20260725T223000', 'DTEND;TZID=America/Los_Angeles:20260726T004200']);
+check('DTSTAMP is UTC', lines.includes('DTSTAMP:20260701T120000Z'), true);
+check('the summary, description and category are escaped',
+    [lines.includes('CATEGORIES:Space\\, the Final Frontier'),
+        lines.includes('DESCRIPTION:Runtime: 117 minutes\\nFilm Series: Space\\, the Final Frontier\\nURL: https://thebeacon.film/calendar/movie/alien')],
+    [true, true]);
+check('a screening without a film page has no URL',
+    lines.slice(lines.lastIndexOf('BEGIN:VEVENT')).some(line => line.startsWith('URL:')), false);
+check('the UID is derived from the screening key',
+    lines.includes(`UID:${screeningUid('catalog:ABC123')}`), true);
+check('UIDs are stable across runs',
+    buildCalendar([alien], { now: new Date() }).includes(screeningUid(alien.key)), true);
+check('the VTIMEZONE spans both screening years only once',
+    lines.filter(line => line === 'BEGIN:VTIMEZONE').length, 1);
+check('an empty schedule is still a valid calendar',
+    unfold(buildCalendar([], { now })).filter(line => line.startsWith('BEGIN:')), ['BEGIN:VCALENDAR']);
+checkThrows('an unknown time zone throws', () => buildCalendar([], { timeZone: 'Mars/Olympus' }), /unknown time zone/);
+
+// --- Series feeds --------------------------------------------------------------------
+check('a series feed keeps that series only', filterBySeries([alien, heat], 'scifi').map(s => s.displayTitle), ['Alien']);
+check('a series feed is named for the series',
+    feedName(new Map([['scifi', 'SPACE, THE FINAL FRONTIER']]), 'scifi'), 'The Beacon Cinema: Space, the Final Frontier');
+check('the full feed is named for the cinema', feedName(new Map(), ''), 'The Beacon Cinema');
+
+// --- Report --------------------------------------------------------------------------
+if (failures.length > 0) {
+    console.error(`\nicsFeed: ${failures.length} FAILED, ${passed} passed\n`);
+    failures.forEach((failure, index) => console.error(`  ${index + 1}. ${failure}\n`));
+    process.exit(1);
+}
+
+console.log(`icsFeed: all ${passed} assertions passed`);
@@ -0,0 +1,191 @@
+/**
+ * test/pagePool.test.js
+ * Tests for loading pages a few at a time in pagePool.js.
+ *
+ * Usage: node test/pagePool.test.js   (or npm test)
+ *
+ * The pool is only safe if it never holds more pages open than it was given, returns each
+ * result against the item it came from whatever order they finish in, and lets one bad page
+ * fail without taking the rest with it. Restarting Chrome between batches must also wait
+ * for every page of the batch, including one that overran its timeout, but not forever:
+ * a page that never settles must not hang the run.
+ *
+ * Tasks are timers, not pages. No network and no browser.
+ *
+ * Uses plain assert rather than a test framework, so there is no dependency to install and
+ * this file stays runnable on its own.
+ */
+
+const { loadPoolConfig, runPool } = require('../pagePool');
+
+let passed = 0;
+const failures = [];
+
+/**
+ * Asserts a value equals the expected one, comparing structurally.
+ * @param {string} label - What is being checked, shown on failure
+ * @param {*} actual
+ * @param {*} expected
+ */
+function check(label, actual, expected) {
+    if (JSON.stringify(actual) === JSON.stringify(expected)) {
+        passed++;
+        return;
+    }
+    failures.push(
+        `${label}\n    expected: ${JSON.stringify(expected)}` +
+        `\n    actual:   ${JSON.stringify(actual)}`
+    );
+}
+
+/**
+ * Asserts a call throws, or a promise rejects, with a message matching a pattern.
+ * @param {string} label
+ * @param {Function} fn
+ * @param {RegExp} pattern
+ * @returns {Promise<void>}
+ */
+async function checkThrows(label, fn, pattern) {
+    try {
+        await fn();
+    } catch (error) {
+        if (pattern.test(error.message)) {
+            passed++;
+        } else {
+            failures.push(`${label}\n    unexpected message: ${error.message}`);
+        }
+        return;
+    }
+    failures.push(`${label}\n    expected a throw, got none`);
+}
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * A task that takes the given time per item, recording how many run at once.
+ * @param {Object<string, number>} delays - By item
+ */
+function timedTask(delays) {
+    const state = { running: 0, most: 0, started: [] };
+    const task = async (item) => {
+        state.started.push(item);
+        state.running++;
+        state.most = Math.max(state.most, state.running);
+        try {
+            await wait(delays[item] || 1);
+            if (item === 'broken') throw new Error('page crashed');
+            return item.toUpperCase();
+        } finally {
+            state.running--;
+        }
+    };
+    return { task, state };
+}
+
+(async () => {
+    // --- Configuration -------------------------------------------------------------------
+    check('the browser mode loads two pages at once by default', loadPoolConfig({}, 'browser').pages, 2);
+    check('the http mode four', loadPoolConfig({}, 'http').pages, 4);
+    check('SCRAPE_PAGES overrides either', [loadPoolConfig({ SCRAPE_PAGES: ' 1 ' }, 'http').pages,
+        loadPoolConfig({ SCRAPE_PAGES: '6' }, 'browser').pages], [1, 6]);
+    await checkThrows('a count that is not a whole number is rejected',
+        () => loadPoolConfig({ SCRAPE_PAGES: '2.5' }), /SCRAPE_PAGES must be a whole number from 1 to 8, got '2.5'/);
+    await checkThrows('and so is one past the limit', () => loadPoolConfig({ SCRAPE_PAGES: '20' }), /from 1 to 8/);
+
+    // --- Running ---------------------------------------------------------------------------
+    const delays = { alien: 30, heat: 5, ran: 15, vertigo: 1, solaris: 10 };
+    const items = Object.keys(delays);
+    const { task, state } = timedTask(delays);
+    const outcomes = await runPool(items, task, { pages: 2 });
+    check('results come back in the items\' order, not the order they finished in',
+        outcomes.map(outcome => outcome.value), ['ALIEN', 'HEAT', 'RAN', 'VERTIGO', 'SOLARIS']);
+    check('no more than the given pages run at once', state.most, 2);
+    check('items start in order', state.started, items);
+
+    const one = timedTask(delays);
+    await runPool(items, one.task);
+    check('one page at a time by default', one.state.most, 1);
+
+    const mixed = timedTask({});
+    const withFailure = await runPool(['alien', 'broken', 'heat'], mixed.task, { pages: 3 });
+    check('a failing task fails alone',
+        withFailure.map(outcome => outcome.ok ? outcome.value : outcome.error.message), ['ALIEN', 'page crashed', 'HEAT']);
+
+    let slowFinished = false;
+    const timed = await runPool(['slow', 'quick'], async item => {
+        if (item === 'slow') {
+            await wait(80);
+            slowFinished = true;
+        }
+        return item;
+    }, { pages: 1, timeout: 20 });
+    check('a task that overruns its timeout is reported, and the next one still runs',
+        [timed[0].ok, timed[0].error && timed[0].error.message, timed[1].value], [false, 'timed out after 0.02s', 'quick']);
+    check('but it is waited for before the pool resolves', slowFinished, true);
+
+    check('no items, no outcomes', await runPool([], timedTask({}).task, { pages: 3 }), []);
+
+    // --- Batches ---------------------------------------------------------------------------
+    const batched = timedTask({ a: 20, b: 1, c: 1, d: 20, e: 1 });
+    const hooks = [];
+    const batchOutcomes = await runPool(['a', 'b', 'c', 'd', 'e'], batched.task, {
+        pages: 2,
+        batchSize: 2,
+        betweenBatches: async next => { hooks.push([next, batched.state.running]); },
+    });
+    check('the hook runs between batches, with nothing still running',
+        hooks, [[2, 0], [4, 0]]);
+    check('and every item is still run once, in order',
+        batchOutcomes.map(outcome => outcome.value), ['A', 'B', 'C', 'D', 'E']);
+
+    let overrunDone = false;
+    await runPool(['slow', 'next'], async item => {
+        if (item === 'slow') {
+            await wait(60);
+            overrunDone = true;
+        }
+    }, {
+        timeout: 10,
+        batchSize: 1,
+        betweenBatches: async () => { hooks.push(overrunDone ? 'after the overrun' : 'during the overrun'); },
+    });
+    check('a batch with an overrunning task is drained before the hook', hooks.pop(), 'after the overrun');
+
+    // --- Hung tasks --------------------------------------------------------------------------
+    const warnings = [];
+    const logger = { info: () => {}, warn: message => warnings.push(message), error: () => {} };
+    const hung = await runPool(['wedged', 'next'], async (item, index, signal) => {
+        if (item === 'wedged') return new Promise(() => {});
+        return signal.aborted ? 'aborted' : item;
+    }, { timeout: 10, grace: 20, batchSize: 1, betweenBatches: async () => { hooks.push('hook'); }, logger });
+    check('a task that never settles is abandoned after the grace period, and the run goes on',
+        [hung[0].ok, hung[1].value, hooks.pop()], [false, 'next', 'hook']);
+    check('with a warning', warnings, ['1 page is still loading 0.02s after timing out; carrying on without waiting for them.']);
+
+    let abortReason = null;
+    const aborted = await runPool(['slow'], (item, index, signal) => new Promise(resolve => {
+        // As scraper.js does: closing the page ends what was waiting on it.
+        signal.addEventListener('abort', () => {
+            abortReason = signal.reason.message;
+            resolve('closed');
+        });
+    }), { timeout: 10, grace: 1000, logger });
+    check('a task\'s signal is aborted at its timeout, which lets it finish within the grace period',
+        [aborted[0].error && aborted[0].error.message, abortReason, warnings.length], ['timed out after 0.01s', 'timed out after 0.01s', 1]);
+
+    await checkThrows('items must be an array', () => runPool('alien', task), /runPool: items must be an array/);
+    await checkThrows('pages must be a positive integer', () => runPool(items, task, { pages: 0 }),
+        /runPool: pages must be a positive integer/);
+
+    // --- Report --------------------------------------------------------------------------
+    if (failures.length > 0) {
+        console.error(`\npagePool: ${failures.length} FAILED, ${passed} passed\n`);
+        failures.forEach((failure, index) => console.error(`  ${index + 1}. ${failure}\n`));
+        process.exit(1);
+    }
+
+    console.log(`pagePool: all ${passed} assertions passed`);
+})().catch(error => {
+    console.error('pagePool: test run crashed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,120 @@
+/**
+ * test/rowMerge.test.js
+ * Tests for mergeRows() in rowMerge.js.
+ *
+ * Usage: node test/rowMerge.test.js   (or npm test)
+ *
+ * A column added to a tab by hand is only worth adding if the next run leaves it alone.
+ * These check that unknown columns survive a rewrite and stay with the row they were
+ * written against, whatever order the script writes its rows in, and that the script's
+ * own columns are still replaced.
+ *
+ * Pure functions only. No network and no Google APIs.
+ *
+ * Uses plain assert rather than a test framework, so there is no dependency to install and
+ * this file stays runnable on its own.
+ */
+
+const { mergeRows } = require('../rowMerge');
+
+let passed = 0;
+const failures = [];
+
+/**
+ * Asserts a value equals the expected one, comparing structurally.
+ * @param {string} label - What is being checked, shown on failure
+ * @param {*} actual
+ * @param {*} expected
+ */
+function check(label, actual, expected) {
+    if (JSON.stringify(actual) === JSON.stringify(expected)) {
+        passed++;
+        return;
+    }
+    failures.push(
+        `${label}\n    expected: ${JSON.stringify(expected)}` +
+        `\n    actual:   ${JSON.stringify(actual)}`
+    );
+}
+
+/**
+ * Asserts a call throws, with a message matching a pattern.
+ * @param {string} label
+ * @param {Function} fn
+ * @param {RegExp} pattern
+ */
+function checkThrows(label, fn, pattern) {
+    try {
+        fn();
+    } catch (error) {
+        if (pattern.test(error.message)) {
+            passed++;
+        } else {
+            failures.push(`${label}\n    unexpected message: ${error.message}`);
+        }
+        return;
+    }
+    failures.push(`${label}\n    expected a throw, got none`);
+}
+
+// --- Unknown columns follow their rows -----------------------------------------------
+const runtimes = [
+    ['Notes', 'Title', 'Runtime'],
+    ['restored print', 'ALIEN', '117 minutes'],
+    ['', 'HEAT', '170 minutes'],
+    ['double bill', 'RAN', '162 minutes'],
+];
+check('a rewrite keeps the header and each note with its title', mergeRows('runtimes', runtimes, [
+    { Title: 'RAN', Runtime: '160 minutes' },
+    { Title: 'ALIEN', Runtime: '117 minutes' },
+    { Title: 'VERTIGO', Runtime: '128 minutes' },
+]), [
+    ['Notes', 'Title', 'Runtime', 'RuntimeMinutes'],
+    ['double bill', 'RAN', '160 minutes', ''],
+    ['restored print', 'ALIEN', '117 minutes', ''],
+    ['', 'VERTIGO', '128 minutes', ''],
+]);
+check('keys are matched on trimmed values',
+    mergeRows('runtimes', [['Title', 'Runtime', 'Notes'], [' ALIEN ', '', 'x']], [{ Title: 'ALIEN', Runtime: '117' }]),
+    [['Title', 'Runtime', 'Notes', 'RuntimeMinutes'], ['ALIEN', '117', 'x', '']]);
+
+// --- Keys of several columns, and duplicates ----------------------------------------
+const series = [
+    ['Title', 'SeriesTag', 'Active', 'DateRecorded'],
+    ['ALIEN', 'scifi', 'yes', '2026-01-01'],
+    ['ALIEN', 'horror', 'no', '2026-02-01'],
+];
+check('a key of several columns keeps the same title apart in two series', mergeRows('series', series, [
+    { Title: 'ALIEN', SeriesTag: 'horror', DateRecorded: '2026-02-01' },
+    { Title: 'ALIEN', SeriesTag: 'scifi', DateRecorded: '2026-01-01' },
+]).slice(1).map(row => row[2]), ['no', 'yes']);
+check('duplicate rows each keep their own cells', mergeRows('runtimes', [
+    ['Title', 'Runtime', 'Notes'], ['HEAT', '', 'first'], ['HEAT', '', 'second'],
+], [{ Title: 'HEAT', Runtime: '170' }, { Title: 'HEAT', Runtime: '170' }]).slice(1).map(row => row[2]), ['first', 'second']);
+
+// --- Owned columns -------------------------------------------------------------------
+check('an owned column the header lacks is added at the end',
+    mergeRows('series', [['Title', 'SeriesTag'], ['ALIEN', 'scifi']],
+        [{ Title: 'ALIEN', SeriesTag: 'scifi', DateRecorded: '2026-03-01' }]),
+    [['Title', 'SeriesTag', 'DateRecorded'], ['ALIEN', 'scifi', '2026-03-01']]);
+check('columns outside the owned ones are left as they were', mergeRows('seriesIndex', [
+    ['seriesName', 'seriesURL', 'seriesTag', 'calendarId'],
+    ['Noir City', 'https://example.com/noir', 'noir', 'noir@group.calendar.google.com'],
+], [{ seriesName: 'Noir City', seriesURL: 'https://example.com/noir', seriesTag: 'noir', calendarId: 'other' }],
+{ columns: ['seriesName', 'seriesURL', 'seriesTag'] })[1][3], 'noir@group.calendar.google.com');
+check('an empty tab gets the schema header, and numbers become text',
+    mergeRows('runtimes', [], [{ Title: 'ALIEN', Runtime: 117 }]), [['Title', 'Runtime', 'RuntimeMinutes'], ['ALIEN', '117', '']]);
+check('existing rows no record matches are dropped',
+    mergeRows('runtimes', runtimes, []), [['Notes', 'Title', 'Runtime', 'RuntimeMinutes']]);
+
+checkThrows('an unknown table is rejected', () => mergeRows('movies', [], []), /unknown table 'movies'/);
+checkThrows('existing rows must be rows', () => mergeRows('runtimes', ['Title'], []), /existingRows must be an array of rows/);
+
+// --- Report --------------------------------------------------------------------------
+if (failures.length > 0) {
+    console.error(`\nrowMerge: ${failures.length} FAILED, ${passed} passed\n`);
+    failures.forEach((failure, index) => console.error(`  ${index + 1}. ${failure}\n`));
+    process.exit(1);
+}
+
+console.log(`rowMerge: all ${passed} assertions passed`);
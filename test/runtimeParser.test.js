@@ -0,0 +1,102 @@
+/**
+ * test/runtimeParser.test.js
+ * Unit tests for reading runtimes as minutes in runtimeParser.js.
+ *
+ * Usage: node test/runtimeParser.test.js   (or npm test)
+ *
+ * A runtime that is not read gives its calendar events a 2-hour end, with nothing in the
+ * calendar to say so, and one read wrongly is worse: "35mm" taken for 35 minutes ends a
+ * feature an hour and a half early. These cover every form the site has been seen to use,
+ * what must not be taken for a runtime, and how a value typed into the sheet is kept.
+ *
+ * Pure assertions, no network and no Google APIs.
+ *
+ * Uses plain assert rather than a test framework, so there is no dependency to install and
+ * this file stays runnable on its own.
+ */
+
+const { parseRuntime, runtimeMinutes, runtimeMinutesCell } = require('../runtimeParser');
+
+let passed = 0;
+const failures = [];
+
+/**
+ * Asserts a value equals the expected one, comparing structurally.
+ * @param {string} label - What is being checked, shown on failure
+ * @param {*} actual
+ * @param {*} expected
+ */
+function check(label, actual, expected) {
+    if (JSON.stringify(actual) === JSON.stringify(expected)) {
+        passed++;
+        return;
+    }
+    failures.push(
+        `${label}\n    expected: ${JSON.stringify(expected)}` +
+        `\n    actual:   ${JSON.stringify(actual)}`
+    );
+}
+
+/**
+ * Asserts a call throws with a message matching a pattern.
+ * @param {string} label
+ * @param {Function} fn
+ * @param {RegExp} pattern
+ */
+function checkThrows(label, fn, pattern) {
+    try {
+        fn();
+    } catch (error) {
+        if (pattern.test(error.message)) {
+            passed++;
+        } else {
+            failures.push(`${label}\n    unexpected message: ${error.message}`);
+        }
+        return;
+    }
+    failures.push(`${label}\n    expected a throw, got none`);
+}
+
+const minutesOf = texts => texts.map(text => parseRuntime(text).minutes);
+
+// --- parseRuntime ----------------------------------------------------------------------
+check('the site\'s own form', parseRuntime(' 117 minutes '), { text: '117 minutes', minutes: 117 });
+check('minutes, abbreviated or with something after them',
+    minutesOf(['105 min.', '105 mins', '105m', '111 Minutes', '90 mins + Q&A', 'Approx. 95 min', '97 min (plus shorts)']),
+    [105, 105, 105, 111, 90, 95, 97]);
+check('hours and minutes',
+    minutesOf(['1h 45m', '1 hr 30 min', '1 hour and 30 minutes', '1 hr, 30 min', '1h45', '1:45', '2 HRS 5 MINS']),
+    [105, 90, 90, 90, 105, 105, 125]);
+check('hours alone, whole or not', minutesOf(['2 hours', '1.5 hrs', '1h']), [120, 90, 60]);
+check('a bare number, as typed into the sheet', parseRuntime('105').minutes, 105);
+check('what is not a runtime is not read as one',
+    minutesOf(['', 'TBA', '35mm', 'DCP', '1979', '0 minutes', '12 hours']), [null, null, null, null, null, null, null]);
+check('the original text is kept when it cannot be read', parseRuntime('Runtime TBA'), { text: 'Runtime TBA', minutes: null });
+checkThrows('text must be a string', () => parseRuntime(117), /parseRuntime: text must be a string/);
+
+// --- runtimeMinutes --------------------------------------------------------------------
+check('RuntimeMinutes wins over the text', runtimeMinutes('90 mins + Q&A', '120'), 120);
+check('and the text is read where it is empty or not a number',
+    [runtimeMinutes('1h 45m', ''), runtimeMinutes('1h 45m', 'n/a'), runtimeMinutes('1h 45m')], [105, 105, 105]);
+check('neither gives none', runtimeMinutes('TBA', ''), null);
+
+// --- runtimeMinutesCell ----------------------------------------------------------------
+check('a new runtime is stored as its minutes', runtimeMinutesCell('1 hr 30 min'), { value: '90', flagged: false });
+check('one that cannot be read is left empty and flagged', runtimeMinutesCell('TBA'), { value: '', flagged: true });
+check('a value typed by hand is kept while its runtime is unchanged',
+    [runtimeMinutesCell('TBA', { Runtime: 'TBA', RuntimeMinutes: '95' }),
+        runtimeMinutesCell('90 mins + Q&A', { Runtime: '90 mins + Q&A', RuntimeMinutes: '120' })],
+    [{ value: '95', flagged: false }, { value: '120', flagged: false }]);
+check('but not once the runtime changes',
+    runtimeMinutesCell('117 minutes', { Runtime: 'TBA', RuntimeMinutes: '95' }), { value: '117', flagged: false });
+check('and an unreadable cell is not kept',
+    runtimeMinutesCell('TBA', { Runtime: 'TBA', RuntimeMinutes: 'soon' }), { value: '', flagged: true });
+
+// --- Report --------------------------------------------------------------------------
+if (failures.length > 0) {
+    console.error(`\nruntimeParser: ${failures.length} FAILED, ${passed} passed\n`);
+    failures.forEach((failure, index) => console.error(`  ${index + 1}. ${failure}\n`));
+    process.exit(1);
+}
+
+console.log(`runtimeParser: all ${passed} assertions passed`);
@@ -0,0 +1,247 @@
+/**
+ * test/scraper.test.js
+ * Tests for loading pages with or without Chrome in scraper.js.
+ *
+ * Usage: node test/scraper.test.js   (or npm test)
+ *
+ * The http mode is only worth having if it never quietly scrapes less than Chrome would:
+ * a page whose HTML lacks what the extractor reads must be loaded in Chrome instead, and
+ * a missing page must be reported rather than extracted. These check that, that Chrome
+ * is not launched when the HTML is enough, and that an extractor reads the same from a
+ * parsed document as it would in a browser.
+ *
+ * fetch and Chrome are both faked. No network and no browser.
+ *
+ * Uses plain assert rather than a test framework, so there is no dependency to install and
+ * this file stays runnable on its own.
+ */
+
+const { loadScrapeConfig, parseDocument, extractFromHtml, createScraper } = require('../scraper');
+const { filmPage } = require('../films');
+
+let passed = 0;
+const failures = [];
+
+/**
+ * Asserts a value equals the expected one, comparing structurally.
+ * @param {string} label - What is being checked, shown on failure
+ * @param {*} actual
+ * @param {*} expected
+ */
+function check(label, actual, expected) {
+    if (JSON.stringify(actual) === JSON.stringify(expected)) {
+        passed++;
+        return;
+    }
+    failures.push(
+        `${label}\n    expected: ${JSON.stringify(expected)}` +
+        `\n    actual:   ${JSON.stringify(actual)}`
+    );
+}
+
+/**
+ * Asserts a call throws, or a promise rejects, with a message matching a pattern.
+ * @param {string} label
+ * @param {Function} fn
+ * @param {RegExp} pattern
+ * @returns {Promise<void>}
+ */
+async function checkThrows(label, fn, pattern) {
+    try {
+        await fn();
+    } catch (error) {
+        if (pattern.test(error.message)) {
+            passed++;
+        } else {
+            failures.push(`${label}\n    unexpected message: ${error.message}`);
+        }
+        return;
+    }
+    failures.push(`${label}\n    expected a throw, got none`);
+}
+
+const quiet = { info: () => {}, warn: () => {}, error: () => {} };
+
+const FILM_HTML = `<html><head><meta name="description" content="In space no one can hear you scream."></head><body>
+    <h1 class="movie-title">ALIEN</h1>
+    <div class="meta-field"><span class="meta-label">Director</span><span class="meta-value">Ridley  Scott</span></div>
+    <div class="meta-field"><span class="meta-label">Runtime</span><span class="meta-value">117 minutes</span></div>
+</body></html>`;
+// What a page rendered by script would send: a shell with nothing in it yet.
+const SHELL_HTML = '<html><body><div id="app"></div></body></html>';
+
+const linksPage = {
+    name: 'links',
+    expect: 'a.movie',
+    extract: (pageUrl, root = document) => Array.from(root.querySelectorAll('a.movie'))
+        .map(link => new URL(link.getAttribute('href'), pageUrl).href),
+};
+
+/**
+ * A fetch that answers from a URL-to-response table, recording each call.
+ * @param {Object<string, {status?: number, html?: string, error?: string}>} pages
+ */
+function fakeFetch(pages) {
+    const calls = [];
+    const impl = async (url) => {
+        calls.push(url);
+        const page = pages[url];
+        if (!page || page.error) throw new Error(page ? page.error : 'fetch failed');
+        return { status: page.status || 200, url, text: async () => page.html || '' };
+    };
+    return { impl, calls };
+}
+
+/**
+ * A Chrome that renders every page as the given HTML, running extractors against it.
+ * @param {string} html
+ * @param {number} [status=200]
+ */
+function fakeBrowser(html, status = 200) {
+    const state = { launches: 0, closes: 0, pages: 0, open: 0 };
+    const launchBrowser = async () => {
+        state.launches++;
+        return {
+            newPage: async () => {
+                state.pages++;
+                state.open++;
+                let current = '';
+                return {
+                    goto: async (url) => {
+                        current = url;
+                        return { status: () => status };
+                    },
+                    url: () => current,
+                    evaluate: async (fn, ...args) => fn(...args, parseDocument(html)),
+                    close: async () => { state.open--; },
+                };
+            },
+            close: async () => { state.closes++; },
+        };
+    };
+    return { launchBrowser, state };
+}
+
+(async () => {
+    // --- Configuration -------------------------------------------------------------------
+    check('Chrome is the default', loadScrapeConfig({}).mode, 'browser');
+    check('the mode is case-insensitive', loadScrapeConfig({ SCRAPE_MODE: ' HTTP ' }).mode, 'http');
+    await checkThrows('an unknown mode is rejected',
+        () => loadScrapeConfig({ SCRAPE_MODE: 'curl' }), /SCRAPE_MODE must be one of browser, http/);
+
+    // --- Extracting from HTML ------------------------------------------------------------
+    check('an extractor reads a parsed document as it would a page',
+        extractFromHtml(filmPage, FILM_HTML, 'https://thebeacon.film/calendar/movie/alien'), {
+            matched: true,
+            data: {
+                fields: [{ label: 'Director', value: 'Ridley Scott' }, { label: 'Runtime', value: '117 minutes' }],
+                synopsis: 'In space no one can hear you scream.',
+                runtime: '117 minutes',
+            },
+        });
+    check('HTML without the expected elements does not match',
+        extractFromHtml(filmPage, SHELL_HTML, 'https://thebeacon.film/calendar/movie/alien'), { matched: false, data: null });
+    check('links resolve against the page URL',
+        extractFromHtml(linksPage, '<a class="movie" href="/calendar/movie/alien">Alien</a>', 'https://thebeacon.film/calendar').data,
+        ['https://thebeacon.film/calendar/movie/alien']);
+
+    // --- The http mode -------------------------------------------------------------------
+    const site = {
+        'https://thebeacon.film/calendar/movie/alien': { html: FILM_HTML },
+        'https://thebeacon.film/calendar/movie/heat': { html: SHELL_HTML },
+        'https://thebeacon.film/calendar/movie/gone': { status: 404, html: '<h1 class="movie-title">Not found</h1>' },
+    };
+    const fetch = fakeFetch(site);
+    const chrome = fakeBrowser(FILM_HTML);
+    const scraper = createScraper({ mode: 'http', logger: quiet, fetchImpl: fetch.impl, launchBrowser: chrome.launchBrowser });
+
+    const alien = await scraper.scrape('https://thebeacon.film/calendar/movie/alien', filmPage);
+    check('static HTML with the expected elements is used as is',
+        [alien.ok, alien.source, alien.data.runtime], [true, 'http', '117 minutes']);
+    check('and Chrome is not launched for it', [chrome.state.launches, scraper.browserRunning()], [0, false]);
+
+    const gone = await scraper.scrape('https://thebeacon.film/calendar/movie/gone', filmPage);
+    check('a missing page is reported, not extracted or retried in Chrome',
+        [gone.ok, gone.status, gone.data, chrome.state.launches], [false, 404, null, 0]);
+
+    const heat = await scraper.scrape('https://thebeacon.film/calendar/movie/heat', filmPage);
+    check('a page whose HTML lacks the expected elements is loaded in Chrome',
+        [heat.ok, heat.source, heat.data.runtime, chrome.state.launches], [true, 'browser', '117 minutes', 1]);
+    await scraper.scrape('https://thebeacon.film/calendar/movie/heat', filmPage);
+    check('Chrome is launched once and its pages are closed', [chrome.state.launches, chrome.state.open], [1, 0]);
+
+    await scraper.close();
+    check('close() closes Chrome', [chrome.state.closes, scraper.browserRunning()], [1, false]);
+
+    const flaky = fakeFetch({});
+    const retrying = createScraper({ mode: 'http', logger: quiet, fetchImpl: flaky.impl, launchBrowser: chrome.launchBrowser, maxRetries: 1 });
+    const failed = await retrying.scrape('https://thebeacon.film/calendar', linksPage);
+    check('a failed fetch is retried, then reported', [failed.ok, failed.status, flaky.calls.length], [false, 0, 2]);
+
+    // --- The browser mode ----------------------------------------------------------------
+    const browserFetch = fakeFetch(site);
+    const browserChrome = fakeBrowser(FILM_HTML);
+    const inBrowser = createScraper({ mode: 'browser', logger: quiet, fetchImpl: browserFetch.impl, launchBrowser: browserChrome.launchBrowser });
+    const viaChrome = await inBrowser.scrape('https://thebeacon.film/calendar/movie/alien', filmPage);
+    check('the browser mode loads every page in Chrome, and never fetches',
+        [viaChrome.source, viaChrome.data.fields.length, browserFetch.calls.length], ['browser', 2, 0]);
+    await inBrowser.recycle();
+    await inBrowser.scrape('https://thebeacon.film/calendar/movie/alien', filmPage);
+    check('recycle() restarts Chrome on the next page', [browserChrome.state.launches, browserChrome.state.closes], [2, 1]);
+    await inBrowser.close();
+
+    const sideBySide = fakeBrowser(FILM_HTML);
+    const shared = createScraper({ mode: 'browser', logger: quiet, launchBrowser: sideBySide.launchBrowser });
+    const together = await Promise.all(['alien', 'heat', 'ran'].map(slug =>
+        shared.scrape(`https://thebeacon.film/calendar/movie/${slug}`, filmPage)));
+    check('pages loaded side by side share one Chrome',
+        [together.every(result => result.ok), sideBySide.state.launches, sideBySide.state.open], [true, 1, 0]);
+    await shared.close();
+
+    // A wedged tab: evaluate() never returns until the page is closed under it.
+    let wedgedCloses = 0;
+    const wedged = createScraper({ mode: 'browser', logger: quiet, launchBrowser: async () => ({
+        newPage: async () => {
+            let closed;
+            const closedUnder = new Promise((resolve, reject) => { closed = reject; });
+            return {
+                goto: async () => ({ status: () => 200 }),
+                url: () => '',
+                evaluate: () => closedUnder,
+                close: async () => {
+                    wedgedCloses++;
+                    closed(new Error('Target closed'));
+                },
+            };
+        },
+        close: async () => {},
+    }) });
+    const controller = new AbortController();
+    const stuck = wedged.scrape('https://thebeacon.film/calendar', linksPage, { signal: controller.signal });
+    setTimeout(() => controller.abort(new Error('timed out after 0.01s')), 10);
+    await checkThrows('an aborted scrape closes its page, which ends a hung evaluate', () => stuck, /Target closed/);
+    check('and closes it once', wedgedCloses, 1);
+    await checkThrows('one aborted before it starts opens no page',
+        () => wedged.scrape('https://thebeacon.film/calendar', linksPage, { signal: controller.signal }), /timed out/);
+
+    const missing = createScraper({ mode: 'browser', logger: quiet, launchBrowser: fakeBrowser('', 500).launchBrowser });
+    check('an error status in Chrome is reported',
+        await missing.scrape('https://thebeacon.film/calendar', linksPage), { ok: false, status: 500, data: null, source: 'browser' });
+
+    await checkThrows('an extractor needs an expected selector',
+        () => createScraper({ mode: 'http', logger: quiet }).scrape('https://thebeacon.film/', { extract: () => [] }),
+        /scrape: extractor must have an extract function and an expect selector/);
+    await checkThrows('an unknown mode is rejected', () => createScraper({ mode: 'lynx' }), /createScraper: mode must be one of/);
+
+    // --- Report --------------------------------------------------------------------------
+    if (failures.length > 0) {
+        console.error(`\nscraper: ${failures.length} FAILED, ${passed} passed\n`);
+        failures.forEach((failure, index) => console.error(`  ${index + 1}. ${failure}\n`));
+        process.exit(1);
+    }
+
+    console.log(`scraper: all ${passed} assertions passed`);
+})().catch(error => {
+    console.error('scraper: test run crashed:', error);
+    process.exit(1);
+});
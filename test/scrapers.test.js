@@ -0,0 +1,179 @@
+/**
+ * test/scrapers.test.js
+ * Tests for what each scraper reads off the Beacon's pages, against saved pages in
+ * test/fixtures/.
+ *
+ * Usage: node test/scrapers.test.js   (or npm test)
+ *
+ * The only other way to know a selector still works is to run a scraper against the live
+ * site, which writes to the sheet. Here the fixtures are served from a local server and
+ * loaded through scraper.js in the http mode, the same path a real run takes, then read by
+ * each script's own extractor:
+ *
+ *   calendar.html   beaconSchedule.js  both views, a rental, an unparseable time
+ *   programs.html   discoverSeries.js  a section that is taken and one that is not
+ *   series.html     beaconSeries.js    the film list, and titles outside it
+ *   film.html       findRuntimes.js    metadata fields and synopsis; also the page a
+ *                                      series row can point at instead of a series
+ *   404.html        beaconSeries.js    served as a 404, and never stored as films
+ *
+ * When the site changes, save the new page over its fixture, trimmed to the parts shown,
+ * and update what is expected here.
+ *
+ * No network beyond 127.0.0.1, no Chrome and no Google APIs.
+ *
+ * Uses plain assert rather than a test framework, so there is no dependency to install and
+ * this file stays runnable on its own.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { createScraper } = require('../scraper');
+const { filmPage, filmRecord } = require('../films');
+const { calendarPage, scheduleFromEntries } = require('../beaconSchedule');
+const { INDEXES, discoverFromIndex } = require('../discoverSeries');
+const { executeScript } = require('../beaconSeries');
+
+let passed = 0;
+const failures = [];
+
+/**
+ * Asserts a value equals the expected one, comparing structurally.
+ * @param {string} label - What is being checked, shown on failure
+ * @param {*} actual
+ * @param {*} expected
+ */
+function check(label, actual, expected) {
+    if (JSON.stringify(actual) === JSON.stringify(expected)) {
+        passed++;
+        return;
+    }
+    failures.push(
+        `${label}\n    expected: ${JSON.stringify(expected)}` +
+        `\n    actual:   ${JSON.stringify(actual)}`
+    );
+}
+
+const quiet = { info: () => {}, warn: () => {}, error: () => {} };
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+// The site's paths, and the fixture each serves. Anything else is the 404 page.
+const ROUTES = {
+    '/calendar': 'calendar.html',
+    '/programs': 'programs.html',
+    '/series/space-the-final-frontier': 'series.html',
+    '/programs/secret-screenings': 'film.html',
+    '/calendar/movie/alien': 'film.html',
+};
+
+/**
+ * Serves the fixtures on a free local port.
+ * @returns {Promise<{ server: http.Server, base: string }>}
+ */
+function serveFixtures() {
+    const server = http.createServer((request, response) => {
+        const route = ROUTES[new URL(request.url, 'http://localhost').pathname];
+        response.writeHead(route ? 200 : 404, { 'content-type': 'text/html; charset=utf-8' });
+        response.end(fs.readFileSync(path.join(FIXTURES, route || '404.html')));
+    });
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => resolve({ server, base: `http://127.0.0.1:${server.address().port}` }));
+    });
+}
+
+(async () => {
+    const { server, base } = await serveFixtures();
+    // Every fixture holds what its extractor expects, so Chrome is never needed.
+    const scraper = createScraper({
+        mode: 'http',
+        logger: quiet,
+        maxRetries: 0,
+        launchBrowser: async () => { throw new Error('Chrome was launched for a fixture'); },
+    });
+
+    try {
+        // --- The calendar ----------------------------------------------------------------
+        const calendar = await scraper.scrape(`${base}/calendar`, calendarPage);
+        check('the calendar loads over HTTP', [calendar.ok, calendar.source], [true, 'http']);
+        check('only the list view is read, and entries with no film link are left out',
+            calendar.data.map(entry => `${entry.dayLabel} | ${entry.title} | ${entry.timeText}`), [
+                'Saturday, July 25 | ALIEN | 7:00 PM',
+                'Saturday, July 25 | Private Event | 3:00 PM',
+                'Saturday, July 25 | HEAT | 10:30 PM',
+                'Sunday, July 26 | THE THING | 11:00 AM',
+                'Sunday, July 26 | MYSTERY MOVIE | Time TBA',
+            ]);
+        check('rentals are marked by their class',
+            calendar.data.filter(entry => entry.isRental).map(entry => entry.title), ['Private Event']);
+        check('film links resolve against the page, and catalog ids are read',
+            [calendar.data[0].url, calendar.data[0].catalogId, calendar.data[3].catalogId],
+            [`${base}/calendar/movie/alien`, 'SQ-ALIEN-0725-1900', '']);
+
+        const { schedule, rentals, skipped } = scheduleFromEntries(calendar.data, new Date('2026-07-20T12:00:00Z'));
+        check('showtimes get a year, a date and a 24-hour time', schedule, [
+            { title: 'ALIEN', date: '2026-07-25', time: '19:00', url: `${base}/calendar/movie/alien`, catalogId: 'SQ-ALIEN-0725-1900' },
+            { title: 'HEAT', date: '2026-07-25', time: '22:30', url: `${base}/calendar/movie/heat`, catalogId: 'SQ-HEAT-0725-2230' },
+            { title: 'THE THING', date: '2026-07-26', time: '11:00', url: `${base}/calendar/movie/the-thing`, catalogId: '' },
+        ]);
+        check('the rental is excluded, and the entry with no time skipped',
+            [rentals, skipped.map(entry => entry.title)], [1, ['MYSTERY MOVIE']]);
+
+        // --- The program index -----------------------------------------------------------
+        const programs = INDEXES.find(index => index.path === '/programs');
+        check('only what is still running is taken from the program index',
+            await discoverFromIndex(scraper, programs, { site: base, logger: quiet }), [
+                { seriesName: 'Space, the Final Frontier', seriesURL: `${base}/programs/space-the-final-frontier`,
+                    seriesTag: 'space-the-final-frontier', section: 'Now Playing' },
+                { seriesName: 'Secret Screenings', seriesURL: `${base}/programs/secret-screenings/`,
+                    seriesTag: 'secret-screenings', section: 'Now Playing' },
+            ]);
+        check('a missing index yields nothing',
+            await discoverFromIndex(scraper, { path: '/series', sections: null }, { site: base, logger: quiet }), []);
+
+        // --- A series page ---------------------------------------------------------------
+        const series = await executeScript(scraper, `${base}/series/space-the-final-frontier`, 'scifi', { logger: quiet });
+        check('the films in the list are read, and nothing else on the page',
+            series.map(record => [record.Title, record.SeriesTag]), [['ALIEN', 'scifi'], ['THE BLACK HOLE', 'scifi'], ['SOLARIS', 'scifi']]);
+        check('each is stamped with when it was recorded',
+            series.every(record => !Number.isNaN(Date.parse(record.DateRecorded))), true);
+
+        const secret = await executeScript(scraper, `${base}/programs/secret-screenings`, 'secret', { logger: quiet });
+        check('a series row pointing at a film page falls back to the film\'s title',
+            secret.map(record => record.Title), ['ALIEN']);
+
+        check('a missing series page yields no films, though its HTML lists one',
+            await executeScript(scraper, `${base}/programs/gone`, 'gone', { logger: quiet }), []);
+
+        // --- A film page -----------------------------------------------------------------
+        const film = await scraper.scrape(`${base}/calendar/movie/alien`, filmPage);
+        check('every metadata field is read in page order, with the runtime',
+            [film.data.fields.map(field => field.label), film.data.runtime],
+            [['Director', 'Year', 'Country', 'Language', 'Format', 'Runtime', 'Rating'], '117 minutes']);
+        check('the synopsis is read from its block, whitespace collapsed',
+            film.data.synopsis, 'In space, no one can hear you scream. A 35mm print from the Academy Film Archive.');
+        const record = filmRecord({ url: `${base}/calendar/movie/alien`, title: 'ALIEN', ...film.data, today: '2026-07-20' });
+        check('and it becomes a films row',
+            [record.Slug, record.Director, record.Year, record.Country, record.Language, record.Format, record.Runtime],
+            ['alien', 'Ridley Scott', '1979', 'UK, USA', 'English', '35mm', '117 minutes']);
+
+        const gone = await scraper.scrape(`${base}/calendar/movie/gone`, filmPage);
+        check('a missing film page is reported by its status', [gone.ok, gone.status, gone.data], [false, 404, null]);
+        check('and Chrome was never needed', scraper.browserRunning(), false);
+    } finally {
+        await scraper.close();
+        server.close();
+    }
+
+    // --- Report --------------------------------------------------------------------------
+    if (failures.length > 0) {
+        console.error(`\nscrapers: ${failures.length} FAILED, ${passed} passed\n`);
+        failures.forEach((failure, index) => console.error(`  ${index + 1}. ${failure}\n`));
+        process.exit(1);
+    }
+
+    console.log(`scrapers: all ${passed} assertions passed`);
+})().catch(error => {
+    console.error('scrapers: test run crashed:', error);
+    process.exit(1);
+});
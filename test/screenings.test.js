@@ -0,0 +1,149 @@
+/**
+ * test/screenings.test.js
+ * Unit tests for building screenings from sheet rows in screenings.js.
+ *
+ * Usage: node test/screenings.test.js   (or npm test)
+ *
+ * Both the Google Calendar sync and the iCalendar feed are built from these screenings,
+ * so a slip here, such as an end time before its start or a lost screening key, reaches
+ * every subscriber by either route.
+ *
+ * Pure assertions, no network and no Google APIs: the builders are given rows directly.
+ *
+ * Uses plain assert rather than a test framework, so there is no dependency to install and
+ * this file stays runnable on its own.
+ */
+
+const {
+    parseRuntimes,
+    parseRuntimeMinutes,
+    parseSeriesNames,
+    screeningEnd,
+    describeScreening,
+    buildScreenings,
+} = require('../screenings');
+const { parseFilms } = require('../films');
+const { headerFor } = require('../sheetSchema');
+
+let passed = 0;
+const failures = [];
+
+/**
+ * Asserts a value equals the expected one, comparing structurally.
+ * @param {string} label - What is being checked, shown on failure
+ * @param {*} actual
+ * @param {*} expected
+ */
+function check(label, actual, expected) {
+    if (JSON.stringify(actual) === JSON.stringify(expected)) {
+        passed++;
+        return;
+    }
+    failures.push(
+        `${label}\n    expected: ${JSON.stringify(expected)}` +
+        `\n    actual:   ${JSON.stringify(actual)}`
+    );
+}
+
+const quiet = { info: () => {}, warn: () => {}, error: () => {} };
+const runtimes = parseRuntimes([['Title', 'Runtime'], ['ALIEN', '117 minutes'], ['HEAT', '']]);
+const seriesNames = parseSeriesNames([
+    ['seriesName', 'seriesURL', 'seriesTag'],
+    ['SPACE, THE FINAL FRONTIER', 'https://thebeacon.film/scifi', 'scifi'],
+]);
+const header = ['Title', 'Date', 'Time', 'URL', 'SeriesTag', 'DateRecorded', 'CatalogId'];
+
+// --- Sheet parsing -------------------------------------------------------------------
+check('runtimes without a value are left out', [...runtimes], [['ALIEN', '117 minutes']]);
+check('runtime minutes come from RuntimeMinutes, or else the runtime, and unreadable ones are left out',
+    [...parseRuntimeMinutes([['Title', 'Runtime', 'RuntimeMinutes'],
+        ['ALIEN', '117 minutes', ''], ['RAN', '2 hr 42 min', ''], ['HEAT', 'TBA', ''], ['IKIRU', 'TBA', '143'], ['VERTIGO', '', '']])],
+    [['ALIEN', 117], ['RAN', 162], ['IKIRU', 143]]);
+check('and a sheet without the column still reads',
+    [...parseRuntimeMinutes([['Title', 'Runtime'], ['ALIEN', '117 minutes']])], [['ALIEN', 117]]);
+check('series names are keyed by tag', [...seriesNames], [['scifi', 'SPACE, THE FINAL FRONTIER']]);
+
+// --- screeningEnd --------------------------------------------------------------------
+check('runtime plus 15 minutes', screeningEnd('2026-07-25', '19:00', '117 minutes'),
+    { endDate: '2026-07-25', endTime: '21:12' });
+check('two hours without a runtime', screeningEnd('2026-07-25', '19:00', ''),
+    { endDate: '2026-07-25', endTime: '21:00' });
+check('any runtime form runtimeParser.js reads', screeningEnd('2026-07-25', '19:00', '1h 45m'),
+    { endDate: '2026-07-25', endTime: '21:00' });
+check('or the minutes themselves', screeningEnd('2026-07-25', '19:00', 90),
+    { endDate: '2026-07-25', endTime: '20:45' });
+check('text after the runtime is ignored', screeningEnd('2026-07-25', '19:00', '90 mins + Q&A').endTime, '20:45');
+check('two hours for a runtime that cannot be read', screeningEnd('2026-07-25', '19:00', 'TBA').endTime, '21:00');
+check('a late show rolls into the next day', screeningEnd('2026-12-31', '22:30', '117 minutes'),
+    { endDate: '2027-01-01', endTime: '00:42' });
+
+// --- buildScreenings -----------------------------------------------------------------
+const films = parseFilms([
+    headerFor('films'),
+    ['alien', 'ALIEN', 'https://thebeacon.film/alien', 'Ridley Scott', '1979', 'UK', 'English', '35mm', '117 minutes', '', '', ''],
+]);
+const screenings = buildScreenings([
+    header,
+    ['ALIEN', '2026-07-25', '22:30', 'https://thebeacon.film/alien', 'scifi', '', 'ABC123'],
+    ['HEAT', '2026-07-26', '19:00', '', '', '', ''],
+    ['HEAT', '2026-07-26', '19:00', '', '', '', ''],
+    ['RAN', '2026-07-01', '19:00', '', '', '', ''],
+    ['IKIRU', '2026-07-27', '7pm', '', '', '', ''],
+    ['', '2026-07-27', '19:00', '', '', '', ''],
+], { runtimes, seriesNames, films, today: '2026-07-20', logger: quiet });
+
+check('past, malformed and duplicate rows are dropped', screenings.map(s => s.title), ['ALIEN', 'HEAT']);
+check('a screening carries everything either output needs', screenings[0], {
+    key: 'catalog:ABC123',
+    title: 'ALIEN',
+    displayTitle: 'Alien',
+    date: '2026-07-25',
+    time: '22:30',
+    endDate: '2026-07-26',
+    endTime: '00:42',
+    seriesTag: 'scifi',
+    seriesName: 'Space, the Final Frontier',
+    url: 'https://thebeacon.film/alien',
+    catalogId: 'ABC123',
+    runtime: '117 minutes',
+    director: 'Ridley Scott',
+    year: '1979',
+    country: 'UK',
+    language: 'English',
+    format: '35mm',
+});
+check('a film not in the films tab has no details', [screenings[1].director, screenings[1].format], ['', '']);
+check('without a catalog id the key falls back to title, date and time',
+    screenings[1].key, 'showing:heat|2026-07-26|19:00');
+
+const warnings = [];
+const byMinutes = buildScreenings([
+    header,
+    ['ALIEN', '2026-07-25', '19:00', '', '', '', ''],
+    ['HEAT', '2026-07-25', '19:00', '', '', '', ''],
+    ['HEAT', '2026-07-26', '19:00', '', '', '', ''],
+], {
+    runtimes: parseRuntimes([['Title', 'Runtime'], ['ALIEN', '117 minutes'], ['HEAT', 'TBA']]),
+    runtimeMinutes: new Map([['ALIEN', 130]]),
+    seriesNames,
+    today: '2026-07-20',
+    logger: { ...quiet, warn: message => warnings.push(message) },
+});
+check('the minutes given win over the runtime text, and the text is still shown',
+    [byMinutes[0].endTime, byMinutes[0].runtime], ['21:25', '117 minutes']);
+check('a runtime that cannot be read ends at two hours, and is reported once',
+    [byMinutes[1].endTime, warnings], ['21:00', ['Could not read the runtime \'TBA\' of "HEAT"; its events end 2 hours after they start.']]);
+
+// --- describeScreening ---------------------------------------------------------------
+check('the description lists what is known, one per line', describeScreening(screenings[0]),
+    'Runtime: 117 minutes\nFilm Series: Space, the Final Frontier\nURL: https://thebeacon.film/alien');
+check('an unknown runtime and series are left out', describeScreening(screenings[1]), '');
+
+// --- Report --------------------------------------------------------------------------
+if (failures.length > 0) {
+    console.error(`\nscreenings: ${failures.length} FAILED, ${passed} passed\n`);
+    failures.forEach((failure, index) => console.error(`  ${index + 1}. ${failure}\n`));
+    process.exit(1);
+}
+
+console.log(`screenings: all ${passed} assertions passed`);
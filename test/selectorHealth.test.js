@@ -0,0 +1,204 @@
+/**
+ * test/selectorHealth.test.js
+ * Tests for the site structure check in selectorHealth.js.
+ *
+ * Usage: node test/selectorHealth.test.js   (or npm test)
+ *
+ * The check is only worth having if it tells a changed site from an ordinary quiet week:
+ * a required selector that matches nothing, or far less than it used to, must mark the run
+ * degraded, while an optional one or an ordinary dip must not. These check that, that runs
+ * are recorded and read back per script, and that scraper.js counts every page it loads.
+ *
+ * Runs are recorded to a temporary file, and fetch is faked. No network, no Chrome.
+ *
+ * Uses plain assert rather than a test framework, so there is no dependency to install and
+ * this file stays runnable on its own.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    selectorsFor, countSelectors, assessRun, loadHealthRuns, saveHealthRun, healthStatus, createHealthRecorder,
+} = require('../selectorHealth');
+const { parseDocument, createScraper } = require('../scraper');
+const { filmPage } = require('../films');
+
+let passed = 0;
+const failures = [];
+
+/**
+ * Asserts a value equals the expected one, comparing structurally.
+ * @param {string} label - What is being checked, shown on failure
+ * @param {*} actual
+ * @param {*} expected
+ */
+function check(label, actual, expected) {
+    if (JSON.stringify(actual) === JSON.stringify(expected)) {
+        passed++;
+        return;
+    }
+    failures.push(
+        `${label}\n    expected: ${JSON.stringify(expected)}` +
+        `\n    actual:   ${JSON.stringify(actual)}`
+    );
+}
+
+/**
+ * Asserts a call throws with a message matching a pattern.
+ * @param {string} label
+ * @param {Function} fn
+ * @param {RegExp} pattern
+ */
+function checkThrows(label, fn, pattern) {
+    try {
+        fn();
+    } catch (error) {
+        if (pattern.test(error.message)) {
+            passed++;
+        } else {
+            failures.push(`${label}\n    unexpected message: ${error.message}`);
+        }
+        return;
+    }
+    failures.push(`${label}\n    expected a throw, got none`);
+}
+
+/**
+ * A logger that keeps what it is given, by level.
+ */
+function recordingLogger() {
+    const lines = { info: [], warn: [], error: [] };
+    return {
+        lines,
+        info: message => lines.info.push(message),
+        warn: message => lines.warn.push(message),
+        error: message => lines.error.push(message),
+    };
+}
+
+/**
+ * A run of the calendar with the given counts over one page.
+ * @param {Object<string, number>} hits
+ * @param {Object} [extra]
+ */
+function calendarRun(hits, extra = {}) {
+    return { script: 'beaconSchedule', at: '2026-07-01T00:00:00.000Z', pages: { calendar: { pages: 1, hits } }, problems: [], degraded: false, ...extra };
+}
+
+const USUAL = { days: 14, entries: 60, links: 58, times: 60, catalogIds: 40 };
+const recent = [calendarRun(USUAL), calendarRun({ ...USUAL, entries: 50 }), calendarRun({ ...USUAL, entries: 70 })];
+
+const FILM_HTML = `<html><body>
+    <h1 class="movie-title">ALIEN</h1>
+    <div class="meta-field"><span class="meta-label">Director</span><span class="meta-value">Ridley Scott</span></div>
+    <div class="meta-field"><span class="meta-label">Runtime</span><span class="meta-value">117 minutes</span></div>
+</body></html>`;
+
+const temporary = fs.mkdtempSync(path.join(os.tmpdir(), 'selector-health-'));
+
+(async () => {
+    try {
+        // --- Counting ------------------------------------------------------------------------
+        check('every watched page type has its selectors', ['calendar', 'series index', 'series', 'film']
+            .map(pageType => selectorsFor(pageType) !== null), [true, true, true, true]);
+        check('an unwatched page type has none', selectorsFor('links'), null);
+        check('selectors are counted on a parsed page', countSelectors(selectorsFor('film'), parseDocument(FILM_HTML)),
+            { fields: 2, labels: 2, synopsis: 0 });
+
+        // --- Comparing with recent runs ------------------------------------------------------
+        check('a run like the recent ones has no problems', assessRun(calendarRun(USUAL), recent), []);
+        check('an ordinary dip is not a collapse', assessRun(calendarRun({ ...USUAL, entries: 20 }), recent), []);
+        check('a required selector that matches nothing is degraded, even on a first run',
+            assessRun(calendarRun({ ...USUAL, links: 0 }), []).map(problem => [problem.key, problem.kind, problem.severity]),
+            [['links', 'vanished', 'degraded']]);
+        const collapsed = assessRun(calendarRun({ ...USUAL, entries: 5, links: 5, times: 5 }), recent);
+        check('required counts far below their recent median have collapsed',
+            collapsed.map(problem => [problem.key, problem.kind, problem.severity, problem.baseline]),
+            [['entries', 'collapsed', 'degraded', 60], ['links', 'collapsed', 'degraded', 58], ['times', 'collapsed', 'warning', 60]]);
+        check('an optional selector that stops matching is only a warning',
+            assessRun(calendarRun({ ...USUAL, catalogIds: 0 }), recent).map(problem => [problem.key, problem.kind, problem.severity]),
+            [['catalogIds', 'vanished', 'warning']]);
+        check('an optional selector that never matched is not a problem',
+            assessRun({ pages: { film: { pages: 3, hits: { fields: 21, labels: 21, synopsis: 0 } } } }, []), []);
+        check('counts are compared per page, so a run of fewer pages is not a collapse',
+            assessRun({ pages: { film: { pages: 1, hits: { fields: 7, labels: 7, synopsis: 1 } } } },
+                [{ pages: { film: { pages: 40, hits: { fields: 280, labels: 280, synopsis: 40 } } } }]), []);
+        checkThrows('a run needs its pages', () => assessRun({}, []), /assessRun: run.pages must be an object/);
+
+        // --- Recording -----------------------------------------------------------------------
+        const file = path.join(temporary, 'selectorHealth.json');
+        check('no file means no runs', loadHealthRuns(file), []);
+        check('and an unknown status', healthStatus([]).status, 'unknown');
+
+        let clock = Date.parse('2026-07-01T00:00:00Z');
+        const now = () => new Date(clock += 60000);
+        for (let run = 0; run < 3; run++) {
+            const recorder = createHealthRecorder('beaconSchedule', { file, now });
+            recorder.record('calendar', USUAL);
+            check(`a healthy run ${run + 1} is not degraded`, recorder.finish({ logger: recordingLogger() }).degraded, false);
+        }
+        check('each run is recorded', loadHealthRuns(file).length, 3);
+        check('a run that loaded no pages is not', createHealthRecorder('findRuntimes', { file, now }).finish({ logger: recordingLogger() }).degraded, false);
+        check('so the file is unchanged', loadHealthRuns(file).length, 3);
+
+        const broken = createHealthRecorder('beaconSchedule', { file, now });
+        broken.record('calendar', { ...USUAL, entries: 0, links: 0 });
+        broken.record('not watched', { anything: 1 });
+        const log = recordingLogger();
+        check('a run whose required selectors vanished is degraded', broken.finish({ logger: log }).degraded, true);
+        check('and says so in the log, pointing at the README',
+            [log.lines.error.length, /Website structure dependencies/.test(log.lines.error[2])], [3, true]);
+        const runs = loadHealthRuns(file);
+        check('only watched page types are recorded', Object.keys(runs[runs.length - 1].pages), ['calendar']);
+
+        const status = healthStatus(runs);
+        check('the status is degraded by the script\'s latest run',
+            [status.status, status.checkedAt, status.problems.map(problem => problem.script)],
+            ['degraded', runs[runs.length - 1].at, ['beaconSchedule', 'beaconSchedule']]);
+        check('with each problem described', status.problems[0].message,
+            'calendar pages: \'.cal-list .cal-list-entry\' matched nothing, against 60 per page in recent runs.');
+
+        const fixed = createHealthRecorder('beaconSchedule', { file, now });
+        fixed.record('calendar', USUAL);
+        fixed.finish({ logger: recordingLogger() });
+        check('a later healthy run clears it', healthStatus(loadHealthRuns(file)).status, 'ok');
+
+        saveHealthRun(calendarRun(USUAL), file);
+        check('saving keeps the earlier runs', loadHealthRuns(file).length, 6);
+        fs.writeFileSync(file, '{');
+        checkThrows('a broken file is reported, not read as empty', () => loadHealthRuns(file), /selectorHealth.json is not valid JSON/);
+
+        // --- Counted by scraper.js -----------------------------------------------------------
+        const scraped = path.join(temporary, 'scraped.json');
+        const health = createHealthRecorder('findRuntimes', { file: scraped, now });
+        const scraper = createScraper({
+            mode: 'http',
+            logger: recordingLogger(),
+            maxRetries: 0,
+            health,
+            fetchImpl: async url => ({ status: url.endsWith('/gone') ? 404 : 200, url, text: async () => FILM_HTML }),
+            launchBrowser: async () => { throw new Error('Chrome was launched'); },
+        });
+        await scraper.scrape('https://thebeacon.film/calendar/movie/alien', filmPage);
+        await scraper.scrape('https://thebeacon.film/calendar/movie/heat', filmPage);
+        await scraper.scrape('https://thebeacon.film/calendar/movie/gone', filmPage);
+        health.finish({ logger: recordingLogger() });
+        check('each loaded page is counted, and a missing one is not',
+            loadHealthRuns(scraped)[0].pages, { film: { pages: 2, hits: { fields: 4, labels: 4, synopsis: 0 } } });
+    } finally {
+        fs.rmSync(temporary, { recursive: true, force: true });
+    }
+
+    // --- Report --------------------------------------------------------------------------
+    if (failures.length > 0) {
+        console.error(`\nselectorHealth: ${failures.length} FAILED, ${passed} passed\n`);
+        failures.forEach((failure, index) => console.error(`  ${index + 1}. ${failure}\n`));
+        process.exit(1);
+    }
+
+    console.log(`selectorHealth: all ${passed} assertions passed`);
+})().catch(error => {
+    console.error('selectorHealth: test run crashed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,193 @@
+/**
+ * test/sheetDiff.test.js
+ * Tests for the row and cell diff in sheetDiff.js.
+ *
+ * Usage: node test/sheetDiff.test.js   (or npm test)
+ *
+ * A diff that is slightly off does not fail: it writes a tab that is slightly wrong, and
+ * the next run reads that back as the truth. Besides checking small cases by hand, these
+ * apply the generated requests to an in-memory grid, the way the Sheets API would, and
+ * check that the result is exactly the rows that were asked for. Hundreds of generated
+ * edits are checked that way.
+ *
+ * Pure functions only. No network and no Google APIs.
+ *
+ * Uses plain assert rather than a test framework, so there is no dependency to install and
+ * this file stays runnable on its own.
+ */
+
+const { diffRows, describeDiff, sheetRequests, columnLetters, valueRanges } = require('../sheetDiff');
+
+let passed = 0;
+const failures = [];
+
+/**
+ * Asserts a value equals the expected one, comparing structurally.
+ * @param {string} label - What is being checked, shown on failure
+ * @param {*} actual
+ * @param {*} expected
+ */
+function check(label, actual, expected) {
+    if (JSON.stringify(actual) === JSON.stringify(expected)) {
+        passed++;
+        return;
+    }
+    failures.push(
+        `${label}\n    expected: ${JSON.stringify(expected)}` +
+        `\n    actual:   ${JSON.stringify(actual)}`
+    );
+}
+
+/**
+ * Asserts a call throws, with a message matching a pattern.
+ * @param {string} label
+ * @param {Function} fn
+ * @param {RegExp} pattern
+ */
+function checkThrows(label, fn, pattern) {
+    try {
+        fn();
+    } catch (error) {
+        if (pattern.test(error.message)) {
+            passed++;
+        } else {
+            failures.push(`${label}\n    unexpected message: ${error.message}`);
+        }
+        return;
+    }
+    failures.push(`${label}\n    expected a throw, got none`);
+}
+
+/**
+ * Applies a diff to a grid as the Sheets API would, and reads the values back as
+ * values.get returns them: trailing empty cells and rows dropped.
+ * @param {string[][]} oldRows
+ * @param {string[][]} newRows
+ * @param {string[]} key
+ * @param {number} [gridRows=1000]
+ * @returns {{ rows: string[][], requests: Object[], data: Object[] }}
+ */
+function applyDiff(oldRows, newRows, key, gridRows = 1000) {
+    const grid = Array.from({ length: Math.max(gridRows, oldRows.length) }, (_, i) => [...(oldRows[i] || [])]);
+    const diff = diffRows(oldRows, newRows, { key });
+    const requests = sheetRequests(diff, { sheetId: 7, rowCount: grid.length, columnCount: 26 });
+    for (const request of requests) {
+        const [type, body] = Object.entries(request)[0];
+        if (body.sheetId !== 7 && body.range.sheetId !== 7) throw new Error('wrong sheetId');
+        if (type === 'deleteDimension') {
+            grid.splice(body.range.startIndex, body.range.endIndex - body.range.startIndex);
+        } else if (type === 'insertDimension') {
+            if (body.range.startIndex >= grid.length) throw new Error('insert past the end of the grid');
+            const blank = Array.from({ length: body.range.endIndex - body.range.startIndex }, () => []);
+            grid.splice(body.range.startIndex, 0, ...blank);
+        } else if (type === 'appendDimension' && body.dimension === 'ROWS') {
+            for (let i = 0; i < body.length; i++) grid.push([]);
+        }
+    }
+    const data = valueRanges(diff, 'runtimes');
+    for (const { range, values } of data) {
+        const [, letters, row] = range.match(/!([A-Z]+)(\d+)/);
+        const column = [...letters].reduce((n, letter) => n * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+        const target = grid[Number(row) - 1];
+        values[0].forEach((value, i) => { target[column + i] = value; });
+    }
+    const rows = grid.map(row => {
+        const trimmed = row.map(cell => cell || '');
+        while (trimmed.length && trimmed[trimmed.length - 1] === '') trimmed.pop();
+        return trimmed;
+    });
+    while (rows.length && rows[rows.length - 1].length === 0) rows.pop();
+    return { rows, requests, data };
+}
+
+const header = ['Title', 'Runtime', 'Notes'];
+const before = [
+    header,
+    ['ALIEN', '117 minutes', 'restored'],
+    ['HEAT', '170 minutes'],
+    ['RAN', '162 minutes'],
+    ['VERTIGO', '128 minutes'],
+];
+
+// --- diffRows --------------------------------------------------------------------------
+check('identical rows change nothing', diffRows(before, before, { key: ['Title'] }).cells, []);
+check('an unchanged tab needs no requests at all',
+    sheetRequests(diffRows(before, before, { key: ['Title'] }), { sheetId: 1, rowCount: 1000, columnCount: 26 }), []);
+
+const changed = diffRows(before, [header, ['ALIEN', '117 minutes', 'restored'], ['HEAT', '171 minutes'],
+    ['RAN', '162 minutes'], ['VERTIGO', '128 minutes']], { key: ['Title'] });
+check('one changed cell is one write', [changed.cells, changed.cellsChanged], [[{ row: 2, column: 1, values: ['171 minutes'] }], 1]);
+
+const inserted = diffRows(before, [header, ['ALIEN', '117 minutes', 'restored'], ['DUNE', '155 minutes'],
+    ['HEAT', '170 minutes'], ['RAN', '162 minutes'], ['VERTIGO', '128 minutes']], { key: ['Title'] });
+check('a row added in the middle is one insert, not a rewrite of the rows below',
+    [inserted.inserts, inserted.deletes, inserted.cells], [[[2, 3]], [], [{ row: 2, column: 0, values: ['DUNE', '155 minutes'] }]]);
+
+const removed = diffRows(before, [header, ['ALIEN', '117 minutes', 'restored'], ['VERTIGO', '128 minutes']], { key: ['Title'] });
+check('removed rows are deleted as one range', [removed.deletes, removed.cellsChanged], [[[2, 4]], 0]);
+
+check('a cleared note is written as empty',
+    diffRows(before, [header, ['ALIEN', '117 minutes'], ...before.slice(2)], { key: ['Title'] }).cells,
+    [{ row: 1, column: 2, values: [''] }]);
+check('without a key, a changed row is replaced',
+    [diffRows([['a'], ['x']], [['a'], ['y']]).rowsInserted, diffRows([['a'], ['x']], [['a'], ['y']]).rowsDeleted], [1, 1]);
+check('a key column the header lacks falls back to whole rows',
+    diffRows([['a'], ['x']], [['a'], ['x']], { key: ['Title'] }).cellsChanged, 0);
+check('the summary counts cells and rows', describeDiff(inserted), '2 cells changed, 1 row inserted, 0 deleted');
+checkThrows('an empty write is rejected', () => diffRows(before, []), /newRows must be a non-empty array/);
+
+// --- Requests and ranges -------------------------------------------------------------
+check('column letters', [0, 25, 26, 51, 701, 702].map(columnLetters), ['A', 'Z', 'AA', 'AZ', 'ZZ', 'AAA']);
+check('a run of cells is one range, quoted by tab name', valueRanges(inserted, "Bob's"), [
+    { range: "'Bob''s'!A3:B3", values: [['DUNE', '155 minutes']] },
+]);
+const fresh = applyDiff([], [header, ['ALIEN', '117 minutes']], ['Title']);
+check('an empty tab is written without inserting rows', [fresh.requests, fresh.rows], [[], [header, ['ALIEN', '117 minutes']]]);
+const full = applyDiff([header], [header, ['ALIEN'], ['HEAT']], ['Title'], 2);
+check('a full grid is extended', [full.requests.map(request => Object.keys(request)[0]), full.rows.length], [['appendDimension'], 3]);
+check('the rows inserted in the middle take formatting from the row above, not the header',
+    sheetRequests(inserted, { sheetId: 1, rowCount: 1000, columnCount: 26 })[0].insertDimension.inheritFromBefore, true);
+check('a grid too narrow is widened',
+    sheetRequests(diffRows([['a']], [['a', 'b', 'c']]), { sheetId: 1, rowCount: 10, columnCount: 2 }),
+    [{ appendDimension: { sheetId: 1, dimension: 'COLUMNS', length: 1 } }]);
+
+// --- Applied to a grid ---------------------------------------------------------------
+// A small deterministic generator, so a failure can be reproduced.
+let seed = 42;
+const random = () => {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return seed / 2147483648;
+};
+const titles = ['ALIEN', 'HEAT', 'RAN', 'VERTIGO', 'DUNE', 'IKIRU', 'M', 'PSYCHO', 'STALKER', 'UP'];
+const randomRows = () => {
+    const rows = [header];
+    for (const title of titles) {
+        if (random() < 0.6) rows.push([title, `${Math.floor(random() * 3) + 100} minutes`, random() < 0.3 ? 'note' : '']);
+    }
+    // Shuffle a little, so rows move as well as change.
+    for (let i = rows.length - 1; i > 1; i--) {
+        if (random() < 0.2) [rows[i], rows[i - 1]] = [rows[i - 1], rows[i]];
+    }
+    return rows.map(row => row.filter((cell, i) => i < 2 || cell));
+};
+let mismatches = 0;
+let firstMismatch = null;
+for (let round = 0; round < 300; round++) {
+    const oldRows = randomRows();
+    const newRows = randomRows();
+    const { rows } = applyDiff(oldRows, newRows, ['Title'], 5 + Math.floor(random() * 10));
+    if (JSON.stringify(rows) !== JSON.stringify(newRows)) {
+        mismatches++;
+        firstMismatch = firstMismatch || { oldRows, newRows, rows };
+    }
+}
+check('300 generated edits each leave the grid holding exactly the new rows', [mismatches, firstMismatch], [0, null]);
+
+// --- Report --------------------------------------------------------------------------
+if (failures.length > 0) {
+    console.error(`\nsheetDiff: ${failures.length} FAILED, ${passed} passed\n`);
+    failures.forEach((failure, index) => console.error(`  ${index + 1}. ${failure}\n`));
+    process.exit(1);
+}
+
+console.log(`sheetDiff: all ${passed} assertions passed, including 300 generated edits`);
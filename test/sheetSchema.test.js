@@ -0,0 +1,166 @@
+/**
+ * test/sheetSchema.test.js
+ * Tests for the table schema and its check in sheetSchema.js.
+ *
+ * Usage: node test/sheetSchema.test.js   (or npm test)
+ *
+ * A header that lacks a column used to turn every lookup into `undefined` without a word.
+ * These check that each problem is named with its tab and column, that only absent tabs
+ * and empty header rows are ever created, and that a header someone maintains is never
+ * written over.
+ *
+ * Runs against a fake storage backend. No network and no Google APIs.
+ *
+ * Uses plain assert rather than a test framework, so there is no dependency to install and
+ * this file stays runnable on its own.
+ */
+
+const {
+    SCHEMA,
+    loadSchemaConfig,
+    headerFor,
+    columnIndexes,
+    checkSchema,
+    describeProblems,
+    verifySchema,
+} = require('../sheetSchema');
+
+let passed = 0;
+const failures = [];
+
+/**
+ * Asserts a value equals the expected one, comparing structurally.
+ * @param {string} label - What is being checked, shown on failure
+ * @param {*} actual
+ * @param {*} expected
+ */
+function check(label, actual, expected) {
+    if (JSON.stringify(actual) === JSON.stringify(expected)) {
+        passed++;
+        return;
+    }
+    failures.push(
+        `${label}\n    expected: ${JSON.stringify(expected)}` +
+        `\n    actual:   ${JSON.stringify(actual)}`
+    );
+}
+
+/**
+ * Asserts a call throws, or a promise rejects, with a message matching a pattern.
+ * @param {string} label
+ * @param {Function} fn
+ * @param {RegExp} pattern
+ * @returns {Promise<void>}
+ */
+async function checkThrows(label, fn, pattern) {
+    try {
+        await fn();
+    } catch (error) {
+        if (pattern.test(error.message)) {
+            passed++;
+        } else {
+            failures.push(`${label}\n    unexpected message: ${error.message}`);
+        }
+        return;
+    }
+    failures.push(`${label}\n    expected a throw, got none`);
+}
+
+/**
+ * A storage backend holding header rows in memory; null marks an absent table.
+ * @param {Record<string, string[]|null>} headers
+ */
+function fakeStore(headers) {
+    const added = [];
+    return {
+        added,
+        getHeaders: async tables => Object.fromEntries(tables.map(table => [table, headers[table] ?? null])),
+        addTables: async created => {
+            added.push(created);
+            Object.assign(headers, created);
+        },
+    };
+}
+
+const quiet = { info: () => {}, warn: () => {}, error: () => {} };
+const complete = () => Object.fromEntries(Object.keys(SCHEMA).map(table => [table, headerFor(table)]));
+
+(async () => {
+    // --- columnIndexes -------------------------------------------------------------------
+    check('columns are found by name, in any order',
+        columnIndexes('runtimes', ['Runtime', 'Notes', 'Title']), { Title: 2, Runtime: 0, RuntimeMinutes: -1 });
+    check('header cells are trimmed', columnIndexes('runtimes', [' Title ', 'Runtime']).Title, 0);
+    check('an absent optional column is -1',
+        columnIndexes('seriesIndex', ['seriesName', 'seriesURL', 'seriesTag']).calendarId, -1);
+    check('an empty table has no columns to misread', columnIndexes('schedule', []).CatalogId, -1);
+    check('a schedule from before CatalogId still checks out',
+        columnIndexes('schedule', ['Title', 'Date', 'Time', 'URL', 'SeriesTag']).CatalogId, -1);
+    await checkThrows('a missing column is named with its tab',
+        () => columnIndexes('schedule', ['Title', 'Date', 'Time', 'URL']),
+        /^tab 'schedule' is missing column 'SeriesTag' \(header: Title, Date, Time, URL\)$/);
+    await checkThrows('every missing column is named',
+        () => columnIndexes('runtimes', ['Film']), /is missing columns 'Title', 'Runtime'/);
+    await checkThrows('an unknown table is rejected', () => columnIndexes('movies', []), /unknown table 'movies'/);
+    check('a new header lists every column, optional ones included',
+        headerFor('seriesIndex'), ['seriesName', 'seriesURL', 'seriesTag', 'calendarId']);
+
+    // --- checkSchema ---------------------------------------------------------------------
+    check('a complete spreadsheet has no problems', describeProblems(checkSchema(complete())), []);
+    const report = checkSchema({ ...complete(), series: null, runtimes: ['', ''], schedule: ['Title', 'Date'] });
+    check('absent, empty and incomplete tabs are told apart', describeProblems(report), [
+        "tab 'series' does not exist",
+        "tab 'runtimes' has no header row",
+        "tab 'schedule' is missing columns 'Time', 'URL', 'SeriesTag'",
+    ]);
+
+    // --- verifySchema --------------------------------------------------------------------
+    const untouched = fakeStore(complete());
+    check('a complete spreadsheet is left alone',
+        [await verifySchema(untouched, { create: true, logger: quiet }), untouched.added], [{ created: [] }, []]);
+
+    await checkThrows('absent tabs are reported, with how to create them',
+        () => verifySchema(fakeStore({ ...complete(), runtimes: null }), { where: 'the Google Sheet', logger: quiet }),
+        /^The tables in the Google Sheet do not match the schema:\n {2}- tab 'runtimes' does not exist\nRun `node sheetSchema\.js --create`/);
+
+    const healing = fakeStore({ ...complete(), series: null, runtimes: [] });
+    check('asked to, absent tabs are created and empty ones given a header',
+        [await verifySchema(healing, { create: true, logger: quiet }), healing.added],
+        [{ created: ['series', 'runtimes'] }, [{ series: headerFor('series'), runtimes: headerFor('runtimes') }]]);
+
+    const incomplete = fakeStore({ ...complete(), runtimes: null, schedule: ['Title'] });
+    await checkThrows('a missing column is an error even when creating',
+        () => verifySchema(incomplete, { create: true, logger: quiet }),
+        /tab 'schedule' is missing columns[^]*Add missing columns to the header row by hand/);
+    check('the absent tab was still created', Object.keys(incomplete.added[0]), ['runtimes']);
+
+    const older = fakeStore({ ...complete(), history: null });
+    check('a tab added to the schema later is created without being asked, in a sheet otherwise valid',
+        [await verifySchema(older, { logger: quiet }), older.added], [{ created: ['history'] }, [{ history: headerFor('history') }]]);
+    const stranger = fakeStore({ ...complete(), history: null, runtimes: null });
+    await checkThrows('but not in a sheet with other problems',
+        () => verifySchema(stranger, { logger: quiet }), /tab 'runtimes' does not exist\n {2}- tab 'history' does not exist/);
+    check('which is left untouched', stranger.added, []);
+    await checkThrows('a store without the schema methods is rejected',
+        () => verifySchema({ getHeaders: async () => ({}) }), /store must provide getHeaders\(\) and addTables\(\)/);
+
+    // --- loadSchemaConfig ----------------------------------------------------------------
+    check('creation defaults', [loadSchemaConfig({}).create, loadSchemaConfig({}, 'local').create], [false, true]);
+    check('SCHEMA_AUTO_CREATE overrides either way', [
+        loadSchemaConfig({ SCHEMA_AUTO_CREATE: 'TRUE' }).create,
+        loadSchemaConfig({ SCHEMA_AUTO_CREATE: 'false' }, 'local').create,
+    ], [true, false]);
+    await checkThrows('anything else is rejected',
+        () => loadSchemaConfig({ SCHEMA_AUTO_CREATE: 'yes' }), /SCHEMA_AUTO_CREATE must be true or false, got 'yes'/);
+
+    // --- Report --------------------------------------------------------------------------
+    if (failures.length > 0) {
+        console.error(`\nsheetSchema: ${failures.length} FAILED, ${passed} passed\n`);
+        failures.forEach((failure, index) => console.error(`  ${index + 1}. ${failure}\n`));
+        process.exit(1);
+    }
+
+    console.log(`sheetSchema: all ${passed} assertions passed`);
+})().catch(error => {
+    console.error('sheetSchema: test run crashed:', error);
+    process.exit(1);
+});
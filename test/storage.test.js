@@ -0,0 +1,148 @@
+/**
+ * test/storage.test.js
+ * Tests for the storage facade in storage.js and the local backend in localStore.js.
+ *
+ * Usage: node test/storage.test.js   (or npm test)
+ *
+ * The local backend stands in for the Google Sheet, so the scripts must not be able to
+ * tell them apart: the same rows come back, as text, and a table nobody has written yet
+ * reads as empty rather than failing. These check that, that a typo in a table or
+ * backend name is caught instead of quietly creating a new file, and that the schema
+ * check runs before the first read.
+ *
+ * Tables are written to a temporary directory. No network and no Google APIs; the Sheets
+ * backend is never loaded.
+ *
+ * Uses plain assert rather than a test framework, so there is no dependency to install and
+ * this file stays runnable on its own.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TABLES, loadStorageConfig, createStorage } = require('../storage');
+const { createLocalStore } = require('../localStore');
+
+let passed = 0;
+const failures = [];
+
+/**
+ * Asserts a value equals the expected one, comparing structurally.
+ * @param {string} label - What is being checked, shown on failure
+ * @param {*} actual
+ * @param {*} expected
+ */
+function check(label, actual, expected) {
+    if (JSON.stringify(actual) === JSON.stringify(expected)) {
+        passed++;
+        return;
+    }
+    failures.push(
+        `${label}\n    expected: ${JSON.stringify(expected)}` +
+        `\n    actual:   ${JSON.stringify(actual)}`
+    );
+}
+
+/**
+ * Asserts a call throws, or a promise rejects, with a message matching a pattern.
+ * @param {string} label
+ * @param {Function} fn
+ * @param {RegExp} pattern
+ * @returns {Promise<void>}
+ */
+async function checkThrows(label, fn, pattern) {
+    try {
+        await fn();
+    } catch (error) {
+        if (pattern.test(error.message)) {
+            passed++;
+        } else {
+            failures.push(`${label}\n    unexpected message: ${error.message}`);
+        }
+        return;
+    }
+    failures.push(`${label}\n    expected a throw, got none`);
+}
+
+const quiet = { info: () => {}, warn: () => {}, error: () => {} };
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-'));
+
+(async () => {
+    try {
+        // --- Configuration -------------------------------------------------------------
+        check('the Google Sheet is the default', loadStorageConfig({}).backend, 'sheets');
+        check('the backend name is case-insensitive', loadStorageConfig({ STORAGE_BACKEND: ' Local ' }).backend, 'local');
+        check('local files default to files/data',
+            path.relative(path.join(__dirname, '..'), loadStorageConfig({}).dataDir), path.join('files', 'data'));
+        check('a relative LOCAL_DATA_DIR is taken from the repository root',
+            loadStorageConfig({ LOCAL_DATA_DIR: 'tmp/tables' }).dataDir, path.join(__dirname, '..', 'tmp', 'tables'));
+        await checkThrows('an unknown backend is rejected',
+            () => loadStorageConfig({ STORAGE_BACKEND: 'sqlite' }), /STORAGE_BACKEND must be one of sheets, local/);
+        check('the tables are the sheet tabs', TABLES, ['seriesIndex', 'series', 'schedule', 'runtimes', 'history', 'films']);
+        check('local tables are created when missing', loadStorageConfig({ STORAGE_BACKEND: 'local' }).autoCreate, true);
+        check('sheet tabs are not, unless asked', [
+            loadStorageConfig({}).autoCreate,
+            loadStorageConfig({ SCHEMA_AUTO_CREATE: 'true' }).autoCreate,
+        ], [false, true]);
+
+        // --- The local backend, through the facade ------------------------------------------
+        const strict = createStorage({ backend: 'local', dataDir: path.join(dir, 'strict') });
+        await checkThrows('missing tables stop the first read when not created',
+            () => strict.getRows('schedule'), /tab 'seriesIndex' does not exist[^]*tab 'runtimes' does not exist/);
+        check('nothing was written', fs.existsSync(path.join(dir, 'strict')), false);
+
+        const storage = createStorage({ backend: 'local', dataDir: path.join(dir, 'data'), autoCreate: true }, { logger: quiet });
+        check('a fresh directory gets every table, with its header row',
+            await storage.getRows('schedule'), [['Title', 'Date', 'Time', 'URL', 'SeriesTag', 'DateRecorded', 'CatalogId']]);
+        check('the local store tells an absent table from an empty one',
+            await createLocalStore(path.join(dir, 'data')).getHeaders(['runtimes', 'movies']),
+            { runtimes: ['Title', 'Runtime', 'RuntimeMinutes'], movies: null });
+        check('a table with no file still reads as empty', await createLocalStore(path.join(dir, 'data')).getRows('movies'), []);
+
+        await storage.setRows('runtimes', [['Title', 'Runtime'], ['ALIEN', 117], ['HEAT', null]]);
+        check('rows read back as text, as from the sheet',
+            await storage.getRows('runtimes'), [['Title', 'Runtime'], ['ALIEN', '117'], ['HEAT', '']]);
+        check('each table is its own file, one row per line',
+            fs.readFileSync(path.join(dir, 'data', 'runtimes.json'), 'utf8'),
+            '[\n["Title","Runtime"],\n["ALIEN","117"],\n["HEAT",""]\n]\n');
+
+        await storage.setRows('runtimes', [['Title', 'Runtime']]);
+        check('a write replaces the whole table', await storage.getRows('runtimes'), [['Title', 'Runtime']]);
+        check('several tables read at once, each as getRows() reads it',
+            await storage.getTabs(['runtimes', 'series']), { runtimes: [['Title', 'Runtime']], series: [['Title', 'SeriesTag', 'DateRecorded']] });
+        await checkThrows('an unknown table fails the whole read',
+            () => storage.getTabs(['runtimes', 'movies']), /getTabs: unknown table 'movies'/);
+        check('no temporary file is left behind', fs.readdirSync(path.join(dir, 'data')).filter(name => !name.endsWith('.json')), []);
+
+        await checkThrows('an unknown table is rejected on read',
+            () => storage.getRows('Schedule'), /getRows: unknown table 'Schedule'/);
+        await checkThrows('an unknown table is rejected on write',
+            () => storage.setRows('movies', [['Title']]), /setRows: unknown table 'movies'/);
+        await checkThrows('an empty write is rejected, as by the Sheets backend',
+            () => storage.setRows('schedule', []), /rows must be a non-empty array/);
+
+        fs.writeFileSync(path.join(dir, 'data', 'series.json'), '{"Title": "ALIEN"}');
+        await checkThrows('a hand-edited file that is not rows is reported',
+            () => storage.getRows('series'), /cannot read table 'series': series\.json must hold an array of rows/);
+        fs.writeFileSync(path.join(dir, 'data', 'series.json'), '[["Title",');
+        await checkThrows('a truncated file is reported', () => storage.getRows('series'), /series\.json is not valid JSON/);
+
+        check('the facade names where the tables are', storage.describe().startsWith('local files in '), true);
+        await checkThrows('createLocalStore needs a directory', () => createLocalStore(''), /dataDir must be a non-empty string/);
+        await checkThrows('createStorage needs a known backend', () => createStorage({ backend: 'csv' }), /config\.backend/);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+
+    // --- Report --------------------------------------------------------------------------
+    if (failures.length > 0) {
+        console.error(`\nstorage: ${failures.length} FAILED, ${passed} passed\n`);
+        failures.forEach((failure, index) => console.error(`  ${index + 1}. ${failure}\n`));
+        process.exit(1);
+    }
+
+    console.log(`storage: all ${passed} assertions passed`);
+})().catch(error => {
+    console.error('storage: test run crashed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,162 @@
+/**
+ * test/tableBackup.test.js
+ * Tests for table backups in tableBackup.js, and their use by storage.js.
+ *
+ * Usage: node test/tableBackup.test.js   (or npm test)
+ *
+ * A backup is only looked at after a bad write, and one that is missing, truncated or of
+ * the wrong table is found out too late. These check that each write saves what it
+ * replaces, that retention keeps the newest backups of each table separately, and that a
+ * restore finds the backup asked for.
+ *
+ * Backups and tables are written to a temporary directory. No network and no Google APIs.
+ *
+ * Uses plain assert rather than a test framework, so there is no dependency to install and
+ * this file stays runnable on its own.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    BACKUP_VERSION,
+    loadBackupConfig,
+    backupFileName,
+    saveBackup,
+    loadBackup,
+    listBackups,
+    findBackup,
+    pruneBackups,
+    backupTable,
+} = require('../tableBackup');
+const { createStorage } = require('../storage');
+
+let passed = 0;
+const failures = [];
+
+/**
+ * Asserts a value equals the expected one, comparing structurally.
+ * @param {string} label - What is being checked, shown on failure
+ * @param {*} actual
+ * @param {*} expected
+ */
+function check(label, actual, expected) {
+    if (JSON.stringify(actual) === JSON.stringify(expected)) {
+        passed++;
+        return;
+    }
+    failures.push(
+        `${label}\n    expected: ${JSON.stringify(expected)}` +
+        `\n    actual:   ${JSON.stringify(actual)}`
+    );
+}
+
+/**
+ * Asserts a call throws, or a promise rejects, with a message matching a pattern.
+ * @param {string} label
+ * @param {Function} fn
+ * @param {RegExp} pattern
+ * @returns {Promise<void>}
+ */
+async function checkThrows(label, fn, pattern) {
+    try {
+        await fn();
+    } catch (error) {
+        if (pattern.test(error.message)) {
+            passed++;
+        } else {
+            failures.push(`${label}\n    unexpected message: ${error.message}`);
+        }
+        return;
+    }
+    failures.push(`${label}\n    expected a throw, got none`);
+}
+
+const quiet = { info: () => {}, warn: () => {}, error: () => {} };
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'table-backups-'));
+const names = files => files.map(file => path.basename(file));
+const at = minute => new Date(Date.UTC(2026, 6, 20, 9, minute));
+
+const runtimes = [['Title', 'Runtime'], ['ALIEN', '117 minutes']];
+
+(async () => {
+    try {
+        // --- Configuration -------------------------------------------------------------
+        check('ten backups a table by default', loadBackupConfig({}).retention, 10);
+        check('0 turns backups off', loadBackupConfig({ TABLE_BACKUP_RETENTION: '0' }).retention, 0);
+        await checkThrows('anything but a whole number is rejected',
+            () => loadBackupConfig({ TABLE_BACKUP_RETENTION: '2.5' }), /TABLE_BACKUP_RETENTION must be a whole number, got '2\.5'/);
+
+        // --- backupTable ---------------------------------------------------------------
+        const backups = path.join(dir, 'backups');
+        const options = minute => ({ retention: 2, dir: backups, takenAt: at(minute), logger: quiet });
+        check('file names sort by time', backupFileName('schedule', at(5)), 'schedule-2026-07-20T09-05-00-000Z.json');
+
+        const first = backupTable('runtimes', runtimes, [['Title', 'Runtime']], options(1));
+        check('a write saves what it replaces', loadBackup(first),
+            { version: BACKUP_VERSION, table: 'runtimes', takenAt: at(1).toISOString(), rows: runtimes });
+        check('a write that changes nothing saves nothing',
+            backupTable('runtimes', runtimes, [['Title', 'Runtime', ''], ['ALIEN', '117 minutes']], options(2)), null);
+        check('nor does a write to a table with no rows',
+            [backupTable('runtimes', [], runtimes, options(2)), backupTable('runtimes', [runtimes[0]], runtimes, options(2))], [null, null]);
+        check('nor any write with backups off', backupTable('runtimes', runtimes, [], { ...options(2), retention: 0 }), null);
+
+        backupTable('runtimes', [...runtimes, ['HEAT', '170 minutes']], runtimes, options(2));
+        backupTable('series', [['Title', 'SeriesTag'], ['RAN', 'kurosawa']], [['Title', 'SeriesTag']], options(3));
+        backupTable('seriesIndex', [['seriesName'], ['Noir']], [['seriesName']], options(3));
+        backupTable('runtimes', runtimes, [['Title', 'Runtime']], options(4));
+        check('each table keeps its own newest backups, listed newest first', names(listBackups(undefined, backups)), [
+            'runtimes-2026-07-20T09-04-00-000Z.json',
+            'seriesIndex-2026-07-20T09-03-00-000Z.json',
+            'series-2026-07-20T09-03-00-000Z.json',
+            'runtimes-2026-07-20T09-02-00-000Z.json',
+        ]);
+        check("'series' does not take in 'seriesIndex' backups", names(listBackups('series', backups)),
+            ['series-2026-07-20T09-03-00-000Z.json']);
+
+        // --- findBackup ----------------------------------------------------------------
+        check('without a timestamp the newest backup is restored',
+            path.basename(findBackup('runtimes', undefined, backups)), 'runtimes-2026-07-20T09-04-00-000Z.json');
+        check('a timestamp is matched as listed, or by its start',
+            [findBackup('runtimes', '2026-07-20T09:02:00.000Z', backups), findBackup('runtimes', '2026-07-20T09:02', backups)]
+                .map(file => path.basename(file)), Array(2).fill('runtimes-2026-07-20T09-02-00-000Z.json'));
+        await checkThrows('a timestamp with no backup is reported',
+            () => findBackup('runtimes', '2026-07-19', backups), /no backup of 'runtimes' taken at 2026-07-19/);
+        check('pruning deletes only the oldest', names(pruneBackups('runtimes', 1, backups)),
+            ['runtimes-2026-07-20T09-02-00-000Z.json']);
+
+        fs.writeFileSync(path.join(backups, 'schedule-2026-07-20T10-00-00-000Z.json'), '{"rows": [');
+        await checkThrows('a truncated backup is reported',
+            () => loadBackup(findBackup('schedule', undefined, backups)), /cannot read .*schedule-.*: /);
+        await checkThrows('a backup without rows is not saved',
+            () => saveBackup(path.join(backups, 'x.json'), { table: 'runtimes' }), /backup must have a table and rows/);
+
+        // --- Through storage.js --------------------------------------------------------
+        const storageBackups = path.join(dir, 'storage-backups');
+        const storage = createStorage({ backend: 'local', dataDir: path.join(dir, 'data'), autoCreate: true,
+            backupRetention: 3, backupDir: storageBackups }, { logger: quiet });
+        await storage.setRows('runtimes', runtimes);
+        check('writing a new table backs up nothing', listBackups('runtimes', storageBackups), []);
+        await storage.setRows('runtimes', [['Title', 'Runtime'], ['GARBAGE', '']]);
+        const saved = listBackups('runtimes', storageBackups);
+        check('overwriting it backs up what it held', saved.length === 1 && loadBackup(saved[0]).rows, runtimes);
+        await storage.setRows('runtimes', loadBackup(findBackup('runtimes', undefined, storageBackups)).rows);
+        check('a restore brings the rows back', await storage.getRows('runtimes'), runtimes);
+        check('and backs up the rows it replaced', loadBackup(listBackups('runtimes', storageBackups)[0]).rows,
+            [['Title', 'Runtime'], ['GARBAGE', '']]);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+
+    // --- Report --------------------------------------------------------------------------
+    if (failures.length > 0) {
+        console.error(`\ntableBackup: ${failures.length} FAILED, ${passed} passed\n`);
+        failures.forEach((failure, index) => console.error(`  ${index + 1}. ${failure}\n`));
+        process.exit(1);
+    }
+
+    console.log(`tableBackup: all ${passed} assertions passed`);
+})().catch(error => {
+    console.error('tableBackup: test run crashed:', error);
+    process.exit(1);
+});
@@ -16,17 +16,22 @@ export interface ScheduleRow {
   URL: string;
   SeriesTag: string;
   DateRecorded: string;
+  CatalogId?: string;
 }
 
 export interface RuntimeRow {
   Title: string;
   Runtime: string;
+  /** Whole minutes, as a string; '' when Runtime could not be read. See runtimeParser.js. */
+  RuntimeMinutes?: string;
 }
 
 export interface SeriesIndexRow {
   seriesName: string;
   seriesURL: string;
   seriesTag: string;
+  /** Calendar this series' screenings are also (or instead) written to */
+  calendarId?: string;
 }
 
 // Logger Types
@@ -50,6 +55,7 @@ export interface ServiceAccountConfig {
   token_uri: string;
   auth_provider_x509_cert_url: string;
   client_x509_cert_url: string;
+  universe_domain: string;
 }
 
 export interface EnvironmentConfig {
@@ -2,12 +2,44 @@
  * updateGCal.js
  * Synchronizes The Beacon Cinema schedule (from Google Sheet 'schedule') with a Google Calendar.
  * 
- * Usage: node updateGCal.js
+ * Usage: node updateGCal.js [--dry-run] [--adopt]
  * 
  * Operations:
  * - Reads Google Sheets 'schedule', 'runtimes' and 'seriesIndex' (read-only)
- * - Skips rows dated before today, then deletes all upcoming events from the calendar
- * - Creates new events with runtime and series info if available
+ * - Skips rows dated before today and builds one event per screening, with runtime and
+ *   series info if available. The screenings themselves come from screenings.js, which
+ *   the iCalendar feed shares.
+ * - Tags each event with a stable screening key (Square catalog id, else title/date/time)
+ *   and compares against the upcoming events already on the calendar, so only events
+ *   that were added, changed or dropped are written. See calendarSync.js.
+ * - Marks every event it writes as its own, and never updates or deletes an event without
+ *   that marker, so events added to the calendar by hand are left alone
+ * - --dry-run: reads everything and prints the planned creates, updates and deletes with a
+ *   summary count, without making any write calls to the calendar
+ * - --adopt: one-time claim of unmarked events matching a screening by summary and start,
+ *   for events created before the marker existed
+ * - Colors events and sets their reminders per SeriesTag, from eventStyles.json, which is
+ *   validated before anything else runs. See eventStyles.js.
+ * - Words each event's title and description from the templates in eventTemplates.json
+ *   (or EVENT_SUMMARY_TEMPLATE / EVENT_DESCRIPTION_TEMPLATE), also validated up front.
+ *   See eventTemplates.js.
+ * - Routes each screening to its series' own calendar when 'seriesIndex' gives one in a
+ *   calendarId column, as well as or instead of CALENDAR_ID (SERIES_CALENDAR_MODE), and
+ *   screenings with no SeriesTag to DEFAULT_CALENDAR_ID. Each calendar is reconciled
+ *   separately, including one no screening routes to any more, and one that cannot be
+ *   reached does not stop the rest. See calendarRouting.js.
+ * - Sends the writes as Google batch requests, 50 to a round trip, while still counting
+ *   each event's success or failure individually. See calendarBatch.js.
+ * - Reads every page of upcoming events, up to two days past the last scheduled date, and
+ *   reports screenings that appear more than once. Managed copies are deleted as
+ *   duplicates; unmarked ones are with --adopt. See calendarReader.js.
+ * - Keeps a screening that dropped off the schedule for CANCELLATION_GRACE_DAYS, marked
+ *   "[CANCELLED]", before deleting it, so anyone planning to go finds out. See
+ *   calendarSync.js.
+ * - Retries rate-limited and transiently failed calls with backoff. See googleRetry.js.
+ * - Saves the events it may change to a snapshot in files/snapshots/ before writing to a
+ *   calendar, and rolls every calendar back to it when more than ROLLBACK_FAILURE_RATE of
+ *   the run's writes fail. See calendarSnapshot.js, which also rolls back by hand.
  * - Uses service account authentication (no OAuth2 or tokens needed)
  * - Provides error handling and clear output messages
  *
@@ -15,29 +47,108 @@
  * - Service account credentials (see .env)
  * - CALENDAR_ID
  *
- * Dependencies: googleapis, dotenv, ./gcalAuth.js, ./sheetsUtils.js, ./utils.js,
- *   ./logger.js, ./errorHandler.js
+ * Optional environment variables:
+ * - DEFAULT_CALENDAR_ID, SERIES_CALENDAR_MODE, RETIRED_CALENDAR_IDS (see calendarRouting.js)
+ * - EVENT_SUMMARY_TEMPLATE, EVENT_DESCRIPTION_TEMPLATE, EVENT_TEMPLATE_HTML (see eventTemplates.js)
+ * - ROLLBACK_FAILURE_RATE, SNAPSHOT_RETENTION (see calendarSnapshot.js)
+ * - CANCELLATION_GRACE_DAYS (see calendarSync.js)
+ *
+ * Dependencies: googleapis, dotenv, ./googleAuth.js, ./screenings.js,
+ *   ./calendarSync.js, ./calendarReader.js, ./calendarRouting.js, ./calendarBatch.js,
+ *   ./eventStyles.js, ./eventTemplates.js, ./calendarSnapshot.js, ./logger.js, ./errorHandler.js
  */
 
 require('dotenv').config();
 
 // External dependencies
+const path = require('path');
 const { google } = require('googleapis');
-const { getSheetRows } = require('./sheetsUtils');
 
 // Internal dependencies
-const { getServiceAccountClient } = require('./gcalAuth');
-const { deduplicateRows, addDaysToISODate } = require('./utils');
-const { titleCase } = require('./titleCase');
+const { getAuthClient } = require('./googleAuth');
+const { readScreenings, VENUE_LOCATION } = require('./screenings');
+const { createCalendarBatch, insertOp, updateOp, deleteOp } = require('./calendarBatch');
+const { listAllEvents, syncWindow } = require('./calendarReader');
+const { addDaysToISODate } = require('./utils');
+const { loadRoutingConfig, parseSeriesCalendars, routeScreenings } = require('./calendarRouting');
+const { loadEventStyles, styleForSeries, applyEventStyle } = require('./eventStyles');
+const { loadEventTemplates, renderScreening } = require('./eventTemplates');
+const {
+    SNAPSHOT_DIR,
+    SNAPSHOT_VERSION,
+    loadSnapshotConfig,
+    shouldRollBack,
+    snapshotFileName,
+    saveSnapshot,
+    pruneSnapshots,
+    rollbackSnapshot,
+} = require('./calendarSnapshot');
+const {
+    tagEvent,
+    STATUS_PROPERTY,
+    CANCELLED_STATUS,
+    loadCancellationConfig,
+    isManagedEvent,
+    planCalendarSync,
+    findDuplicateEvents,
+    formatSyncPlan,
+} = require('./calendarSync');
 const logger = require('./logger')('updateGCal');
 const { setupErrorHandling } = require('./errorHandler');
 
 const TIME_ZONE = process.env.TIME_ZONE || 'America/Los_Angeles';
 
+// Claims unmarked events that match a screening. Meant to be run once, after upgrading
+// from a version that did not mark its events.
+const ADOPT = process.argv.includes('--adopt');
+
+// Plans against the live calendar and prints the result, but writes nothing.
+const DRY_RUN = process.argv.includes('--dry-run');
+
+// How far back to look for cancelled events whose date has passed, so they can be
+// deleted. A run at least this often catches every one.
+const CANCELLED_LOOKBACK_DAYS = 30;
+
 setupErrorHandling(logger, 'updateGCal.js');
 
-if (!process.env.CALENDAR_ID) {
-    logger.error('CALENDAR_ID must be set in your .env file.');
+let routingConfig;
+try {
+    routingConfig = loadRoutingConfig();
+} catch (error) {
+    logger.error(`${error.message.replace('loadRoutingConfig: ', '')} in your .env file.`);
+    process.exit(1);
+}
+
+// Checked before anything is read, so a typo in the file stops the run up front.
+let eventStyles;
+try {
+    eventStyles = loadEventStyles();
+} catch (error) {
+    logger.error(error.message.replace('loadEventStyles: ', ''));
+    process.exit(1);
+}
+
+let eventTemplates;
+try {
+    eventTemplates = loadEventTemplates();
+} catch (error) {
+    logger.error(error.message.replace('loadEventTemplates: ', ''));
+    process.exit(1);
+}
+
+let cancellationConfig;
+try {
+    cancellationConfig = loadCancellationConfig();
+} catch (error) {
+    logger.error(`${error.message.replace('loadCancellationConfig: ', '')} in your .env file.`);
+    process.exit(1);
+}
+
+let snapshotConfig;
+try {
+    snapshotConfig = loadSnapshotConfig();
+} catch (error) {
+    logger.error(`${error.message.replace('loadSnapshotConfig: ', '')} in your .env file.`);
     process.exit(1);
 }
 
@@ -46,193 +157,99 @@ if (!process.env.CALENDAR_ID) {
  * @returns {Promise<void>}
  */
 async function connectToCalendar() {
-    logger.info('Starting updateGCal.js');
+    logger.info(`Starting updateGCal.js${DRY_RUN ? ' (dry run)' : ''}`);
     try {
         // Authenticate using service account
-        const serviceAccountClient = getServiceAccountClient();
+        const serviceAccountClient = getAuthClient();
         const calendar = google.calendar({ version: 'v3', auth: serviceAccountClient });
 
-        // Read runtimes from Google Sheet
-        const runtimesRowsRaw = await getSheetRows('runtimes');
-        const runtimesHeader = runtimesRowsRaw[0] || [];
-        const runtimesMap = new Map();
-        if (runtimesRowsRaw.length > 1) {
-            for (const line of runtimesRowsRaw.slice(1)) {
-                const title = line[runtimesHeader.indexOf('Title')];
-                const runtime = line[runtimesHeader.indexOf('Runtime')];
-                if (title && runtime) runtimesMap.set(title.trim(), runtime.trim());
-            }
-        }
-
-        // Read seriesIndex from Google Sheet
-        const seriesIndexRowsRaw = await getSheetRows('seriesIndex');
-        const seriesIndexHeader = seriesIndexRowsRaw[0] || [];
-        const seriesMap = new Map();
-        if (seriesIndexRowsRaw.length > 1) {
-            for (const line of seriesIndexRowsRaw.slice(1)) {
-                const seriesTag = line[seriesIndexHeader.indexOf('seriesTag')];
-                const seriesName = line[seriesIndexHeader.indexOf('seriesName')];
-                if (seriesTag && seriesName) seriesMap.set(seriesTag.trim(), seriesName.trim());
-            }
-        }
-
-        // Read schedule from Google Sheet
-        const scheduleRowsRaw = await getSheetRows('schedule');
-        const scheduleHeader = scheduleRowsRaw[0] || [];
-        const eventsToCreate = [];
+        // Read the schedule, runtimes and series names from Google Sheets
         const today = new Date().toISOString().split('T')[0];
+        const { screenings, seriesIndexRows, seriesNames } = await readScreenings({ today, logger });
 
-        let allSkippedForMissingFields = true;
-        let duplicateEventFound = false;
-        const eventKeys = new Set();
-        for (const line of scheduleRowsRaw.slice(1)) {
-            const row = {
-                Title: line[scheduleHeader.indexOf('Title')],
-                Date: line[scheduleHeader.indexOf('Date')],
-                Time: line[scheduleHeader.indexOf('Time')],
-                URL: line[scheduleHeader.indexOf('URL')],
-                SeriesTag: line[scheduleHeader.indexOf('SeriesTag')],
-            };
-            if (!row || typeof row !== 'object') {
-                logger.warn('Skipping malformed row in schedule sheet:', row);
-                continue;
-            }
-            if (!row.Date || !row.Time || !row.Title) {
-                logger.warn(`Skipping invalid row in schedule sheet (missing required fields): ${JSON.stringify(row)}`);
-                continue;
-            }
-            allSkippedForMissingFields = false;
-            if (row.Date < today) {
-                logger.info(`Skipping past event: ${row.Title} on ${row.Date}`);
-                continue;
-            }
-            const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
-            if (!dateRegex.test(row.Date)) {
-                logger.error(`Invalid date format for event "${row.Title}": ${row.Date}. Expected YYYY-MM-DD.`);
-                continue;
-            }
-            const timeRegex = /^\d{2}:\d{2}$/;
-            if (!timeRegex.test(row.Time)) {
-                logger.error(`Invalid time format for event "${row.Title}": ${row.Time}. Expected HH:MM (24-hour).`);
-                continue;
-            }
-            const formattedTitle = titleCase(row.Title);
-            const formattedSeriesName = row.SeriesTag && seriesMap.has(row.SeriesTag)
-                ? titleCase(seriesMap.get(row.SeriesTag))
-                : '';
-
-            const descriptionParts = [];
-            const runtimeValue = runtimesMap.get(row.Title) || runtimesMap.get(row.Title.trim());
-            if (runtimeValue) descriptionParts.push(`Runtime: ${runtimeValue}`);
-            if (formattedSeriesName) descriptionParts.push(`Film Series: ${formattedSeriesName}`);
-            if (row.URL) descriptionParts.push(`URL: ${row.URL}`);
-            const description = descriptionParts.join('\n');
-
-            // Create datetime strings in the correct format for Google Calendar API
-            // When specifying timeZone, Google expects format: YYYY-MM-DDTHH:MM:SS
-            const startDateTimeString = `${row.Date}T${row.Time}:00`;
-
-            // Calculate end time. Runtime plus 15 minutes when known, otherwise
-            // a 2 hour default.
-            const runtimeMatch = runtimeValue && runtimeValue.match(/^(\d+)\s*minutes$/i);
-            const durationMinutes = runtimeMatch ? parseInt(runtimeMatch[1], 10) + 15 : 120;
-
-            // Done in plain minutes so a late show running past midnight rolls the
-            // date forward. Reusing row.Date for the end produced a timestamp
-            // earlier than the start, which the API rejects — and the calendar
-            // regularly carries 10:00 PM showtimes.
-            const [startHours, startMinutes] = row.Time.split(':').map(Number);
-            const endTotalMinutes = startHours * 60 + startMinutes + durationMinutes;
-            const endDate = addDaysToISODate(row.Date, Math.floor(endTotalMinutes / 1440));
-            const endHours = String(Math.floor((endTotalMinutes % 1440) / 60)).padStart(2, '0');
-            const endMinutes = String(endTotalMinutes % 60).padStart(2, '0');
-            const endDateTimeString = `${endDate}T${endHours}:${endMinutes}:00`;
-
-            const key = `${row.Title}|${row.Date}|${row.Time}`;
-            if (eventKeys.has(key)) duplicateEventFound = true;
-            eventKeys.add(key);
-
-            eventsToCreate.push({
-                summary: formattedTitle,
-                start: {
-                    dateTime: startDateTimeString,
-                    timeZone: TIME_ZONE,
-                },
-                end: {
-                    dateTime: endDateTimeString,
-                    timeZone: TIME_ZONE,
-                },
-                location: "The Beacon Cinema, 4405 Rainier Ave S, Seattle, WA 98118, USA",
-                description,
-            });
-        }
-
-        if (duplicateEventFound) {
-            logger.warn('Duplicate events (by Title/Date/Time) found in the schedule sheet.');
+        const { seriesCalendars, warnings: routingWarnings } = parseSeriesCalendars(seriesIndexRows);
+        routingWarnings.forEach(warning => logger.warn(warning));
+        const routing = { ...routingConfig, seriesCalendars };
+        const unknownStyled = Object.keys(eventStyles.series).filter(tag => !seriesNames.has(tag));
+        if (unknownStyled.length > 0) {
+            logger.warn(`eventStyles.json styles series not in seriesIndex: ${unknownStyled.join(', ')}`);
         }
-        if (allSkippedForMissingFields) {
-            logger.warn('All events were skipped due to missing required fields.');
+        if (seriesCalendars.size > 0) {
+            logger.info(`${seriesCalendars.size} series have their own calendar (mode: ${routing.mode}).`);
         }
 
-        if (eventsToCreate.length === 0) {
-            logger.warn('No events to create after parsing the schedule sheet. Exiting.');
+        if (screenings.length === 0) {
+            logger.warn('No events to create after parsing the schedule sheet. Exiting without changing the calendar.');
             return;
         }
 
-        // Deduplicate events by summary/start time
-        const uniqueEventsToCreate = deduplicateRows(eventsToCreate, event => `${event.summary}|${event.start.dateTime}`);
-        const duplicateWritten = uniqueEventsToCreate.length < eventsToCreate.length;
+        // Each calendar is reconciled on its own against the screenings routed to it, and
+        // every configured calendar is, so one left without screenings is cleared too. The
+        // events are built once and shared between the calendars a screening goes to.
+        const events = new Map(screenings.map(screening => [screening, toCalendarEvent(screening)]));
+        const eventsByCalendar = new Map([...routeScreenings(screenings, routing)]
+            .map(([calendarId, routed]) => [calendarId, routed.map(screening => events.get(screening))]));
+        // Read to the last date on the whole schedule, not each calendar's own, so that a
+        // calendar with few or no screenings left still sees its events further out.
+        const dates = {
+            today,
+            lastDate: screenings.reduce((latest, screening) => (screening.date > latest ? screening.date : latest), today),
+        };
 
-        if (duplicateWritten) {
-            logger.warn('Duplicate events found in final uniqueEventsToCreate.');
-        }
-        if (uniqueEventsToCreate.length === 0) {
-            logger.error('No valid events to create. Exiting without deleting existing events.');
-            logger.warn('No valid events were written to Google Calendar.');
-            return;
-        }
+        const batch = createCalendarBatch({ auth: serviceAccountClient, logger });
+        const totals = { successCount: 0, failureCount: 0, unchanged: 0 };
+        const failedCalendars = [];
 
-        logger.info(`Creating ${uniqueEventsToCreate.length} events.`);
-        await deleteUpcomingEvents(calendar);
+        // One snapshot file per run, rewritten as each calendar is about to be written to.
+        const takenAt = new Date();
+        const snapshotFile = path.join(SNAPSHOT_DIR, snapshotFileName(takenAt));
+        const snapshot = { version: SNAPSHOT_VERSION, takenAt: takenAt.toISOString(), calendars: {} };
+        const saveBeforeWriting = (calendarId, entry) => {
+            snapshot.calendars[calendarId] = entry;
+            saveSnapshot(snapshotFile, snapshot);
+        };
 
-        let successCount = 0;
-        let failureCount = 0;
-
-        for (const event of uniqueEventsToCreate) {
+        for (const [calendarId, calendarEvents] of eventsByCalendar) {
             try {
-                await calendar.events.insert({
-                    calendarId: process.env.CALENDAR_ID,
-                    resource: event,
-                });
-                successCount++;
-                console.log(`[INFO] Event created (${successCount}/${uniqueEventsToCreate.length}): ${event.summary}`);
+                const result = await syncCalendar(calendar, batch, calendarId, calendarEvents, dates, saveBeforeWriting);
+                totals.successCount += result.successCount;
+                totals.failureCount += result.failureCount;
+                totals.unchanged += result.unchanged;
             } catch (error) {
-                logger.error(`Failed to create event: ${event.summary}`, error.message);
-                // Add troubleshooting steps for common auth errors
-                if (
-                    error &&
-                    error.message &&
-                    (
-                        error.message.includes('No refresh token is set') ||
-                        error.message.includes('invalid_grant') ||
-                        error.message.includes('invalid_request') ||
-                        error.message.includes('invalid_client') ||
-                        error.message.includes('unauthorized')
-                    )
-                ) {
-                    console.log('[TROUBLESHOOT] Common authentication issues:');
-                    console.log('  - GOOGLE_CLIENT_EMAIL and GOOGLE_PRIVATE_KEY must be set in your .env file');
-                    console.log('    (or in the Render dashboard). Credentials are read from the environment,');
-                    console.log('    not from a service account JSON file.');
-                    console.log('  - CALENDAR_ID must be set in your .env file.');
-                    console.log('  - Make sure your Google Service Account has adequate permissions to the specified Google Calendar.');
-                }
-                failureCount++;
+                // A calendar the service account cannot read fails alone.
+                failedCalendars.push(calendarId);
+                logger.error(`Could not sync calendar ${calendarId}: ${error.message}`);
+                printAuthTroubleshooting(error);
             }
         }
 
-        // Output summary
-        logger.info(`Event creation completed. Successfully created: ${successCount}, Failed: ${failureCount}`);
+        if (DRY_RUN) {
+            logger.info('Dry run: nothing was written to Google Calendar.');
+        } else {
+            logger.info(`Calendar sync completed. Successful writes: ${totals.successCount}, ` +
+                `Failed: ${totals.failureCount}, Unchanged: ${totals.unchanged}`);
+        }
+
+        const snapshotName = path.basename(snapshotFile);
+        if (Object.keys(snapshot.calendars).length > 0) {
+            logger.info(`Snapshot of the calendars before this run: ${snapshotName}`);
+            pruneSnapshots(snapshotConfig.retention);
+        }
+        if (!DRY_RUN && shouldRollBack(totals.successCount, totals.failureCount, snapshotConfig.failureRate)) {
+            logger.error(`${totals.failureCount} of ${totals.successCount + totals.failureCount} writes failed, ` +
+                `more than ROLLBACK_FAILURE_RATE (${snapshotConfig.failureRate}). Rolling back to ${snapshotName}.`);
+            const rollback = await rollbackSnapshot(snapshot, { calendar, batch, logger });
+            logger.error(`Rollback completed. Successful writes: ${rollback.successCount}, Failed: ${rollback.failureCount}. ` +
+                (rollback.failureCount > 0
+                    ? `Run 'node calendarSnapshot.js rollback ${snapshotName}' to retry it.`
+                    : 'The calendars are as they were before this run.'));
+            process.exit(1);
+        }
+        if (failedCalendars.length > 0) {
+            logger.error(`${failedCalendars.length} of ${eventsByCalendar.size} calendars could not be synced: ` +
+                `${failedCalendars.join(', ')}`);
+            process.exit(1);
+        }
         process.exit(0); // Ensure clean exit after successful completion
     } catch (error) {
         if (error && error.message) {
@@ -249,47 +266,241 @@ async function connectToCalendar() {
     }
 }
 
-// Delete all upcoming events from the calendar
-async function deleteUpcomingEvents(calendar) {
-    // Parameter validation
-    if (!calendar || typeof calendar !== 'object') {
-        throw new Error('deleteUpcomingEvents: calendar must be a valid calendar client object');
+/**
+ * Builds the Google Calendar event for a screening, worded by the event templates, styled
+ * for its series and tagged with its screening key.
+ *
+ * Times are sent as local wall-clock time with a timeZone, which is the format the API
+ * expects when one is given: YYYY-MM-DDTHH:MM:SS.
+ *
+ * @param {Object} screening - From screenings.js
+ * @returns {Object} Event resource
+ */
+function toCalendarEvent(screening) {
+    const { summary, description } = renderScreening(eventTemplates, screening);
+    return tagEvent(applyEventStyle({
+        summary,
+        start: {
+            dateTime: `${screening.date}T${screening.time}:00`,
+            timeZone: TIME_ZONE,
+        },
+        end: {
+            dateTime: `${screening.endDate}T${screening.endTime}:00`,
+            timeZone: TIME_ZONE,
+        },
+        location: VENUE_LOCATION,
+        description,
+    }, styleForSeries(eventStyles, screening.seriesTag)), screening.key);
+}
+
+/**
+ * Reconciles one calendar with the screenings routed to it: lists what is there, plans
+ * the difference and, unless this is a dry run, writes it.
+ * @param {Object} calendar - Google Calendar API client
+ * @param {Object} batch - Result of createCalendarBatch()
+ * @param {string} calendarId
+ * @param {Object[]} events - Tagged events that belong on this calendar; none for a
+ *   calendar whose managed events are all to be cancelled
+ * @param {{ today: string, lastDate: string }} dates - YYYY-MM-DD; the calendar is read from
+ *   today to two days past lastDate, the last date on the schedule
+ * @param {(calendarId: string, entry: Object) => void} saveBeforeWriting - Saves the
+ *   calendar's snapshot entry; called before the first write, and not at all without one
+ * @returns {Promise<{ successCount: number, failureCount: number, unchanged: number }>}
+ */
+async function syncCalendar(calendar, batch, calendarId, events, dates, saveBeforeWriting) {
+    const { today, lastDate } = dates;
+    logger.info(`Syncing ${events.length} screenings to calendar ${calendarId}.`);
+
+    // Only what differs from the calendar is written. The read stops shortly after the
+    // last scheduled screening; an event further out is picked up once the schedule
+    // reaches its date.
+    const window = syncWindow(today, lastDate);
+    const upcoming = await listUpcomingEvents(calendar, calendarId, window);
+    const existingEvents = upcoming.filter(isManagedEvent);
+    const unmarked = upcoming.filter(event => !isManagedEvent(event));
+    if (ADOPT) {
+        logger.info(`Adoption mode: ${unmarked.length} unmarked upcoming events considered for adoption.`);
     }
-    
-    try {
-        const calendarId = process.env.CALENDAR_ID;
-        // Use the same date cutoff as event creation logic for consistency
-        const today = new Date().toISOString().split('T')[0] + 'T00:00:00.000Z';
-
-        const eventsResponse = await calendar.events.list({
-            calendarId,
-            timeMin: today,
-            singleEvents: true,
-            orderBy: 'startTime',
-        });
-
-        const events = eventsResponse.data.items || [];
-
-        if (events.length) {
-            logger.info(`Found ${events.length} upcoming events. Deleting them...`);
-            let deleteCount = 0;
-            for (const event of events) {
-                try {
-                    await calendar.events.delete({
-                        calendarId,
-                        eventId: event.id,
-                    });
-                    deleteCount++;
-                    console.log(`[INFO] Deleted event (${deleteCount}/${events.length}): ${event.summary}`);
-                } catch (error) {
-                    logger.error(`Failed to delete event: ${event.summary}`, error.message);
-                }
-            }
+    // Cancelled events from before today are past the sync window, but still to be deleted.
+    // One that runs past the window's start is listed by both reads; it is kept once.
+    const upcomingIds = new Set(upcoming.map(event => event.id));
+    const pastCancelled = cancellationConfig.graceDays > 0
+        ? (await listPastCancelledEvents(calendar, calendarId, window.timeMin))
+            .filter(event => !upcomingIds.has(event.id))
+        : [];
+    const plan = planCalendarSync(events, [...pastCancelled, ...existingEvents], {
+        adoptable: ADOPT ? unmarked : [],
+        cancellation: { today, graceDays: cancellationConfig.graceDays },
+    });
+    reportDuplicates(upcoming, plan);
+    if (plan.cancelled + plan.restored + plan.stillCancelled + plan.expired.length > 0) {
+        logger.info(`Cancelled screenings on ${calendarId}: ${plan.cancelled} newly cancelled, ` +
+            `${plan.restored} back on the schedule, ${plan.stillCancelled} kept within the grace period, ` +
+            `${plan.expired.length} to delete.`);
+    }
+    const planLines = formatSyncPlan(plan);
+
+    if (DRY_RUN) {
+        logger.info(`Dry run: planned changes to calendar ${calendarId}:`);
+        for (const line of planLines) logger.info(line);
+        return { successCount: 0, failureCount: 0, unchanged: plan.unchanged };
+    }
+    logger.info(planLines[planLines.length - 1]);
+
+    // Every write goes out through the batch endpoint, 50 to a request, and each one
+    // still succeeds or fails on its own. Creates are queued first, so a crash partway
+    // through leaves an extra event behind rather than a missing one.
+    const writes = [
+        ...plan.create.map(event => ({ action: 'create', done: 'created', event, op: insertOp(calendarId, event) })),
+        ...plan.update.map(({ eventId, event, adopted, cancelled, restored }) => ({
+            action: adopted ? 'adopt' : cancelled ? 'cancel' : restored ? 'restore' : 'update',
+            done: adopted ? 'adopted' : cancelled ? 'marked cancelled' : restored ? 'restored' : 'updated',
+            event,
+            op: updateOp(calendarId, eventId, event),
+        })),
+        ...plan.remove.map(event => ({ action: 'delete', done: 'deleted', event, op: deleteOp(calendarId, event.id) })),
+    ];
+
+    if (writes.length === 0) {
+        return { successCount: 0, failureCount: 0, unchanged: plan.unchanged };
+    }
+
+    // Everything the writes can touch: the managed events, and the unmarked ones being
+    // adopted or deleted. Past cancelled events are left out, since a rollback only looks
+    // at the sync window. A failure to save stops this calendar before its first write.
+    const touchedUnmarked = new Set([...plan.update.map(({ existing }) => existing), ...plan.remove]);
+    saveBeforeWriting(calendarId, {
+        window,
+        timeZone: TIME_ZONE,
+        events: upcoming.filter(event => isManagedEvent(event) || touchedUnmarked.has(event)),
+    });
+
+    const results = await batch.execute(writes.map(write => write.op));
+
+    let successCount = 0;
+    let failureCount = 0;
+    results.forEach((result, index) => {
+        const { action, done, event } = writes[index];
+        if (result.ok) {
+            successCount++;
+            console.log(`[INFO] Event ${done} (${successCount}/${writes.length}): ${event.summary}`);
         } else {
-            logger.info('No upcoming events found to delete.');
+            failureCount++;
+            logger.error(`Failed to ${action} event on ${calendarId}: ${event.summary}`, result.error);
+            printAuthTroubleshooting(new Error(result.error));
         }
-    } catch (error) {
-        logger.error('Error deleting upcoming events:', error.message);
+    });
+    return { successCount, failureCount, unchanged: plan.unchanged };
+}
+
+/**
+ * Prints setup hints when a calendar write fails for what looks like an auth problem.
+ * @param {Error} error - Error thrown by the Calendar API client
+ */
+function printAuthTroubleshooting(error) {
+    if (
+        error &&
+        error.message &&
+        (
+            error.message.includes('No refresh token is set') ||
+            error.message.includes('invalid_grant') ||
+            error.message.includes('invalid_request') ||
+            error.message.includes('invalid_client') ||
+            error.message.includes('unauthorized')
+        )
+    ) {
+        console.log('[TROUBLESHOOT] Common authentication issues:');
+        console.log('  - GOOGLE_CLIENT_EMAIL and GOOGLE_PRIVATE_KEY must be set in your .env file');
+        console.log('    (or in the Render dashboard). Credentials are read from the environment,');
+        console.log('    not from a service account JSON file.');
+        console.log('  - CALENDAR_ID must be set in your .env file.');
+        console.log('  - Make sure your Google Service Account has adequate permissions to the specified Google Calendar,');
+        console.log('    and to every calendar named in the calendarId column of seriesIndex.');
+    }
+}
+
+/**
+ * Lists every event on the calendar within the sync window, across all result pages.
+ *
+ * Times are requested in TIME_ZONE so a listed event's dateTime carries the same
+ * wall-clock time as one built from the schedule, which adoption matches on. Unmarked
+ * events are listed too, for adoption and the duplicate report; the plan never touches
+ * them otherwise.
+ *
+ * @param {Object} calendar - Google Calendar API client
+ * @param {string} calendarId
+ * @param {{ timeMin: string, timeMax: string }} window - Result of syncWindow()
+ * @returns {Promise<Object[]>} Events as returned by the API
+ */
+async function listUpcomingEvents(calendar, calendarId, window) {
+    // Parameter validation
+    if (!calendar || typeof calendar !== 'object') {
+        throw new Error('listUpcomingEvents: calendar must be a valid calendar client object');
+    }
+    if (!window || !window.timeMin || !window.timeMax) {
+        throw new Error('listUpcomingEvents: window must have timeMin and timeMax');
+    }
+
+    // Unlike the old delete pass, a failure here is not swallowed: planning against an
+    // incomplete list would recreate the missing screenings as duplicates.
+    const events = await listAllEvents(calendar, {
+        calendarId,
+        timeMin: window.timeMin,
+        timeMax: window.timeMax,
+        singleEvents: true,
+        orderBy: 'startTime',
+        timeZone: TIME_ZONE,
+    }, { logger });
+
+    const managedCount = events.filter(isManagedEvent).length;
+    logger.info(`Found ${events.length} upcoming events on ${calendarId} before ${window.timeMax.slice(0, 10)} ` +
+        `(${managedCount} managed by this sync).`);
+    return events;
+}
+
+/**
+ * Lists events marked cancelled whose start is before the sync window, so their deletion
+ * does not wait on a window they will never be in again.
+ * @param {Object} calendar - Google Calendar API client
+ * @param {string} calendarId
+ * @param {string} windowStart - The sync window's timeMin
+ * @returns {Promise<Object[]>}
+ */
+async function listPastCancelledEvents(calendar, calendarId, windowStart) {
+    const from = addDaysToISODate(windowStart.slice(0, 10), -CANCELLED_LOOKBACK_DAYS);
+    return listAllEvents(calendar, {
+        calendarId,
+        timeMin: `${from}T00:00:00.000Z`,
+        timeMax: windowStart,
+        singleEvents: true,
+        privateExtendedProperty: [`${STATUS_PROPERTY}=${CANCELLED_STATUS}`],
+        timeZone: TIME_ZONE,
+    }, { logger });
+}
+
+/**
+ * Logs screenings that appear on the calendar more than once.
+ * Managed copies, and unmarked copies during adoption, are already in the plan's deletes;
+ * any others are left alone, with a pointer to --adopt.
+ * @param {Object[]} events - Upcoming events as listed
+ * @param {Object} plan - Result of planCalendarSync()
+ */
+function reportDuplicates(events, plan) {
+    const groups = findDuplicateEvents(events);
+    if (groups.length === 0) return;
+
+    const removed = new Set(plan.remove);
+    let leftBehind = 0;
+    for (const group of groups) {
+        const first = group[0];
+        logger.warn(`Duplicate screening: ${first.summary} at ${first.start.dateTime.slice(0, 16).replace('T', ' ')} ` +
+            `appears ${group.length} times.`);
+        leftBehind += group.filter(event => !isManagedEvent(event) && !removed.has(event)).length;
+    }
+    logger.warn(`${groups.length} screenings have duplicate events; ${plan.duplicates.length} extra copies will be deleted.`);
+    if (leftBehind > 0 && !ADOPT) {
+        logger.warn(`${leftBehind} unmarked events among them were left alone. Run with --adopt to claim ` +
+            'one copy of each screening and delete the rest.');
     }
 }
 
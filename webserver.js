@@ -7,12 +7,22 @@
 // Render's proxy, despite streaming correctly against a local client.
 //
 // The log management endpoints stay plain text; only the run endpoint is SSE.
+//
+// /calendar.ics serves the schedule as an iCalendar feed for Apple Calendar, Outlook and
+// other clients that subscribe by URL. See icsFeed.js.
+//
+// /api/health reports whether the scrapers' last runs still found the site's structure they
+// expect, as JSON for the banner in the page. See selectorHealth.js.
 
 const express = require('express');
 const cors = require('cors');
 const { spawn } = require('child_process');
 const path = require('path');
 const { getLogStats, rotateLogs, cleanupLogs, maintainLogs } = require('./logManager');
+const { buildCalendar, filterBySeries, feedName } = require('./icsFeed');
+const { readScreenings } = require('./screenings');
+const { loadEventTemplates, renderScreening } = require('./eventTemplates');
+const { loadHealthRuns, healthStatus, DEGRADED_EXIT_CODE } = require('./selectorHealth');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -34,6 +44,11 @@ const scripts = [
   'testPuppeteer.js'
 ];
 
+// Scripts that accept ?dryRun=1, which is passed on as --dry-run. Only these: the scrapers
+// have no such mode, and silently running one for real when a preview was asked for would
+// be worse than refusing.
+const dryRunScripts = ['fullUpdate.js', 'updateGCal.js'];
+
 // The run in progress. Only one at a time: two concurrent pipelines mean two Chrome instances,
 // which exhausts a small instance's memory.
 let activeRun = null;
@@ -43,6 +58,10 @@ app.get('/api/run/:script', (req, res) => {
   if (!scripts.includes(script)) {
     return res.status(400).send('Invalid script');
   }
+  const dryRun = req.query.dryRun === '1' || req.query.dryRun === 'true';
+  if (dryRun && !dryRunScripts.includes(script)) {
+    return res.status(400).send(`${script} has no dry-run mode`);
+  }
   if (activeRun) {
     return res.status(409).send(`${activeRun} is already running. Wait for it to finish.`);
   }
@@ -75,11 +94,12 @@ app.get('/api/run/:script', (req, res) => {
 
   // Gets headers and first bytes onto the wire before the child produces anything, so the
   // browser's fetch resolves immediately rather than waiting on a proxy to commit.
-  send(`Running ${script}...`);
+  send(`Running ${script}${dryRun ? ' (dry run)' : ''}...`);
 
   const heartbeat = setInterval(() => comment(`ping ${elapsed()}s`), HEARTBEAT_MS);
 
-  const child = spawn(process.execPath, [path.join(__dirname, script)], {
+  const args = dryRun ? ['--dry-run'] : [];
+  const child = spawn(process.execPath, [path.join(__dirname, script), ...args], {
     cwd: __dirname,
     stdio: ['ignore', 'pipe', 'pipe']
   });
@@ -117,13 +137,16 @@ app.get('/api/run/:script', (req, res) => {
         : '';
       finish(`[${script} was killed by ${signal}.${hint}]`);
     } else {
-      finish(`[Process exited with code ${code}]`);
+      const hint = script === 'fullUpdate.js' && code === DEGRADED_EXIT_CODE
+        ? '. Every step ran, but the website structure may have changed; see the site structure check above.'
+        : '';
+      finish(`[Process exited with code ${code}${hint}]`);
     }
   });
 
-  // A closed tab must not abort the run. updateGCal.js deletes every upcoming event before
-  // recreating them, so killing it midway would leave the calendar half rebuilt. Stop writing
-  // and stop the heartbeat, but let the child finish and release the lock itself.
+  // A closed tab must not abort the run. Every step writes as it goes, so killing one midway
+  // would leave its sheet or calendar half updated. Stop writing and stop the heartbeat, but
+  // let the child finish and release the lock itself.
   res.on('close', () => {
     if (!open) return;
     open = false;
@@ -131,6 +154,49 @@ app.get('/api/run/:script', (req, res) => {
   });
 });
 
+// Subscribed clients poll on their own schedule, so the sheet reads behind the feed are
+// reused for a few minutes rather than repeated for every client on every poll.
+const FEED_CACHE_MS = 5 * 60 * 1000;
+let feedCache = null;
+
+app.get('/calendar.ics', async (req, res) => {
+  const seriesTag = typeof req.query.series === 'string' ? req.query.series.trim() : '';
+  try {
+    if (!feedCache || Date.now() - feedCache.readAt > FEED_CACHE_MS) {
+      feedCache = { ...await readScreenings(), readAt: Date.now() };
+    }
+    const { screenings, seriesNames } = feedCache;
+    if (seriesTag && !seriesNames.has(seriesTag)) {
+      return res.status(404).type('text/plain').send(`Unknown series '${seriesTag}'`);
+    }
+
+    // Read per request, so an edited eventTemplates.json shows on the next poll.
+    const templates = loadEventTemplates();
+    const selected = seriesTag ? filterBySeries(screenings, seriesTag) : screenings;
+    const feed = buildCalendar(selected, {
+      name: feedName(seriesNames, seriesTag),
+      render: screening => renderScreening(templates, screening, { html: false })
+    });
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': `inline; filename="beacon-cinema${seriesTag ? `-${seriesTag}` : ''}.ics"`,
+      'Cache-Control': `public, max-age=${FEED_CACHE_MS / 1000}`
+    });
+    res.send(feed);
+  } catch (error) {
+    res.status(500).type('text/plain').send(`Could not build the calendar feed: ${error.message}`);
+  }
+});
+
+// Read per request: it is one small file, rewritten by every scraper run.
+app.get('/api/health', (req, res) => {
+  try {
+    res.json(healthStatus(loadHealthRuns()));
+  } catch (error) {
+    res.status(500).json({ status: 'unknown', checkedAt: null, problems: [], error: error.message });
+  }
+});
+
 app.get('/api/logs/:command', (req, res) => {
   const command = req.params.command;
   const validCommands = ['stats', 'rotate', 'cleanup', 'maintain'];